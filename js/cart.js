@@ -7,6 +7,9 @@
 // ----------------------------------------
 const CART_STORAGE_KEY = 'tawabil_cart';
 const SAVED_ITEMS_KEY = 'tawabil_saved';
+const CART_SYNC_KEY = 'tawabil_cart_sync';
+const CART_SYNC_DELAY = 2000; // ms after the last change
+const CART_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
 
 // Get API URL from config (fallback for safety)
 function getCartApiUrl() {
@@ -47,27 +50,45 @@ class CartManager {
     constructor() {
         this.cart = this.loadCart();
         this.savedItems = this.loadSavedItems();
+        this.syncState = this.loadSyncState();
+        this.syncTimer = null;
+        this.applyingSync = false;
+        this.coupon = null; // { code, type, description, discount } from the server, until the next page load
         this.products = [];
         this.listeners = [];
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
         await this.loadProducts();
+        this.assignSkus();
+        this.relabelItems();
+        this.adoptSharedCart();
+        await this.syncWithServer();
         this.updateCartBadge();
         this.renderMiniCart();
     }
 
+    // Reload product names in the newly chosen language
+    async reloadForLanguage() {
+        await this.ready;
+        await this.loadProducts();
+        this.relabelItems();
+        this.renderMiniCart();
+        this.notifyListeners();
+    }
+
     // Load products (try backend first, then fallback to static JSON)
     async loadProducts() {
         try {
             // Try backend API first
-            const response = await fetch(`${getCartApiUrl()}/products`, {
+            const response = await fetch(withLanguage(`${getCartApiUrl()}/products`), {
                 headers: { 'Accept': 'application/json' }
             });
             if (response.ok) {
                 const data = await response.json();
-                this.products = data.products || data;
+                // API products are keyed by productId; the JSON file uses id
+                this.products = (data.data || data.products || data).map(p => ({ ...p, id: p.id || p.productId }));
                 this.isBackendAvailable = true;
                 return this.products;
             }
@@ -77,7 +98,7 @@ class CartManager {
             try {
                 const response = await fetch('data/products.json');
                 const data = await response.json();
-                this.products = data.products;
+                this.products = data.products.map(translateProduct);
                 this.isBackendAvailable = false;
                 return this.products;
             } catch (jsonError) {
@@ -93,6 +114,70 @@ class CartManager {
         return this.products.find(p => p.id === productId);
     }
 
+    // Show cart and saved lines under the product names of the current language
+    relabelItems() {
+        let changed = false;
+        [...this.cart, ...this.savedItems].forEach(item => {
+            const product = !item.bundleId && this.getProduct(item.productId);
+            if (product && product.name !== item.name) {
+                item.name = product.name;
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.saveCart();
+            this.saveSavedItems();
+        }
+    }
+
+    // Lines saved before SKUs name only a pack size; give them that size's default SKU
+    assignSkus() {
+        const migrate = (items) => {
+            const merged = [];
+            items.forEach(item => {
+                const product = !item.bundleId && !item.sku && this.getProduct(item.productId);
+                const sku = product && findProductSku(product, item.packSize);
+                if (sku) {
+                    Object.assign(item, { id: this.generateItemId(sku.sku), sku: sku.sku, label: sku.label });
+                }
+                const existing = merged.find(i => i.id === item.id);
+                if (existing) {
+                    existing.quantity += item.quantity;
+                } else {
+                    merged.push(item);
+                }
+            });
+            return merged;
+        };
+
+        const legacy = [...this.cart, ...this.savedItems].some(item => !item.bundleId && !item.sku);
+        if (!legacy) return;
+
+        this.cart = migrate(this.cart);
+        this.savedItems = migrate(this.savedItems);
+        this.saveCart();
+        this.saveSavedItems();
+    }
+
+    // "Goes well with" suggestions for a product, leaving out what is already in the cart
+    async getRecommendations(productId, limit = 4) {
+        await this.ready;
+        if (!this.isBackendAvailable) return [];
+
+        const exclude = this.cart.filter(item => item.productId).map(item => item.productId);
+        const params = new URLSearchParams({ limit, lang: getLanguage() });
+        if (exclude.length > 0) params.set('exclude', exclude.join(','));
+
+        try {
+            const response = await fetch(`${getCartApiUrl()}/products/${encodeURIComponent(productId)}/recommendations?${params}`);
+            const data = await response.json();
+            return data.success ? data.data : [];
+        } catch (error) {
+            logError('Error loading recommendations:', error);
+            return [];
+        }
+    }
+
     // Load cart from localStorage
     loadCart() {
         try {
@@ -109,6 +194,7 @@ class CartManager {
         try {
             localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(this.cart));
             this.notifyListeners();
+            this.scheduleSync();
         } catch (error) {
             logError('Error saving cart:', error);
         }
@@ -130,31 +216,38 @@ class CartManager {
         try {
             localStorage.setItem(SAVED_ITEMS_KEY, JSON.stringify(this.savedItems));
             this.notifyListeners();
+            this.scheduleSync();
         } catch (error) {
             logError('Error saving saved items:', error);
         }
     }
 
-    // Generate unique item ID
-    generateItemId(productId, packSize) {
-        return `${productId}_${packSize}`;
+    // Cart lines are identified by SKU
+    generateItemId(sku) {
+        return sku;
+    }
+
+    // Generate gift pack item ID
+    generateBundleItemId(bundleId) {
+        return `bundle_${bundleId}`;
     }
 
     // Add item to cart
-    addItem(productId, packSize, quantity = 1) {
+    // Takes a SKU, or a pack size for that size's default SKU
+    addItem(productId, skuOrPackSize, quantity = 1) {
         const product = this.getProduct(productId);
         if (!product) {
             logError('Product not found:', productId);
             return false;
         }
 
-        const price = product.prices[packSize];
-        if (!price) {
-            logError('Price not found for pack size:', packSize);
+        const sku = findProductSku(product, skuOrPackSize);
+        if (!sku || !sku.price) {
+            logError('SKU not found:', skuOrPackSize);
             return false;
         }
 
-        const itemId = this.generateItemId(productId, packSize);
+        const itemId = this.generateItemId(sku.sku);
         const existingItem = this.cart.find(item => item.id === itemId);
 
         if (existingItem) {
@@ -163,18 +256,58 @@ class CartManager {
             this.cart.push({
                 id: itemId,
                 productId: productId,
+                sku: sku.sku,
                 name: product.name,
-                packSize: packSize,
-                price: price,
+                packSize: sku.packSize,
+                label: sku.label,
+                price: sku.price,
                 quantity: quantity,
-                image: product.image
+                image: sku.image || product.image
             });
         }
 
         this.saveCart();
         this.updateCartBadge();
         this.renderMiniCart();
-        this.showNotification(`${product.name} (${packSize}) added to cart!`);
+        this.showNotification(t('cart.added', { name: product.name, size: sku.label }));
+        return true;
+    }
+
+    // Add a gift pack as a single line
+    // bundle: { bundleId, name, price, image, components: [{ productId, name, packSize, quantity }] }
+    addBundle(bundle, quantity = 1) {
+        if (!bundle || !bundle.bundleId || !bundle.price) {
+            logError('Invalid gift pack:', bundle);
+            return false;
+        }
+
+        const itemId = this.generateBundleItemId(bundle.bundleId);
+        const existingItem = this.cart.find(item => item.id === itemId);
+
+        if (existingItem) {
+            existingItem.quantity += quantity;
+        } else {
+            this.cart.push({
+                id: itemId,
+                bundleId: bundle.bundleId,
+                name: bundle.name,
+                price: bundle.price,
+                quantity: quantity,
+                image: bundle.image,
+                components: bundle.components.map(c => ({
+                    productId: c.productId,
+                    name: c.name,
+                    sku: c.sku,
+                    packSize: c.packSize,
+                    quantity: c.quantity
+                }))
+            });
+        }
+
+        this.saveCart();
+        this.updateCartBadge();
+        this.renderMiniCart();
+        this.showNotification(t('cart.bundleAdded', { name: bundle.name }));
         return true;
     }
 
@@ -233,7 +366,7 @@ class CartManager {
             this.saveCart();
             this.updateCartBadge();
             this.renderMiniCart();
-            this.showNotification(`${removed.name} removed from cart`);
+            this.showNotification(t('cart.removed', { name: removed.name }));
             return true;
         }
         return false;
@@ -249,7 +382,7 @@ class CartManager {
             this.saveSavedItems();
             this.updateCartBadge();
             this.renderMiniCart();
-            this.showNotification(`${item.name} saved for later`);
+            this.showNotification(t('cart.saved', { name: item.name }));
             return true;
         }
         return false;
@@ -273,7 +406,7 @@ class CartManager {
             this.saveSavedItems();
             this.updateCartBadge();
             this.renderMiniCart();
-            this.showNotification(`${item.name} moved to cart`);
+            this.showNotification(t('cart.moved', { name: item.name }));
             return true;
         }
         return false;
@@ -319,16 +452,23 @@ class CartManager {
         return subtotal > 0 ? DELIVERY_CHARGE : 0;
     }
 
+    // Coupon discount as last checked by the server; the order applies it again
+    getDiscount() {
+        if (!this.coupon) return 0;
+        return Math.min(this.coupon.discount, this.getSubtotal() + this.getDeliveryCharge());
+    }
+
     // Get total
     getTotal() {
-        return this.getSubtotal() + this.getDeliveryCharge();
+        return this.getSubtotal() + this.getDeliveryCharge() - this.getDiscount();
     }
 
     // Get cart summary
     getCartSummary() {
         const subtotal = this.getSubtotal();
         const deliveryCharge = this.getDeliveryCharge();
-        const total = subtotal + deliveryCharge;
+        const discount = this.getDiscount();
+        const total = subtotal + deliveryCharge - discount;
         const itemCount = this.getItemCount();
         const freeDeliveryRemaining = Math.max(0, FREE_DELIVERY_ABOVE - subtotal);
 
@@ -337,6 +477,8 @@ class CartManager {
             itemCount,
             subtotal,
             deliveryCharge,
+            coupon: this.coupon,
+            discount,
             total,
             freeDeliveryRemaining,
             isFreeDelivery: deliveryCharge === 0 && subtotal > 0,
@@ -385,7 +527,7 @@ class CartManager {
             <div class="mini-cart-item" data-item-id="${sanitizeHTML(item.id)}">
                 <div class="mini-cart-item-info">
                     <span class="mini-cart-item-name">${sanitizeHTML(item.name)}</span>
-                    <span class="mini-cart-item-details">${sanitizeHTML(item.packSize)} x ${parseInt(item.quantity, 10)}</span>
+                    <span class="mini-cart-item-details">${sanitizeHTML(item.bundleId ? t('cart.giftPack') : describeCartItem(item))} x ${parseInt(item.quantity, 10)}</span>
                 </div>
                 <span class="mini-cart-item-price">${formatCurrency(item.price * item.quantity)}</span>
             </div>
@@ -393,7 +535,7 @@ class CartManager {
 
         if (this.cart.length > 3) {
             miniCartContainer.innerHTML += `
-                <div class="mini-cart-more">+${this.cart.length - 3} more items</div>
+                <div class="mini-cart-more">${t('cart.moreItems', { count: this.cart.length - 3 })}</div>
             `;
         }
 
@@ -455,7 +597,10 @@ class CartManager {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ items: this.cart })
+                body: JSON.stringify({
+                    items: this.cart,
+                    ...(this.coupon && { couponCode: this.coupon.code })
+                })
             });
 
             if (!response.ok) {
@@ -463,6 +608,9 @@ class CartManager {
             }
 
             const data = await response.json();
+            if (this.coupon) {
+                this.coupon = data.coupon || null;
+            }
             return data;
         } catch (error) {
             logError('Error validating cart:', error);
@@ -475,8 +623,121 @@ class CartManager {
         }
     }
 
-    // Sync cart with server (for logged-in users in future)
+    /**
+     * Apply a coupon code to the cart
+     * phone lets the server count the customer's earlier uses
+     * @returns {Promise<Object>} { coupon } or { error }
+     */
+    async applyCoupon(code, phone) {
+        try {
+            const response = await fetch(`${getCartApiUrl()}/cart/validate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    items: this.cart,
+                    couponCode: code,
+                    ...(phone && { phone })
+                })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                const [first] = data.errors || [];
+                return { error: (first && first.message) || data.message };
+            }
+            if (!data.coupon) {
+                return { error: data.couponError ? data.couponError.error : data.message };
+            }
+
+            this.coupon = data.coupon;
+            this.showNotification(t('cart.couponApplied', {
+                code: data.coupon.code,
+                amount: formatCurrency(data.coupon.discount)
+            }));
+            this.notifyListeners();
+            return { coupon: data.coupon };
+        } catch (error) {
+            logError('Error applying coupon:', error);
+            return { error: t('cart.couponUnavailable') };
+        }
+    }
+
+    removeCoupon() {
+        if (!this.coupon) return;
+        const { code } = this.coupon;
+        this.coupon = null;
+        this.showNotification(t('cart.couponRemoved', { code }));
+        this.notifyListeners();
+    }
+
+    // Cart token, the customer's phone once given at checkout, and the lines
+    // as of the last sync, which the server merges against
+    loadSyncState() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CART_SYNC_KEY));
+            if (stored && Array.isArray(stored.items) && Array.isArray(stored.savedItems)) return stored;
+        } catch (error) {
+            logError('Error loading cart sync state:', error);
+        }
+        return { token: null, items: [], savedItems: [] };
+    }
+
+    saveSyncState() {
+        try {
+            localStorage.setItem(CART_SYNC_KEY, JSON.stringify(this.syncState));
+        } catch (error) {
+            logError('Error saving cart sync state:', error);
+        }
+    }
+
+    // Continue a cart opened from another device (cart.html?cart=<token>)
+    // Nothing has been synced with it here yet, so this device's lines are added to it
+    adoptSharedCart() {
+        const token = new URLSearchParams(window.location.search).get('cart');
+        if (!token || !CART_TOKEN_PATTERN.test(token) || token === this.syncState.token) return;
+
+        this.syncState = { token, phone: this.syncState.phone, items: [], savedItems: [] };
+        this.saveSyncState();
+    }
+
+    // Link this cart to the customer once their phone is given at checkout
+    setCustomerPhone(phone) {
+        if (!/^[0-9]{10}$/.test(phone) || phone === this.syncState.phone) return;
+        this.syncState.phone = phone;
+        this.saveSyncState();
+        this.syncWithServer();
+    }
+
+    // Token of the server copy, sent with the order so the cart is linked to the customer
+    getCartToken() {
+        return this.syncState.token;
+    }
+
+    // Link that opens this cart on another device
+    getShareLink() {
+        if (!this.syncState.token) return null;
+        return new URL(`cart.html?cart=${this.syncState.token}`, window.location.href).href;
+    }
+
+    // Sync shortly after changes stop
+    scheduleSync() {
+        if (this.applyingSync || !this.isBackendAvailable) return;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncWithServer(), CART_SYNC_DELAY);
+    }
+
+    // Merge this device's cart with the server copy so it continues on other devices
     async syncWithServer() {
+        clearTimeout(this.syncTimer);
+        if (!this.isBackendAvailable) return null;
+
+        const toBase = (lines) => lines.map(({ productId, sku, packSize, bundleId, quantity }) => (
+            bundleId ? { bundleId, quantity } : { productId, sku, packSize, quantity }
+        ));
+        const sent = JSON.stringify([this.cart, this.savedItems]);
+
         try {
             const response = await fetch(`${getCartApiUrl()}/cart/sync`, {
                 method: 'POST',
@@ -484,8 +745,11 @@ class CartManager {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
+                    token: this.syncState.token,
+                    ...(this.syncState.phone && { phone: this.syncState.phone }),
                     items: this.cart,
-                    savedItems: this.savedItems
+                    savedItems: this.savedItems,
+                    base: { items: this.syncState.items, savedItems: this.syncState.savedItems }
                 })
             });
 
@@ -493,8 +757,36 @@ class CartManager {
                 throw new Error('Sync failed');
             }
 
-            return await response.json();
+            const { data } = await response.json();
+
+            // Changes made while the request was out are merged on the next sync
+            if (JSON.stringify([this.cart, this.savedItems]) !== sent) {
+                this.syncState.token = data.token;
+                this.saveSyncState();
+                this.scheduleSync();
+                return data;
+            }
+
+            this.applyingSync = true;
+            this.cart = data.items;
+            this.savedItems = data.savedItems;
+            this.saveCart();
+            this.saveSavedItems();
+            this.relabelItems();
+            this.applyingSync = false;
+
+            this.syncState = {
+                token: data.token,
+                phone: this.syncState.phone,
+                items: toBase(data.items),
+                savedItems: toBase(data.savedItems)
+            };
+            this.saveSyncState();
+            this.updateCartBadge();
+            this.renderMiniCart();
+            return data;
         } catch (error) {
+            this.applyingSync = false;
             logError('Error syncing cart:', error);
             return null;
         }
@@ -510,8 +802,14 @@ class CartManager {
 
         const orderData = {
             customer: customerData,
-            items: this.cart.map(item => ({
+            items: this.cart.map(item => (item.bundleId ? {
+                bundleId: item.bundleId,
+                name: item.name,
+                quantity: item.quantity,
+                price: item.price
+            } : {
                 productId: item.productId,
+                sku: item.sku,
                 name: item.name,
                 packSize: item.packSize,
                 quantity: item.quantity,
@@ -519,7 +817,10 @@ class CartManager {
             })),
             subtotal: cartSummary.subtotal,
             deliveryCharge: cartSummary.deliveryCharge,
+            discount: cartSummary.discount,
             total: cartSummary.total,
+            ...(this.coupon && { couponCode: this.coupon.code }),
+            ...(this.syncState.token && { cartToken: this.syncState.token }),
             deliverySlot: deliverySlot
         };
 
@@ -534,7 +835,25 @@ class CartManager {
 
             if (!response.ok) {
                 const errorData = await response.json();
-                throw new Error(errorData.message || 'Failed to create order');
+                const error = new Error(errorData.message || 'Failed to create order');
+
+                // The code no longer applies (expired, used up); the cart drops it
+                if (Array.isArray(errorData.errors) && errorData.errors.some(e => e.field === 'couponCode')) {
+                    error.couponError = true;
+                    this.coupon = null;
+                    this.notifyListeners();
+                    throw error;
+                }
+
+                // Stock problems list each affected item
+                if (Array.isArray(errorData.errors)) {
+                    error.stockErrors = errorData.errors;
+                    error.message += ': ' + errorData.errors.map(e => {
+                        const name = this.findItemName(e.sku);
+                        return `${name || e.productId} (${e.packSize}) - ${e.error}`;
+                    }).join('; ');
+                }
+                throw error;
             }
 
             const order = await response.json();
@@ -545,6 +864,17 @@ class CartManager {
         }
     }
 
+    // Name of a SKU in the cart, including gift pack contents
+    findItemName(sku) {
+        if (!sku) return null;
+        for (const item of this.cart) {
+            const lines = item.bundleId ? item.components : [item];
+            const match = lines.find(i => i.sku === sku);
+            if (match) return item.bundleId ? `${match.name} in ${item.name}` : match.name;
+        }
+        return null;
+    }
+
     // Create Razorpay payment order
     async createPaymentOrder(orderId, amount) {
         try {
@@ -638,6 +968,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Setup add to cart buttons
     setupAddToCartButtons();
+
+    document.addEventListener('tawabil:languagechange', () => cart.reloadForLanguage());
 });
 
 // Setup mini cart functionality
@@ -707,6 +1039,44 @@ function setupAddToCartButtons() {
     });
 }
 
+// Options (e.g. "Ground 100g"), or the contents of a gift pack, for display
+function describeCartItem(item) {
+    if (!item.bundleId) return item.label || item.packSize;
+    return (item.components || [])
+        .map(c => `${c.name} ${c.packSize}${c.quantity > 1 ? ` x${c.quantity}` : ''}`)
+        .join(', ');
+}
+
+// Render "goes well with" suggestions with one-click add to cart
+// Hides the section when there is nothing to suggest
+function renderRecommendations(section, recommendations) {
+    const list = section.querySelector('.goes-well-items');
+    section.hidden = recommendations.length === 0;
+
+    list.innerHTML = recommendations.map(rec => `
+        <div class="goes-well-item">
+            <img src="${sanitizeHTML(rec.image || '')}" alt="${sanitizeHTML(rec.name)}" loading="lazy">
+            <div class="goes-well-info">
+                <span class="goes-well-name">${sanitizeHTML(rec.name)}</span>
+                <span class="goes-well-price">
+                    ${sanitizeHTML(rec.packSize)} - ₹${Number(rec.price).toLocaleString()}
+                    ${rec.mrp > rec.price ? `<s>₹${Number(rec.mrp).toLocaleString()}</s>` : ''}
+                </span>
+            </div>
+            <button type="button" class="btn btn-sm btn-outline goes-well-add"
+                    data-product-id="${sanitizeHTML(rec.productId)}" data-size="${sanitizeHTML(rec.packSize)}">${t('cart.add')}</button>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.goes-well-add').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (!cart.addItem(btn.dataset.productId, btn.dataset.size, 1)) return;
+            btn.textContent = t('cart.addedShort');
+            btn.disabled = true;
+        });
+    });
+}
+
 // Extract pack size from text (e.g., "50g - ₹280" -> "50g")
 function extractPackSize(text) {
     // Match patterns like "50g", "100g", "1kg", etc.
@@ -730,5 +1100,5 @@ function updatePriceDisplay(productCard, product) {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CartManager, formatCurrency };
+    module.exports = { CartManager, formatCurrency, describeCartItem, renderRecommendations };
 }
@@ -12,6 +12,476 @@ function getWhatsAppDefaultMessage() {
     return window.TawabilConfig?.whatsapp?.defaultMessage || "Hi Tawabil! I'm interested in your premium spices. Please share details.";
 }
 
+// ----------------------------------------
+// LANGUAGE (English, Hindi, Kannada)
+// ----------------------------------------
+// The choice is remembered on this device; product text comes translated from
+// the API (?lang=), UI strings from the table below. Static markup opts in with
+// data-i18n (text) or data-i18n-placeholder attributes.
+const LANGUAGE_STORAGE_KEY = 'tawabil_language';
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGES = { en: 'English', hi: 'हिन्दी', kn: 'ಕನ್ನಡ' };
+
+const UI_STRINGS = {
+    en: {
+        'language.label': 'Language',
+        'nav.home': 'Home',
+        'nav.about': 'About Us',
+        'nav.products': 'Products',
+        'nav.quality': 'Quality',
+        'nav.recipes': 'Recipes',
+        'nav.bulkOrders': 'Bulk Orders',
+        'nav.contact': 'Contact',
+        'nav.orderNow': 'Order Now',
+
+        'cart.title': 'Shopping Cart',
+        'cart.empty': 'Your cart is empty',
+        'cart.emptyHint': "Looks like you haven't added any spices to your cart yet. Explore our premium collection!",
+        'cart.shopNow': 'Shop Now',
+        'cart.browse': 'Browse Products',
+        'cart.total': 'Total:',
+        'cart.totalLabel': 'Total',
+        'cart.viewCart': 'View Cart',
+        'cart.checkout': 'Checkout',
+        'cart.itemOne': '{count} item',
+        'cart.itemMany': '{count} items',
+        'cart.moreItems': '+{count} more items',
+        'cart.giftPack': 'Gift pack',
+        'cart.giftPackContents': 'Gift pack: {contents}',
+        'cart.packSize': 'Pack Size: {size}',
+        'cart.each': '{price} each',
+        'cart.added': '{name} ({size}) added to cart!',
+        'cart.bundleAdded': '{name} added to cart!',
+        'cart.removed': '{name} removed from cart',
+        'cart.saved': '{name} saved for later',
+        'cart.moved': '{name} moved to cart',
+        'cart.add': 'Add',
+        'cart.addedShort': 'Added',
+        'cart.saveForLater': 'Save for later',
+        'cart.remove': 'Remove',
+        'cart.moveToCart': 'Move to Cart',
+        'cart.savedForLater': 'Saved for Later',
+        'cart.goesWell': 'Goes well with your cart',
+        'cart.orderSummary': 'Order Summary',
+        'cart.addMore': 'Add',
+        'cart.forFreeDelivery': 'more for FREE delivery!',
+        'cart.freeDeliveryUnlocked': "You've unlocked FREE delivery!",
+        'cart.minOrder': 'Minimum order amount is {amount}',
+        'cart.subtotal': 'Subtotal',
+        'cart.deliveryCharge': 'Delivery Charge',
+        'cart.free': 'FREE',
+        'cart.proceed': 'Proceed to Checkout',
+        'cart.continue': 'Continue Shopping',
+        'cart.shareLink': 'Continue on Another Device',
+        'cart.linkCopied': 'Cart link copied. Open it on your other device to continue.',
+        'cart.couponApplied': 'Code {code} applied: you save {amount}',
+        'cart.couponRemoved': 'Code {code} removed',
+        'cart.couponUnavailable': 'Codes can only be applied while online',
+
+        'products.searchPlaceholder': 'Search spices... (e.g., cardamom, biryani)',
+        'products.sortBy': 'Sort by',
+        'products.sortNameAsc': 'Name: A to Z',
+        'products.sortNameDesc': 'Name: Z to A',
+        'products.sortPriceAsc': 'Price: Low to High',
+        'products.sortPriceDesc': 'Price: High to Low',
+        'products.sortRating': 'Top Rated',
+        'products.sortUnitPrice': 'Best Value (per 100g)',
+        'products.allProducts': 'All Products',
+        'products.giftPacks': 'Gift Packs & Bundles',
+        'products.showingOne': 'Showing {count} product',
+        'products.showingMany': 'Showing {count} products',
+        'products.showingGiftPackOne': 'Showing {count} gift pack',
+        'products.showingGiftPackMany': 'Showing {count} gift packs',
+        'products.noResults': 'No products found',
+        'products.noResultsHint': "Try adjusting your search or filter to find what you're looking for.",
+        'products.showAll': 'Show All Products',
+        'products.loading': 'Loading products...',
+        'products.loadError': 'Unable to load products',
+        'products.loadErrorHint': 'Please try again later.',
+        'products.retry': 'Retry',
+        'products.quickView': 'Quick View',
+        'products.inStock': 'In Stock',
+        'products.outOfStock': 'Out of Stock',
+        'products.soldOut': 'Sold out',
+        'products.startingFrom': 'Starting from',
+        'products.sale': 'Sale',
+        'products.save': 'Save {amount}',
+        'products.perHundredGrams': '{price}/100g',
+        'products.savePercent': 'Save {percent}%',
+        'products.bestValue': 'Best value',
+        'products.bestValueNote': 'Best value: {size}, save {percent}% per gram',
+        'products.addToCart': 'Add to Cart',
+        'products.addedToCart': 'Added!',
+        'products.noReviews': 'No reviews yet',
+        'products.reviewOne': '{count} review',
+        'products.reviewMany': '{count} reviews',
+        'products.culinaryUses': 'Culinary Uses',
+        'products.healthBenefits': 'Health Benefits',
+        'products.selectPackSize': 'Select Pack Size:',
+        'products.option.form': 'Form:',
+        'products.option.grade': 'Grade:',
+        'products.notifyTitle': "Sold out? Get notified when it's back",
+        'products.notifyContact': 'Phone or email',
+        'products.notifyMe': 'Notify Me',
+        'products.goesWellWith': 'Goes well with',
+        'products.clearFilters': 'Clear filters',
+        'products.productCountOne': '{count} product',
+        'products.productCountMany': '{count} products',
+        'facet.price': 'Price',
+        'facet.origin': 'Origin',
+        'facet.badge': 'Highlights',
+        'facet.packSize': 'Pack Size',
+        'facet.availability': 'Availability',
+        'facet.inStock': 'In stock',
+        'facet.outOfStock': 'Out of stock',
+        'suggest.recent': 'Recent searches',
+        'suggest.product': 'Products',
+        'suggest.category': 'Categories',
+        'suggest.use': 'Culinary uses'
+    },
+    hi: {
+        'language.label': 'भाषा',
+        'nav.home': 'होम',
+        'nav.about': 'हमारे बारे में',
+        'nav.products': 'उत्पाद',
+        'nav.quality': 'गुणवत्ता',
+        'nav.recipes': 'रेसिपी',
+        'nav.bulkOrders': 'थोक ऑर्डर',
+        'nav.contact': 'संपर्क',
+        'nav.orderNow': 'अभी ऑर्डर करें',
+
+        'cart.title': 'शॉपिंग कार्ट',
+        'cart.empty': 'आपका कार्ट खाली है',
+        'cart.emptyHint': 'लगता है आपने अभी तक कोई मसाला कार्ट में नहीं जोड़ा है। हमारा प्रीमियम संग्रह देखें!',
+        'cart.shopNow': 'अभी खरीदें',
+        'cart.browse': 'उत्पाद देखें',
+        'cart.total': 'कुल:',
+        'cart.totalLabel': 'कुल',
+        'cart.viewCart': 'कार्ट देखें',
+        'cart.checkout': 'चेकआउट',
+        'cart.itemOne': '{count} आइटम',
+        'cart.itemMany': '{count} आइटम',
+        'cart.moreItems': '+{count} और आइटम',
+        'cart.giftPack': 'गिफ़्ट पैक',
+        'cart.giftPackContents': 'गिफ़्ट पैक: {contents}',
+        'cart.packSize': 'पैक साइज़: {size}',
+        'cart.each': '{price} प्रति पैक',
+        'cart.added': '{name} ({size}) कार्ट में जोड़ा गया!',
+        'cart.bundleAdded': '{name} कार्ट में जोड़ा गया!',
+        'cart.removed': '{name} कार्ट से हटाया गया',
+        'cart.saved': '{name} बाद के लिए सहेजा गया',
+        'cart.moved': '{name} कार्ट में डाला गया',
+        'cart.add': 'जोड़ें',
+        'cart.addedShort': 'जोड़ा गया',
+        'cart.saveForLater': 'बाद के लिए सहेजें',
+        'cart.remove': 'हटाएँ',
+        'cart.moveToCart': 'कार्ट में डालें',
+        'cart.savedForLater': 'बाद के लिए सहेजे गए',
+        'cart.goesWell': 'आपके कार्ट के साथ बढ़िया',
+        'cart.orderSummary': 'ऑर्डर सारांश',
+        'cart.addMore': 'मुफ़्त डिलीवरी के लिए',
+        'cart.forFreeDelivery': 'और जोड़ें!',
+        'cart.freeDeliveryUnlocked': 'आपको मुफ़्त डिलीवरी मिल गई है!',
+        'cart.minOrder': 'न्यूनतम ऑर्डर राशि {amount} है',
+        'cart.subtotal': 'उप-योग',
+        'cart.deliveryCharge': 'डिलीवरी शुल्क',
+        'cart.free': 'मुफ़्त',
+        'cart.proceed': 'चेकआउट करें',
+        'cart.continue': 'खरीदारी जारी रखें',
+        'cart.shareLink': 'दूसरे डिवाइस पर जारी रखें',
+        'cart.linkCopied': 'कार्ट लिंक कॉपी हो गया। जारी रखने के लिए इसे अपने दूसरे डिवाइस पर खोलें।',
+        'cart.couponApplied': 'कोड {code} लागू हुआ: आपकी बचत {amount}',
+        'cart.couponRemoved': 'कोड {code} हटाया गया',
+        'cart.couponUnavailable': 'कोड केवल ऑनलाइन होने पर लागू किए जा सकते हैं',
+
+        'products.searchPlaceholder': 'मसाले खोजें... (जैसे इलायची, बिरयानी)',
+        'products.sortBy': 'क्रम से लगाएँ',
+        'products.sortNameAsc': 'नाम: A से Z',
+        'products.sortNameDesc': 'नाम: Z से A',
+        'products.sortPriceAsc': 'कीमत: कम से ज़्यादा',
+        'products.sortPriceDesc': 'कीमत: ज़्यादा से कम',
+        'products.sortRating': 'सबसे ज़्यादा रेटिंग',
+        'products.sortUnitPrice': 'सबसे किफ़ायती (प्रति 100g)',
+        'products.allProducts': 'सभी उत्पाद',
+        'products.giftPacks': 'गिफ़्ट पैक और बंडल',
+        'products.showingOne': '{count} उत्पाद दिखाया जा रहा है',
+        'products.showingMany': '{count} उत्पाद दिखाए जा रहे हैं',
+        'products.showingGiftPackOne': '{count} गिफ़्ट पैक दिखाया जा रहा है',
+        'products.showingGiftPackMany': '{count} गिफ़्ट पैक दिखाए जा रहे हैं',
+        'products.noResults': 'कोई उत्पाद नहीं मिला',
+        'products.noResultsHint': 'जो आप ढूँढ रहे हैं उसे पाने के लिए खोज या फ़िल्टर बदलकर देखें।',
+        'products.showAll': 'सभी उत्पाद दिखाएँ',
+        'products.loading': 'उत्पाद लोड हो रहे हैं...',
+        'products.loadError': 'उत्पाद लोड नहीं हो सके',
+        'products.loadErrorHint': 'कृपया बाद में फिर कोशिश करें।',
+        'products.retry': 'फिर कोशिश करें',
+        'products.quickView': 'झलक देखें',
+        'products.inStock': 'स्टॉक में',
+        'products.outOfStock': 'स्टॉक में नहीं',
+        'products.soldOut': 'बिक गया',
+        'products.startingFrom': 'शुरुआती कीमत',
+        'products.sale': 'सेल',
+        'products.save': '{amount} बचाएँ',
+        'products.perHundredGrams': '{price}/100g',
+        'products.savePercent': '{percent}% बचत',
+        'products.bestValue': 'सबसे किफ़ायती',
+        'products.bestValueNote': 'सबसे किफ़ायती: {size}, प्रति ग्राम {percent}% बचत',
+        'products.addToCart': 'कार्ट में जोड़ें',
+        'products.addedToCart': 'जोड़ा गया!',
+        'products.noReviews': 'अभी कोई समीक्षा नहीं',
+        'products.reviewOne': '{count} समीक्षा',
+        'products.reviewMany': '{count} समीक्षाएँ',
+        'products.culinaryUses': 'खाने में उपयोग',
+        'products.healthBenefits': 'स्वास्थ्य लाभ',
+        'products.selectPackSize': 'पैक साइज़ चुनें:',
+        'products.option.form': 'रूप:',
+        'products.option.grade': 'ग्रेड:',
+        'products.notifyTitle': 'स्टॉक ख़त्म? वापस आने पर सूचना पाएँ',
+        'products.notifyContact': 'फ़ोन या ईमेल',
+        'products.notifyMe': 'मुझे बताएँ',
+        'products.goesWellWith': 'इसके साथ बढ़िया',
+        'products.clearFilters': 'फ़िल्टर हटाएँ',
+        'products.productCountOne': '{count} उत्पाद',
+        'products.productCountMany': '{count} उत्पाद',
+        'facet.price': 'कीमत',
+        'facet.origin': 'मूल स्थान',
+        'facet.badge': 'ख़ास बातें',
+        'facet.packSize': 'पैक साइज़',
+        'facet.availability': 'उपलब्धता',
+        'facet.inStock': 'स्टॉक में',
+        'facet.outOfStock': 'स्टॉक में नहीं',
+        'suggest.recent': 'हाल की खोजें',
+        'suggest.product': 'उत्पाद',
+        'suggest.category': 'श्रेणियाँ',
+        'suggest.use': 'खाने में उपयोग'
+    },
+    kn: {
+        'language.label': 'ಭಾಷೆ',
+        'nav.home': 'ಮುಖಪುಟ',
+        'nav.about': 'ನಮ್ಮ ಬಗ್ಗೆ',
+        'nav.products': 'ಉತ್ಪನ್ನಗಳು',
+        'nav.quality': 'ಗುಣಮಟ್ಟ',
+        'nav.recipes': 'ಅಡುಗೆ ವಿಧಾನಗಳು',
+        'nav.bulkOrders': 'ಸಗಟು ಆರ್ಡರ್',
+        'nav.contact': 'ಸಂಪರ್ಕಿಸಿ',
+        'nav.orderNow': 'ಈಗಲೇ ಆರ್ಡರ್ ಮಾಡಿ',
+
+        'cart.title': 'ಶಾಪಿಂಗ್ ಕಾರ್ಟ್',
+        'cart.empty': 'ನಿಮ್ಮ ಕಾರ್ಟ್ ಖಾಲಿಯಾಗಿದೆ',
+        'cart.emptyHint': 'ನೀವು ಇನ್ನೂ ಯಾವುದೇ ಮಸಾಲೆಯನ್ನು ಕಾರ್ಟ್‌ಗೆ ಸೇರಿಸಿಲ್ಲ. ನಮ್ಮ ಪ್ರೀಮಿಯಂ ಸಂಗ್ರಹವನ್ನು ನೋಡಿ!',
+        'cart.shopNow': 'ಈಗ ಖರೀದಿಸಿ',
+        'cart.browse': 'ಉತ್ಪನ್ನಗಳನ್ನು ನೋಡಿ',
+        'cart.total': 'ಒಟ್ಟು:',
+        'cart.totalLabel': 'ಒಟ್ಟು',
+        'cart.viewCart': 'ಕಾರ್ಟ್ ನೋಡಿ',
+        'cart.checkout': 'ಚೆಕ್‌ಔಟ್',
+        'cart.itemOne': '{count} ವಸ್ತು',
+        'cart.itemMany': '{count} ವಸ್ತುಗಳು',
+        'cart.moreItems': '+{count} ಇನ್ನಷ್ಟು ವಸ್ತುಗಳು',
+        'cart.giftPack': 'ಉಡುಗೊರೆ ಪ್ಯಾಕ್',
+        'cart.giftPackContents': 'ಉಡುಗೊರೆ ಪ್ಯಾಕ್: {contents}',
+        'cart.packSize': 'ಪ್ಯಾಕ್ ಗಾತ್ರ: {size}',
+        'cart.each': 'ಪ್ರತಿ ಪ್ಯಾಕ್‌ಗೆ {price}',
+        'cart.added': '{name} ({size}) ಕಾರ್ಟ್‌ಗೆ ಸೇರಿಸಲಾಗಿದೆ!',
+        'cart.bundleAdded': '{name} ಕಾರ್ಟ್‌ಗೆ ಸೇರಿಸಲಾಗಿದೆ!',
+        'cart.removed': '{name} ಕಾರ್ಟ್‌ನಿಂದ ತೆಗೆದುಹಾಕಲಾಗಿದೆ',
+        'cart.saved': '{name} ನಂತರಕ್ಕೆ ಉಳಿಸಲಾಗಿದೆ',
+        'cart.moved': '{name} ಕಾರ್ಟ್‌ಗೆ ಸರಿಸಲಾಗಿದೆ',
+        'cart.add': 'ಸೇರಿಸಿ',
+        'cart.addedShort': 'ಸೇರಿಸಲಾಗಿದೆ',
+        'cart.saveForLater': 'ನಂತರಕ್ಕೆ ಉಳಿಸಿ',
+        'cart.remove': 'ತೆಗೆದುಹಾಕಿ',
+        'cart.moveToCart': 'ಕಾರ್ಟ್‌ಗೆ ಸರಿಸಿ',
+        'cart.savedForLater': 'ನಂತರಕ್ಕೆ ಉಳಿಸಿದವು',
+        'cart.goesWell': 'ನಿಮ್ಮ ಕಾರ್ಟ್ ಜೊತೆಗೆ ಚೆನ್ನಾಗಿ ಹೊಂದುವವು',
+        'cart.orderSummary': 'ಆರ್ಡರ್ ಸಾರಾಂಶ',
+        'cart.addMore': 'ಉಚಿತ ಡೆಲಿವರಿಗಾಗಿ ಇನ್ನೂ',
+        'cart.forFreeDelivery': 'ಸೇರಿಸಿ!',
+        'cart.freeDeliveryUnlocked': 'ನಿಮಗೆ ಉಚಿತ ಡೆಲಿವರಿ ಸಿಕ್ಕಿದೆ!',
+        'cart.minOrder': 'ಕನಿಷ್ಠ ಆರ್ಡರ್ ಮೊತ್ತ {amount}',
+        'cart.subtotal': 'ಉಪಮೊತ್ತ',
+        'cart.deliveryCharge': 'ಡೆಲಿವರಿ ಶುಲ್ಕ',
+        'cart.free': 'ಉಚಿತ',
+        'cart.proceed': 'ಚೆಕ್‌ಔಟ್‌ಗೆ ಮುಂದುವರಿಯಿರಿ',
+        'cart.continue': 'ಖರೀದಿ ಮುಂದುವರಿಸಿ',
+        'cart.shareLink': 'ಇನ್ನೊಂದು ಸಾಧನದಲ್ಲಿ ಮುಂದುವರಿಸಿ',
+        'cart.linkCopied': 'ಕಾರ್ಟ್ ಲಿಂಕ್ ನಕಲಿಸಲಾಗಿದೆ. ಮುಂದುವರಿಸಲು ಅದನ್ನು ನಿಮ್ಮ ಇನ್ನೊಂದು ಸಾಧನದಲ್ಲಿ ತೆರೆಯಿರಿ.',
+        'cart.couponApplied': 'ಕೋಡ್ {code} ಅನ್ವಯಿಸಲಾಗಿದೆ: ನಿಮ್ಮ ಉಳಿತಾಯ {amount}',
+        'cart.couponRemoved': 'ಕೋಡ್ {code} ತೆಗೆದುಹಾಕಲಾಗಿದೆ',
+        'cart.couponUnavailable': 'ಆನ್‌ಲೈನ್‌ನಲ್ಲಿರುವಾಗ ಮಾತ್ರ ಕೋಡ್‌ಗಳನ್ನು ಅನ್ವಯಿಸಬಹುದು',
+
+        'products.searchPlaceholder': 'ಮಸಾಲೆಗಳನ್ನು ಹುಡುಕಿ... (ಉದಾ. ಏಲಕ್ಕಿ, ಬಿರಿಯಾನಿ)',
+        'products.sortBy': 'ವಿಂಗಡಿಸಿ',
+        'products.sortNameAsc': 'ಹೆಸರು: A ಯಿಂದ Z',
+        'products.sortNameDesc': 'ಹೆಸರು: Z ಯಿಂದ A',
+        'products.sortPriceAsc': 'ಬೆಲೆ: ಕಡಿಮೆಯಿಂದ ಹೆಚ್ಚು',
+        'products.sortPriceDesc': 'ಬೆಲೆ: ಹೆಚ್ಚಿನಿಂದ ಕಡಿಮೆ',
+        'products.sortRating': 'ಹೆಚ್ಚು ರೇಟಿಂಗ್',
+        'products.sortUnitPrice': 'ಉತ್ತಮ ಮೌಲ್ಯ (ಪ್ರತಿ 100g)',
+        'products.allProducts': 'ಎಲ್ಲಾ ಉತ್ಪನ್ನಗಳು',
+        'products.giftPacks': 'ಉಡುಗೊರೆ ಪ್ಯಾಕ್‌ಗಳು ಮತ್ತು ಬಂಡಲ್‌ಗಳು',
+        'products.showingOne': '{count} ಉತ್ಪನ್ನ ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+        'products.showingMany': '{count} ಉತ್ಪನ್ನಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+        'products.showingGiftPackOne': '{count} ಉಡುಗೊರೆ ಪ್ಯಾಕ್ ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+        'products.showingGiftPackMany': '{count} ಉಡುಗೊರೆ ಪ್ಯಾಕ್‌ಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+        'products.noResults': 'ಯಾವುದೇ ಉತ್ಪನ್ನ ಸಿಗಲಿಲ್ಲ',
+        'products.noResultsHint': 'ನೀವು ಹುಡುಕುತ್ತಿರುವುದನ್ನು ಪಡೆಯಲು ಹುಡುಕಾಟ ಅಥವಾ ಫಿಲ್ಟರ್ ಬದಲಿಸಿ ನೋಡಿ.',
+        'products.showAll': 'ಎಲ್ಲಾ ಉತ್ಪನ್ನಗಳನ್ನು ತೋರಿಸಿ',
+        'products.loading': 'ಉತ್ಪನ್ನಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...',
+        'products.loadError': 'ಉತ್ಪನ್ನಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ',
+        'products.loadErrorHint': 'ದಯವಿಟ್ಟು ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'products.retry': 'ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ',
+        'products.quickView': 'ತ್ವರಿತ ನೋಟ',
+        'products.inStock': 'ಸ್ಟಾಕ್‌ನಲ್ಲಿದೆ',
+        'products.outOfStock': 'ಸ್ಟಾಕ್ ಇಲ್ಲ',
+        'products.soldOut': 'ಮಾರಾಟವಾಗಿದೆ',
+        'products.startingFrom': 'ಆರಂಭಿಕ ಬೆಲೆ',
+        'products.sale': 'ಸೇಲ್',
+        'products.save': '{amount} ಉಳಿಸಿ',
+        'products.perHundredGrams': '{price}/100g',
+        'products.savePercent': '{percent}% ಉಳಿತಾಯ',
+        'products.bestValue': 'ಉತ್ತಮ ಮೌಲ್ಯ',
+        'products.bestValueNote': 'ಉತ್ತಮ ಮೌಲ್ಯ: {size}, ಪ್ರತಿ ಗ್ರಾಂಗೆ {percent}% ಉಳಿತಾಯ',
+        'products.addToCart': 'ಕಾರ್ಟ್‌ಗೆ ಸೇರಿಸಿ',
+        'products.addedToCart': 'ಸೇರಿಸಲಾಗಿದೆ!',
+        'products.noReviews': 'ಇನ್ನೂ ವಿಮರ್ಶೆಗಳಿಲ್ಲ',
+        'products.reviewOne': '{count} ವಿಮರ್ಶೆ',
+        'products.reviewMany': '{count} ವಿಮರ್ಶೆಗಳು',
+        'products.culinaryUses': 'ಅಡುಗೆಯಲ್ಲಿ ಬಳಕೆ',
+        'products.healthBenefits': 'ಆರೋಗ್ಯ ಪ್ರಯೋಜನಗಳು',
+        'products.selectPackSize': 'ಪ್ಯಾಕ್ ಗಾತ್ರ ಆಯ್ಕೆಮಾಡಿ:',
+        'products.option.form': 'ರೂಪ:',
+        'products.option.grade': 'ಗ್ರೇಡ್:',
+        'products.notifyTitle': 'ಸ್ಟಾಕ್ ಮುಗಿದಿದೆಯೇ? ಮರಳಿ ಬಂದಾಗ ತಿಳಿಸುತ್ತೇವೆ',
+        'products.notifyContact': 'ಫೋನ್ ಅಥವಾ ಇಮೇಲ್',
+        'products.notifyMe': 'ನನಗೆ ತಿಳಿಸಿ',
+        'products.goesWellWith': 'ಇದರ ಜೊತೆಗೆ ಚೆನ್ನಾಗಿ ಹೊಂದುವವು',
+        'products.clearFilters': 'ಫಿಲ್ಟರ್‌ಗಳನ್ನು ತೆರವುಗೊಳಿಸಿ',
+        'products.productCountOne': '{count} ಉತ್ಪನ್ನ',
+        'products.productCountMany': '{count} ಉತ್ಪನ್ನಗಳು',
+        'facet.price': 'ಬೆಲೆ',
+        'facet.origin': 'ಮೂಲ',
+        'facet.badge': 'ವಿಶೇಷತೆಗಳು',
+        'facet.packSize': 'ಪ್ಯಾಕ್ ಗಾತ್ರ',
+        'facet.availability': 'ಲಭ್ಯತೆ',
+        'facet.inStock': 'ಸ್ಟಾಕ್‌ನಲ್ಲಿದೆ',
+        'facet.outOfStock': 'ಸ್ಟಾಕ್ ಇಲ್ಲ',
+        'suggest.recent': 'ಇತ್ತೀಚಿನ ಹುಡುಕಾಟಗಳು',
+        'suggest.product': 'ಉತ್ಪನ್ನಗಳು',
+        'suggest.category': 'ವರ್ಗಗಳು',
+        'suggest.use': 'ಅಡುಗೆಯಲ್ಲಿ ಬಳಕೆ'
+    }
+};
+
+// Saved choice, else the browser's first supported language
+function getLanguage() {
+    try {
+        const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        if (LANGUAGES[saved]) return saved;
+    } catch (e) {
+        // Storage disabled; fall through to the browser language
+    }
+    const browser = (navigator.languages || [navigator.language || ''])
+        .map(tag => String(tag).toLowerCase().split('-')[0])
+        .find(code => LANGUAGES[code]);
+    return browser || DEFAULT_LANGUAGE;
+}
+
+// Translate a UI string, filling {placeholders}; falls back to English, then the key
+function t(key, values = {}) {
+    const text = (UI_STRINGS[getLanguage()] || {})[key] ?? UI_STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+// Add the current language to an API URL
+function withLanguage(url) {
+    return `${url}${url.includes('?') ? '&' : '?'}lang=${getLanguage()}`;
+}
+
+// Apply a product's translations from data/products.json (offline fallback)
+function translateProduct(product) {
+    const { translations, ...rest } = product;
+    const language = getLanguage();
+    const fields = (translations && translations[language]) || {};
+    return { ...rest, ...fields, locale: Object.keys(fields).length > 0 ? language : DEFAULT_LANGUAGE };
+}
+
+// Sellable SKUs of a product: from the API, or built the way the server builds
+// them (server/services/variants.js) for the offline catalog
+function getProductSkus(product) {
+    if (Array.isArray(product.skus)) return product.skus;
+
+    const productId = product.productId || product.id;
+    const slug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const variants = Array.isArray(product.variants)
+        ? product.variants
+        : (product.packSizes || Object.keys(product.prices || {})).map(packSize => ({ packSize, price: product.prices[packSize] }));
+
+    return variants.map(v => {
+        const options = [v.form, v.grade, v.packSize].filter(Boolean);
+        return {
+            sku: v.sku || [productId, ...options].map(slug).join('-'),
+            options: { ...(v.form && { form: v.form }), ...(v.grade && { grade: v.grade }), weight: v.packSize },
+            label: options.join(' '),
+            packSize: v.packSize,
+            price: v.price,
+            image: v.image || null
+        };
+    });
+}
+
+// SKU by its code, or the default (first) SKU of a pack size
+function findProductSku(product, skuOrPackSize) {
+    const skus = getProductSkus(product);
+    return skus.find(s => s.sku === skuOrPackSize) || skus.find(s => s.packSize === skuOrPackSize) || null;
+}
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+}
+
+// Remember the choice, re-translate the page and let page scripts reload their data
+function setLanguage(language) {
+    if (!LANGUAGES[language] || language === getLanguage()) return;
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (e) {
+        // Storage disabled; the choice lasts for this page only
+    }
+    document.documentElement.lang = language;
+    applyTranslations();
+    document.querySelectorAll('.language-switcher').forEach(select => {
+        select.value = language;
+        select.setAttribute('aria-label', t('language.label'));
+    });
+    document.dispatchEvent(new CustomEvent('tawabil:languagechange', { detail: { language } }));
+}
+
+// Language picker in the navbar and the mobile menu
+function renderLanguageSwitchers() {
+    const targets = [document.querySelector('.navbar-cta'), document.querySelector('.mobile-menu')];
+    targets.filter(Boolean).forEach(target => {
+        const select = document.createElement('select');
+        select.className = 'language-switcher';
+        select.setAttribute('aria-label', t('language.label'));
+        select.innerHTML = Object.entries(LANGUAGES)
+            .map(([code, label]) => `<option value="${code}" lang="${code}">${label}</option>`)
+            .join('');
+        select.value = getLanguage();
+        select.addEventListener('change', () => setLanguage(select.value));
+        target.prepend(select);
+    });
+}
+
+document.documentElement.lang = getLanguage();
+renderLanguageSwitchers();
+applyTranslations();
+
 // ----------------------------------------
 // NAVIGATION FUNCTIONALITY
 // ----------------------------------------
@@ -244,6 +714,105 @@ document.querySelectorAll('.slider-container').forEach(container => {
     new TestimonialSlider(container);
 });
 
+// ----------------------------------------
+// SITE CONTENT (testimonials, stats, articles from /api/content)
+// ----------------------------------------
+// The static markup stays in place when the API is unreachable or has nothing published
+async function fetchContent(path) {
+    if (typeof window.getApiUrl !== 'function') return [];
+    try {
+        const response = await fetch(window.getApiUrl(`/content/${path}`));
+        const data = await response.json();
+        return data.success ? data.data : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+const STAR_SVG = '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>';
+
+function renderStats(grid, stats) {
+    grid.innerHTML = stats.map(stat => `
+        <div class="stat-item">
+            <div class="stat-number" data-count="${sanitizeHTML(stat.number)}">${sanitizeHTML(stat.number)}</div>
+            <div class="stat-label">${sanitizeHTML(stat.label)}</div>
+        </div>
+    `).join('');
+}
+
+function renderTestimonials(grid, testimonials) {
+    grid.innerHTML = testimonials.map(t => `
+        <div class="testimonial-card reveal active">
+            <div class="testimonial-stars">${STAR_SVG.repeat(t.rating || 5)}</div>
+            <p class="testimonial-text">${sanitizeHTML(t.text)}</p>
+            <div class="testimonial-author">
+                <div class="testimonial-avatar">${sanitizeHTML(t.initials || t.name.split(' ').map(w => w[0]).join('').slice(0, 2))}</div>
+                <div class="testimonial-info">
+                    <h5>${sanitizeHTML(t.name)}</h5>
+                    ${t.role ? `<p>${sanitizeHTML(t.role)}</p>` : ''}
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderArticles(section, articles) {
+    const grid = section.querySelector('.content-articles-grid');
+    grid.innerHTML = articles.map(article => `
+        <article class="content-article-card" data-slug="${sanitizeHTML(article.slug)}">
+            ${article.image ? `<img src="${sanitizeHTML(article.image)}" alt="${sanitizeHTML(article.title)}" loading="lazy">` : ''}
+            <h3>${sanitizeHTML(article.title)}</h3>
+            ${article.summary ? `<p>${sanitizeHTML(article.summary)}</p>` : ''}
+            <div class="content-article-body" hidden></div>
+            <button type="button" class="btn btn-outline btn-sm content-article-toggle">Read more</button>
+        </article>
+    `).join('');
+    section.hidden = false;
+
+    grid.querySelectorAll('.content-article-toggle').forEach(button => {
+        button.addEventListener('click', async () => {
+            const card = button.closest('.content-article-card');
+            const bodyEl = card.querySelector('.content-article-body');
+            if (!bodyEl.hidden) {
+                bodyEl.hidden = true;
+                button.textContent = 'Read more';
+                return;
+            }
+            if (!bodyEl.innerHTML) {
+                const article = await fetchContent(`articles/${encodeURIComponent(card.dataset.slug)}`);
+                if (!article || !article.body) return;
+                // Bodies are plain text; blank lines separate paragraphs
+                bodyEl.innerHTML = article.body.split(/\n\s*\n/)
+                    .map(paragraph => `<p>${sanitizeHTML(paragraph.trim())}</p>`)
+                    .join('');
+            }
+            bodyEl.hidden = false;
+            button.textContent = 'Show less';
+        });
+    });
+}
+
+async function loadSiteContent() {
+    const statsGrid = document.querySelector('.stats-section .stats-grid');
+    const testimonialsGrid = document.querySelector('.testimonials-section .testimonials-grid');
+    const articleSections = document.querySelectorAll('[data-content-section]');
+
+    if (statsGrid) {
+        const stats = await fetchContent('stats');
+        if (stats.length > 0) renderStats(statsGrid, stats);
+    }
+    if (testimonialsGrid) {
+        const testimonials = await fetchContent('testimonials');
+        if (testimonials.length > 0) renderTestimonials(testimonialsGrid, testimonials);
+    }
+    articleSections.forEach(async section => {
+        const articles = await fetchContent(`articles?section=${encodeURIComponent(section.dataset.contentSection)}`);
+        if (articles.length > 0) renderArticles(section, articles);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', loadSiteContent);
+
 // ----------------------------------------
 // FORM VALIDATION
 // ----------------------------------------
@@ -10,23 +10,56 @@
     const state = {
         products: [],
         filteredProducts: [],
+        bundles: [],
+        categories: [],
         currentCategory: 'all',
         currentSort: '',
         searchQuery: '',
         viewMode: 'list',
         selectedProduct: null,
-        selectedSize: null
+        selectedSize: null,
+        selectedOptions: {},
+        linkedProductId: null,
+        suggestions: [],
+        activeSuggestion: -1,
+        filters: emptyFilters(),
+        facets: null,
+        apiAvailable: false
     };
 
+    // Facet filters as sent to /api/products and kept in the page URL
+    const LIST_FILTERS = ['origin', 'badge', 'packSize', 'availability'];
+    const FACET_LABELS = {
+        price: 'facet.price',
+        origin: 'facet.origin',
+        badge: 'facet.badge',
+        packSize: 'facet.packSize',
+        availability: 'facet.availability'
+    };
+    const AVAILABILITY_LABELS = { 'in-stock': 'facet.inStock', 'out-of-stock': 'facet.outOfStock' };
+
+    function emptyFilters() {
+        return { origin: [], badge: [], packSize: [], availability: [], minPrice: null, maxPrice: null };
+    }
+
+    // Recent searches are remembered on this device
+    const RECENT_SEARCHES_KEY = 'tawabil_recent_searches';
+    const MAX_RECENT_SEARCHES = 5;
+    const MIN_SUGGEST_LENGTH = 2;
+
     // DOM Elements
     const elements = {
         container: document.getElementById('productsContainer'),
         searchInput: document.getElementById('productSearch'),
         clearSearch: document.getElementById('clearSearch'),
+        suggestions: document.getElementById('searchSuggestions'),
         sortSelect: document.getElementById('productSort'),
         categoryFilters: document.getElementById('categoryFilters'),
+        facetFilters: document.getElementById('facetFilters'),
         resultsCount: document.getElementById('resultsCount'),
         noResults: document.getElementById('noResults'),
+        bundlesSection: document.getElementById('bundlesSection'),
+        bundlesContainer: document.getElementById('bundlesContainer'),
         viewButtons: document.querySelectorAll('.view-btn'),
         modal: document.getElementById('quickViewModal')
     };
@@ -35,9 +68,72 @@
     document.addEventListener('DOMContentLoaded', init);
 
     async function init() {
+        readStateFromURL();
         await loadProducts();
+        await loadBundles();
+        await loadCategories();
         setupEventListeners();
+        filterAndRender();
         handleHashNavigation();
+        if (state.linkedProductId) openQuickView(state.linkedProductId);
+        document.addEventListener('tawabil:languagechange', reloadForLanguage);
+    }
+
+    // Product text comes from the API in the chosen language, so fetch it again
+    async function reloadForLanguage() {
+        await loadProducts();
+        await loadBundles();
+        await loadCategories();
+        if (state.selectedProduct) {
+            openQuickView(state.selectedProduct.productId);
+        }
+        filterAndRender();
+    }
+
+    // Restore search, category, sort and facet filters from the query string
+    function readStateFromURL() {
+        const params = new URLSearchParams(window.location.search);
+
+        state.searchQuery = (params.get('search') || '').trim();
+        state.currentCategory = params.get('category') || 'all';
+        state.currentSort = params.get('sort') || '';
+        state.linkedProductId = params.get('product');
+
+        LIST_FILTERS.forEach(key => {
+            state.filters[key] = params.getAll(key).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+        });
+        ['minPrice', 'maxPrice'].forEach(key => {
+            const value = parseFloat(params.get(key));
+            state.filters[key] = isNaN(value) ? null : value;
+        });
+
+        elements.searchInput.value = state.searchQuery;
+        elements.clearSearch.style.display = state.searchQuery ? 'block' : 'none';
+        elements.sortSelect.value = state.currentSort;
+    }
+
+    // Build the query string for the current view
+    function buildQueryString() {
+        const params = new URLSearchParams();
+        if (state.searchQuery) params.set('search', state.searchQuery);
+        if (state.currentCategory && state.currentCategory !== 'all') params.set('category', state.currentCategory);
+        if (state.currentSort) params.set('sort', state.currentSort);
+        LIST_FILTERS.forEach(key => {
+            if (state.filters[key].length > 0) params.set(key, state.filters[key].join(','));
+        });
+        ['minPrice', 'maxPrice'].forEach(key => {
+            if (state.filters[key] !== null) params.set(key, state.filters[key]);
+        });
+        return params.toString();
+    }
+
+    // Keep the URL in step so filtered views and open products can be shared and bookmarked
+    function writeStateToURL(query) {
+        const params = new URLSearchParams(query);
+        if (state.selectedProduct) params.set('product', state.selectedProduct.productId);
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? '?' + search : ''}${window.location.hash}`;
+        window.history.replaceState(null, '', url);
     }
 
     // Load products from API
@@ -48,9 +144,10 @@
             // Try API first, fallback to local data
             let data;
             try {
-                const response = await fetch('/api/products');
+                const response = await fetch(withLanguage('/api/products'));
                 if (response.ok) {
                     data = await response.json();
+                    state.apiAvailable = Boolean(data && data.success);
                 }
             } catch (e) {
                 // API not available, load from local JSON
@@ -62,31 +159,32 @@
                 const localData = await localResponse.json();
                 data = {
                     success: true,
-                    data: localData.products.map(p => ({
+                    data: localData.products.map(p => addUnitPricing(translateProduct({
                         productId: p.id,
                         name: p.name,
                         nameHindi: p.nameHindi,
                         origin: p.origin,
                         badge: p.badge,
-                        category: 'whole-spices',
+                        category: p.category,
                         description: p.description,
                         prices: p.prices,
                         packSizes: p.packSizes,
+                        variants: p.variants,
                         culinaryUses: p.culinaryUses,
                         healthBenefits: p.healthBenefits,
                         storageTips: p.storageTips,
                         purityIndicators: p.purityIndicators,
                         image: p.image,
                         inStock: true,
-                        rating: 4.5 + Math.random() * 0.5,
-                        reviewCount: Math.floor(50 + Math.random() * 100)
-                    }))
+                        rating: 0,
+                        reviewCount: 0,
+                        translations: p.translations
+                    })))
                 };
             }
 
             state.products = data.data;
             state.filteredProducts = [...state.products];
-            renderProducts();
 
         } catch (error) {
             console.error('Error loading products:', error);
@@ -94,6 +192,156 @@
         }
     }
 
+    // Load gift packs from API, or price them from the local catalog
+    async function loadBundles() {
+        try {
+            const response = await fetch('/api/bundles');
+            if (response.ok) {
+                const data = await response.json();
+                if (data.success) {
+                    state.bundles = data.data;
+                    return;
+                }
+            }
+        } catch (e) {
+            // API not available, load from local JSON
+        }
+
+        try {
+            const localResponse = await fetch('data/products.json');
+            const localData = await localResponse.json();
+            state.bundles = (localData.bundles || []).map(priceLocalBundle).filter(Boolean);
+        } catch (e) {
+            state.bundles = [];
+        }
+    }
+
+    // Same pricing as the server: own price, or a discount off the components
+    function priceLocalBundle(bundle) {
+        const components = [];
+        for (const c of bundle.components || []) {
+            const product = state.products.find(p => p.productId === c.productId);
+            const price = product && product.prices[c.packSize];
+            if (!price) return null;
+            components.push({ ...c, name: product.name, price });
+        }
+
+        const componentsTotal = components.reduce((sum, c) => sum + c.price * c.quantity, 0);
+        const price = bundle.price != null
+            ? bundle.price
+            : Math.round(componentsTotal * (100 - (bundle.discountPercent || 0)) / 100);
+
+        return {
+            bundleId: bundle.id,
+            name: bundle.name,
+            description: bundle.description,
+            image: bundle.image,
+            category: bundle.category || 'gift-packs',
+            price,
+            componentsTotal,
+            savings: Math.max(0, componentsTotal - price),
+            components,
+            inStock: true
+        };
+    }
+
+    // Load category filters from API
+    async function loadCategories() {
+        let categories;
+        try {
+            const response = await fetch('/api/products/categories');
+            if (response.ok) {
+                const data = await response.json();
+                if (data.success) {
+                    categories = data.data;
+                }
+            }
+        } catch (e) {
+            // API not available, build from local JSON
+        }
+
+        if (!categories) {
+            try {
+                const localResponse = await fetch('data/products.json');
+                const localData = await localResponse.json();
+                categories = buildLocalCategories(localData.categories || []);
+            } catch (e) {
+                // Keep the static filter buttons
+                return;
+            }
+        }
+
+        renderCategoryFilters(categories);
+    }
+
+    // Build the category tree with counts from loaded products (offline fallback)
+    function buildLocalCategories(list) {
+        const nodes = list.map(c => ({
+            ...c,
+            id: c.slug,
+            count: [...state.products, ...state.bundles].filter(p => p.category === c.slug).length,
+            children: []
+        }));
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = nodes.find(n => n.slug === node.parent);
+            (parent ? parent.children : roots).push(node);
+        });
+
+        const finalize = (items) => {
+            items.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+            items.forEach(item => {
+                finalize(item.children);
+                item.count += item.children.reduce((sum, child) => sum + child.count, 0);
+            });
+            return items;
+        };
+
+        return [
+            { id: 'all', slug: 'all', name: t('products.allProducts'), icon: '🌿', count: state.products.length + state.bundles.length, children: [] },
+            ...finalize(roots)
+        ];
+    }
+
+    // Render category filter buttons (children follow their parent)
+    function renderCategoryFilters(categories) {
+        const flat = [];
+        const walk = (items, parent, depth) => {
+            items.forEach(item => {
+                flat.push({ ...item, parent, depth });
+                walk(item.children || [], item.slug, depth + 1);
+            });
+        };
+        walk(categories, null, 0);
+
+        state.categories = flat.map(c => ({ slug: c.slug, parent: c.parent }));
+
+        elements.categoryFilters.innerHTML = flat.map(c => `
+            <button class="filter-btn ${c.depth > 0 ? 'filter-btn-sub' : ''} ${c.slug === state.currentCategory ? 'active' : ''}"
+                    data-category="${c.slug}" ${c.count === 0 && c.slug !== 'all' ? 'disabled' : ''}>
+                ${c.icon ? `<span class="filter-icon">${sanitizeHTML(c.icon)}</span>` : ''}
+                ${sanitizeHTML(c.name)}
+                <span class="filter-count">${c.count}</span>
+            </button>
+        `).join('');
+    }
+
+    // Get a category slug together with its descendants
+    function getCategorySlugs(slug) {
+        const slugs = new Set([slug]);
+        let added = true;
+        while (added) {
+            added = false;
+            state.categories.forEach(c => {
+                if (c.parent && slugs.has(c.parent) && !slugs.has(c.slug)) {
+                    slugs.add(c.slug);
+                    added = true;
+                }
+            });
+        }
+        return slugs;
+    }
+
     // Setup event listeners
     function setupEventListeners() {
         // Search input with debounce
@@ -104,14 +352,30 @@
                 state.searchQuery = e.target.value.trim();
                 elements.clearSearch.style.display = state.searchQuery ? 'block' : 'none';
                 filterAndRender();
+                updateSuggestions(state.searchQuery);
             }, 300);
         });
 
+        // Suggestion dropdown: recent searches on focus, keyboard navigation
+        elements.searchInput.addEventListener('focus', () => {
+            updateSuggestions(elements.searchInput.value.trim());
+        });
+        elements.searchInput.addEventListener('blur', hideSuggestions);
+        elements.searchInput.addEventListener('keydown', handleSuggestionKeys);
+
+        elements.suggestions.addEventListener('mousedown', (e) => {
+            // Keep focus in the input so blur does not close the list first
+            e.preventDefault();
+            const item = e.target.closest('.suggestion-item');
+            if (item) selectSuggestion(parseInt(item.dataset.index));
+        });
+
         // Clear search
         elements.clearSearch.addEventListener('click', () => {
             elements.searchInput.value = '';
             state.searchQuery = '';
             elements.clearSearch.style.display = 'none';
+            hideSuggestions();
             filterAndRender();
         });
 
@@ -121,10 +385,22 @@
             filterAndRender();
         });
 
+        // Facet filters
+        elements.facetFilters.addEventListener('click', (e) => {
+            const option = e.target.closest('.facet-option');
+            if (option && !option.disabled) {
+                toggleFacet(option.dataset.facet, option.dataset.value);
+                filterAndRender();
+            } else if (e.target.closest('.facet-clear')) {
+                state.filters = emptyFilters();
+                filterAndRender();
+            }
+        });
+
         // Category filters
         elements.categoryFilters.addEventListener('click', (e) => {
             const btn = e.target.closest('.filter-btn');
-            if (btn) {
+            if (btn && !btn.disabled) {
                 document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 state.currentCategory = btn.dataset.category;
@@ -155,8 +431,299 @@
         });
     }
 
-    // Filter and sort products
-    function filterAndRender() {
+    // Fetch and show suggestions for the current input
+    let suggestRequest = 0;
+    async function updateSuggestions(query) {
+        if (query.length < MIN_SUGGEST_LENGTH) {
+            renderSuggestions(query ? [] : getRecentSearches().map(label => ({ type: 'recent', value: label, label })));
+            return;
+        }
+
+        const requestId = ++suggestRequest;
+        let data;
+        try {
+            const response = await fetch(withLanguage(`/api/products/suggest?q=${encodeURIComponent(query)}`));
+            if (response.ok) {
+                const result = await response.json();
+                if (result.success) data = result.data;
+            }
+        } catch (e) {
+            // API not available, suggest from loaded products
+        }
+
+        // Ignore responses that arrive after a newer keystroke
+        if (requestId !== suggestRequest) return;
+
+        renderSuggestions(flattenSuggestions(data || buildLocalSuggestions(query)));
+    }
+
+    // Turn grouped suggestions into one navigable list
+    function flattenSuggestions(data) {
+        return [
+            ...data.products.map(p => ({
+                type: 'product',
+                value: p.productId,
+                label: p.name,
+                html: p.highlight || sanitizeHTML(p.name),
+                hint: getLanguage() === 'hi' ? null : p.nameHindi
+            })),
+            ...data.categories.map(c => ({
+                type: 'category',
+                value: c.slug,
+                label: c.name,
+                html: `${c.icon ? sanitizeHTML(c.icon) + ' ' : ''}${sanitizeHTML(c.name)}`,
+                hint: t(c.count === 1 ? 'products.productCountOne' : 'products.productCountMany', { count: c.count })
+            })),
+            ...data.culinaryUses.map(u => ({
+                type: 'use',
+                value: u.label,
+                label: u.label,
+                html: sanitizeHTML(u.label)
+            }))
+        ];
+    }
+
+    // Simple substring suggestions when the API is unavailable
+    function buildLocalSuggestions(query) {
+        const lower = query.toLowerCase();
+        const uses = new Set();
+        state.products.forEach(p => (p.culinaryUses || []).forEach(u => {
+            if (u.toLowerCase().includes(lower)) uses.add(u);
+        }));
+
+        return {
+            products: state.products
+                .filter(p => p.name.toLowerCase().includes(lower) || (p.nameHindi && p.nameHindi.includes(query)))
+                .slice(0, 5)
+                .map(p => ({ productId: p.productId, name: p.name, nameHindi: p.nameHindi })),
+            categories: [],
+            culinaryUses: [...uses].slice(0, 5).map(label => ({ label }))
+        };
+    }
+
+    // Render the suggestion dropdown
+    function renderSuggestions(items) {
+        state.suggestions = items;
+        state.activeSuggestion = -1;
+
+        if (items.length === 0) {
+            hideSuggestions();
+            return;
+        }
+
+        let lastType = null;
+
+        elements.suggestions.innerHTML = items.map((item, i) => {
+            const heading = item.type !== lastType
+                ? `<li class="suggestion-heading" role="presentation">${t(`suggest.${item.type}`)}</li>`
+                : '';
+            lastType = item.type;
+            return `${heading}
+                <li class="suggestion-item" id="suggestion-${i}" role="option" data-index="${i}" aria-selected="false">
+                    <span class="suggestion-label">${item.html || sanitizeHTML(item.label)}</span>
+                    ${item.hint ? `<span class="suggestion-hint">${sanitizeHTML(item.hint)}</span>` : ''}
+                </li>`;
+        }).join('');
+
+        elements.suggestions.hidden = false;
+        elements.searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    function hideSuggestions() {
+        elements.suggestions.hidden = true;
+        elements.searchInput.setAttribute('aria-expanded', 'false');
+        elements.searchInput.removeAttribute('aria-activedescendant');
+        state.activeSuggestion = -1;
+    }
+
+    // Arrow keys move through suggestions, Enter picks, Escape closes
+    function handleSuggestionKeys(e) {
+        const open = !elements.suggestions.hidden && state.suggestions.length > 0;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (!open) {
+                updateSuggestions(elements.searchInput.value.trim());
+                return;
+            }
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const count = state.suggestions.length;
+            setActiveSuggestion((state.activeSuggestion + 1 + step + count + 1) % (count + 1) - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (open && state.activeSuggestion >= 0) {
+                selectSuggestion(state.activeSuggestion);
+            } else {
+                saveRecentSearch(elements.searchInput.value.trim());
+                hideSuggestions();
+            }
+        } else if (e.key === 'Escape' && open) {
+            e.stopPropagation();
+            hideSuggestions();
+        }
+    }
+
+    // Highlight a suggestion (-1 returns focus to the typed text)
+    function setActiveSuggestion(index) {
+        state.activeSuggestion = index;
+        elements.suggestions.querySelectorAll('.suggestion-item').forEach(item => {
+            const active = parseInt(item.dataset.index) === index;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (index >= 0) {
+            elements.searchInput.setAttribute('aria-activedescendant', `suggestion-${index}`);
+        } else {
+            elements.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // Apply a picked suggestion
+    function selectSuggestion(index) {
+        const item = state.suggestions[index];
+        if (!item) return;
+
+        hideSuggestions();
+
+        if (item.type === 'category') {
+            setSearch('');
+            const btn = elements.categoryFilters.querySelector(`.filter-btn[data-category="${item.value}"]`);
+            if (btn) btn.click();
+            return;
+        }
+
+        saveRecentSearch(item.label);
+        setSearch(item.label);
+
+        if (item.type === 'product') {
+            openQuickView(item.value);
+        }
+    }
+
+    // Set the search box and filter the grid
+    function setSearch(query) {
+        elements.searchInput.value = query;
+        state.searchQuery = query;
+        elements.clearSearch.style.display = query ? 'block' : 'none';
+        filterAndRender();
+    }
+
+    function getRecentSearches() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Most recent first, without duplicates
+    function saveRecentSearch(query) {
+        if (query.length < MIN_SUGGEST_LENGTH) return;
+        const recent = getRecentSearches().filter(q => q.toLowerCase() !== query.toLowerCase());
+        recent.unshift(query);
+        try {
+            localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)));
+        } catch (e) {
+            // Storage full or disabled; recent searches are optional
+        }
+    }
+
+    // Select or deselect a facet option
+    function toggleFacet(facet, value) {
+        if (facet === 'price') {
+            const [min, max] = value.split('-').map(v => (v === '' ? null : parseFloat(v)));
+            const selected = state.filters.minPrice === min && state.filters.maxPrice === max;
+            state.filters.minPrice = selected ? null : min;
+            state.filters.maxPrice = selected ? null : max;
+            return;
+        }
+
+        const values = state.filters[facet];
+        state.filters[facet] = values.includes(value)
+            ? values.filter(v => v !== value)
+            : [...values, value];
+    }
+
+    function hasFacetFilters() {
+        return LIST_FILTERS.some(key => state.filters[key].length > 0) ||
+            state.filters.minPrice !== null || state.filters.maxPrice !== null;
+    }
+
+    // Render facet groups; options with no matching products are disabled
+    function renderFacets(facets) {
+        if (!facets) {
+            elements.facetFilters.hidden = true;
+            return;
+        }
+
+        const option = (facet, value, label, count, selected) => `
+            <button class="facet-option ${selected ? 'active' : ''}" data-facet="${facet}" data-value="${sanitizeHTML(value)}"
+                    aria-pressed="${selected}" ${count === 0 && !selected ? 'disabled' : ''}>
+                ${sanitizeHTML(label)} <span class="facet-count">(${count})</span>
+            </button>`;
+
+        const groups = {
+            price: facets.price.map(r => option(
+                'price',
+                `${r.min}-${r.max === null ? '' : r.max}`,
+                r.max === null ? `₹${r.min}+` : `₹${r.min} – ₹${r.max}`,
+                r.count,
+                r.selected
+            )),
+            origin: facets.origin.map(f => option('origin', f.value, f.value, f.count, f.selected)),
+            badge: facets.badge.map(f => option('badge', f.value, f.value, f.count, f.selected)),
+            packSize: facets.packSize.map(f => option('packSize', f.value, f.value, f.count, f.selected)),
+            availability: facets.availability.map(f => option('availability', f.value, t(AVAILABILITY_LABELS[f.value]), f.count, f.selected))
+        };
+
+        elements.facetFilters.innerHTML = Object.entries(groups)
+            .filter(([, options]) => options.length > 0)
+            .map(([facet, options]) => `
+                <div class="facet-group" role="group" aria-label="${t(FACET_LABELS[facet])}">
+                    <span class="facet-title">${t(FACET_LABELS[facet])}</span>
+                    <div class="facet-options">${options.join('')}</div>
+                </div>
+            `).join('') + (hasFacetFilters() ? `<button class="facet-clear">${t('products.clearFilters')}</button>` : '');
+
+        elements.facetFilters.hidden = false;
+    }
+
+    // Filter and sort products (on the server when available, so facets stay accurate)
+    let filterRequest = 0;
+    async function filterAndRender() {
+        const query = buildQueryString();
+        writeStateToURL(query);
+
+        if (state.apiAvailable) {
+            const requestId = ++filterRequest;
+            try {
+                const response = await fetch(withLanguage(`/api/products${query ? '?' + query : ''}`));
+                const data = response.ok ? await response.json() : null;
+
+                // Ignore responses that arrive after a newer change
+                if (requestId !== filterRequest) return;
+
+                if (data && data.success) {
+                    state.filteredProducts = data.data;
+                    state.facets = data.facets;
+                    renderFacets(state.facets);
+                    renderProducts();
+                    return;
+                }
+            } catch (e) {
+                // API went away, filter locally below
+            }
+        }
+
+        renderFacets(null);
+        filterLocally();
+    }
+
+    // Offline fallback: search, category and sort over the loaded products
+    function filterLocally() {
         let filtered = [...state.products];
 
         // Apply search
@@ -171,9 +738,10 @@
             );
         }
 
-        // Apply category filter
+        // Apply category filter (includes child categories)
         if (state.currentCategory && state.currentCategory !== 'all') {
-            filtered = filtered.filter(p => p.category === state.currentCategory);
+            const slugs = getCategorySlugs(state.currentCategory);
+            filtered = filtered.filter(p => slugs.has(p.category));
         }
 
         // Apply sorting
@@ -194,6 +762,9 @@
                 case 'rating':
                     filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
                     break;
+                case 'unit-price-asc':
+                    filtered.sort((a, b) => getMinUnitPrice(a) - getMinUnitPrice(b));
+                    break;
             }
         }
 
@@ -207,19 +778,128 @@
         return Math.min(...Object.values(product.prices));
     }
 
+    // Lowest price per 100g; products without comparable sizes sort last
+    function getMinUnitPrice(product) {
+        const unitPrices = Object.values(product.unitPrices || {});
+        return unitPrices.length > 0 ? Math.min(...unitPrices) : Infinity;
+    }
+
+    // Pack size in grams ("50g", "1kg"), or null
+    function packSizeToGrams(size) {
+        const match = /^(\d+(?:\.\d+)?)\s*(g|kg)$/i.exec(String(size).trim());
+        if (!match) return null;
+        return parseFloat(match[1]) * (match[2].toLowerCase() === 'kg' ? 1000 : 1);
+    }
+
+    // Same unit pricing as the API, for the offline fallback
+    function addUnitPricing(product) {
+        const unitPrices = {};
+        Object.entries(product.prices || {}).forEach(([size, price]) => {
+            const grams = packSizeToGrams(size);
+            if (grams && price > 0) unitPrices[size] = Math.round(price * 100 / grams * 100) / 100;
+        });
+
+        const sizes = Object.keys(unitPrices).sort((a, b) => packSizeToGrams(a) - packSizeToGrams(b));
+        const bestValue = sizes.reduce((best, size) => (best === null || unitPrices[size] < unitPrices[best] ? size : best), null);
+        const savingsPercent = {};
+        sizes.slice(1).forEach(size => {
+            const percent = Math.floor((unitPrices[sizes[0]] - unitPrices[size]) * 100 / unitPrices[sizes[0]]);
+            if (percent > 0) savingsPercent[size] = percent;
+        });
+
+        return { ...product, unitPrices, bestValue, savingsPercent };
+    }
+
+    // "₹X/100g" for a pack size
+    function getUnitPriceHTML(product, size) {
+        const unitPrice = product.unitPrices && product.unitPrices[size];
+        if (!unitPrice) return '';
+        return `<span class="unit-price">${t('products.perHundredGrams', { price: `₹${unitPrice.toLocaleString()}` })}</span>`;
+    }
+
+    // Savings per gram of the best value size against the smallest pack
+    function getValueNoteHTML(product) {
+        const percent = product.bestValue && (product.savingsPercent || {})[product.bestValue];
+        if (!percent) return '';
+        return `<p class="value-note">${t('products.bestValueNote', { size: sanitizeHTML(product.bestValue), percent })}</p>`;
+    }
+
+    // Struck-through MRP for a pack size on sale
+    function getMrpHTML(product, size) {
+        const mrp = product.mrp && product.mrp[size];
+        if (!mrp || !product.prices || mrp <= product.prices[size]) return '';
+        return `<span class="price-mrp">₹${mrp.toLocaleString()}</span>`;
+    }
+
+    // Gift packs show under All and their own category while not searching or filtering
+    function renderBundles() {
+        const bundles = state.searchQuery || hasFacetFilters()
+            ? []
+            : state.bundles.filter(b => state.currentCategory === 'all' || getCategorySlugs(state.currentCategory).has(b.category));
+
+        elements.bundlesSection.hidden = bundles.length === 0;
+        elements.bundlesContainer.innerHTML = bundles.map(createBundleCard).join('');
+
+        elements.bundlesContainer.querySelectorAll('.btn-add-bundle').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const bundle = state.bundles.find(b => b.bundleId === btn.dataset.bundleId);
+                if (window.cart && bundle) {
+                    window.cart.addBundle(bundle);
+                }
+            });
+        });
+
+        return bundles.length;
+    }
+
+    function createBundleCard(bundle) {
+        const contents = bundle.components
+            .map(c => `<li>${sanitizeHTML(c.name)} ${sanitizeHTML(c.packSize)}${c.quantity > 1 ? ` × ${c.quantity}` : ''}</li>`)
+            .join('');
+
+        return `
+            <div class="bundle-card" id="${sanitizeHTML(bundle.bundleId)}">
+                ${bundle.image ? `<img class="bundle-card-image" src="${sanitizeHTML(bundle.image)}" alt="${sanitizeHTML(bundle.name)}" loading="lazy">` : ''}
+                <div class="bundle-card-body">
+                    <h3 class="product-title">${sanitizeHTML(bundle.name)}</h3>
+                    ${bundle.description ? `<p class="product-description">${sanitizeHTML(bundle.description)}</p>` : ''}
+                    <ul class="bundle-contents">${contents}</ul>
+                    <div class="bundle-price">
+                        <span class="price-value">₹${bundle.price.toLocaleString()}</span>
+                        ${bundle.savings > 0 ? `
+                            <span class="bundle-compare-price">₹${bundle.componentsTotal.toLocaleString()}</span>
+                            <span class="bundle-savings">${t('products.save', { amount: `₹${bundle.savings.toLocaleString()}` })}</span>
+                        ` : ''}
+                    </div>
+                    <button class="btn btn-primary btn-add-bundle" data-bundle-id="${sanitizeHTML(bundle.bundleId)}" ${bundle.inStock === false ? 'disabled' : ''}>
+                        ${bundle.inStock === false ? t('products.outOfStock') : t('products.addToCart')}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
     // Render products
     function renderProducts() {
         const products = state.filteredProducts;
+        const bundleCount = renderBundles();
+
+        if (products.length === 0 && bundleCount > 0) {
+            elements.container.innerHTML = '';
+            elements.noResults.style.display = 'none';
+            elements.resultsCount.textContent = t(bundleCount > 1 ? 'products.showingGiftPackMany' : 'products.showingGiftPackOne', { count: bundleCount });
+            return;
+        }
 
         if (products.length === 0) {
             elements.container.innerHTML = '';
             elements.noResults.style.display = 'block';
-            elements.resultsCount.textContent = 'No products found';
+            elements.resultsCount.textContent = t('products.noResults');
             return;
         }
 
         elements.noResults.style.display = 'none';
-        elements.resultsCount.textContent = `Showing ${products.length} product${products.length > 1 ? 's' : ''}`;
+        elements.resultsCount.textContent = t(products.length > 1 ? 'products.showingMany' : 'products.showingOne', { count: products.length });
 
         const html = products.map(product => createProductCard(product)).join('');
         elements.container.innerHTML = html;
@@ -231,8 +911,7 @@
     // Create product card HTML
     function createProductCard(product) {
         const minPrice = getMinPrice(product);
-        const rating = product.rating ? product.rating.toFixed(1) : '4.5';
-        const reviewCount = product.reviewCount || 50;
+        const minPriceSize = Object.keys(product.prices || {}).find(size => product.prices[size] === minPrice);
         const badgeClass = getBadgeClass(product.badge);
 
         return `
@@ -246,15 +925,15 @@
                                 <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
                                 <circle cx="12" cy="12" r="3"/>
                             </svg>
-                            Quick View
+                            ${t('products.quickView')}
                         </button>
                     </div>
-                    ${product.inStock !== false ? '<span class="stock-badge in-stock">In Stock</span>' : '<span class="stock-badge out-stock">Out of Stock</span>'}
+                    ${product.inStock !== false ? `<span class="stock-badge in-stock">${t('products.inStock')}</span>` : `<span class="stock-badge out-stock">${t('products.outOfStock')}</span>`}
                 </div>
                 <div class="product-card-body">
                     <div class="product-card-header">
                         <h3 class="product-title">${product.name}</h3>
-                        ${product.nameHindi ? `<span class="product-hindi">${product.nameHindi}</span>` : ''}
+                        ${product.nameHindi && getLanguage() !== 'hi' ? `<span class="product-hindi">${product.nameHindi}</span>` : ''}
                     </div>
                     <div class="product-origin">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -263,22 +942,24 @@
                         ${product.origin}
                     </div>
                     <div class="product-rating">
-                        <span class="stars">${getStarsHTML(rating)}</span>
-                        <span class="rating-text">${rating}</span>
-                        <span class="review-count">(${reviewCount} reviews)</span>
+                        ${getRatingHTML(product)}
                     </div>
                     <p class="product-description">${truncateText(product.description, 100)}</p>
                     <div class="product-price-range">
-                        <span class="price-label">Starting from</span>
+                        <span class="price-label">${t('products.startingFrom')}</span>
                         <span class="price-value">₹${minPrice}</span>
+                        ${getMrpHTML(product, minPriceSize)}
+                        ${getUnitPriceHTML(product, minPriceSize)}
+                        ${product.onSale ? `<span class="sale-tag">${t('products.sale')}</span>` : ''}
                     </div>
+                    ${getValueNoteHTML(product)}
                     <div class="product-card-actions">
                         <button class="btn btn-primary btn-add-cart" data-product-id="${product.productId}">
                             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/>
                                 <path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/>
                             </svg>
-                            Add to Cart
+                            ${t('products.addToCart')}
                         </button>
                         <button class="btn btn-icon btn-whatsapp-sm" onclick="orderViaWhatsApp('${product.name}')">
                             <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347z"/></svg>
@@ -314,6 +995,19 @@
         return html;
     }
 
+    // Rating summary for cards (only real, approved reviews)
+    function getRatingHTML(product) {
+        if (!product.reviewCount) {
+            return `<span class="review-count">${t('products.noReviews')}</span>`;
+        }
+        const rating = product.rating.toFixed(1);
+        return `
+            <span class="stars">${getStarsHTML(product.rating)}</span>
+            <span class="rating-text">${rating}</span>
+            <span class="review-count">(${t(product.reviewCount > 1 ? 'products.reviewMany' : 'products.reviewOne', { count: product.reviewCount })})</span>
+        `;
+    }
+
     // Truncate text
     function truncateText(text, maxLength) {
         if (!text) return '';
@@ -348,6 +1042,7 @@
 
         state.selectedProduct = product;
         state.selectedSize = product.packSizes ? product.packSizes[1] || product.packSizes[0] : null;
+        state.selectedOptions = Object.fromEntries(getChoiceAxes(product).map(axis => [axis.name, axis.values[0]]));
 
         // Populate modal
         document.getElementById('modalImage').src = product.image;
@@ -356,8 +1051,10 @@
         document.getElementById('modalBadge').style.display = product.badge ? 'block' : 'none';
         document.getElementById('modalTitle').textContent = product.name;
         document.getElementById('modalOrigin').textContent = product.origin;
-        document.getElementById('modalStars').innerHTML = getStarsHTML(product.rating || 4.5);
-        document.getElementById('modalReviews').textContent = `${product.rating?.toFixed(1) || '4.5'} (${product.reviewCount || 50} reviews)`;
+        document.getElementById('modalStars').innerHTML = product.reviewCount ? getStarsHTML(product.rating) : '';
+        document.getElementById('modalReviews').textContent = product.reviewCount
+            ? `${product.rating.toFixed(1)} (${t(product.reviewCount > 1 ? 'products.reviewMany' : 'products.reviewOne', { count: product.reviewCount })})`
+            : t('products.noReviews');
         document.getElementById('modalDescription').textContent = product.description;
 
         // Culinary uses
@@ -368,57 +1065,237 @@
         const benefitsEl = document.getElementById('modalBenefits');
         benefitsEl.innerHTML = (product.healthBenefits || []).map(b => `<li>${b}</li>`).join('');
 
-        // Pack sizes
+        // Options and pack sizes
+        renderOptions(product);
+        renderSizes(product);
+        renderGoesWellWith(product);
+        renderStructuredData(product);
+        writeStateToURL(buildQueryString());
+
+        // Add to cart button
+        const addBtn = document.getElementById('modalAddToCart');
+        addBtn.onclick = () => {
+            const sku = getSelectedSku(product);
+            if (window.cart && sku) {
+                window.cart.addItem(productId, sku, 1);
+                addBtn.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"/></svg> ' + t('products.addedToCart');
+                addBtn.classList.add('success');
+                setTimeout(() => {
+                    addBtn.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg> ' + t('products.addToCart');
+                    addBtn.classList.remove('success');
+                }, 2000);
+            }
+        };
+
+        // Show modal
+        elements.modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    };
+
+    // Choices besides weight (form, grade) with their values in catalog order
+    function getChoiceAxes(product) {
+        const skus = getProductSkus(product);
+        return ['form', 'grade']
+            .map(name => ({ name, values: [...new Set(skus.map(s => s.options[name]).filter(Boolean))] }))
+            .filter(axis => axis.values.length > 0);
+    }
+
+    // The product as sold in the chosen form and grade: pack sizes, prices and
+    // stock of the matching SKUs, with skuBySize to add the right one to the cart
+    function getQuickViewProduct(product) {
+        const skus = getProductSkus(product)
+            .filter(s => Object.entries(state.selectedOptions).every(([name, value]) => s.options[name] === value));
+
+        if (getChoiceAxes(product).length === 0) {
+            return { ...product, skuBySize: Object.fromEntries(skus.map(s => [s.packSize, s.sku])) };
+        }
+
+        const view = { ...product, packSizes: [], prices: {}, mrp: {}, stock: {}, skuBySize: {} };
+        skus.forEach(s => {
+            if (view.skuBySize[s.packSize]) return;
+            view.skuBySize[s.packSize] = s.sku;
+            view.packSizes.push(s.packSize);
+            view.prices[s.packSize] = s.price;
+            view.mrp[s.packSize] = s.mrp ?? s.price;
+            if (s.stock !== undefined) view.stock[s.packSize] = s.stock;
+        });
+        return addUnitPricing(view);
+    }
+
+    function getSelectedSku(product) {
+        return state.selectedSize ? getQuickViewProduct(product).skuBySize[state.selectedSize] || null : null;
+    }
+
+    // SKUs with their own photo (e.g. ground spice) replace the product image
+    function showSelectedImage(product) {
+        const selected = getProductSkus(product).find(s => s.sku === getSelectedSku(product));
+        document.getElementById('modalImage').src = (selected && selected.image) || product.image;
+    }
+
+    // Form and grade pickers, shown only for products sold in more than one
+    function renderOptions(product) {
+        const optionsEl = document.getElementById('modalOptions');
+        if (!optionsEl) return;
+
+        const axes = getChoiceAxes(product);
+        optionsEl.hidden = axes.length === 0;
+        optionsEl.innerHTML = axes.map(axis => `
+            <h4>${t(`products.option.${axis.name}`)}</h4>
+            <div class="product-sizes" data-axis="${axis.name}">
+                ${axis.values.map(value => `
+                    <div class="size-option ${state.selectedOptions[axis.name] === value ? 'selected' : ''}" data-value="${sanitizeHTML(value)}">${sanitizeHTML(value)}</div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        optionsEl.querySelectorAll('.product-sizes').forEach(group => {
+            group.querySelectorAll('.size-option').forEach(opt => {
+                opt.addEventListener('click', () => {
+                    state.selectedOptions = { ...state.selectedOptions, [group.dataset.axis]: opt.dataset.value };
+                    renderOptions(product);
+                    renderSizes(product);
+                });
+            });
+        });
+    }
+
+    // Pack sizes of the chosen form and grade
+    function renderSizes(product) {
+        const view = getQuickViewProduct(product);
         const sizesEl = document.getElementById('modalSizes');
-        if (product.packSizes && product.prices) {
-            sizesEl.innerHTML = product.packSizes.map((size, i) => `
-                <div class="size-option ${i === 1 || (i === 0 && product.packSizes.length === 1) ? 'selected' : ''}" 
-                     data-size="${size}" data-price="${product.prices[size]}">
-                    ${size} - ₹${product.prices[size]?.toLocaleString()}
+        if (view.packSizes && view.prices) {
+            // Sizes with tracked stock of zero cannot be picked
+            const stock = view.stock || {};
+            const inStockSizes = view.packSizes.filter(size => stock[size] !== 0);
+            if (!inStockSizes.includes(state.selectedSize)) {
+                state.selectedSize = inStockSizes[0] || null;
+            }
+
+            sizesEl.innerHTML = view.packSizes.map(size => `
+                <div class="size-option ${size === state.selectedSize ? 'selected' : ''} ${stock[size] === 0 ? 'sold-out' : ''}" 
+                     data-size="${size}" data-price="${view.prices[size]}">
+                    ${size} - ₹${view.prices[size]?.toLocaleString()} ${getMrpHTML(view, size)}${stock[size] === 0 ? ` (${t('products.soldOut')})` : ''}
+                    ${getUnitPriceHTML(view, size)}
+                    ${view.savingsPercent && view.savingsPercent[size] ? `<span class="savings-tag">${t('products.savePercent', { percent: view.savingsPercent[size] })}</span>` : ''}
+                    ${size === view.bestValue && view.packSizes.length > 1 ? `<span class="best-value-tag">${t('products.bestValue')}</span>` : ''}
                 </div>
             `).join('');
 
             // Size selection
-            sizesEl.querySelectorAll('.size-option').forEach(opt => {
+            sizesEl.querySelectorAll('.size-option:not(.sold-out)').forEach(opt => {
                 opt.addEventListener('click', () => {
                     sizesEl.querySelectorAll('.size-option').forEach(o => o.classList.remove('selected'));
                     opt.classList.add('selected');
                     state.selectedSize = opt.dataset.size;
+                    showSelectedImage(product);
                 });
             });
         }
 
-        // Add to cart button
-        const addBtn = document.getElementById('modalAddToCart');
-        addBtn.onclick = () => {
-            if (window.cart && state.selectedSize) {
-                window.cart.addItem(productId, state.selectedSize, 1);
-                addBtn.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"/></svg> Added!';
-                addBtn.classList.add('success');
-                setTimeout(() => {
-                    addBtn.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg> Add to Cart';
-                    addBtn.classList.remove('success');
-                }, 2000);
+        showSelectedImage(product);
+        renderNotifyForm(view);
+    }
+
+    // Back-in-stock form for sold-out sizes of the chosen options (needs the API)
+    function renderNotifyForm(product) {
+        const form = document.getElementById('modalNotify');
+        if (!form) return;
+
+        const stock = product.stock || {};
+        const soldOut = (product.packSizes || []).filter(size => stock[size] === 0);
+        const message = document.getElementById('notifyMessage');
+        form.hidden = !state.apiAvailable || soldOut.length === 0;
+        message.textContent = '';
+        message.classList.remove('error');
+        if (form.hidden) return;
+
+        document.getElementById('notifySize').innerHTML = soldOut
+            .map(size => `<option value="${sanitizeHTML(product.skuBySize[size])}">${sanitizeHTML(size)}</option>`)
+            .join('');
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const contact = document.getElementById('notifyContact').value.trim();
+            const phone = contact.replace(/\D/g, '').slice(-10);
+            const body = {
+                sku: document.getElementById('notifySize').value,
+                ...(contact.includes('@') ? { email: contact } : { phone })
+            };
+
+            try {
+                const response = await fetch(`/api/products/${encodeURIComponent(product.productId)}/notify`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.errors?.[0]?.message || data.message || 'Could not subscribe');
+                }
+                message.textContent = data.message;
+                message.classList.remove('error');
+                form.reset();
+            } catch (error) {
+                message.textContent = error.message;
+                message.classList.add('error');
             }
         };
+    }
 
-        // Show modal
-        elements.modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
-    };
+    // Co-purchase suggestions; skipped if another product was opened meanwhile
+    async function renderGoesWellWith(product) {
+        const section = document.getElementById('modalGoesWell');
+        if (!section) return;
+        section.hidden = true;
+        if (!window.cart || !state.apiAvailable) return;
+
+        const recommendations = await window.cart.getRecommendations(product.productId);
+        if (state.selectedProduct !== product) return;
+        renderRecommendations(section, recommendations);
+    }
+
+    // schema.org Product data for the open product, for search engines (needs the API)
+    async function renderStructuredData(product) {
+        removeStructuredData();
+        if (!state.apiAvailable) return;
+
+        try {
+            const response = await fetch(withLanguage(`/api/products/${encodeURIComponent(product.productId)}/structured-data`));
+            const data = await response.json();
+            if (!data.success || state.selectedProduct !== product) return;
+
+            removeStructuredData();
+            const script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = 'productStructuredData';
+            script.textContent = JSON.stringify(data.data);
+            document.head.appendChild(script);
+        } catch (error) {
+            // Structured data is optional; the product view works without it
+        }
+    }
+
+    function removeStructuredData() {
+        const existing = document.getElementById('productStructuredData');
+        if (existing) existing.remove();
+    }
 
     // Close quick view modal
     window.closeQuickView = function () {
         elements.modal.classList.remove('active');
         document.body.style.overflow = '';
         state.selectedProduct = null;
+        removeStructuredData();
+        writeStateToURL(buildQueryString());
     };
 
     // WhatsApp order from modal
     window.orderViaWhatsAppModal = function () {
         if (state.selectedProduct) {
-            const product = state.selectedProduct;
-            const size = state.selectedSize || 'selected size';
+            const product = getQuickViewProduct(state.selectedProduct);
+            const size = state.selectedSize
+                ? [...Object.values(state.selectedOptions), state.selectedSize].join(' ')
+                : 'selected size';
             const price = product.prices && state.selectedSize ? product.prices[state.selectedSize] : '';
             const message = `Hi! I'm interested in ordering:\n\n*${product.name}*\nSize: ${size}\n${price ? 'Price: ₹' + price : ''}\n\nPlease provide details.`;
             window.open(`https://wa.me/919901888305?text=${encodeURIComponent(message)}`, '_blank');
@@ -430,6 +1307,7 @@
         state.searchQuery = '';
         state.currentCategory = 'all';
         state.currentSort = '';
+        state.filters = emptyFilters();
         elements.searchInput.value = '';
         elements.sortSelect.value = '';
         document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
@@ -457,7 +1335,7 @@
         elements.container.innerHTML = `
             <div class="products-loading">
                 <div class="spinner"></div>
-                <p>Loading products...</p>
+                <p>${t('products.loading')}</p>
             </div>
         `;
     }
@@ -469,9 +1347,9 @@
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>
                 </svg>
-                <h3>Unable to load products</h3>
-                <p>Please try again later.</p>
-                <button class="btn btn-primary" onclick="location.reload()">Retry</button>
+                <h3>${t('products.loadError')}</h3>
+                <p>${t('products.loadErrorHint')}</p>
+                <button class="btn btn-primary" onclick="location.reload()">${t('products.retry')}</button>
             </div>
         `;
     }
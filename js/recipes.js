@@ -0,0 +1,307 @@
+/**
+ * Recipes Page - Recipe Listing, Scaling and Spice Shopping
+ * Loads recipes from the API (or data/products.json), filters by tag and
+ * cook time, scales a recipe by servings and adds its spices to the cart
+ */
+
+(function () {
+    'use strict';
+
+    const MIN_SERVINGS = 1;
+    const MAX_SERVINGS = 50;
+
+    const state = {
+        recipes: [],
+        tags: [],
+        activeTags: [],
+        maxCookTime: null,
+        selected: null,
+        apiAvailable: false,
+        // Local fallback only
+        allRecipes: [],
+        products: []
+    };
+
+    const elements = {};
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    async function init() {
+        elements.container = document.getElementById('recipesContainer');
+        elements.tagFilters = document.getElementById('recipeTagFilters');
+        elements.maxTime = document.getElementById('recipeMaxTime');
+        elements.detail = document.getElementById('recipeDetail');
+        if (!elements.container) return;
+
+        elements.maxTime.addEventListener('change', () => {
+            state.maxCookTime = elements.maxTime.value ? parseInt(elements.maxTime.value) : null;
+            loadRecipes();
+        });
+        elements.container.addEventListener('click', (e) => {
+            const card = e.target.closest('.recipe-card');
+            if (card) openRecipe(card.dataset.recipeId);
+        });
+        elements.container.addEventListener('keydown', (e) => {
+            const card = e.target.closest('.recipe-card');
+            if (card && e.key === 'Enter') openRecipe(card.dataset.recipeId);
+        });
+        document.getElementById('recipeDetailClose').addEventListener('click', closeRecipe);
+        document.getElementById('recipeServingsDown').addEventListener('click', () => changeServings(-1));
+        document.getElementById('recipeServingsUp').addEventListener('click', () => changeServings(1));
+        document.getElementById('recipeAddSpices').addEventListener('click', addSpicesToCart);
+
+        await loadRecipes();
+
+        // recipes.html?recipe=<id> opens that recipe (links from the sitemap)
+        const linkedRecipe = new URLSearchParams(window.location.search).get('recipe');
+        if (linkedRecipe) openRecipe(linkedRecipe);
+    }
+
+    // ----------------------------------------
+    // Loading
+    // ----------------------------------------
+
+    function buildQueryString() {
+        const params = new URLSearchParams();
+        if (state.activeTags.length > 0) params.set('tag', state.activeTags.join(','));
+        if (state.maxCookTime) params.set('maxCookTime', state.maxCookTime);
+        return params.toString();
+    }
+
+    // Try the API first, fall back to recipes in the local catalog file
+    async function loadRecipes() {
+        try {
+            const query = buildQueryString();
+            const response = await fetch(`${getCartApiUrl()}/recipes${query ? '?' + query : ''}`);
+            const data = await response.json();
+            if (!data.success) throw new Error(data.message);
+
+            state.apiAvailable = true;
+            state.recipes = data.data;
+            state.tags = data.tags;
+        } catch (error) {
+            state.apiAvailable = false;
+            await loadLocalData();
+            state.recipes = state.allRecipes.filter(recipe =>
+                (state.activeTags.length === 0 || state.activeTags.some(tag => recipe.tags.includes(tag))) &&
+                (!state.maxCookTime || recipe.cookMinutes <= state.maxCookTime)
+            );
+            state.tags = [...new Set(state.allRecipes.flatMap(r => r.tags))].sort();
+        }
+
+        renderTagFilters();
+        renderRecipes();
+    }
+
+    async function loadLocalData() {
+        if (state.allRecipes.length > 0) return;
+        try {
+            const response = await fetch('data/products.json');
+            const data = await response.json();
+            state.allRecipes = (data.recipes || []).map(r => ({ ...r, recipeId: r.id }));
+            state.products = data.products.map(p => ({ ...p, productId: p.id }));
+        } catch (error) {
+            console.error('Error loading recipes:', error);
+        }
+    }
+
+    // ----------------------------------------
+    // Listing
+    // ----------------------------------------
+
+    function formatTag(tag) {
+        return tag.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
+    function formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        if (!hours) return `${rest} min`;
+        return rest ? `${hours} hr ${rest} min` : `${hours} hr`;
+    }
+
+    function renderTagFilters() {
+        elements.tagFilters.innerHTML = state.tags.map(tag => `
+            <button type="button" class="filter-btn ${state.activeTags.includes(tag) ? 'active' : ''}" data-tag="${sanitizeHTML(tag)}">
+                ${sanitizeHTML(formatTag(tag))}
+            </button>
+        `).join('');
+
+        elements.tagFilters.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const { tag } = btn.dataset;
+                state.activeTags = state.activeTags.includes(tag)
+                    ? state.activeTags.filter(t => t !== tag)
+                    : [...state.activeTags, tag];
+                loadRecipes();
+            });
+        });
+    }
+
+    function renderRecipes() {
+        if (state.recipes.length === 0) {
+            elements.container.innerHTML = '<p class="recipes-empty">No recipes match these filters.</p>';
+            return;
+        }
+
+        elements.container.innerHTML = state.recipes.map(recipe => `
+            <div class="recipe-card" data-recipe-id="${sanitizeHTML(recipe.recipeId)}" role="button" tabindex="0">
+                <div class="recipe-card-image">
+                    ${recipe.image
+                        ? `<img src="${sanitizeHTML(recipe.image)}" alt="${sanitizeHTML(recipe.title)}" loading="lazy">`
+                        : `<span style="font-size: 60px;">${recipe.icon || '🍛'}</span>`}
+                </div>
+                <div class="recipe-card-content">
+                    <div class="recipe-card-tags">
+                        ${recipe.tags.map(tag => `<span class="recipe-tag">${sanitizeHTML(formatTag(tag))}</span>`).join('')}
+                    </div>
+                    <h3>${sanitizeHTML(recipe.title)}</h3>
+                    <p>${sanitizeHTML(recipe.description || '')}</p>
+                    <div class="recipe-meta">
+                        <span><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg> ${formatMinutes(recipe.cookMinutes)}</span>
+                        <span><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg> Serves ${recipe.servings}</span>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // ----------------------------------------
+    // Detail
+    // ----------------------------------------
+
+    // Same rules as the server: smallest pack that covers the grams, else the largest repeated
+    function pickPackSize(product, grams) {
+        const toGrams = size => {
+            const match = /^(\d+(?:\.\d+)?)\s*(g|kg)$/i.exec(size);
+            if (!match) return null;
+            return match[2].toLowerCase() === 'kg' ? parseFloat(match[1]) * 1000 : parseFloat(match[1]);
+        };
+        const sizes = (product.packSizes || [])
+            .filter(size => product.prices[size] && toGrams(size) !== null)
+            .sort((a, b) => toGrams(a) - toGrams(b));
+        if (sizes.length === 0) return null;
+
+        const covering = sizes.find(size => toGrams(size) >= grams);
+        if (covering) return { packSize: covering, quantity: 1 };
+        const largest = sizes[sizes.length - 1];
+        return { packSize: largest, quantity: Math.ceil(grams / toGrams(largest)) };
+    }
+
+    function scaleLocalRecipe(recipe, servings) {
+        const factor = servings / recipe.servings;
+        const round = value => Math.round(value * 100) / 100;
+        const ingredients = recipe.ingredients.map(i => ({
+            ...i,
+            quantity: round(i.quantity * factor),
+            ...(i.grams !== undefined && { grams: round(i.grams * factor) })
+        }));
+
+        const needed = new Map();
+        ingredients.filter(i => i.productId).forEach(i => needed.set(i.productId, (needed.get(i.productId) || 0) + i.grams));
+
+        const items = [];
+        const unavailable = [];
+        needed.forEach((grams, productId) => {
+            const product = state.products.find(p => p.productId === productId);
+            const pack = product && pickPackSize(product, grams);
+            if (!pack) {
+                unavailable.push(productId);
+                return;
+            }
+            items.push({ productId, name: product.name, ...pack, price: product.prices[pack.packSize], grams: round(grams) });
+        });
+
+        return {
+            ...recipe,
+            servings,
+            baseServings: recipe.servings,
+            ingredients,
+            spices: { items, unavailable, total: items.reduce((sum, i) => sum + i.price * i.quantity, 0) }
+        };
+    }
+
+    async function fetchRecipe(recipeId, servings) {
+        if (!state.apiAvailable) {
+            const recipe = state.allRecipes.find(r => r.recipeId === recipeId);
+            return recipe ? scaleLocalRecipe(recipe, servings || recipe.servings) : null;
+        }
+
+        const params = servings ? `?servings=${servings}` : '';
+        const response = await fetch(`${getCartApiUrl()}/recipes/${encodeURIComponent(recipeId)}${params}`);
+        const data = await response.json();
+        return data.success ? data.data : null;
+    }
+
+    async function openRecipe(recipeId, servings) {
+        try {
+            const recipe = await fetchRecipe(recipeId, servings);
+            if (!recipe) return;
+            state.selected = recipe;
+            renderRecipeDetail();
+            elements.detail.hidden = false;
+            if (!servings) elements.detail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            console.error('Error loading recipe:', error);
+        }
+    }
+
+    function closeRecipe() {
+        elements.detail.hidden = true;
+        state.selected = null;
+    }
+
+    function changeServings(delta) {
+        if (!state.selected) return;
+        const servings = Math.min(MAX_SERVINGS, Math.max(MIN_SERVINGS, state.selected.servings + delta));
+        if (servings !== state.selected.servings) {
+            openRecipe(state.selected.recipeId, servings);
+        }
+    }
+
+    function renderRecipeDetail() {
+        const recipe = state.selected;
+        document.getElementById('recipeDetailIcon').textContent = recipe.icon || '🍛';
+        document.getElementById('recipeDetailTitle').textContent = recipe.title;
+        document.getElementById('recipeDetailDescription').textContent = recipe.description || '';
+        document.getElementById('recipeServings').textContent = recipe.servings;
+
+        document.getElementById('recipeIngredients').innerHTML = recipe.ingredients.map(i => `
+            <li class="${i.productId ? 'is-spice' : ''}">
+                <strong>${i.quantity} ${sanitizeHTML(i.unit)}</strong> ${sanitizeHTML(i.name)}
+                ${i.productId ? `<a href="products.html#${encodeURIComponent(i.productId)}">Shop</a>` : ''}
+            </li>
+        `).join('');
+        document.getElementById('recipeSteps').innerHTML = recipe.steps.map(step => `<li>${sanitizeHTML(step)}</li>`).join('');
+
+        const { items, unavailable, total } = recipe.spices;
+        document.getElementById('recipeSpiceLines').innerHTML = items.map(line => `
+            <li>
+                <span>${sanitizeHTML(line.name)} <small>(${line.grams}g needed)</small></span>
+                <span>${sanitizeHTML(line.packSize)}${line.quantity > 1 ? ` x${line.quantity}` : ''} - ${formatCurrency(line.price * line.quantity)}</span>
+            </li>
+        `).join('');
+
+        const button = document.getElementById('recipeAddSpices');
+        button.hidden = items.length === 0;
+        button.textContent = `Add all spices to cart (${formatCurrency(total)})`;
+
+        const names = unavailable.map(id => (recipe.ingredients.find(i => i.productId === id) || {}).name || id);
+        document.getElementById('recipeSpicesNote').textContent = names.length > 0
+            ? `Currently unavailable: ${names.join(', ')}`
+            : '';
+    }
+
+    async function addSpicesToCart() {
+        if (!state.selected || !window.cart) return;
+        await window.cart.ready;
+
+        const added = state.selected.spices.items
+            .filter(line => window.cart.addItem(line.productId, line.packSize, line.quantity));
+
+        document.getElementById('recipeSpicesNote').textContent = added.length > 0
+            ? `Added ${added.length} spice${added.length > 1 ? 's' : ''} for ${state.selected.servings} servings to your cart.`
+            : 'Could not add these spices right now. Please try again.';
+    }
+
+})();
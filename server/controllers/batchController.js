@@ -0,0 +1,193 @@
+/**
+ * Batch Controller
+ * Harvest lots with lab results, and the public quality report behind pack QR codes
+ * Using Prisma for database operations
+ */
+
+const { prisma } = require('../config/prisma');
+const { normalizeLotNumber, reportUrl, batchDatesError, toQualityReport } = require('../services/batches');
+
+// Fields admins can set on a batch (lotNumber and productId only on create)
+const BATCH_FIELDS = [
+    'farm',
+    'region',
+    'harvestedAt',
+    'packedAt',
+    'expiresAt',
+    'moisturePercent',
+    'volatileOilPercent',
+    'labName',
+    'testedAt',
+    'reportUrl',
+    'notes'
+];
+const DATE_FIELDS = ['harvestedAt', 'packedAt', 'expiresAt', 'testedAt'];
+
+const pickBatchFields = (body) => {
+    const data = {};
+    for (const field of BATCH_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = DATE_FIELDS.includes(field) && body[field] !== null
+                ? new Date(body[field])
+                : body[field];
+        }
+    }
+    return data;
+};
+
+const invalidDates = (res, error) => {
+    return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: [error]
+    });
+};
+
+/**
+ * Get the quality report for a lot
+ * GET /api/batches/:lot
+ * Opened from the QR code on a pack; the lot number is not case-sensitive
+ */
+exports.getBatchReport = async (req, res) => {
+    try {
+        const batch = await prisma.batch.findUnique({
+            where: { lotNumber: normalizeLotNumber(req.params.lot) },
+            include: { product: true }
+        });
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: toQualityReport(batch)
+        });
+
+    } catch (error) {
+        console.error('Error getting batch:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving batch'
+        });
+    }
+};
+
+/**
+ * List batches with internal fields
+ * GET /api/batches?productId= (admin)
+ * Newest packing date first
+ */
+exports.getBatchesForAdmin = async (req, res) => {
+    try {
+        const { productId } = req.query;
+
+        const batches = await prisma.batch.findMany({
+            where: productId ? { productId: String(productId) } : {},
+            orderBy: [{ packedAt: 'desc' }, { lotNumber: 'asc' }]
+        });
+
+        res.status(200).json({
+            success: true,
+            count: batches.length,
+            data: batches.map(batch => ({ ...batch, qrUrl: reportUrl(batch.lotNumber) }))
+        });
+
+    } catch (error) {
+        console.error('Error listing batches:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving batches'
+        });
+    }
+};
+
+/**
+ * Create batch
+ * POST /api/batches (admin)
+ * Returns qrUrl, the link to print on the pack's QR code
+ */
+exports.createBatch = async (req, res) => {
+    try {
+        const data = pickBatchFields(req.body);
+        const datesError = batchDatesError(data);
+        if (datesError) return invalidDates(res, datesError);
+
+        const batch = await prisma.batch.create({
+            data: {
+                lotNumber: req.body.lotNumber,
+                productId: req.body.productId,
+                ...data,
+                createdBy: req.admin.name
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Batch created successfully',
+            data: { ...batch, qrUrl: reportUrl(batch.lotNumber) }
+        });
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                message: 'A batch with this lot number already exists'
+            });
+        }
+        if (error.code === 'P2003') {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown product'
+            });
+        }
+        console.error('Error creating batch:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating batch'
+        });
+    }
+};
+
+/**
+ * Update batch, e.g. to add lab results once they arrive
+ * PATCH /api/batches/:lot (admin)
+ */
+exports.updateBatch = async (req, res) => {
+    try {
+        const lotNumber = normalizeLotNumber(req.params.lot);
+        const existing = await prisma.batch.findUnique({ where: { lotNumber } });
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        const data = pickBatchFields(req.body);
+        const datesError = batchDatesError({ ...existing, ...data });
+        if (datesError) return invalidDates(res, datesError);
+
+        const batch = await prisma.batch.update({
+            where: { lotNumber },
+            data
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Batch updated successfully',
+            data: { ...batch, qrUrl: reportUrl(batch.lotNumber) }
+        });
+
+    } catch (error) {
+        console.error('Error updating batch:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating batch'
+        });
+    }
+};
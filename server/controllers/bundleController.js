@@ -0,0 +1,251 @@
+/**
+ * Bundle Controller
+ * Gift packs and bundles made of component product SKUs
+ * Using Prisma for database operations
+ */
+
+const { prisma } = require('../config/prisma');
+const { getProductVariant } = require('./productController');
+const { loadBundles, priceBundle } = require('../services/bundles');
+const { getAvailableStock } = require('../services/inventory');
+
+const BUNDLE_FIELDS = ['name', 'description', 'image', 'category', 'components', 'price', 'discountPercent', 'isAvailable'];
+
+const pickBundleFields = (body) => {
+    const data = {};
+    for (const field of BUNDLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    if (data.components) {
+        data.components = data.components.map(c => ({
+            productId: c.productId,
+            ...(c.sku && { sku: c.sku }),
+            packSize: c.packSize,
+            quantity: c.quantity || 1
+        }));
+    }
+
+    // Setting one pricing mode clears the other
+    if (data.price != null) data.discountPercent = null;
+    if (data.discountPercent != null) data.price = null;
+    return data;
+};
+
+// Components that cannot be sold (unknown product, SKU or pack size)
+const findUnknownComponents = async (components) => {
+    const unknown = [];
+    for (const c of components) {
+        if (!await getProductVariant(c.productId, { sku: c.sku, packSize: c.packSize })) {
+            unknown.push(`${c.productId} (${c.sku || c.packSize})`);
+        }
+    }
+    return unknown;
+};
+
+/**
+ * Price bundles and flag those with a sold-out component
+ * Bundles with an unavailable component are left out
+ */
+const loadPricedBundles = async () => {
+    const bundles = await loadBundles();
+    const priced = (await Promise.all(bundles.map(b => priceBundle(b, getProductVariant)))).filter(Boolean);
+
+    const available = await getAvailableStock(priced.flatMap(b => b.components));
+
+    return priced.map(bundle => ({
+        ...bundle,
+        inStock: bundle.components.every(c => {
+            const units = available.get(c.sku);
+            return units === undefined || units >= c.quantity;
+        })
+    }));
+};
+
+/**
+ * Get all bundles
+ * GET /api/bundles
+ */
+exports.getAllBundles = async (req, res) => {
+    try {
+        const { category } = req.query;
+
+        let bundles = await loadPricedBundles();
+        if (category && category !== 'all') {
+            bundles = bundles.filter(b => b.category === category);
+        }
+
+        res.status(200).json({
+            success: true,
+            count: bundles.length,
+            data: bundles
+        });
+
+    } catch (error) {
+        console.error('Error getting bundles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving gift packs'
+        });
+    }
+};
+
+/**
+ * Get single bundle
+ * GET /api/bundles/:id
+ */
+exports.getBundleById = async (req, res) => {
+    try {
+        const bundle = (await loadPricedBundles()).find(b => b.bundleId === req.params.id);
+
+        if (!bundle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift pack not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: bundle
+        });
+
+    } catch (error) {
+        console.error('Error getting bundle:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving gift pack'
+        });
+    }
+};
+
+/**
+ * Create bundle
+ * POST /api/bundles (admin)
+ */
+exports.createBundle = async (req, res) => {
+    try {
+        const data = pickBundleFields(req.body);
+
+        const unknown = await findUnknownComponents(data.components);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown component: ${unknown.join(', ')}`
+            });
+        }
+
+        const bundle = await prisma.bundle.create({
+            data: {
+                bundleId: req.body.bundleId,
+                ...data
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Gift pack created successfully',
+            data: bundle
+        });
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                message: 'A gift pack with this ID already exists'
+            });
+        }
+        if (error.code === 'P2003') {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown category'
+            });
+        }
+        console.error('Error creating bundle:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating gift pack'
+        });
+    }
+};
+
+/**
+ * Update bundle
+ * PATCH /api/bundles/:id (admin)
+ */
+exports.updateBundle = async (req, res) => {
+    try {
+        const data = pickBundleFields(req.body);
+
+        if (data.components) {
+            const unknown = await findUnknownComponents(data.components);
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown component: ${unknown.join(', ')}`
+                });
+            }
+        }
+
+        const bundle = await prisma.bundle.update({
+            where: { bundleId: req.params.id },
+            data
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Gift pack updated successfully',
+            data: bundle
+        });
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift pack not found'
+            });
+        }
+        if (error.code === 'P2003') {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown category'
+            });
+        }
+        console.error('Error updating bundle:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating gift pack'
+        });
+    }
+};
+
+/**
+ * Delete bundle
+ * DELETE /api/bundles/:id (admin)
+ */
+exports.deleteBundle = async (req, res) => {
+    try {
+        await prisma.bundle.delete({
+            where: { bundleId: req.params.id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Gift pack deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift pack not found'
+            });
+        }
+        console.error('Error deleting bundle:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting gift pack'
+        });
+    }
+};
@@ -1,22 +1,43 @@
 /**
  * Cart Controller
- * Handles cart validation and calculation
+ * Handles cart validation, calculation and sync between devices
  */
 
-const { getProductPrice } = require('./productController');
+const { prisma } = require('../config/prisma');
+const { getProductPrice, getProductVariant } = require('./productController');
+const { loadBundles, resolveBundleLine } = require('../services/bundles');
+const { lineSku } = require('../services/variants');
+const { newCartToken, toCartLine, mergeCarts, attachCart } = require('../services/carts');
+const { CouponError, applyCoupon } = require('../services/coupons');
+const {
+    aggregateItems,
+    getAvailableStock,
+    checkStock,
+    checkBundleStock
+} = require('../services/inventory');
 
 // Configuration
 const DELIVERY_CHARGE = 40;
 const FREE_DELIVERY_ABOVE = 500;
 const MIN_ORDER_AMOUNT = 200;
 
+// Concurrent syncs of one cart retry the merge this many times
+const MAX_SYNC_ATTEMPTS = 3;
+
+const EMPTY_CART = { items: [], savedItems: [] };
+
 /**
  * Validate cart items
  * POST /api/cart/validate
+ * Product lines name a sku; lines saved before SKUs name a packSize and are
+ * returned with the SKU they resolve to. An optional couponCode is applied to
+ * the valid lines (with phone, the customer's own uses count too); a code
+ * that cannot be applied is returned as couponError without making the cart
+ * invalid.
  */
 exports.validateCart = async (req, res) => {
     try {
-        const { items } = req.body;
+        const { items, couponCode, phone } = req.body;
 
         if (!items || !Array.isArray(items) || items.length === 0) {
             return res.status(400).json({
@@ -28,47 +49,128 @@ exports.validateCart = async (req, res) => {
         const validatedItems = [];
         const errors = [];
 
+        // Price every line first; bundles are priced from their components
+        const bundles = items.some(item => item.bundleId) ? await loadBundles() : [];
+        const lines = [];
+
         for (const item of items) {
-            const { productId, packSize, quantity } = item;
+            const { productId, sku, packSize, bundleId } = item;
+
+            if (bundleId) {
+                const line = await resolveBundleLine(bundles, item, getProductVariant);
+                if (!line) {
+                    errors.push({
+                        bundleId,
+                        code: 'NOT_FOUND',
+                        error: 'Gift pack not found or unavailable'
+                    });
+                    continue;
+                }
+                lines.push({ item, line });
+                continue;
+            }
 
-            // Get current price from product data
-            const currentPrice = getProductPrice(productId, packSize);
+            // Get the price in effect now, including any running sale
+            const variant = await getProductVariant(productId, { sku, packSize });
 
-            if (currentPrice === null) {
+            if (!variant) {
                 errors.push({
                     productId,
+                    ...(sku && { sku }),
                     packSize,
+                    code: 'NOT_FOUND',
                     error: 'Product or pack size not found'
                 });
                 continue;
             }
 
+            lines.push({
+                item,
+                line: {
+                    ...item,
+                    sku: variant.sku,
+                    label: variant.label,
+                    packSize: variant.packSize,
+                    price: variant.price,
+                    mrp: variant.mrp
+                }
+            });
+        }
+
+        // Stock is checked against the total requested across lines of the same SKU
+        const resolved = lines.map(({ line }) => line);
+        const available = await getAvailableStock(resolved);
+        const requested = new Map(aggregateItems(resolved).map(i => [i.sku, i]));
+        const stockErrors = new Map();
+
+        for (const { item, line } of lines) {
+            const { quantity } = item;
+
+            let stockError;
+            if (line.bundleId) {
+                stockError = checkBundleStock(line, requested, available);
+                if (stockError) errors.push(stockError);
+            } else {
+                const sku = lineSku(line);
+                stockError = checkStock(requested.get(sku), available.get(sku));
+                if (stockError && !stockErrors.has(sku)) {
+                    stockErrors.set(sku, stockError);
+                    errors.push(stockError);
+                }
+            }
+            if (stockError && stockError.code === 'OUT_OF_STOCK') continue;
+
             // Check if price has changed
-            const priceChanged = item.price !== currentPrice;
+            const priceChanged = item.price !== line.price;
 
             validatedItems.push({
                 ...item,
-                price: currentPrice,
+                ...(!line.bundleId && { sku: line.sku, label: line.label, packSize: line.packSize }),
+                ...(line.bundleId && { components: line.components }),
+                ...(line.mrp !== undefined && { mrp: line.mrp }),
+                price: line.price,
                 priceChanged,
                 originalPrice: item.price,
-                total: currentPrice * quantity
+                total: line.price * quantity,
+                ...(stockError && { availableQuantity: stockError.available })
             });
         }
 
         // Calculate totals
         const subtotal = validatedItems.reduce((sum, item) => sum + item.total, 0);
         const deliveryCharge = subtotal >= FREE_DELIVERY_ABOVE ? 0 : DELIVERY_CHARGE;
-        const total = subtotal + deliveryCharge;
+
+        let coupon = null;
+        let couponError = null;
+        if (couponCode) {
+            try {
+                const customer = phone ? await prisma.customer.findUnique({ where: { phone } }) : null;
+                coupon = await applyCoupon(prisma, couponCode, {
+                    lines: validatedItems,
+                    subtotal,
+                    deliveryCharge,
+                    customerId: customer ? customer.id : null
+                });
+            } catch (error) {
+                if (!(error instanceof CouponError)) throw error;
+                couponError = { code: error.code, error: error.message };
+            }
+        }
+
+        const discount = coupon ? coupon.discount : 0;
+        const total = subtotal + deliveryCharge - discount;
 
         res.status(200).json({
             success: true,
             valid: errors.length === 0,
             items: validatedItems,
             errors,
+            ...(couponCode && { coupon, couponError }),
             summary: {
                 itemCount: validatedItems.reduce((sum, item) => sum + item.quantity, 0),
                 subtotal,
                 deliveryCharge,
+                discount,
                 total,
                 isFreeDelivery: deliveryCharge === 0,
                 meetsMinOrder: subtotal >= MIN_ORDER_AMOUNT,
@@ -102,12 +204,19 @@ exports.calculateTotals = async (req, res) => {
 
         let subtotal = 0;
         let itemCount = 0;
+        const bundles = items.some(item => item.bundleId) ? await loadBundles() : [];
 
         for (const item of items) {
-            const { productId, packSize, quantity } = item;
+            const { productId, sku, packSize, quantity } = item;
 
             // Get current price
-            const price = getProductPrice(productId, packSize);
+            let price;
+            if (item.bundleId) {
+                const line = await resolveBundleLine(bundles, item, getProductVariant);
+                price = line ? line.price : null;
+            } else {
+                price = await getProductPrice(productId, { sku, packSize });
+            }
 
             if (price !== null) {
                 subtotal += price * quantity;
@@ -140,3 +249,80 @@ exports.calculateTotals = async (req, res) => {
         });
     }
 };
+
+/**
+ * Sync a device's cart with the server copy
+ * POST /api/cart/sync
+ * Body: { token, phone, items, savedItems, base: { items, savedItems } }
+ * base is the cart the device received from its last sync. Without a token,
+ * or with one for a cart that no longer exists, a new cart is started and its
+ * token returned; opening the storefront with that token on another device
+ * continues the cart there. With the phone of a known customer (as given at
+ * checkout) the cart of the token sent becomes the customer's cart, unless
+ * they already have one; a phone alone never opens another cart.
+ */
+exports.syncCart = async (req, res) => {
+    try {
+        const { token, phone } = req.body;
+        const toLines = (lines) => (Array.isArray(lines) ? lines.map(toCartLine) : []);
+        const client = { items: toLines(req.body.items), savedItems: toLines(req.body.savedItems) };
+        const base = req.body.base || {};
+
+        let cart = token ? await prisma.cart.findUnique({ where: { token } }) : null;
+
+        const baseCart = { items: toLines(base.items), savedItems: toLines(base.savedItems) };
+        let merged;
+
+        // A write only lands if nobody synced since the read; otherwise merge again
+        for (let attempt = 1; ; attempt++) {
+            if (!cart) {
+                merged = mergeCarts(baseCart, client, EMPTY_CART);
+                cart = await prisma.cart.create({
+                    data: { token: newCartToken(), ...merged }
+                });
+                break;
+            }
+
+            merged = mergeCarts(baseCart, client, {
+                items: Array.isArray(cart.items) ? cart.items : [],
+                savedItems: Array.isArray(cart.savedItems) ? cart.savedItems : []
+            });
+
+            const { count } = await prisma.cart.updateMany({
+                where: { id: cart.id, version: cart.version },
+                data: { ...merged, version: { increment: 1 } }
+            });
+            if (count === 1) break;
+
+            if (attempt === MAX_SYNC_ATTEMPTS) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Cart changed on another device, please try again'
+                });
+            }
+            cart = await prisma.cart.findUnique({ where: { id: cart.id } });
+        }
+
+        // Only the cart this device already held is attached; a new one is
+        // linked when an order is placed with it
+        if (phone && !cart.customerId && cart.token === token) {
+            const customer = await prisma.customer.findUnique({ where: { phone } });
+            if (customer) await attachCart(prisma, token, customer.id);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                token: cart.token,
+                ...merged
+            }
+        });
+
+    } catch (error) {
+        console.error('Error syncing cart:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error syncing cart'
+        });
+    }
+};
@@ -0,0 +1,130 @@
+/**
+ * Catalog CSV Controller
+ * Price list export and bulk import for the ops team's spreadsheets
+ * Using Prisma for database operations
+ */
+
+const { prisma } = require('../config/prisma');
+const { loadProductsFromFile, fileProductToRecord } = require('../services/catalogFile');
+const { invalidateCatalog } = require('../services/catalog');
+const { recordPriceChanges } = require('../services/pricing');
+const { CsvImportError, buildCatalogCsv, readImportRows, planCatalogImport } = require('../services/catalogCsv');
+
+const importFailed = (res, errors) => {
+    return res.status(400).json({
+        success: false,
+        message: 'Nothing was imported; fix the rows below and upload the file again',
+        errors
+    });
+};
+
+/**
+ * Export the price list
+ * GET /api/admin/products/export.csv (admin)
+ * Includes unavailable products and SKUs; uses data/products.json when the
+ * database has no products
+ */
+exports.exportProducts = async (req, res) => {
+    try {
+        let products = [];
+        try {
+            products = await prisma.product.findMany({
+                select: { productId: true, name: true, variants: true },
+                orderBy: [{ createdAt: 'asc' }, { productId: 'asc' }]
+            });
+        } catch (dbError) {
+            // Database not available, use file fallback
+        }
+
+        if (!products || products.length === 0) {
+            products = loadProductsFromFile().map(fileProductToRecord);
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Disposition', `attachment; filename="tawabil-products-${date}.csv"`);
+        res.set('Cache-Control', 'no-store');
+        // BOM so spreadsheets open the file as UTF-8
+        res.type('text/csv; charset=utf-8').status(200).send(`\uFEFF${buildCatalogCsv(products)}`);
+
+    } catch (error) {
+        console.error('Error exporting products:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting products'
+        });
+    }
+};
+
+/**
+ * Import prices and SKUs from CSV
+ * POST /api/admin/products/import (admin, Content-Type: text/csv)
+ * All rows are checked before anything is written; one bad row rejects the
+ * file. Price changes are recorded in the price history under the admin's name.
+ */
+exports.importProducts = async (req, res) => {
+    try {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Send the CSV as the request body with Content-Type text/csv'
+            });
+        }
+
+        const { rows, errors } = readImportRows(req.body);
+        if (errors.length > 0) {
+            return importFailed(res, errors);
+        }
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The CSV has no rows to import'
+            });
+        }
+
+        // Planned against the products read in the same transaction
+        const result = await prisma.$transaction(async (tx) => {
+            const products = await tx.product.findMany({
+                select: { productId: true, variants: true }
+            });
+
+            const plan = planCatalogImport(rows, products);
+            if (plan.errors.length > 0) {
+                throw new CsvImportError(plan.errors);
+            }
+
+            let priceChanges = 0;
+            for (const update of plan.updates) {
+                await tx.product.update({
+                    where: { productId: update.productId },
+                    data: { variants: update.variants }
+                });
+                priceChanges += await recordPriceChanges(
+                    tx, update.productId, update.previousVariants, update.variants, req.admin.name
+                );
+            }
+
+            return {
+                rows: rows.length,
+                products: plan.updates.length,
+                priceChanges
+            };
+        }, { timeout: 30000 });
+        invalidateCatalog();
+
+        res.status(200).json({
+            success: true,
+            message: 'Import complete',
+            data: result
+        });
+
+    } catch (error) {
+        if (error instanceof CsvImportError) {
+            return importFailed(res, error.errors);
+        }
+        console.error('Error importing products:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error importing products'
+        });
+    }
+};
@@ -0,0 +1,265 @@
+/**
+ * Content Controller
+ * Articles, testimonials and homepage stats for the marketing pages
+ * Using Prisma for database operations
+ */
+
+const { prisma } = require('../config/prisma');
+const { CONTENT_TYPES, loadPublished, pickContentFields } = require('../services/content');
+
+/**
+ * Get published articles
+ * GET /api/content/articles
+ * Query params: section (tips, quality, about), tag
+ * Bodies are left out of the list; fetch an article by slug for the full text
+ */
+exports.getArticles = async (req, res) => {
+    try {
+        const { section, tag } = req.query;
+
+        const articles = await loadPublished('articles', {
+            ...(section && { section }),
+            ...(tag && { tags: { has: tag } })
+        });
+
+        res.status(200).json({
+            success: true,
+            count: articles.length,
+            data: articles.map(({ body, ...summary }) => summary)
+        });
+
+    } catch (error) {
+        console.error('Error getting articles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving articles'
+        });
+    }
+};
+
+/**
+ * Get single published article
+ * GET /api/content/articles/:slug
+ */
+exports.getArticleBySlug = async (req, res) => {
+    try {
+        const [article] = await loadPublished('articles', { slug: req.params.slug });
+
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                message: 'Article not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: article
+        });
+
+    } catch (error) {
+        console.error('Error getting article:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving article'
+        });
+    }
+};
+
+/**
+ * Get published testimonials
+ * GET /api/content/testimonials
+ */
+exports.getTestimonials = async (req, res) => {
+    try {
+        const testimonials = await loadPublished('testimonials');
+
+        res.status(200).json({
+            success: true,
+            count: testimonials.length,
+            data: testimonials
+        });
+
+    } catch (error) {
+        console.error('Error getting testimonials:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving testimonials'
+        });
+    }
+};
+
+/**
+ * Get published homepage stats
+ * GET /api/content/stats
+ */
+exports.getStats = async (req, res) => {
+    try {
+        const stats = await loadPublished('stats');
+
+        res.status(200).json({
+            success: true,
+            count: stats.length,
+            data: stats
+        });
+
+    } catch (error) {
+        console.error('Error getting stats:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving stats'
+        });
+    }
+};
+
+/**
+ * List content including drafts
+ * GET /api/content/admin/:type (admin)
+ * Query params: status (DRAFT or PUBLISHED)
+ */
+exports.getContentForAdmin = async (req, res) => {
+    try {
+        const { model, orderBy } = CONTENT_TYPES[req.params.type];
+        const { status } = req.query;
+
+        const items = await prisma[model].findMany({
+            where: status ? { status } : {},
+            orderBy: [{ status: 'asc' }, ...orderBy]
+        });
+
+        res.status(200).json({
+            success: true,
+            count: items.length,
+            data: items
+        });
+
+    } catch (error) {
+        console.error('Error getting content:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving content'
+        });
+    }
+};
+
+/**
+ * Create content, as a draft unless status is PUBLISHED
+ * POST /api/content/admin/:type (admin)
+ */
+exports.createContent = async (req, res) => {
+    const { model, label } = CONTENT_TYPES[req.params.type];
+
+    try {
+        const item = await prisma[model].create({
+            data: {
+                ...pickContentFields(req.params.type, req.body),
+                updatedBy: req.admin.name
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${label} created successfully`,
+            data: item
+        });
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                message: `${label} already exists`
+            });
+        }
+        console.error('Error creating content:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating content'
+        });
+    }
+};
+
+/**
+ * Update content; set status to PUBLISHED or DRAFT to publish or unpublish
+ * PATCH /api/content/admin/:type/:id (admin)
+ */
+exports.updateContent = async (req, res) => {
+    const { model, label } = CONTENT_TYPES[req.params.type];
+
+    try {
+        const existing = await prisma[model].findUnique({
+            where: { id: req.params.id }
+        });
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+
+        const item = await prisma[model].update({
+            where: { id: req.params.id },
+            data: {
+                ...pickContentFields(req.params.type, req.body, existing),
+                updatedBy: req.admin.name
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${label} updated successfully`,
+            data: item
+        });
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                message: `${label} already exists`
+            });
+        }
+        console.error('Error updating content:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating content'
+        });
+    }
+};
+
+/**
+ * Delete content
+ * DELETE /api/content/admin/:type/:id (admin)
+ */
+exports.deleteContent = async (req, res) => {
+    const { model, label } = CONTENT_TYPES[req.params.type];
+
+    try {
+        await prisma[model].delete({
+            where: { id: req.params.id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${label} deleted successfully`
+        });
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+        console.error('Error deleting content:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting content'
+        });
+    }
+};
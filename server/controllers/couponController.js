@@ -0,0 +1,160 @@
+/**
+ * Coupon Controller
+ * Promo codes for the ops team
+ * Using Prisma for database operations
+ */
+
+const { prisma } = require('../config/prisma');
+const { USING_ORDERS, normalizeCouponCode, couponRulesError } = require('../services/coupons');
+
+// Fields admins can set on a coupon (code only on create)
+const COUPON_FIELDS = [
+    'description',
+    'type',
+    'value',
+    'maxDiscount',
+    'minSubtotal',
+    'productIds',
+    'categories',
+    'usageLimit',
+    'perCustomerLimit',
+    'startsAt',
+    'endsAt',
+    'isActive'
+];
+const DATE_FIELDS = ['startsAt', 'endsAt'];
+
+const pickCouponFields = (body) => {
+    const data = {};
+    for (const field of COUPON_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = DATE_FIELDS.includes(field) && body[field] !== null
+                ? new Date(body[field])
+                : body[field];
+        }
+    }
+    return data;
+};
+
+const invalidCoupon = (res, error) => {
+    return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: [error]
+    });
+};
+
+/**
+ * List coupons with their uses so far
+ * GET /api/admin/coupons (admin)
+ * Newest first
+ */
+exports.getCoupons = async (req, res) => {
+    try {
+        const coupons = await prisma.coupon.findMany({
+            orderBy: { createdAt: 'desc' }
+        });
+
+        const counts = coupons.length > 0
+            ? await prisma.order.groupBy({
+                by: ['couponCode'],
+                where: { ...USING_ORDERS, couponCode: { in: coupons.map(c => c.code) } },
+                _count: { _all: true }
+            })
+            : [];
+        const uses = new Map(counts.map(row => [row.couponCode, row._count._all]));
+
+        res.status(200).json({
+            success: true,
+            count: coupons.length,
+            data: coupons.map(coupon => ({ ...coupon, uses: uses.get(coupon.code) || 0 }))
+        });
+
+    } catch (error) {
+        console.error('Error listing coupons:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving coupons'
+        });
+    }
+};
+
+/**
+ * Create coupon
+ * POST /api/admin/coupons (admin)
+ */
+exports.createCoupon = async (req, res) => {
+    try {
+        const data = pickCouponFields(req.body);
+        const rulesError = couponRulesError(data);
+        if (rulesError) return invalidCoupon(res, rulesError);
+
+        const coupon = await prisma.coupon.create({
+            data: {
+                code: req.body.code,
+                ...data,
+                createdBy: req.admin.name
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+        console.error('Error creating coupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating coupon'
+        });
+    }
+};
+
+/**
+ * Update coupon, e.g. to extend or end it early (isActive: false)
+ * PATCH /api/admin/coupons/:code (admin)
+ * The code cannot change once customers have it
+ */
+exports.updateCoupon = async (req, res) => {
+    try {
+        const code = normalizeCouponCode(req.params.code);
+        const existing = await prisma.coupon.findUnique({ where: { code } });
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const data = pickCouponFields(req.body);
+        const rulesError = couponRulesError({ ...existing, ...data });
+        if (rulesError) return invalidCoupon(res, rulesError);
+
+        const coupon = await prisma.coupon.update({
+            where: { code },
+            data
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: coupon
+        });
+
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating coupon'
+        });
+    }
+};
@@ -5,15 +5,29 @@
  */
 
 const { prisma, generateOrderId } = require('../config/prisma');
-const { getProductPrice } = require('./productController');
+const { getProductVariant } = require('./productController');
+const { loadBundles, resolveBundleLine } = require('../services/bundles');
+const { StockError, reserveStock, commitOrderStock, releaseOrderStock } = require('../services/inventory');
+const { assignBatches } = require('../services/batches');
+const { CouponError, applyCoupon } = require('../services/coupons');
+const { attachCart } = require('../services/carts');
 
 // Configuration
 const DELIVERY_CHARGE = 40;
 const FREE_DELIVERY_ABOVE = 500;
 
+// Status an order must have for an admin to move it on to each later one
+const ORDER_STATUS_FROM = {
+    DISPATCHED: 'PROCESSING',
+    DELIVERED: 'DISPATCHED'
+};
+
 /**
  * Create new order
  * POST /api/orders
+ * A couponCode is applied again here whatever the cart showed; the discount
+ * is stored as its own line and taken off the total. A cartToken links the
+ * cart the order came from to the customer.
  */
 exports.createOrder = async (req, res) => {
     try {
@@ -22,39 +36,64 @@ exports.createOrder = async (req, res) => {
             address,
             items,
             deliverySlot,
-            paymentMethod
+            paymentMethod,
+            couponCode,
+            cartToken
         } = req.body;
 
-        // Validate and recalculate prices server-side
+        // Validate and recalculate prices server-side, all at the same moment
+        // so a sale ending mid-checkout cannot split an order across prices
         const validatedItems = [];
         let subtotal = 0;
+        const pricedAt = new Date();
+        const getVariant = (productId, line) => getProductVariant(productId, line, pricedAt);
+        const bundles = items.some(item => item.bundleId) ? await loadBundles() : [];
 
         for (const item of items) {
-            const price = getProductPrice(item.productId, item.packSize);
+            // Gift packs are one line that lists the SKUs to reserve and pack
+            if (item.bundleId) {
+                const line = await resolveBundleLine(bundles, item, getVariant);
+
+                if (!line) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Invalid gift pack: ${item.bundleId}`
+                    });
+                }
+
+                subtotal += line.total;
+                validatedItems.push(line);
+                continue;
+            }
 
-            if (price === null) {
+            const variant = await getVariant(item.productId, { sku: item.sku, packSize: item.packSize });
+
+            if (!variant) {
                 return res.status(400).json({
                     success: false,
-                    message: `Invalid product: ${item.productId} (${item.packSize})`
+                    message: `Invalid product: ${item.productId} (${item.sku || item.packSize})`
                 });
             }
 
+            const { price, mrp } = variant;
             const total = price * item.quantity;
             subtotal += total;
 
             validatedItems.push({
                 productId: item.productId,
                 name: item.name,
-                packSize: item.packSize,
+                sku: variant.sku,
+                label: variant.label,
+                packSize: variant.packSize,
                 quantity: item.quantity,
                 price: price,
+                mrp: mrp,
                 total: total
             });
         }
 
         // Calculate delivery charge
         const deliveryCharge = subtotal >= FREE_DELIVERY_ABOVE ? 0 : DELIVERY_CHARGE;
-        const total = subtotal + deliveryCharge;
 
         // Generate order ID
         const orderId = generateOrderId();
@@ -63,42 +102,75 @@ exports.createOrder = async (req, res) => {
         const initialStatus = paymentMethod === 'cod' ? 'CONFIRMED' : 'PENDING';
         const paymentStatus = 'PENDING';
 
-        // Find or create customer
-        let customerRecord = await prisma.customer.findUnique({
-            where: { phone: customer.phone }
-        });
+        // Reserve stock, find or create the customer, apply the coupon and
+        // create the order atomically
+        const order = await prisma.$transaction(async (tx) => {
+            const tracked = await reserveStock(tx, validatedItems);
+
+            let customerRecord = await tx.customer.findUnique({
+                where: { phone: customer.phone }
+            });
 
-        if (!customerRecord) {
-            customerRecord = await prisma.customer.create({
+            if (!customerRecord) {
+                customerRecord = await tx.customer.create({
+                    data: {
+                        name: customer.name,
+                        phone: customer.phone,
+                        email: customer.email || null
+                    }
+                });
+            }
+
+            // Uses are counted under the coupon's row lock
+            const coupon = couponCode
+                ? await applyCoupon(tx, couponCode, {
+                    lines: validatedItems,
+                    subtotal,
+                    deliveryCharge,
+                    customerId: customerRecord.id
+                }, { lock: true })
+                : null;
+            const discount = coupon ? coupon.discount : 0;
+
+            const created = await tx.order.create({
                 data: {
-                    name: customer.name,
-                    phone: customer.phone,
-                    email: customer.email || null
+                    orderId,
+                    customerId: customerRecord.id,
+                    address: address,
+                    items: validatedItems,
+                    subtotal,
+                    deliveryCharge,
+                    couponCode: coupon ? coupon.code : null,
+                    discount,
+                    total: subtotal + deliveryCharge - discount,
+                    paymentMethod: paymentMethod === 'cod' ? 'COD' : 'ONLINE',
+                    paymentStatus,
+                    status: initialStatus,
+                    stockStatus: tracked ? 'RESERVED' : 'NONE',
+                    deliverySlot: deliverySlot || null,
+                    statusHistory: [{
+                        status: initialStatus,
+                        timestamp: new Date().toISOString()
+                    }]
                 }
             });
-        }
 
-        // Create order with Prisma
-        const order = await prisma.order.create({
-            data: {
-                orderId,
-                customerId: customerRecord.id,
-                address: address,
-                items: validatedItems,
-                subtotal,
-                deliveryCharge,
-                total,
-                paymentMethod: paymentMethod === 'cod' ? 'COD' : 'ONLINE',
-                paymentStatus,
-                status: initialStatus,
-                deliverySlot: deliverySlot || null,
-                statusHistory: [{
-                    status: initialStatus,
-                    timestamp: new Date().toISOString()
-                }]
+            // COD orders are confirmed immediately, so their stock is taken now
+            if (initialStatus === 'CONFIRMED') {
+                await commitOrderStock(tx, created);
             }
+
+            return created;
         });
 
+        // The cart the order came from becomes the customer's; the order
+        // stands even if that fails
+        if (cartToken) {
+            await attachCart(prisma, cartToken, order.customerId).catch((error) => {
+                console.error('Error linking cart to customer:', error);
+            });
+        }
+
         res.status(201).json({
             success: true,
             message: 'Order created successfully',
@@ -107,12 +179,30 @@ exports.createOrder = async (req, res) => {
                 orderId: order.orderId,
                 status: order.status,
                 paymentStatus: order.paymentStatus,
+                subtotal: order.subtotal,
+                deliveryCharge: order.deliveryCharge,
+                couponCode: order.couponCode,
+                discount: order.discount,
                 total: order.total,
                 deliverySlot: order.deliverySlot
             }
         });
 
     } catch (error) {
+        if (error instanceof StockError) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some items are not available in the requested quantity',
+                errors: error.errors
+            });
+        }
+        if (error instanceof CouponError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+                errors: [{ field: 'couponCode', code: error.code, message: error.message }]
+            });
+        }
         console.error('Error creating order:', error);
         res.status(500).json({
             success: false,
@@ -192,17 +282,189 @@ exports.cancelOrder = async (req, res) => {
             note: reason || 'Cancelled by customer'
         });
 
+        // Return reserved or taken stock with the status change
+        const updatedOrder = await prisma.$transaction(async (tx) => {
+            await releaseOrderStock(tx, order);
+            return tx.order.update({
+                where: { orderId },
+                data: {
+                    status: 'CANCELLED',
+                    statusHistory
+                }
+            });
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Order cancelled successfully',
+            data: {
+                orderId: updatedOrder.orderId,
+                status: updatedOrder.status
+            }
+        });
+
+    } catch (error) {
+        console.error('Error cancelling order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cancelling order'
+        });
+    }
+};
+
+/**
+ * Record the lots an order is packed from
+ * PUT /api/orders/:orderId/batches (admin)
+ * Body: { batches: [{ productId, packSize (optional), lotNumber }] }
+ * Lots must belong to the line's product and not be expired. A confirmed
+ * order moves to PROCESSING; lots can be corrected until it is dispatched.
+ */
+exports.assignOrderBatches = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const assignments = req.body.batches;
+
+        const order = await prisma.order.findUnique({
+            where: { orderId }
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const packableStatuses = ['CONFIRMED', 'PROCESSING'];
+        if (!packableStatuses.includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot pack order with status: ${order.status}`
+            });
+        }
+
+        const lotNumbers = [...new Set(assignments.map(a => a.lotNumber))];
+        const batches = await prisma.batch.findMany({
+            where: { lotNumber: { in: lotNumbers } }
+        });
+        const byLot = new Map(batches.map(batch => [batch.lotNumber, batch]));
+        const now = new Date();
+
+        const errors = [];
+        assignments.forEach((assignment, index) => {
+            const batch = byLot.get(assignment.lotNumber);
+            const field = `batches[${index}].lotNumber`;
+            if (!batch) {
+                errors.push({ field, message: `Unknown lot: ${assignment.lotNumber}` });
+            } else if (batch.productId !== assignment.productId) {
+                errors.push({ field, message: `Lot ${assignment.lotNumber} is not ${assignment.productId}` });
+            } else if (new Date(batch.expiresAt) <= now) {
+                errors.push({ field, message: `Lot ${assignment.lotNumber} has expired` });
+            }
+        });
+
+        const items = Array.isArray(order.items) ? order.items : [];
+        const { items: packedItems, unmatched, unassigned } = assignBatches(items, assignments);
+        for (const assignment of unmatched) {
+            errors.push({
+                field: 'batches',
+                message: `Order has no ${assignment.productId}${assignment.packSize ? ` (${assignment.packSize})` : ''}`
+            });
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors
+            });
+        }
+
+        const data = { items: packedItems };
+        if (order.status === 'CONFIRMED') {
+            const statusHistory = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+            statusHistory.push({
+                status: 'PROCESSING',
+                timestamp: now.toISOString(),
+                note: `Packed by ${req.admin.name}`
+            });
+            data.status = 'PROCESSING';
+            data.statusHistory = statusHistory;
+        }
+
+        const updatedOrder = await prisma.order.update({
+            where: { orderId },
+            data
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Batches assigned successfully',
+            data: {
+                orderId: updatedOrder.orderId,
+                status: updatedOrder.status,
+                items: updatedOrder.items,
+                unassigned
+            }
+        });
+
+    } catch (error) {
+        console.error('Error assigning batches:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error assigning batches'
+        });
+    }
+};
+
+/**
+ * Move a packed order on to the customer
+ * PUT /api/orders/:orderId/status (admin)
+ * Body: { status: 'DISPATCHED' | 'DELIVERED', note (optional) }
+ * A processing order is dispatched and a dispatched one delivered; delivered
+ * orders can be reviewed by their customer.
+ */
+exports.updateOrderStatus = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { status, note } = req.body;
+
+        const order = await prisma.order.findUnique({
+            where: { orderId }
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (ORDER_STATUS_FROM[status] !== order.status) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot mark order ${status.toLowerCase()} with status: ${order.status}`
+            });
+        }
+
+        const statusHistory = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+        statusHistory.push({
+            status,
+            timestamp: new Date().toISOString(),
+            note: note || `Marked ${status.toLowerCase()} by ${req.admin.name}`
+        });
+
         const updatedOrder = await prisma.order.update({
             where: { orderId },
             data: {
-                status: 'CANCELLED',
+                status,
                 statusHistory
             }
         });
 
         res.status(200).json({
             success: true,
-            message: 'Order cancelled successfully',
+            message: 'Order status updated successfully',
             data: {
                 orderId: updatedOrder.orderId,
                 status: updatedOrder.status
@@ -210,10 +472,10 @@ exports.cancelOrder = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error cancelling order:', error);
+        console.error('Error updating order status:', error);
         res.status(500).json({
             success: false,
-            message: 'Error cancelling order'
+            message: 'Error updating order status'
         });
     }
 };
@@ -6,6 +6,10 @@
 
 const crypto = require('crypto');
 const { prisma } = require('../config/prisma');
+const { commitOrderStock, releaseOrderStock } = require('../services/inventory');
+
+// Stock is returned on refund only if the parcel never left the store
+const RESTOCKABLE_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING'];
 
 // Razorpay configuration
 let Razorpay;
@@ -148,11 +152,23 @@ exports.verifyPayment = async (req, res) => {
             .digest('hex');
 
         if (expectedSignature !== razorpay_signature) {
-            // Update order with failed payment
-            await prisma.order.update({
-                where: { orderId },
-                data: { paymentStatus: 'FAILED' }
-            });
+            // Only an online order still awaiting payment can fail here; a bad
+            // signature must not touch paid or COD orders or their taken stock
+            // (NONE: the order has no tracked SKUs, so there is nothing to release)
+            const awaitingPayment = order.paymentMethod === 'ONLINE' &&
+                order.paymentStatus === 'PENDING' &&
+                ['RESERVED', 'NONE'].includes(order.stockStatus);
+
+            if (awaitingPayment) {
+                // Update order with failed payment and release its reserved stock
+                await prisma.$transaction(async (tx) => {
+                    await releaseOrderStock(tx, order);
+                    await tx.order.update({
+                        where: { orderId },
+                        data: { paymentStatus: 'FAILED' }
+                    });
+                });
+            }
 
             return res.status(400).json({
                 success: false,
@@ -168,16 +184,19 @@ exports.verifyPayment = async (req, res) => {
             note: 'Payment verified'
         });
 
-        // Mark order as paid
-        const updatedOrder = await prisma.order.update({
-            where: { orderId },
-            data: {
-                paymentStatus: 'PAID',
-                razorpayPaymentId: razorpay_payment_id,
-                razorpaySignature: razorpay_signature,
-                status: 'CONFIRMED',
-                statusHistory
-            }
+        // Mark order as paid and take its stock
+        const updatedOrder = await prisma.$transaction(async (tx) => {
+            await commitOrderStock(tx, order);
+            return tx.order.update({
+                where: { orderId },
+                data: {
+                    paymentStatus: 'PAID',
+                    razorpayPaymentId: razorpay_payment_id,
+                    razorpaySignature: razorpay_signature,
+                    status: 'CONFIRMED',
+                    statusHistory
+                }
+            });
         });
 
         res.status(200).json({
@@ -282,14 +301,17 @@ async function handlePaymentCaptured(payment) {
                 note: 'Payment captured via webhook'
             });
 
-            await prisma.order.update({
-                where: { id: order.id },
-                data: {
-                    razorpayPaymentId: payment.id,
-                    paymentStatus: 'PAID',
-                    status: 'CONFIRMED',
-                    statusHistory
-                }
+            await prisma.$transaction(async (tx) => {
+                await commitOrderStock(tx, order);
+                await tx.order.update({
+                    where: { id: order.id },
+                    data: {
+                        razorpayPaymentId: payment.id,
+                        paymentStatus: 'PAID',
+                        status: 'CONFIRMED',
+                        statusHistory
+                    }
+                });
             });
         }
     } catch (error) {
@@ -304,10 +326,13 @@ async function handlePaymentFailed(payment) {
             where: { razorpayOrderId: payment.order_id }
         });
 
-        if (order) {
-            await prisma.order.update({
-                where: { id: order.id },
-                data: { paymentStatus: 'FAILED' }
+        if (order && order.paymentStatus !== 'PAID') {
+            await prisma.$transaction(async (tx) => {
+                await releaseOrderStock(tx, order);
+                await tx.order.update({
+                    where: { id: order.id },
+                    data: { paymentStatus: 'FAILED' }
+                });
             });
         }
     } catch (error) {
@@ -330,13 +355,18 @@ async function handleRefundProcessed(refund) {
                 note: 'Refund processed'
             });
 
-            await prisma.order.update({
-                where: { id: order.id },
-                data: {
-                    paymentStatus: 'REFUNDED',
-                    status: 'CANCELLED',
-                    statusHistory
+            await prisma.$transaction(async (tx) => {
+                if (RESTOCKABLE_STATUSES.includes(order.status)) {
+                    await releaseOrderStock(tx, order);
                 }
+                await tx.order.update({
+                    where: { id: order.id },
+                    data: {
+                        paymentStatus: 'REFUNDED',
+                        status: 'CANCELLED',
+                        statusHistory
+                    }
+                });
             });
         }
     } catch (error) {
@@ -5,151 +5,300 @@
  */
 
 const { prisma } = require('../config/prisma');
-const fs = require('fs');
-const path = require('path');
+const { loadProductsFromFile, getFileProduct, fileProductToRecord } = require('../services/catalogFile');
+const { loadCatalog, findCatalogProduct, invalidateCatalog } = require('../services/catalog');
+const {
+    loadCategories,
+    buildCategoryTree,
+    getCategoryWithDescendants
+} = require('../services/categories');
+const { searchProducts: rankProducts, suggest } = require('../services/search');
+const { parseFacetFilters, applyFacets } = require('../services/facets');
+const { loadBundles } = require('../services/bundles');
+const { resolvePrice, priceVariants, normalizeSales, recordPriceChanges } = require('../services/pricing');
+const { getAffinity, rankRelated } = require('../services/recommendations');
+const { localizeProduct, normalizeTranslations } = require('../services/i18n');
+const { buildProductJsonLd } = require('../services/seo');
+const { unitPrice } = require('../services/packSizes');
+const {
+    variantSku,
+    variantOptions,
+    variantLabel,
+    getOptionAxes,
+    defaultVariants,
+    findVariant
+} = require('../services/variants');
+const {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    resolveSort,
+    sortProducts,
+    decodeCursor,
+    paginate
+} = require('../services/pagination');
 
-// Load products from JSON file (fallback when DB not available)
-const loadProductsFromFile = () => {
-    try {
-        const filePath = path.join(__dirname, '../../data/products.json');
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data).products;
-    } catch (error) {
-        console.error('Error loading products from file:', error);
-        return [];
-    }
+/**
+ * Sellable SKUs with their options, selling price, image and GTIN
+ * @param {Object} stock - Available units by SKU; untracked SKUs are omitted
+ */
+const toSkus = (productId, variants, stock = {}, at = new Date()) => {
+    return variants.map(variant => {
+        const sku = variantSku(productId, variant);
+        const { price, mrp, saleEndsAt } = resolvePrice(variant, at);
+
+        return {
+            sku,
+            options: variantOptions(variant),
+            label: variantLabel(variant),
+            packSize: variant.packSize,
+            price,
+            mrp,
+            ...(saleEndsAt !== undefined && { saleEndsAt }),
+            unitPrice: unitPrice(price, variant.packSize),
+            ...(stock[sku] !== undefined && { stock: stock[sku] }),
+            image: variant.image || null,
+            ...(variant.gtin && { gtin: variant.gtin })
+        };
+    });
 };
 
 // Transform file products to consistent format
-const transformFileProduct = (p) => ({
-    productId: p.id,
-    name: p.name,
-    nameHindi: p.nameHindi,
-    origin: p.origin,
-    badge: p.badge,
-    category: getCategoryFromProduct(p),
-    description: p.description,
-    prices: p.prices,
-    packSizes: p.packSizes,
-    culinaryUses: p.culinaryUses,
-    healthBenefits: p.healthBenefits,
-    storageTips: p.storageTips,
-    purityIndicators: p.purityIndicators,
-    image: p.image,
-    inStock: true,
-    rating: 4.5 + Math.random() * 0.5, // Simulated rating between 4.5-5.0
-    reviewCount: Math.floor(50 + Math.random() * 100)
-});
+// prices are selling prices right now; mrp holds the regular prices
+// unitPrices, bestValue and savingsPercent compare value per 100g across sizes
+// Per pack size maps describe each size's default SKU; skus lists every option combination
+const transformFileProduct = (p) => {
+    const { variants } = fileProductToRecord(p);
+    const defaults = defaultVariants(variants);
+
+    return {
+        productId: p.id,
+        name: p.name,
+        nameHindi: p.nameHindi,
+        origin: p.origin,
+        badge: p.badge,
+        category: p.category,
+        description: p.description,
+        ...priceVariants(defaults),
+        packSizes: defaults.map(v => v.packSize),
+        optionAxes: getOptionAxes(variants),
+        skus: toSkus(p.id, variants),
+        culinaryUses: p.culinaryUses,
+        healthBenefits: p.healthBenefits,
+        storageTips: p.storageTips,
+        purityIndicators: p.purityIndicators,
+        image: p.image,
+        translations: p.translations || {},
+        inStock: true,
+        rating: 0, // Reviews live in the database
+        reviewCount: 0
+    };
+};
+
+// Variants stored on the Prisma Product ([{ sku, form, grade, packSize, price, isAvailable, image, gtin }])
+const getDbVariants = (product) => {
+    return Array.isArray(product.variants) ? product.variants : [];
+};
+
+// Available units per tracked SKU; untracked SKUs are omitted
+const getStockLevels = (product) => {
+    const rows = Array.isArray(product.stock) ? product.stock : [];
+    return Object.fromEntries(rows.map(row => [row.sku, Math.max(0, row.quantity - row.reserved)]));
+};
+
+// Transform Prisma products to the same shape as file products
+// stock is keyed by pack size like prices; each entry in skus has its own
+const transformDbProduct = (p) => {
+    const variants = getDbVariants(p).filter(v => v.isAvailable !== false);
+    const defaults = defaultVariants(variants);
+    const stockBySku = getStockLevels(p);
+    const stock = {};
+    for (const variant of defaults) {
+        const level = stockBySku[variantSku(p.productId, variant)];
+        if (level !== undefined) stock[variant.packSize] = level;
+    }
+
+    return {
+        productId: p.productId,
+        name: p.name,
+        nameHindi: p.nameHindi,
+        origin: p.origin,
+        badge: p.badge,
+        description: p.description,
+        category: p.category,
+        benefits: p.benefits,
+        culinaryUses: p.culinaryUses,
+        healthBenefits: p.benefits,
+        storageTips: p.storageTips,
+        purityIndicators: p.purityIndicators,
+        image: p.image,
+        translations: p.translations || {},
+        variants: p.variants,
+        packSizes: defaults.map(v => v.packSize),
+        ...priceVariants(defaults),
+        optionAxes: getOptionAxes(variants),
+        skus: toSkus(p.productId, variants, stockBySku),
+        isFeatured: p.isFeatured,
+        stock,
+        inStock: p.isAvailable && variants.some(v => stockBySku[variantSku(p.productId, v)] !== 0),
+        rating: p.ratingAverage || 0,
+        reviewCount: p.reviewCount || 0
+    };
+};
+
+// Transform a catalog record from either source
+const transformRecord = (source, record) => {
+    return source === 'database' ? transformDbProduct(record) : transformFileProduct(record);
+};
 
-// Determine category based on product type
-const getCategoryFromProduct = (product) => {
-    const name = product.name.toLowerCase();
-    if (name.includes('cardamom') || name.includes('pepper') || name.includes('cloves') ||
-        name.includes('cinnamon') || name.includes('cumin') || name.includes('elaichi')) {
-        return 'whole-spices';
+// Pick writable product fields from a request body
+const PRODUCT_FIELDS = [
+    'name', 'nameHindi', 'description', 'category', 'origin', 'badge',
+    'benefits', 'culinaryUses', 'storageTips', 'purityIndicators',
+    'image', 'variants', 'translations', 'isAvailable', 'isFeatured'
+];
+
+// Values applied to omitted optional fields when a product is replaced (PUT)
+const PRODUCT_DEFAULTS = {
+    nameHindi: null,
+    description: null,
+    origin: null,
+    badge: null,
+    benefits: [],
+    culinaryUses: [],
+    storageTips: null,
+    purityIndicators: [],
+    image: null,
+    translations: {},
+    isAvailable: true,
+    isFeatured: false
+};
+
+// Variants are stored with their SKU so renaming an option keeps its stock and history
+const pickProductFields = (body, productId) => {
+    const data = {};
+    for (const field of PRODUCT_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
     }
-    if (name.includes('powder') || name.includes('ground')) {
-        return 'ground-spices';
+    if (data.variants) {
+        data.variants = data.variants.map(v => ({
+            sku: variantSku(productId, v),
+            ...(v.form && { form: v.form }),
+            ...(v.grade && { grade: v.grade }),
+            packSize: v.packSize,
+            price: v.price,
+            isAvailable: v.isAvailable !== false,
+            ...(v.image && { image: v.image }),
+            ...(v.gtin && { gtin: v.gtin }),
+            ...normalizeSales(v.sales)
+        }));
     }
-    return 'whole-spices'; // Default
+    if (data.translations) {
+        data.translations = normalizeTranslations(data.translations);
+    }
+    return data;
+};
+
+const toPricedVariant = (productId, name, variant, at) => {
+    const { price, mrp } = resolvePrice(variant, at);
+    return {
+        name,
+        sku: variantSku(productId, variant),
+        packSize: variant.packSize,
+        label: variantLabel(variant),
+        price,
+        mrp
+    };
+};
+
+// Suggestions start after this many characters
+const MIN_SUGGEST_LENGTH = 2;
+const MAX_SUGGESTIONS = 8;
+
+const DEFAULT_RECOMMENDATIONS = 4;
+const MAX_RECOMMENDATIONS = 12;
+
+// First preferred pack size that can be bought, else the first in stock
+const pickRecommendedSize = (product, preferred = []) => {
+    const stock = product.stock || {};
+    const buyable = (product.packSizes || []).filter(size => product.prices[size] && stock[size] !== 0);
+    return preferred.find(size => buyable.includes(size)) || buyable[0] || null;
+};
+
+const toRecommendation = (product, packSize, reason, count) => ({
+    productId: product.productId,
+    name: product.name,
+    nameHindi: product.nameHindi,
+    image: product.image,
+    packSize,
+    price: product.prices[packSize],
+    mrp: product.mrp ? product.mrp[packSize] : product.prices[packSize],
+    reason,
+    ...(count && { count })
+});
+
+// Available products from the in-memory catalog (database first, JSON file fallback)
+// Transformed per call so sale prices follow the clock
+const loadCatalogProducts = async () => {
+    const { source, records } = await loadCatalog();
+    return records.map(record => transformRecord(source, record));
 };
 
 /**
  * Get all products with optional filters
  * GET /api/products
- * Query params: category, sort, search, limit
+ * Query params: category, sort, search, limit, cursor,
+ * minPrice, maxPrice, origin, badge, packSize, availability, lang
+ * Text fields are translated to ?lang= or the Accept-Language locale.
+ * Response includes facet counts for each filter dimension; pass nextCursor
+ * back as cursor (with the same filters and sort) for the next page
  */
 exports.getAllProducts = async (req, res) => {
     try {
-        const { category, sort, search, limit } = req.query;
-
-        // Try to get from database first
-        let products = [];
-        try {
-            products = await prisma.product.findMany({
-                where: { isAvailable: true }
-            });
-        } catch (dbError) {
-            // Database not available, use file fallback
-        }
+        const { category, sort, search, limit, cursor } = req.query;
+        const filters = parseFacetFilters(req.query);
 
-        // If no products in DB, load from JSON file
-        if (!products || products.length === 0) {
-            const fileProducts = loadProductsFromFile();
-            products = fileProducts.map(transformFileProduct);
-        } else {
-            // Transform Prisma products
-            products = products.map(p => ({
-                productId: p.productId,
-                name: p.name,
-                origin: p.origin,
-                description: p.description,
-                category: p.category,
-                benefits: p.benefits,
-                image: p.image,
-                variants: p.variants,
-                inStock: p.isAvailable,
-                rating: 4.5,
-                reviewCount: 50
-            }));
-        }
+        let products = await loadCatalogProducts();
 
-        // Apply search filter
+        // Apply search filter (results keep relevance order unless a sort is given)
         if (search) {
-            const searchLower = search.toLowerCase();
-            products = products.filter(p =>
-                p.name.toLowerCase().includes(searchLower) ||
-                (p.nameHindi && p.nameHindi.includes(search)) ||
-                (p.description && p.description.toLowerCase().includes(searchLower)) ||
-                (p.origin && p.origin.toLowerCase().includes(searchLower))
-            );
+            products = rankProducts(products, search);
         }
 
-        // Apply category filter
+        // Apply category filter (includes child categories)
         if (category && category !== 'all') {
-            products = products.filter(p => p.category === category);
+            const slugs = getCategoryWithDescendants(await loadCategories(), category);
+            products = products.filter(p => slugs.has(p.category));
         }
 
-        // Apply sorting
-        if (sort) {
-            switch (sort) {
-                case 'price-asc':
-                    products.sort((a, b) => {
-                        const priceA = a.prices ? Math.min(...Object.values(a.prices)) : 0;
-                        const priceB = b.prices ? Math.min(...Object.values(b.prices)) : 0;
-                        return priceA - priceB;
-                    });
-                    break;
-                case 'price-desc':
-                    products.sort((a, b) => {
-                        const priceA = a.prices ? Math.min(...Object.values(a.prices)) : 0;
-                        const priceB = b.prices ? Math.min(...Object.values(b.prices)) : 0;
-                        return priceB - priceA;
-                    });
-                    break;
-                case 'name-asc':
-                    products.sort((a, b) => a.name.localeCompare(b.name));
-                    break;
-                case 'name-desc':
-                    products.sort((a, b) => b.name.localeCompare(a.name));
-                    break;
-                case 'rating':
-                    products.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-                    break;
-                default:
-                    break;
-            }
-        }
+        // Apply facet filters; counts reflect the search and category above
+        const faceted = applyFacets(products, filters);
+        products = faceted.products;
 
-        // Apply limit
-        if (limit && !isNaN(limit)) {
-            products = products.slice(0, parseInt(limit));
+        // Sort once with a productId tie-breaker, then take the page after the cursor
+        const sortBy = resolveSort(sort, { searching: Boolean(search) });
+        const after = cursor ? decodeCursor(cursor, sortBy) : null;
+        if (cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor for this sort'
+            });
         }
 
+        const pageSize = limit || cursor
+            ? Math.min(MAX_PAGE_SIZE, parseInt(limit) || DEFAULT_PAGE_SIZE)
+            : null;
+        const page = paginate(sortProducts(products, sortBy), { sort: sortBy, after, limit: pageSize });
+
         res.status(200).json({
             success: true,
-            count: products.length,
-            data: products
+            count: page.items.length,
+            total: page.total,
+            nextCursor: page.nextCursor,
+            filters,
+            facets: faceted.facets,
+            data: page.items.map(p => localizeProduct(p, req.locale))
         });
 
     } catch (error) {
@@ -160,15 +309,16 @@ exports.getAllProducts = async (req, res) => {
         res.status(200).json({
             success: true,
             count: fileProducts.length,
-            data: fileProducts.map(transformFileProduct)
+            data: fileProducts.map(p => localizeProduct(transformFileProduct(p), req.locale))
         });
     }
 };
 
 /**
- * Search products
+ * Search products, ranked by relevance
  * GET /api/products/search
  * Query params: q (search query), limit
+ * Each result carries a relevance score and highlighted snippets
  */
 exports.searchProducts = async (req, res) => {
     try {
@@ -181,25 +331,14 @@ exports.searchProducts = async (req, res) => {
             });
         }
 
-        const searchLower = q.toLowerCase().trim();
-        const fileProducts = loadProductsFromFile();
-
-        let results = fileProducts
-            .map(transformFileProduct)
-            .filter(p =>
-                p.name.toLowerCase().includes(searchLower) ||
-                (p.nameHindi && p.nameHindi.includes(q)) ||
-                (p.description && p.description.toLowerCase().includes(searchLower)) ||
-                (p.origin && p.origin.toLowerCase().includes(searchLower)) ||
-                (p.culinaryUses && p.culinaryUses.some(u => u.toLowerCase().includes(searchLower)))
-            )
-            .slice(0, parseInt(limit));
+        const products = await loadCatalogProducts();
+        const results = rankProducts(products, q, { limit: parseInt(limit) || 10 });
 
         res.status(200).json({
             success: true,
             query: q,
             count: results.length,
-            data: results
+            data: results.map(p => localizeProduct(p, req.locale))
         });
 
     } catch (error) {
@@ -211,48 +350,99 @@ exports.searchProducts = async (req, res) => {
     }
 };
 
+/**
+ * Search-as-you-type suggestions
+ * GET /api/products/suggest
+ * Query params: q (partial query), limit (per group, max 8)
+ * Returns only the fields the dropdown needs
+ */
+exports.suggestProducts = async (req, res) => {
+    try {
+        const q = (req.query.q || '').trim();
+        const limit = Math.min(MAX_SUGGESTIONS, Math.max(1, parseInt(req.query.limit) || 5));
+
+        if (q.length < MIN_SUGGEST_LENGTH) {
+            return res.status(200).json({
+                success: true,
+                query: q,
+                data: { products: [], categories: [], culinaryUses: [] }
+            });
+        }
+
+        const [categories, products] = await Promise.all([
+            loadCategories(),
+            loadCatalogProducts()
+        ]);
+
+        const matches = suggest(products, categories, q, { limit });
+
+        res.status(200).json({
+            success: true,
+            query: q,
+            data: {
+                products: matches.products.map(p => {
+                    // Highlights mark the English name, so they only apply to it
+                    const { name } = localizeProduct(p, req.locale);
+                    return {
+                        productId: p.productId,
+                        name,
+                        nameHindi: p.nameHindi || null,
+                        highlight: name === p.name ? p.highlights.name || null : null
+                    };
+                }),
+                categories: matches.categories.map(c => {
+                    const slugs = getCategoryWithDescendants(categories, c.slug);
+                    return {
+                        slug: c.slug,
+                        name: c.name,
+                        icon: c.icon || null,
+                        count: products.filter(p => slugs.has(p.category)).length
+                    };
+                }),
+                culinaryUses: matches.culinaryUses
+            }
+        });
+
+    } catch (error) {
+        console.error('Error getting suggestions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error getting suggestions'
+        });
+    }
+};
+
 /**
  * Get product categories
  * GET /api/products/categories
  */
 exports.getCategories = async (req, res) => {
     try {
-        const categories = [
-            {
-                id: 'all',
-                name: 'All Products',
-                icon: '🌿',
-                count: 7
-            },
-            {
-                id: 'whole-spices',
-                name: 'Whole Spices',
-                icon: '🫚',
-                count: 7
-            },
-            {
-                id: 'ground-spices',
-                name: 'Ground Spices',
-                icon: '🧂',
-                count: 0
-            },
-            {
-                id: 'dry-fruits',
-                name: 'Dry Fruits',
-                icon: '🥜',
-                count: 0
-            },
-            {
-                id: 'gift-packs',
-                name: 'Gift Packs',
-                icon: '🎁',
-                count: 0
-            }
-        ];
+        const [categories, products, bundles] = await Promise.all([
+            loadCategories(),
+            loadCatalogProducts(),
+            loadBundles()
+        ]);
+
+        // Gift packs count towards their category alongside products
+        const counts = {};
+        for (const item of [...products, ...bundles]) {
+            counts[item.category] = (counts[item.category] || 0) + 1;
+        }
 
         res.status(200).json({
             success: true,
-            data: categories
+            data: [
+                {
+                    id: 'all',
+                    slug: 'all',
+                    name: 'All Products',
+                    icon: '🌿',
+                    count: products.length + bundles.length,
+                    children: []
+                },
+                ...buildCategoryTree(categories, counts)
+            ]
         });
 
     } catch (error) {
@@ -267,64 +457,436 @@ exports.getCategories = async (req, res) => {
 /**
  * Get single product by ID
  * GET /api/products/:id
+ * Query params: lang (defaults to the Accept-Language locale)
  */
 exports.getProductById = async (req, res) => {
+    try {
+        const found = await findCatalogProduct(req.params.id);
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: localizeProduct(transformRecord(found.source, found.record), req.locale)
+        });
+
+    } catch (error) {
+        console.error('Error getting product:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving product'
+        });
+    }
+};
+
+/**
+ * Get schema.org structured data for a product
+ * GET /api/products/:id/structured-data
+ * Query params: lang (defaults to the Accept-Language locale)
+ * Returns a JSON-LD Product with an INR Offer per pack size and, once the
+ * product has reviews, its AggregateRating
+ */
+exports.getProductStructuredData = async (req, res) => {
+    try {
+        const found = await findCatalogProduct(req.params.id);
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: buildProductJsonLd(localizeProduct(transformRecord(found.source, found.record), req.locale))
+        });
+
+    } catch (error) {
+        console.error('Error getting structured data:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving structured data'
+        });
+    }
+};
+
+/**
+ * Get "goes well with" suggestions for a product
+ * GET /api/products/:id/recommendations
+ * Query params: limit, exclude (comma-separated product IDs, e.g. the cart)
+ * Products bought together in past orders come first; products from the same
+ * category fill the remaining slots
+ */
+exports.getRecommendations = async (req, res) => {
     try {
         const { id } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_RECOMMENDATIONS, MAX_RECOMMENDATIONS);
+        const excluded = new Set(String(req.query.exclude || '').split(',').filter(Boolean));
+        excluded.add(id);
+
+        const products = await loadCatalogProducts();
+        const source = products.find(p => p.productId === id);
+
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
 
-        // Try database first
-        let product = null;
+        let related = [];
         try {
-            product = await prisma.product.findFirst({
-                where: {
-                    productId: id,
-                    isAvailable: true
+            related = rankRelated(await getAffinity(), id);
+        } catch (dbError) {
+            // No order history available, category suggestions only
+        }
+
+        const byId = new Map(products.map(p => [p.productId, p]));
+        const recommendations = [];
+        const add = (product, preferred, reason, count) => {
+            if (recommendations.length >= limit || !product || excluded.has(product.productId)) return;
+            const packSize = pickRecommendedSize(product, preferred);
+            if (!packSize) return;
+            excluded.add(product.productId);
+            recommendations.push(toRecommendation(localizeProduct(product, req.locale), packSize, reason, count));
+        };
+
+        for (const entry of related) {
+            add(byId.get(entry.productId), entry.packSizes, 'bought-together', entry.count);
+        }
+        for (const product of products.filter(p => p.category === source.category)) {
+            add(product, [], 'same-category');
+        }
+
+        res.status(200).json({
+            success: true,
+            count: recommendations.length,
+            data: recommendations
+        });
+
+    } catch (error) {
+        console.error('Error getting recommendations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving recommendations'
+        });
+    }
+};
+
+/**
+ * Create product
+ * POST /api/products (admin)
+ */
+exports.createProduct = async (req, res) => {
+    try {
+        const product = await prisma.$transaction(async (tx) => {
+            const created = await tx.product.create({
+                data: {
+                    productId: req.body.productId,
+                    ...pickProductFields(req.body, req.body.productId)
                 }
             });
-        } catch (dbError) {
-            // Database not available
+
+            await recordPriceChanges(tx, created.productId, [], getDbVariants(created), req.admin.name);
+            return created;
+        });
+        invalidateCatalog();
+
+        res.status(201).json({
+            success: true,
+            message: 'Product created successfully',
+            data: product
+        });
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                message: 'A product with this ID already exists'
+            });
+        }
+        if (error.code === 'P2003') {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown category'
+            });
         }
+        console.error('Error creating product:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating product'
+        });
+    }
+};
 
-        // Fallback to file
-        if (!product) {
-            const fileProducts = loadProductsFromFile();
-            const fileProduct = fileProducts.find(p => p.id === id);
+/**
+ * Replace or partially update product
+ * PUT /api/products/:id, PATCH /api/products/:id (admin)
+ */
+exports.updateProduct = async (req, res) => {
+    try {
+        const { id } = req.params;
 
-            if (!fileProduct) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Product not found'
-                });
+        const fields = pickProductFields(req.body, id);
+        const data = req.method === 'PUT' ? { ...PRODUCT_DEFAULTS, ...fields } : fields;
+
+        // Price and sale changes are appended to the price history
+        const product = await prisma.$transaction(async (tx) => {
+            const previous = data.variants
+                ? await tx.product.findUnique({ where: { productId: id }, select: { variants: true } })
+                : null;
+
+            const updated = await tx.product.update({
+                where: { productId: id },
+                data
+            });
+
+            if (previous) {
+                await recordPriceChanges(tx, id, getDbVariants(previous), getDbVariants(updated), req.admin.name);
             }
+            return updated;
+        });
+        invalidateCatalog();
+
+        res.status(200).json({
+            success: true,
+            message: 'Product updated successfully',
+            data: product
+        });
 
-            product = transformFileProduct(fileProduct);
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
         }
+        if (error.code === 'P2003') {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown category'
+            });
+        }
+        console.error('Error updating product:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating product'
+        });
+    }
+};
+
+/**
+ * Delete product
+ * DELETE /api/products/:id (admin)
+ * Products with reviews or batches cannot be deleted; the request is refused
+ * with 409 and the admin can mark them unavailable instead
+ */
+exports.deleteProduct = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        await prisma.product.delete({
+            where: { productId: id }
+        });
+        invalidateCatalog();
 
         res.status(200).json({
             success: true,
-            data: product
+            message: 'Product deleted successfully'
         });
 
     } catch (error) {
-        console.error('Error getting product:', error);
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+        if (error.code === 'P2003') {
+            return res.status(409).json({
+                success: false,
+                message: 'This product has reviews or batches and cannot be deleted; mark it unavailable instead'
+            });
+        }
+        console.error('Error deleting product:', error);
         res.status(500).json({
             success: false,
-            message: 'Error retrieving product'
+            message: 'Error deleting product'
+        });
+    }
+};
+
+/**
+ * Get price history
+ * GET /api/products/:id/price-history (admin)
+ * Optional ?sku= or ?packSize= narrows the history; newest first
+ */
+exports.getPriceHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { sku, packSize } = req.query;
+
+        const history = await prisma.priceHistory.findMany({
+            where: {
+                productId: id,
+                ...(sku && { sku }),
+                ...(packSize && { packSize })
+            },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+        });
+
+        res.status(200).json({
+            success: true,
+            count: history.length,
+            data: history
+        });
+
+    } catch (error) {
+        console.error('Error getting price history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving price history'
+        });
+    }
+};
+
+/**
+ * Set on-hand stock per SKU
+ * PUT /api/products/:id/stock (admin)
+ * Body: { stock: [{ sku, quantity }] }; { packSize, quantity } sets that size's default SKU
+ */
+exports.updateStock = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const product = await prisma.product.findUnique({
+            where: { productId: id }
+        });
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const variants = getDbVariants(product);
+        const unknown = req.body.stock.filter(s => !findVariant(id, variants, s));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown SKU: ${unknown.map(s => s.sku || s.packSize).join(', ')}`
+            });
+        }
+
+        const stock = req.body.stock.map(s => {
+            const variant = findVariant(id, variants, s);
+            return { sku: variantSku(id, variant), packSize: variant.packSize, quantity: s.quantity };
+        });
+
+        const rows = await prisma.$transaction(async (tx) => {
+            const existing = await tx.variantStock.findMany({
+                where: { sku: { in: stock.map(s => s.sku) } }
+            });
+            const previous = new Map(existing.map(row => [row.sku, row]));
+
+            return Promise.all(stock.map(({ sku, packSize, quantity }) => {
+                const row = previous.get(sku);
+                const wasSoldOut = !row || row.quantity - row.reserved <= 0;
+                const nowAvailable = quantity - (row ? row.reserved : 0) > 0;
+                // Marks a restock for back-in-stock notifications
+                const restocked = wasSoldOut && nowAvailable ? { restockedAt: new Date() } : {};
+
+                return tx.variantStock.upsert({
+                    where: { sku },
+                    create: { sku, productId: id, packSize, quantity, ...restocked },
+                    update: { quantity, ...restocked }
+                });
+            }));
+        });
+        invalidateCatalog();
+
+        res.status(200).json({
+            success: true,
+            message: 'Stock updated successfully',
+            data: rows.map(row => ({
+                sku: row.sku,
+                packSize: row.packSize,
+                quantity: row.quantity,
+                reserved: row.reserved,
+                available: Math.max(0, row.quantity - row.reserved)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error updating stock:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating stock'
         });
     }
 };
 
 /**
- * Get product price
+ * Get product name and price for a SKU
  * Utility function used by other controllers
+ * Reads the database directly (not the cached catalog) so admin price changes
+ * apply at checkout straight away. data/products.json prices only when the
+ * database cannot be reached or the catalog is served from the file, so a
+ * product disabled or deleted by an admin cannot be bought at file prices.
+ * @param {Object|string} line - { sku } or { packSize }; a pack size alone means its default SKU
+ * @param {Date} at - Moment to price at; sales running then apply
+ * @returns {Object|null} { name, sku, packSize, label, price (selling), mrp }, or null if unavailable
  */
-exports.getProductPrice = (productId, packSize) => {
-    const fileProducts = loadProductsFromFile();
-    const product = fileProducts.find(p => p.id === productId);
+exports.getProductVariant = async (productId, line, at = new Date()) => {
+    const wanted = typeof line === 'string' ? { packSize: line } : line;
+
+    let dbProduct = null;
+    let databaseAvailable = true;
+    try {
+        dbProduct = await prisma.product.findUnique({
+            where: { productId }
+        });
+    } catch (dbError) {
+        // Database not available, use file fallback
+        databaseAvailable = false;
+    }
 
-    if (!product || !product.prices[packSize]) {
+    if (dbProduct) {
+        if (!dbProduct.isAvailable) return null;
+        const variants = getDbVariants(dbProduct).filter(v => v.isAvailable !== false);
+        const variant = findVariant(productId, variants, wanted);
+        return variant ? toPricedVariant(productId, dbProduct.name, variant, at) : null;
+    }
+
+    // No row: the file only prices products when the catalog comes from it
+    if (databaseAvailable && (await loadCatalog()).source !== 'file') {
         return null;
     }
 
-    return product.prices[packSize];
+    const product = getFileProduct(productId);
+    const variant = product && findVariant(productId, fileProductToRecord(product).variants, wanted);
+
+    return variant ? toPricedVariant(productId, product.name, variant, at) : null;
+};
+
+/**
+ * Load available catalog products (database first, file fallback)
+ * Utility function used by other controllers
+ */
+exports.loadCatalogProducts = loadCatalogProducts;
+
+/**
+ * Get product price effective at a moment (default now)
+ * Utility function used by other controllers
+ */
+exports.getProductPrice = async (productId, line, at = new Date()) => {
+    const variant = await exports.getProductVariant(productId, line, at);
+    return variant ? variant.price : null;
 };
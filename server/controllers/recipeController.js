@@ -0,0 +1,82 @@
+/**
+ * Recipe Controller
+ * Recipes with spice ingredients linked to the catalog
+ * Using Prisma for database operations
+ */
+
+const { loadCatalogProducts } = require('./productController');
+const { loadRecipes, filterRecipes, scaleRecipe, buildSpiceLines } = require('../services/recipes');
+
+const parseList = (value) => [].concat(value || []).join(',').split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Get all recipes with optional filters
+ * GET /api/recipes
+ * Query params: tag (comma-separated, any match), maxCookTime (minutes)
+ * Response includes every tag in use for building filters
+ */
+exports.getAllRecipes = async (req, res) => {
+    try {
+        const recipes = await loadRecipes();
+        const filtered = filterRecipes(recipes, {
+            tags: parseList(req.query.tag),
+            maxCookMinutes: req.query.maxCookTime ? parseInt(req.query.maxCookTime) : null
+        });
+
+        res.status(200).json({
+            success: true,
+            count: filtered.length,
+            tags: [...new Set(recipes.flatMap(r => r.tags))].sort(),
+            data: filtered
+        });
+
+    } catch (error) {
+        console.error('Error getting recipes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving recipes'
+        });
+    }
+};
+
+/**
+ * Get single recipe, scaled to a number of servings
+ * GET /api/recipes/:id
+ * Query params: servings (defaults to the recipe's own)
+ * spices lists a cart line per spice at the smallest pack size that covers it
+ */
+exports.getRecipeById = async (req, res) => {
+    try {
+        const recipe = (await loadRecipes()).find(r => r.recipeId === req.params.id);
+
+        if (!recipe) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recipe not found'
+            });
+        }
+
+        const servings = req.query.servings ? parseInt(req.query.servings) : recipe.servings;
+        const scaled = scaleRecipe(recipe, servings);
+        const { lines, unavailable } = buildSpiceLines(scaled, await loadCatalogProducts());
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...scaled,
+                spices: {
+                    items: lines,
+                    unavailable,
+                    total: lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error getting recipe:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving recipe'
+        });
+    }
+};
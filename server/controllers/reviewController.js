@@ -0,0 +1,284 @@
+/**
+ * Review Controller
+ * Handles verified-purchase product reviews and moderation
+ * Using Prisma for database operations
+ */
+
+const { prisma } = require('../config/prisma');
+const { invalidateCatalog } = require('../services/catalog');
+
+// Orders must have reached the customer before their products can be reviewed
+// (an admin marks them delivered through PUT /api/orders/:orderId/status)
+const REVIEWABLE_ORDER_STATUSES = ['DELIVERED'];
+
+// Products an order bought, counting the spices inside gift packs
+const orderedProductIds = (items) => new Set(items
+    .flatMap(item => (item.bundleId && Array.isArray(item.components) ? item.components : [item]))
+    .map(line => line.productId));
+
+const REVIEW_SORTS = {
+    newest: [{ createdAt: 'desc' }],
+    oldest: [{ createdAt: 'asc' }],
+    'rating-high': [{ rating: 'desc' }, { createdAt: 'desc' }],
+    'rating-low': [{ rating: 'asc' }, { createdAt: 'desc' }]
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Public fields of a review
+const transformReview = (review) => ({
+    id: review.id,
+    authorName: review.authorName,
+    rating: review.rating,
+    title: review.title,
+    comment: review.comment,
+    verifiedPurchase: true,
+    createdAt: review.createdAt
+});
+
+/**
+ * Recompute cached rating aggregates on the product from approved reviews
+ * Runs inside the caller's transaction
+ */
+const refreshProductRating = async (tx, productId) => {
+    const aggregate = await tx.review.aggregate({
+        where: { productId, status: 'APPROVED' },
+        _avg: { rating: true },
+        _count: { _all: true }
+    });
+
+    const average = aggregate._avg.rating || 0;
+
+    return tx.product.update({
+        where: { productId },
+        data: {
+            ratingAverage: Math.round(average * 10) / 10,
+            reviewCount: aggregate._count._all
+        }
+    });
+};
+
+/**
+ * Submit a review for a product
+ * POST /api/products/:id/reviews
+ */
+exports.createReview = async (req, res) => {
+    try {
+        const { id: productId } = req.params;
+        const { orderId, phone, rating, title, comment, authorName } = req.body;
+
+        const product = await prisma.product.findUnique({
+            where: { productId }
+        });
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const order = await prisma.order.findUnique({
+            where: { orderId },
+            include: { customer: true }
+        });
+
+        // Same response for unknown orders and phone mismatches to avoid leaking order IDs
+        if (!order || order.customer.phone !== phone) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only verified buyers can review this product'
+            });
+        }
+
+        const items = Array.isArray(order.items) ? order.items : [];
+        if (!orderedProductIds(items).has(productId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This order does not include the product'
+            });
+        }
+
+        if (!REVIEWABLE_ORDER_STATUSES.includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You can review this product once your order is delivered'
+            });
+        }
+
+        const review = await prisma.review.create({
+            data: {
+                productId,
+                orderId,
+                authorName: authorName || order.customer.name,
+                rating,
+                title: title || null,
+                comment: comment || null
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Thank you! Your review will appear once it has been approved.',
+            data: {
+                id: review.id,
+                status: review.status
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                message: 'You have already reviewed this product for this order'
+            });
+        }
+        console.error('Error creating review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error submitting review'
+        });
+    }
+};
+
+/**
+ * List approved reviews for a product
+ * GET /api/products/:id/reviews
+ * Query params: page, limit, sort (newest, oldest, rating-high, rating-low)
+ */
+exports.getProductReviews = async (req, res) => {
+    try {
+        const { id: productId } = req.params;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+        const orderBy = REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest;
+
+        const where = { productId, status: 'APPROVED' };
+
+        const [total, reviews, product] = await Promise.all([
+            prisma.review.count({ where }),
+            prisma.review.findMany({
+                where,
+                orderBy,
+                skip: (page - 1) * limit,
+                take: limit
+            }),
+            prisma.product.findUnique({
+                where: { productId },
+                select: { ratingAverage: true, reviewCount: true }
+            })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: reviews.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            rating: {
+                average: product ? product.ratingAverage : 0,
+                count: product ? product.reviewCount : 0
+            },
+            data: reviews.map(transformReview)
+        });
+
+    } catch (error) {
+        console.error('Error getting reviews:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving reviews'
+        });
+    }
+};
+
+/**
+ * List reviews for moderation
+ * GET /api/reviews (admin)
+ * Query params: status (default PENDING), page, limit
+ */
+exports.getReviewsForModeration = async (req, res) => {
+    try {
+        const status = (req.query.status || 'PENDING').toUpperCase();
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+
+        const where = { status };
+
+        const [total, reviews] = await Promise.all([
+            prisma.review.count({ where }),
+            prisma.review.findMany({
+                where,
+                orderBy: { createdAt: 'asc' },
+                skip: (page - 1) * limit,
+                take: limit
+            })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: reviews.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: reviews
+        });
+
+    } catch (error) {
+        console.error('Error getting reviews for moderation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving reviews'
+        });
+    }
+};
+
+/**
+ * Approve or reject a review
+ * PATCH /api/reviews/:reviewId (admin)
+ */
+exports.moderateReview = async (req, res) => {
+    try {
+        const { reviewId } = req.params;
+        const { status, note } = req.body;
+
+        const review = await prisma.$transaction(async (tx) => {
+            const updated = await tx.review.update({
+                where: { id: reviewId },
+                data: {
+                    status,
+                    moderationNote: note || null,
+                    moderatedBy: req.admin.name,
+                    moderatedAt: new Date()
+                }
+            });
+
+            await refreshProductRating(tx, updated.productId);
+            return updated;
+        });
+        // Ratings are shown from the cached catalog
+        invalidateCatalog();
+
+        res.status(200).json({
+            success: true,
+            message: `Review ${status.toLowerCase()}`,
+            data: {
+                id: review.id,
+                status: review.status
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+        console.error('Error moderating review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error moderating review'
+        });
+    }
+};
@@ -0,0 +1,100 @@
+/**
+ * SEO Controller
+ * sitemap.xml generated from the catalog, recipes and published articles,
+ * and shopping feeds for marketplaces
+ */
+
+const { loadCatalog, getNextPriceChange } = require('../services/catalog');
+const { getCatalogFileModifiedAt } = require('../services/catalogFile');
+const { loadCategories } = require('../services/categories');
+const { loadRecipes } = require('../services/recipes');
+const { loadPublished } = require('../services/content');
+const { buildSitemap } = require('../services/seo');
+const { buildFeedItems, buildRssFeed, buildTsvFeed } = require('../services/productFeed');
+const { setCacheHeaders } = require('../middleware/httpCache');
+const { loadCatalogProducts } = require('./productController');
+
+const FEED_FORMATS = {
+    xml: { type: 'application/rss+xml', build: buildRssFeed },
+    tsv: { type: 'text/tab-separated-values', build: buildTsvFeed }
+};
+
+// Marketplaces fetch feeds a few times a day at most
+const FEED_CACHE = { maxAge: 300, edgeMaxAge: 3600 };
+
+// Built feeds by format: { catalog, validUntil, body }
+// Rebuilt when the catalog reloads (admin writes drop it) or a sale starts or ends
+const builtFeeds = new Map();
+
+/**
+ * Get the sitemap
+ * GET /sitemap.xml
+ * File catalog items use the modification time of data/products.json
+ */
+exports.getSitemap = async (req, res) => {
+    try {
+        const [catalog, recipes, articles] = await Promise.all([
+            loadCatalog(),
+            loadRecipes(),
+            loadPublished('articles')
+        ]);
+        const fileModifiedAt = getCatalogFileModifiedAt();
+
+        const xml = buildSitemap({
+            products: catalog.records.map(record => ({
+                productId: record.productId || record.id,
+                updatedAt: catalog.source === 'database' ? record.updatedAt : fileModifiedAt
+            })),
+            recipes: recipes.map(recipe => ({
+                recipeId: recipe.recipeId,
+                updatedAt: recipe.updatedAt || fileModifiedAt
+            })),
+            articles
+        });
+
+        res.set('Cache-Control', 'public, max-age=3600, s-maxage=3600');
+        res.type('application/xml').status(200).send(xml);
+
+    } catch (error) {
+        console.error('Error building sitemap:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error building sitemap'
+        });
+    }
+};
+
+/**
+ * Get the product feed
+ * GET /feeds/products.xml (RSS 2.0), GET /feeds/products.tsv
+ * One item per SKU in English
+ */
+exports.getProductFeed = (format) => async (req, res) => {
+    try {
+        const { type, build } = FEED_FORMATS[format];
+        const catalog = await loadCatalog();
+        const now = Date.now();
+
+        let feed = builtFeeds.get(format);
+        if (!feed || feed.catalog !== catalog || now >= feed.validUntil) {
+            const [products, categories] = await Promise.all([loadCatalogProducts(), loadCategories()]);
+            const nextChange = getNextPriceChange(new Date(now));
+            feed = {
+                catalog,
+                validUntil: nextChange ? nextChange.getTime() : Infinity,
+                body: build(buildFeedItems(products, categories))
+            };
+            builtFeeds.set(format, feed);
+        }
+
+        setCacheHeaders(res, feed.body, FEED_CACHE);
+        res.type(type).status(200).send(feed.body);
+
+    } catch (error) {
+        console.error('Error building product feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error building product feed'
+        });
+    }
+};
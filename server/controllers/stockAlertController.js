@@ -0,0 +1,77 @@
+/**
+ * Stock Alert Controller
+ * Back-in-stock subscriptions for sold-out SKUs
+ * Notifications are sent by the back-in-stock job (services/backInStock.js)
+ */
+
+const { prisma } = require('../config/prisma');
+const { getSubscriptionTtl } = require('../services/backInStock');
+const { getProductVariant } = require('./productController');
+
+/**
+ * Subscribe to a back-in-stock notification
+ * POST /api/products/:id/notify
+ * Body names a sku, or a packSize for that size's default SKU
+ * Subscribing again with the same contact refreshes the expiry
+ */
+exports.subscribe = async (req, res) => {
+    try {
+        const { id: productId } = req.params;
+        const phone = req.body.phone || null;
+        const email = req.body.email || null;
+
+        const variant = await getProductVariant(productId, { sku: req.body.sku, packSize: req.body.packSize });
+        const stock = variant
+            ? await prisma.variantStock.findUnique({ where: { sku: variant.sku } })
+            : null;
+
+        // Untracked SKUs never sell out
+        if (!stock) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product or pack size not found'
+            });
+        }
+
+        if (stock.quantity - stock.reserved > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This pack size is in stock'
+            });
+        }
+
+        const expiresAt = new Date(Date.now() + getSubscriptionTtl());
+        const { sku, packSize } = variant;
+
+        const existing = await prisma.stockSubscription.findFirst({
+            where: { sku, phone, email }
+        });
+
+        const subscription = existing
+            ? await prisma.stockSubscription.update({
+                where: { id: existing.id },
+                data: { expiresAt }
+            })
+            : await prisma.stockSubscription.create({
+                data: { productId, sku, packSize, phone, email, expiresAt }
+            });
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: 'We will let you know when it is back in stock',
+            data: {
+                productId,
+                sku,
+                packSize,
+                expiresAt: subscription.expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Error creating stock subscription:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating subscription'
+        });
+    }
+};
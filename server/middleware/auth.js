@@ -0,0 +1,68 @@
+/**
+ * Admin Authentication Middleware
+ * Protects catalog management endpoints with per-operator API keys
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse ADMIN_API_KEYS ("name:key,name:key") into a list of operators
+ */
+const getAdminKeys = () => {
+    return (process.env.ADMIN_API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return {
+                name: entry.slice(0, separator).trim(),
+                key: entry.slice(separator + 1).trim()
+            };
+        })
+        .filter(admin => admin.name && admin.key);
+};
+
+/**
+ * Constant-time comparison to avoid leaking key contents via timing
+ */
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Require a valid admin API key in the Authorization header
+ * Sets req.admin = { name } for auditing
+ */
+const requireAdmin = (req, res, next) => {
+    const admins = getAdminKeys();
+
+    // SECURITY: Admin endpoints stay closed until keys are configured
+    if (admins.length === 0) {
+        return res.status(503).json({
+            success: false,
+            message: 'Admin access not configured'
+        });
+    }
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+    const admin = token && admins.find(a => safeEqual(a.key, token));
+
+    if (!admin) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or missing admin credentials'
+        });
+    }
+
+    req.admin = { name: admin.name };
+    next();
+};
+
+module.exports = {
+    requireAdmin
+};
@@ -0,0 +1,68 @@
+/**
+ * HTTP Cache Middleware
+ * Strong ETags and Cache-Control for public catalog responses
+ *
+ * Browsers and the Vercel edge keep a response for a short while, then
+ * revalidate with If-None-Match and get a bodiless 304 when nothing changed.
+ * Lifetimes never run past the next scheduled sale start or end.
+ */
+
+const crypto = require('crypto');
+const { getNextPriceChange } = require('../services/catalog');
+
+// Seconds a response may be reused without revalidating
+const BROWSER_MAX_AGE = 60;
+const EDGE_MAX_AGE = 300;
+
+// Strong validator: any change to the body changes the tag
+const strongETag = (body) => {
+    return `"${crypto.createHash('sha256').update(body).digest('base64url')}"`;
+};
+
+// Seconds until the next sale boundary, or Infinity when none is scheduled
+const secondsUntilPriceChange = (now) => {
+    const next = getNextPriceChange(now);
+    return next ? Math.max(0, Math.floor((next.getTime() - now.getTime()) / 1000)) : Infinity;
+};
+
+/**
+ * Set the ETag and Cache-Control for a response body
+ * For handlers that send other content than JSON; Express answers 304 on
+ * res.send() when If-None-Match matches
+ * @param {Object} options - { maxAge (browsers), edgeMaxAge (shared caches) } in seconds
+ */
+const setCacheHeaders = (res, body, { maxAge = BROWSER_MAX_AGE, edgeMaxAge = EDGE_MAX_AGE } = {}) => {
+    const untilChange = secondsUntilPriceChange(new Date());
+
+    res.set('ETag', strongETag(body));
+    res.set('Cache-Control', `public, max-age=${Math.min(maxAge, untilChange)}, s-maxage=${Math.min(edgeMaxAge, untilChange)}`);
+};
+
+/**
+ * Cache successful JSON responses of the route
+ * Express answers 304 itself when If-None-Match matches the ETag set here
+ * @param {Object} options - { maxAge (browsers), edgeMaxAge (shared caches) } in seconds
+ */
+const cacheResponse = ({ maxAge = BROWSER_MAX_AGE, edgeMaxAge = EDGE_MAX_AGE } = {}) => (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (res.statusCode !== 200) {
+            return json(body);
+        }
+
+        const payload = JSON.stringify(body);
+        setCacheHeaders(res, payload, { maxAge, edgeMaxAge });
+        if (!res.get('Content-Type')) {
+            res.type('json');
+        }
+        return res.send(payload);
+    };
+
+    next();
+};
+
+module.exports = {
+    setCacheHeaders,
+    cacheResponse
+};
@@ -0,0 +1,21 @@
+/**
+ * Locale Middleware
+ * Picks the response language from ?lang= or the Accept-Language header
+ */
+
+const { resolveLocale } = require('../services/i18n');
+
+/**
+ * Set req.locale for localized responses
+ * Responses vary by Accept-Language so shared caches keep languages apart
+ */
+const detectLocale = (req, res, next) => {
+    req.locale = resolveLocale(req.query.lang, req.get('Accept-Language'));
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+};
+
+module.exports = {
+    detectLocale
+};
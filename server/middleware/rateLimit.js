@@ -67,6 +67,42 @@ const paymentRateLimiter = rateLimit({
     }
 });
 
+/**
+ * Review submission rate limiter
+ * 5 reviews per hour per IP
+ */
+const reviewRateLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message: {
+        success: false,
+        message: 'Too many reviews submitted, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => {
+        return req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip;
+    }
+});
+
+/**
+ * Back-in-stock subscription rate limiter
+ * 10 subscriptions per hour per IP
+ */
+const stockAlertRateLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    message: {
+        success: false,
+        message: 'Too many requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => {
+        return req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip;
+    }
+});
+
 /**
  * Strict rate limiter for sensitive operations
  * 3 requests per minute
@@ -105,6 +141,8 @@ module.exports = {
     generalLimiter,
     orderRateLimiter,
     paymentRateLimiter,
+    reviewRateLimiter,
+    stockAlertRateLimiter,
     strictLimiter,
     createRateLimiter
 };
@@ -3,7 +3,15 @@
  * Input validation and sanitization
  */
 
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../services/i18n');
+const { LOT_NUMBER_PATTERN, normalizeLotNumber } = require('../services/batches');
+const { SKU_PATTERN, isValidGtin } = require('../services/variants');
+const { CART_TOKEN_PATTERN, MAX_CART_LINES, MAX_LINE_QUANTITY } = require('../services/carts');
+const { COUPON_CODE_PATTERN, COUPON_TYPES, normalizeCouponCode } = require('../services/coupons');
+
+// Locales that take product translations (English lives in the main fields)
+const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
 
 /**
  * Handle validation errors
@@ -25,24 +33,109 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+const lineAt = (req, path) => req.body.items[Number(path.match(/^items\[(\d+)\]/)[1])];
+
+// Cart and order lines are a product SKU unless they name a bundle
+const isProductLine = (value, { req, path }) => {
+    const line = lineAt(req, path);
+    return !(line && line.bundleId);
+};
+
+// Lines saved before SKUs name a pack size instead
+const needsPackSize = (value, meta) => {
+    const line = lineAt(meta.req, meta.path);
+    return isProductLine(value, meta) && !(line && line.sku);
+};
+
+// Optional promo code on cart validation and orders
+const couponCodeRule = () => body('couponCode')
+    .optional({ nullable: true, checkFalsy: true })
+    .customSanitizer(normalizeCouponCode)
+    .matches(COUPON_CODE_PATTERN)
+    .withMessage('This code is not valid');
+
 /**
  * Validate cart items
+ * couponCode and phone are only read by cart validation
  */
 const validateCartItems = [
     body('items')
         .isArray({ min: 1 })
         .withMessage('Cart must contain at least one item'),
+    body('items.*.bundleId')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^[a-z0-9-]+$/)
+        .withMessage('Invalid gift pack ID'),
     body('items.*.productId')
+        .if(isProductLine)
         .trim()
         .notEmpty()
         .withMessage('Product ID is required'),
+    body('items.*.sku')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(SKU_PATTERN)
+        .withMessage('Invalid SKU'),
     body('items.*.packSize')
+        .if(needsPackSize)
         .trim()
         .notEmpty()
-        .withMessage('Pack size is required'),
+        .withMessage('SKU or pack size is required'),
     body('items.*.quantity')
         .isInt({ min: 1, max: 100 })
-        .withMessage('Quantity must be between 1 and 100'),
+        .withMessage('Quantity must be between 1 and 100')
+        .toInt(),
+    couponCodeRule(),
+    body('phone')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Phone number must be 10 digits'),
+    handleValidationErrors
+];
+
+// Line lists a cart sync sends: the device's cart and the one from its last sync
+const CART_SYNC_LISTS = ['items', 'savedItems', 'base.items', 'base.savedItems'];
+
+/**
+ * Validate cart sync
+ * Lists may be empty; each line names a gift pack or a product SKU (or pack size)
+ * phone is optional and attaches the token's cart to that customer
+ */
+const validateCartSync = [
+    body('token')
+        .optional({ nullable: true })
+        .matches(CART_TOKEN_PATTERN)
+        .withMessage('Invalid cart token'),
+    body('phone')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Phone number must be 10 digits'),
+    body('base')
+        .optional()
+        .isObject()
+        .withMessage('Base must be an object with items and savedItems'),
+    body(CART_SYNC_LISTS)
+        .optional()
+        .isArray({ max: MAX_CART_LINES })
+        .withMessage(`Cart lists may hold up to ${MAX_CART_LINES} lines`),
+    body(CART_SYNC_LISTS.map(list => `${list}.*`))
+        .custom(line => Boolean(line && (line.bundleId || (line.productId && (line.sku || line.packSize)))))
+        .withMessage('Each line needs a gift pack ID, or a product ID with a SKU or pack size'),
+    body(CART_SYNC_LISTS.map(list => `${list}.*.sku`))
+        .optional({ checkFalsy: true })
+        .matches(SKU_PATTERN)
+        .withMessage('Invalid SKU'),
+    body(CART_SYNC_LISTS.map(list => `${list}.*.bundleId`))
+        .optional({ checkFalsy: true })
+        .matches(/^[a-z0-9-]+$/)
+        .withMessage('Invalid gift pack ID'),
+    body(CART_SYNC_LISTS.map(list => `${list}.*.quantity`))
+        .isInt({ min: 1, max: MAX_LINE_QUANTITY })
+        .withMessage(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`)
+        .toInt(),
     handleValidationErrors
 ];
 
@@ -116,17 +209,30 @@ const validateOrder = [
     body('items')
         .isArray({ min: 1 })
         .withMessage('Order must contain at least one item'),
+    body('items.*.bundleId')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^[a-z0-9-]+$/)
+        .withMessage('Invalid gift pack ID'),
     body('items.*.productId')
+        .if(isProductLine)
         .trim()
         .notEmpty()
         .withMessage('Product ID is required'),
+    body('items.*.sku')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(SKU_PATTERN)
+        .withMessage('Invalid SKU'),
     body('items.*.packSize')
+        .if(needsPackSize)
         .trim()
         .notEmpty()
-        .withMessage('Pack size is required'),
+        .withMessage('SKU or pack size is required'),
     body('items.*.quantity')
         .isInt({ min: 1, max: 100 })
-        .withMessage('Quantity must be between 1 and 100'),
+        .withMessage('Quantity must be between 1 and 100')
+        .toInt(),
 
     // Delivery slot validation
     body('deliverySlot')
@@ -144,6 +250,867 @@ const validateOrder = [
         .isIn(['online', 'cod'])
         .withMessage('Invalid payment method'),
 
+    couponCodeRule(),
+
+    // Cart the order was placed from, linked to the customer
+    body('cartToken')
+        .optional({ nullable: true })
+        .matches(CART_TOKEN_PATTERN)
+        .withMessage('Invalid cart token'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validate product variants (SKUs with options and prices)
+ * Shared by product create, replace and partial update
+ */
+const productVariantRules = (optional) => [
+    (optional ? body('variants').optional() : body('variants'))
+        .isArray({ min: 1 })
+        .withMessage('Product must have at least one variant')
+        .bail()
+        .custom((variants) => {
+            const combinations = variants.map(v => v && [v.form || '', v.grade || '', v.packSize].join('|'));
+            if (new Set(combinations).size !== combinations.length) {
+                throw new Error('Each form, grade and pack size combination must be unique');
+            }
+            const skus = variants.map(v => v && v.sku).filter(Boolean);
+            if (new Set(skus).size !== skus.length) {
+                throw new Error('SKUs must be unique');
+            }
+            return true;
+        }),
+    body('variants.*.sku')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(SKU_PATTERN)
+        .withMessage('SKU must be a lowercase slug'),
+    body(['variants.*.form', 'variants.*.grade'])
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 40 })
+        .withMessage('Option values must be at most 40 characters'),
+    body('variants.*.packSize')
+        .trim()
+        .matches(/^\d+(?:\.\d+)?(?:g|kg)$/i)
+        .withMessage('Pack size must look like 50g or 1kg'),
+    body('variants.*.image')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Image path too long'),
+    body('variants.*.gtin')
+        .optional({ checkFalsy: true })
+        .trim()
+        .custom(isValidGtin)
+        .withMessage('GTIN must be 8, 12, 13 or 14 digits with a valid check digit'),
+    body('variants.*.price')
+        .isFloat({ min: 1, max: 100000 })
+        .withMessage('Price must be between 1 and 100000')
+        .toFloat(),
+    body('variants.*.isAvailable')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Variant availability must be true or false'),
+
+    // Scheduled sales: [{ price, startsAt, endsAt }], endsAt may be null
+    body('variants.*.sales')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Sales must be a list of up to 20 entries'),
+    body('variants.*.sales.*.price')
+        .isFloat({ min: 1, max: 100000 })
+        .withMessage('Sale price must be between 1 and 100000')
+        .toFloat(),
+    body('variants.*.sales.*.startsAt')
+        .isISO8601()
+        .withMessage('Sale start must be an ISO 8601 date'),
+    body('variants.*.sales.*.endsAt')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Sale end must be an ISO 8601 date'),
+    body('variants.*')
+        .custom((variant) => {
+            const sales = variant && Array.isArray(variant.sales) ? variant.sales : [];
+            return sales.every(sale => Number(sale.price) < Number(variant.price) &&
+                (!sale.endsAt || new Date(sale.endsAt) > new Date(sale.startsAt)));
+        })
+        .withMessage('Sale prices must be below the regular price and end after they start')
+];
+
+/**
+ * Validate per-locale product translations ({ hi: { name, ... }, kn: { ... } })
+ */
+const productTranslationRules = () => [
+    body('translations')
+        .optional()
+        .isObject()
+        .withMessage('Translations must be an object keyed by locale')
+        .bail()
+        .custom(value => Object.keys(value).every(locale => TRANSLATION_LOCALES.includes(locale)))
+        .withMessage(`Translations are supported for ${TRANSLATION_LOCALES.join(', ')}`),
+    body('translations.*.name')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Translated name too long'),
+    body('translations.*.description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Translated description too long'),
+    body('translations.*.storageTips')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Translated storage tips too long'),
+    body(['translations.*.culinaryUses', 'translations.*.healthBenefits', 'translations.*.purityIndicators'])
+        .optional()
+        .isArray()
+        .withMessage('Must be a list')
+];
+
+/**
+ * Validate product fields
+ * When optional is true every field may be omitted (PATCH)
+ */
+const productFieldRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Product name is required')
+            .isLength({ max: 100 })
+            .withMessage('Product name too long'),
+        field('category')
+            .trim()
+            .notEmpty()
+            .withMessage('Category is required')
+            .matches(/^[a-z0-9-]+$/)
+            .withMessage('Category must be a lowercase slug'),
+        body('description')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 2000 })
+            .withMessage('Description too long'),
+        body('origin')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Origin too long'),
+        body('image')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Image path too long'),
+        body('nameHindi')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Hindi name too long'),
+        body('badge')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 30 })
+            .withMessage('Badge too long'),
+        body('storageTips')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 1000 })
+            .withMessage('Storage tips too long'),
+        body(['benefits', 'culinaryUses', 'purityIndicators'])
+            .optional()
+            .isArray()
+            .withMessage('Must be a list'),
+        ...productTranslationRules(),
+        body('isAvailable')
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage('isAvailable must be true or false'),
+        body('isFeatured')
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage('isFeatured must be true or false'),
+        ...productVariantRules(optional)
+    ];
+};
+
+/**
+ * Validate product creation
+ */
+const validateProduct = [
+    body('productId')
+        .trim()
+        .notEmpty()
+        .withMessage('Product ID is required')
+        .matches(/^[a-z0-9-]+$/)
+        .withMessage('Product ID must be a lowercase slug'),
+    ...productFieldRules(false),
+    handleValidationErrors
+];
+
+/**
+ * Validate full product replacement (PUT)
+ */
+const validateProductReplace = [
+    ...productFieldRules(false),
+    handleValidationErrors
+];
+
+/**
+ * Validate partial product update (PATCH)
+ */
+const validateProductPatch = [
+    ...productFieldRules(true),
+    handleValidationErrors
+];
+
+/**
+ * Validate bundle fields
+ * A bundle has either its own price or a percentage discount
+ * When optional is true every field may be omitted (PATCH)
+ */
+const bundleFieldRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Bundle name is required')
+            .isLength({ max: 100 })
+            .withMessage('Bundle name too long'),
+        body('category')
+            .optional()
+            .trim()
+            .matches(/^[a-z0-9-]+$/)
+            .withMessage('Category must be a lowercase slug'),
+        body('description')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 2000 })
+            .withMessage('Description too long'),
+        body('image')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Image path too long'),
+        field('components')
+            .isArray({ min: 2, max: 20 })
+            .withMessage('A bundle needs between 2 and 20 components'),
+        body('components.*.productId')
+            .trim()
+            .notEmpty()
+            .withMessage('Component product ID is required'),
+        body('components.*.sku')
+            .optional({ checkFalsy: true })
+            .trim()
+            .matches(SKU_PATTERN)
+            .withMessage('Invalid component SKU'),
+        body('components.*.packSize')
+            .trim()
+            .notEmpty()
+            .withMessage('Component pack size is required'),
+        body('components.*.quantity')
+            .optional()
+            .isInt({ min: 1, max: 20 })
+            .withMessage('Component quantity must be between 1 and 20')
+            .toInt(),
+        body('price')
+            .optional({ nullable: true })
+            .isFloat({ min: 0 })
+            .withMessage('Price must be a positive number')
+            .toFloat(),
+        body('discountPercent')
+            .optional({ nullable: true })
+            .isFloat({ gt: 0, lt: 100 })
+            .withMessage('Discount must be between 0 and 100 percent')
+            .toFloat(),
+        body()
+            .custom(value => !(value.price != null && value.discountPercent != null))
+            .withMessage('Set either a price or a discount, not both'),
+        body()
+            .custom(value => optional || value.price != null || value.discountPercent != null)
+            .withMessage('A price or discount is required'),
+        body('isAvailable')
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage('isAvailable must be true or false')
+    ];
+};
+
+/**
+ * Validate bundle creation
+ */
+const validateBundle = [
+    body('bundleId')
+        .trim()
+        .notEmpty()
+        .withMessage('Bundle ID is required')
+        .matches(/^[a-z0-9-]+$/)
+        .withMessage('Bundle ID must be a lowercase slug'),
+    ...bundleFieldRules(false),
+    handleValidationErrors
+];
+
+/**
+ * Validate partial bundle update (PATCH)
+ */
+const validateBundlePatch = [
+    ...bundleFieldRules(true),
+    handleValidationErrors
+];
+
+const ARTICLE_SECTIONS = ['tips', 'quality', 'about'];
+
+// Publishing fields shared by every content type
+const publishingRules = () => [
+    body('status')
+        .optional()
+        .toUpperCase()
+        .isIn(['DRAFT', 'PUBLISHED'])
+        .withMessage('Status must be DRAFT or PUBLISHED'),
+    body('publishedAt')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Publish date must be an ISO 8601 date')
+];
+
+/**
+ * Validate article fields
+ */
+const articleFieldRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('slug')
+            .trim()
+            .matches(/^[a-z0-9-]+$/)
+            .withMessage('Slug must be a lowercase slug'),
+        field('section')
+            .isIn(ARTICLE_SECTIONS)
+            .withMessage(`Section must be one of ${ARTICLE_SECTIONS.join(', ')}`),
+        field('title')
+            .trim()
+            .notEmpty()
+            .withMessage('Title is required')
+            .isLength({ max: 200 })
+            .withMessage('Title too long'),
+        body('summary')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Summary too long'),
+        field('body')
+            .trim()
+            .notEmpty()
+            .withMessage('Body is required')
+            .isLength({ max: 50000 })
+            .withMessage('Body too long'),
+        body('image')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Image path too long'),
+        body('tags')
+            .optional()
+            .isArray({ max: 20 })
+            .withMessage('Tags must be a list of up to 20'),
+        body('tags.*')
+            .trim()
+            .matches(/^[a-z0-9-]+$/)
+            .withMessage('Tags must be lowercase slugs')
+    ];
+};
+
+/**
+ * Validate testimonial fields
+ */
+const testimonialFieldRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Name is required')
+            .isLength({ max: 100 })
+            .withMessage('Name too long'),
+        body('role')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Role too long'),
+        body('rating')
+            .optional()
+            .isInt({ min: 1, max: 5 })
+            .withMessage('Rating must be between 1 and 5')
+            .toInt(),
+        field('text')
+            .trim()
+            .notEmpty()
+            .withMessage('Text is required')
+            .isLength({ max: 1000 })
+            .withMessage('Text too long'),
+        body('initials')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 3 })
+            .withMessage('Initials must be at most 3 characters'),
+        body('sortOrder')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Sort order must be 0 or more')
+            .toInt()
+    ];
+};
+
+/**
+ * Validate homepage stat fields
+ */
+const statFieldRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('key')
+            .trim()
+            .matches(/^[a-z0-9-]+$/)
+            .withMessage('Key must be a lowercase slug'),
+        field('number')
+            .trim()
+            .notEmpty()
+            .withMessage('Number is required')
+            .isLength({ max: 20 })
+            .withMessage('Number too long'),
+        field('label')
+            .trim()
+            .notEmpty()
+            .withMessage('Label is required')
+            .isLength({ max: 60 })
+            .withMessage('Label too long'),
+        body('sortOrder')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Sort order must be 0 or more')
+            .toInt()
+    ];
+};
+
+const CONTENT_FIELD_RULES = {
+    articles: articleFieldRules,
+    testimonials: testimonialFieldRules,
+    stats: statFieldRules
+};
+
+// Run the rules for the content type in the route (:type)
+const contentValidator = (optional) => {
+    const rules = Object.fromEntries(Object.entries(CONTENT_FIELD_RULES)
+        .map(([type, fieldRules]) => [type, [...fieldRules(optional), ...publishingRules()]]));
+
+    return async (req, res, next) => {
+        await Promise.all(rules[req.params.type].map(rule => rule.run(req)));
+        handleValidationErrors(req, res, next);
+    };
+};
+
+/**
+ * Validate content creation
+ */
+const validateContent = contentValidator(false);
+
+/**
+ * Validate partial content update (PATCH)
+ */
+const validateContentPatch = contentValidator(true);
+
+/**
+ * Content listing filters
+ */
+const validateContentQuery = [
+    query('section')
+        .optional({ checkFalsy: true })
+        .isIn(ARTICLE_SECTIONS)
+        .withMessage(`Section must be one of ${ARTICLE_SECTIONS.join(', ')}`),
+    query('status')
+        .optional({ checkFalsy: true })
+        .toUpperCase()
+        .isIn(['DRAFT', 'PUBLISHED'])
+        .withMessage('Status must be DRAFT or PUBLISHED'),
+    handleValidationErrors
+];
+
+/**
+ * Validate review submission
+ */
+const validateReview = [
+    body('orderId')
+        .trim()
+        .notEmpty()
+        .withMessage('Order ID is required'),
+    body('phone')
+        .trim()
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Phone number must be 10 digits'),
+    body('rating')
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Rating must be between 1 and 5')
+        .toInt(),
+    body('authorName')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters')
+        .escape(),
+    body('title')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Title too long')
+        .escape(),
+    body('comment')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Review too long')
+        .escape(),
+    handleValidationErrors
+];
+
+/**
+ * Validate review moderation
+ */
+const validateReviewModeration = [
+    body('status')
+        .isIn(['APPROVED', 'REJECTED'])
+        .withMessage('Status must be APPROVED or REJECTED'),
+    body('note')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note too long'),
+    handleValidationErrors
+];
+
+/**
+ * Validate review moderation queue filters
+ */
+const validateReviewQuery = [
+    query('status')
+        .optional()
+        .toUpperCase()
+        .isIn(['PENDING', 'APPROVED', 'REJECTED'])
+        .withMessage('Invalid review status'),
+    handleValidationErrors
+];
+
+/**
+ * Stock levels per SKU (admin)
+ * An entry with a packSize instead of a sku sets that size's default SKU
+ */
+const validateStockUpdate = [
+    body('stock')
+        .isArray({ min: 1 })
+        .withMessage('Stock must be a non-empty array')
+        .bail()
+        .custom(stock => new Set(stock.map(s => s && (s.sku || s.packSize))).size === stock.length)
+        .withMessage('Each SKU may appear once'),
+    body('stock.*.sku')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(SKU_PATTERN)
+        .withMessage('Invalid SKU'),
+    body('stock.*')
+        .custom(entry => Boolean(entry && (entry.sku || entry.packSize)))
+        .withMessage('SKU or pack size is required'),
+    body('stock.*.quantity')
+        .isInt({ min: 0, max: 100000 })
+        .withMessage('Quantity must be a whole number of 0 or more')
+        .toInt(),
+    handleValidationErrors
+];
+
+/**
+ * Back-in-stock subscription
+ * A phone number, an email address or both
+ */
+const validateStockSubscription = [
+    body('sku')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(SKU_PATTERN)
+        .withMessage('Invalid SKU'),
+    body('packSize')
+        .if(body('sku').not().exists({ values: 'falsy' }))
+        .trim()
+        .notEmpty()
+        .withMessage('SKU or pack size is required'),
+    body('phone')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Phone number must be 10 digits'),
+    body('email')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isEmail()
+        .withMessage('Invalid email address')
+        .normalizeEmail(),
+    body()
+        .custom(value => Boolean(value && (value.phone || value.email)))
+        .withMessage('Phone number or email is required'),
+    handleValidationErrors
+];
+
+/**
+ * Validate batch fields
+ * Date order (harvest, packing, expiry) is checked against the stored batch on update
+ */
+const batchFieldRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+    const percent = (name, label) => body(name)
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .withMessage(`${label} must be a percentage`)
+        .toFloat();
+
+    return [
+        ...(optional ? [] : [
+            body('lotNumber')
+                .customSanitizer(normalizeLotNumber)
+                .matches(LOT_NUMBER_PATTERN)
+                .withMessage('Lot number must be 3-40 letters, digits or dashes'),
+            body('productId')
+                .trim()
+                .notEmpty()
+                .withMessage('Product ID is required')
+        ]),
+        field('farm')
+            .trim()
+            .notEmpty()
+            .withMessage('Farm is required')
+            .isLength({ max: 120 })
+            .withMessage('Farm name too long'),
+        body('region')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 120 })
+            .withMessage('Region too long'),
+        field('harvestedAt')
+            .isISO8601()
+            .withMessage('Harvest date must be a valid date'),
+        field('packedAt')
+            .isISO8601()
+            .withMessage('Packing date must be a valid date'),
+        field('expiresAt')
+            .isISO8601()
+            .withMessage('Expiry date must be a valid date'),
+        percent('moisturePercent', 'Moisture'),
+        percent('volatileOilPercent', 'Volatile oil'),
+        body('labName')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 120 })
+            .withMessage('Lab name too long'),
+        body('testedAt')
+            .optional({ nullable: true })
+            .isISO8601()
+            .withMessage('Test date must be a valid date'),
+        body('reportUrl')
+            .optional({ nullable: true })
+            .isURL({ protocols: ['https'], require_protocol: true })
+            .withMessage('Report URL must be an https link'),
+        body('notes')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 1000 })
+            .withMessage('Notes too long'),
+        handleValidationErrors
+    ];
+};
+
+/**
+ * Coupon fields; on partial updates every field is optional
+ * Rules between fields (value for the type, end after start) are checked by
+ * couponRulesError in the controller
+ */
+const couponFieldRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+    const limit = (name) => body(name)
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Usage limits must be positive whole numbers')
+        .toInt();
+    const amount = (name, label) => body(name)
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100000 })
+        .withMessage(`${label} must be between 0 and 100000`)
+        .toFloat();
+
+    return [
+        ...(optional ? [] : [
+            body('code')
+                .customSanitizer(normalizeCouponCode)
+                .matches(COUPON_CODE_PATTERN)
+                .withMessage('Code must be 3-30 letters, digits, dashes or underscores')
+        ]),
+        field('type')
+            .isIn(COUPON_TYPES)
+            .withMessage(`Type must be one of ${COUPON_TYPES.join(', ')}`),
+        amount('value', 'Value'),
+        amount('maxDiscount', 'Maximum discount'),
+        amount('minSubtotal', 'Minimum subtotal'),
+        body('description')
+            .optional({ nullable: true })
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Description too long'),
+        body(['productIds', 'categories'])
+            .optional()
+            .isArray({ max: 100 })
+            .withMessage('Products and categories must be lists'),
+        body(['productIds.*', 'categories.*'])
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Product IDs and category slugs must be non-empty'),
+        limit('usageLimit'),
+        limit('perCustomerLimit'),
+        body(['startsAt', 'endsAt'])
+            .optional({ nullable: true })
+            .isISO8601()
+            .withMessage('Start and end must be valid dates'),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be true or false')
+            .toBoolean(),
+        handleValidationErrors
+    ];
+};
+
+/**
+ * Validate coupon creation
+ */
+const validateCoupon = couponFieldRules(false);
+
+/**
+ * Validate partial coupon update (PATCH)
+ */
+const validateCouponPatch = [
+    body('code')
+        .not()
+        .exists()
+        .withMessage('Code cannot be changed'),
+    ...couponFieldRules(true)
+];
+
+/**
+ * Validate batch creation
+ */
+const validateBatch = batchFieldRules(false);
+
+/**
+ * Validate partial batch update (PATCH)
+ * The lot number and product cannot change once packs are printed
+ */
+const validateBatchPatch = [
+    body(['lotNumber', 'productId'])
+        .not()
+        .exists()
+        .withMessage('Lot number and product cannot be changed'),
+    ...batchFieldRules(true)
+];
+
+/**
+ * Lots packed into an order
+ * packSize is optional; without it the lot covers every size of the product
+ */
+const validateBatchAssignment = [
+    body('batches')
+        .isArray({ min: 1 })
+        .withMessage('Batches must be a non-empty array'),
+    body('batches.*.productId')
+        .trim()
+        .notEmpty()
+        .withMessage('Product ID is required'),
+    body('batches.*.packSize')
+        .optional({ nullable: true })
+        .trim(),
+    body('batches.*.lotNumber')
+        .customSanitizer(normalizeLotNumber)
+        .matches(LOT_NUMBER_PATTERN)
+        .withMessage('Invalid lot number'),
+    handleValidationErrors
+];
+
+/**
+ * Validate an order status change (admin)
+ */
+const validateOrderStatus = [
+    body('status')
+        .isIn(['DISPATCHED', 'DELIVERED'])
+        .withMessage('Status must be DISPATCHED or DELIVERED'),
+    body('note')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Note must be at most 200 characters'),
+    handleValidationErrors
+];
+
+/**
+ * Product listing filters
+ */
+const validateProductQuery = [
+    query(['minPrice', 'maxPrice'])
+        .optional({ checkFalsy: true })
+        .isFloat({ min: 0 })
+        .withMessage('Price filters must be positive numbers'),
+    query('maxPrice')
+        .optional({ checkFalsy: true })
+        .custom((value, { req }) => !req.query.minPrice || parseFloat(value) >= parseFloat(req.query.minPrice))
+        .withMessage('maxPrice must not be less than minPrice'),
+    query('availability')
+        .optional({ checkFalsy: true })
+        .custom(value => [].concat(value).join(',').split(',').every(v => ['in-stock', 'out-of-stock'].includes(v.trim())))
+        .withMessage('Availability must be in-stock or out-of-stock'),
+    query('limit')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 1 })
+        .withMessage('Limit must be a positive integer'),
+    query('cursor')
+        .optional({ checkFalsy: true })
+        .isBase64({ urlSafe: true })
+        .withMessage('Invalid cursor'),
+    handleValidationErrors
+];
+
+/**
+ * Recipe listing filters
+ */
+const validateRecipeQuery = [
+    query('tag')
+        .optional({ checkFalsy: true })
+        .custom(value => [].concat(value).join(',').split(',').every(tag => /^[a-z0-9-]*$/.test(tag.trim())))
+        .withMessage('Tags must be lowercase slugs'),
+    query('maxCookTime')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 1, max: 1440 })
+        .withMessage('Cook time must be between 1 and 1440 minutes'),
+    handleValidationErrors
+];
+
+/**
+ * Recipe servings
+ */
+const validateRecipeServings = [
+    query('servings')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Servings must be between 1 and 50'),
     handleValidationErrors
 ];
 
@@ -193,7 +1160,30 @@ const sanitizeInput = (req, res, next) => {
 
 module.exports = {
     validateCartItems,
+    validateCartSync,
     validateOrder,
+    validateProduct,
+    validateProductReplace,
+    validateProductPatch,
+    validateBundle,
+    validateBundlePatch,
+    validateContent,
+    validateContentPatch,
+    validateContentQuery,
+    validateReview,
+    validateReviewModeration,
+    validateReviewQuery,
+    validateProductQuery,
+    validateRecipeQuery,
+    validateRecipeServings,
+    validateStockUpdate,
+    validateStockSubscription,
+    validateBatch,
+    validateBatchPatch,
+    validateBatchAssignment,
+    validateOrderStatus,
+    validateCoupon,
+    validateCouponPatch,
     sanitizeInput,
     handleValidationErrors
 };
@@ -0,0 +1,34 @@
+/**
+ * Admin Routes
+ * Catalog tools and promo codes for the ops team
+ */
+
+const express = require('express');
+const router = express.Router();
+const catalogCsvController = require('../controllers/catalogCsvController');
+const couponController = require('../controllers/couponController');
+const { requireAdmin } = require('../middleware/auth');
+const { validateCoupon, validateCouponPatch } = require('../middleware/validation');
+
+router.use(requireAdmin);
+
+// GET /api/admin/products/export.csv - Price list, one row per SKU
+router.get('/products/export.csv', catalogCsvController.exportProducts);
+
+// POST /api/admin/products/import - Update prices and SKUs from a CSV (all or nothing)
+router.post(
+    '/products/import',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+    catalogCsvController.importProducts
+);
+
+// GET /api/admin/coupons - Coupons with their uses so far
+router.get('/coupons', couponController.getCoupons);
+
+// POST /api/admin/coupons - Create coupon
+router.post('/coupons', validateCoupon, couponController.createCoupon);
+
+// PATCH /api/admin/coupons/:code - Update coupon (the code cannot change)
+router.patch('/coupons/:code', validateCouponPatch, couponController.updateCoupon);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * Batches Routes
+ * Lot traceability: public quality reports and batch management
+ */
+
+const express = require('express');
+const router = express.Router();
+const batchController = require('../controllers/batchController');
+const { requireAdmin } = require('../middleware/auth');
+const { validateBatch, validateBatchPatch } = require('../middleware/validation');
+
+// GET /api/batches - List batches, optionally for one ?productId= (admin)
+router.get('/', requireAdmin, batchController.getBatchesForAdmin);
+
+// GET /api/batches/:lot - Quality report for the lot on a pack
+router.get('/:lot', batchController.getBatchReport);
+
+// POST /api/batches - Create batch (admin)
+router.post('/', requireAdmin, validateBatch, batchController.createBatch);
+
+// PATCH /api/batches/:lot - Update batch details or lab results (admin)
+router.patch('/:lot', requireAdmin, validateBatchPatch, batchController.updateBatch);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Bundles Routes
+ * API endpoints for gift packs and product bundles
+ */
+
+const express = require('express');
+const router = express.Router();
+const bundleController = require('../controllers/bundleController');
+const { requireAdmin } = require('../middleware/auth');
+const { validateBundle, validateBundlePatch } = require('../middleware/validation');
+
+// GET /api/bundles - List available gift packs (optional ?category=)
+router.get('/', bundleController.getAllBundles);
+
+// GET /api/bundles/:id - Get single gift pack with priced components
+router.get('/:id', bundleController.getBundleById);
+
+// POST /api/bundles - Create gift pack (admin)
+router.post('/', requireAdmin, validateBundle, bundleController.createBundle);
+
+// PATCH /api/bundles/:id - Update gift pack (admin)
+router.patch('/:id', requireAdmin, validateBundlePatch, bundleController.updateBundle);
+
+// DELETE /api/bundles/:id - Delete gift pack (admin)
+router.delete('/:id', requireAdmin, bundleController.deleteBundle);
+
+module.exports = router;
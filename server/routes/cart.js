@@ -1,12 +1,12 @@
 /**
  * Cart Routes
- * API endpoints for cart validation and calculation
+ * API endpoints for cart validation, calculation and sync between devices
  */
 
 const express = require('express');
 const router = express.Router();
-const { validateCart, calculateTotals } = require('../controllers/cartController');
-const { validateCartItems } = require('../middleware/validation');
+const { validateCart, calculateTotals, syncCart } = require('../controllers/cartController');
+const { validateCartItems, validateCartSync } = require('../middleware/validation');
 
 // POST /api/cart/validate - Validate cart items and prices
 router.post('/validate', validateCartItems, validateCart);
@@ -14,4 +14,7 @@ router.post('/validate', validateCartItems, validateCart);
 // POST /api/cart/calculate - Calculate cart totals
 router.post('/calculate', validateCartItems, calculateTotals);
 
+// POST /api/cart/sync - Merge this device's cart with the server copy
+router.post('/sync', validateCartSync, syncCart);
+
 module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Content Routes
+ * API endpoints for articles, testimonials and homepage stats
+ */
+
+const express = require('express');
+const router = express.Router();
+const contentController = require('../controllers/contentController');
+const { requireAdmin } = require('../middleware/auth');
+const { validateContent, validateContentPatch, validateContentQuery } = require('../middleware/validation');
+
+// Content types managed through the admin endpoints
+const TYPE = ':type(articles|testimonials|stats)';
+
+// GET /api/content/articles - List published articles (optional ?section= and ?tag=)
+router.get('/articles', validateContentQuery, contentController.getArticles);
+
+// GET /api/content/articles/:slug - Get a published article
+router.get('/articles/:slug', contentController.getArticleBySlug);
+
+// GET /api/content/testimonials - List published testimonials
+router.get('/testimonials', contentController.getTestimonials);
+
+// GET /api/content/stats - List published homepage stats
+router.get('/stats', contentController.getStats);
+
+// GET /api/content/admin/:type - List content including drafts (admin)
+router.get(`/admin/${TYPE}`, requireAdmin, validateContentQuery, contentController.getContentForAdmin);
+
+// POST /api/content/admin/:type - Create content (admin)
+router.post(`/admin/${TYPE}`, requireAdmin, validateContent, contentController.createContent);
+
+// PATCH /api/content/admin/:type/:id - Update, publish or unpublish content (admin)
+router.patch(`/admin/${TYPE}/:id`, requireAdmin, validateContentPatch, contentController.updateContent);
+
+// DELETE /api/content/admin/:type/:id - Delete content (admin)
+router.delete(`/admin/${TYPE}/:id`, requireAdmin, contentController.deleteContent);
+
+module.exports = router;
@@ -6,7 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
-const { validateOrder } = require('../middleware/validation');
+const { requireAdmin } = require('../middleware/auth');
+const { validateOrder, validateBatchAssignment, validateOrderStatus } = require('../middleware/validation');
 const { orderRateLimiter } = require('../middleware/rateLimit');
 
 // POST /api/orders - Create new order
@@ -18,6 +19,12 @@ router.get('/:orderId', orderController.getOrder);
 // POST /api/orders/:orderId/cancel - Cancel order
 router.post('/:orderId/cancel', orderController.cancelOrder);
 
+// PUT /api/orders/:orderId/batches - Record the lots an order is packed from (admin)
+router.put('/:orderId/batches', requireAdmin, validateBatchAssignment, orderController.assignOrderBatches);
+
+// PUT /api/orders/:orderId/status - Mark an order dispatched or delivered (admin)
+router.put('/:orderId/status', requireAdmin, validateOrderStatus, orderController.updateOrderStatus);
+
 // GET /api/orders/phone/:phone - Get orders by phone number
 router.get('/phone/:phone', orderController.getOrdersByPhone);
 
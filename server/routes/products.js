@@ -6,17 +6,71 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const reviewController = require('../controllers/reviewController');
+const stockAlertController = require('../controllers/stockAlertController');
+const { requireAdmin } = require('../middleware/auth');
+const { detectLocale } = require('../middleware/locale');
+const { cacheResponse } = require('../middleware/httpCache');
+const { reviewRateLimiter, stockAlertRateLimiter } = require('../middleware/rateLimit');
+const {
+    validateProduct,
+    validateProductReplace,
+    validateProductPatch,
+    validateProductQuery,
+    validateStockUpdate,
+    validateStockSubscription,
+    validateReview
+} = require('../middleware/validation');
+
+// Product text is returned in the locale from ?lang= or Accept-Language
+router.use(detectLocale);
 
 // GET /api/products/search - Search products
-router.get('/search', productController.searchProducts);
+router.get('/search', cacheResponse(), productController.searchProducts);
+
+// GET /api/products/suggest - Search-as-you-type suggestions
+router.get('/suggest', cacheResponse(), productController.suggestProducts);
 
 // GET /api/products/categories - Get all categories
-router.get('/categories', productController.getCategories);
+router.get('/categories', cacheResponse(), productController.getCategories);
 
-// GET /api/products - List all products (with optional filters)
-router.get('/', productController.getAllProducts);
+// GET /api/products - List all products (with optional filters and facet counts)
+router.get('/', validateProductQuery, cacheResponse(), productController.getAllProducts);
 
 // GET /api/products/:id - Get single product
-router.get('/:id', productController.getProductById);
+router.get('/:id', cacheResponse(), productController.getProductById);
+
+// GET /api/products/:id/structured-data - JSON-LD Product with offers and rating
+router.get('/:id/structured-data', cacheResponse(), productController.getProductStructuredData);
+
+// GET /api/products/:id/recommendations - "Goes well with" suggestions
+router.get('/:id/recommendations', cacheResponse(), productController.getRecommendations);
+
+// GET /api/products/:id/reviews - List approved reviews
+router.get('/:id/reviews', reviewController.getProductReviews);
+
+// POST /api/products/:id/reviews - Submit a verified-purchase review
+router.post('/:id/reviews', reviewRateLimiter, validateReview, reviewController.createReview);
+
+// POST /api/products/:id/notify - Subscribe to a back-in-stock notification
+router.post('/:id/notify', stockAlertRateLimiter, validateStockSubscription, stockAlertController.subscribe);
+
+// POST /api/products - Create product (admin)
+router.post('/', requireAdmin, validateProduct, productController.createProduct);
+
+// PUT /api/products/:id - Replace product (admin)
+router.put('/:id', requireAdmin, validateProductReplace, productController.updateProduct);
+
+// PATCH /api/products/:id - Update prices, variants or isAvailable/isFeatured (admin)
+router.patch('/:id', requireAdmin, validateProductPatch, productController.updateProduct);
+
+// GET /api/products/:id/price-history - Price and sale changes per SKU (admin)
+router.get('/:id/price-history', requireAdmin, productController.getPriceHistory);
+
+// PUT /api/products/:id/stock - Set on-hand stock per SKU (admin)
+router.put('/:id/stock', requireAdmin, validateStockUpdate, productController.updateStock);
+
+// DELETE /api/products/:id - Delete product (admin)
+router.delete('/:id', requireAdmin, productController.deleteProduct);
 
 module.exports = router;
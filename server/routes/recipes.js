@@ -0,0 +1,17 @@
+/**
+ * Recipes Routes
+ * API endpoints for recipes linked to catalog spices
+ */
+
+const express = require('express');
+const router = express.Router();
+const recipeController = require('../controllers/recipeController');
+const { validateRecipeQuery, validateRecipeServings } = require('../middleware/validation');
+
+// GET /api/recipes - List recipes (optional ?tag= and ?maxCookTime=)
+router.get('/', validateRecipeQuery, recipeController.getAllRecipes);
+
+// GET /api/recipes/:id - Get recipe scaled to ?servings= with spice cart lines
+router.get('/:id', validateRecipeServings, recipeController.getRecipeById);
+
+module.exports = router;
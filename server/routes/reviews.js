@@ -0,0 +1,18 @@
+/**
+ * Reviews Routes
+ * Admin endpoints for review moderation
+ */
+
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { requireAdmin } = require('../middleware/auth');
+const { validateReviewModeration, validateReviewQuery } = require('../middleware/validation');
+
+// GET /api/reviews - List reviews by moderation status (admin)
+router.get('/', requireAdmin, validateReviewQuery, reviewController.getReviewsForModeration);
+
+// PATCH /api/reviews/:reviewId - Approve or reject a review (admin)
+router.patch('/:reviewId', requireAdmin, validateReviewModeration, reviewController.moderateReview);
+
+module.exports = router;
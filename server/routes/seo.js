@@ -0,0 +1,17 @@
+/**
+ * SEO Routes
+ * Files for search engines, served from the site root
+ */
+
+const express = require('express');
+const router = express.Router();
+const seoController = require('../controllers/seoController');
+
+// GET /sitemap.xml - Sitemap of storefront pages, products and recipes
+router.get('/sitemap.xml', seoController.getSitemap);
+
+// GET /feeds/products.xml, /feeds/products.tsv - Shopping feed, one item per SKU
+router.get('/feeds/products.xml', seoController.getProductFeed('xml'));
+router.get('/feeds/products.tsv', seoController.getProductFeed('tsv'));
+
+module.exports = router;
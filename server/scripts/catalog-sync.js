@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Catalog Sync Command
+ * Diffs data/products.json against the Product and Category tables
+ *
+ * Usage:
+ *   node server/scripts/catalog-sync.js            Dry run, print the report
+ *   node server/scripts/catalog-sync.js --apply    Apply changes in one transaction
+ *   node server/scripts/catalog-sync.js --file <path>
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const { prisma, disconnectDatabase } = require('../config/prisma');
+const { CATALOG_FILE, loadCatalogFile } = require('../services/catalogFile');
+const { diffCatalog, hasChanges, applyCatalogDiff } = require('../services/catalogSync');
+const { variantSku } = require('../services/variants');
+
+const parseArgs = (argv) => {
+    const args = { apply: false, file: CATALOG_FILE };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--apply') {
+            args.apply = true;
+        } else if (argv[i] === '--file') {
+            args.file = path.resolve(argv[++i]);
+        }
+    }
+    return args;
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '(empty)';
+    return JSON.stringify(value);
+};
+
+const printReport = (diff) => {
+    for (const category of diff.categories.added) {
+        console.log(`  + category ${category.slug}  ${category.name}`);
+    }
+
+    for (const category of diff.categories.changed) {
+        console.log(`  ~ category ${category.slug}  ${category.name}`);
+        for (const { field, from, to } of category.fields) {
+            console.log(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+        }
+    }
+
+    for (const record of diff.added) {
+        console.log(`  + ${record.productId}  ${record.name}`);
+        for (const variant of record.variants) {
+            console.log(`      + ${variantSku(record.productId, variant)}  ₹${variant.price}`);
+        }
+    }
+
+    for (const change of diff.changed) {
+        console.log(`  ~ ${change.productId}  ${change.name}`);
+        for (const { field, from, to } of change.fields) {
+            if (field === 'translations') {
+                // Full translations are too long to print; list the locales instead
+                const locales = (value) => Object.keys(value || {}).join(', ') || '(none)';
+                console.log(`      translations: ${locales(from)} → ${locales(to)}`);
+                continue;
+            }
+            console.log(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+        }
+        for (const variant of change.variants) {
+            if (variant.type === 'changed') {
+                console.log(`      ${variant.sku}  ₹${variant.from} → ₹${variant.to}`);
+            } else if (variant.type === 'sales') {
+                console.log(`      ${variant.sku}  sales: ${variant.from.length} → ${variant.to.length} scheduled`);
+            } else if (variant.type === 'details') {
+                for (const { field, from, to } of variant.fields) {
+                    console.log(`      ${variant.sku}  ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+                }
+            } else {
+                const sign = variant.type === 'added' ? '+' : '-';
+                console.log(`      ${sign} ${variant.sku}  ₹${variant.price}`);
+            }
+        }
+    }
+
+    for (const removed of diff.removed) {
+        console.log(`  - ${removed.productId}  ${removed.name} (will be marked unavailable)`);
+    }
+
+    const categoryCount = diff.categories.added.length + diff.categories.changed.length;
+    console.log(
+        `\nSummary: ${categoryCount} categories to write; products: ${diff.added.length} added, ` +
+        `${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged`
+    );
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    const file = loadCatalogFile(args.file);
+    if (!Array.isArray(file.products) || file.products.length === 0) {
+        throw new Error(`No products found in ${args.file}`);
+    }
+
+    const [dbProducts, dbCategories] = await Promise.all([
+        prisma.product.findMany(),
+        prisma.category.findMany()
+    ]);
+    const slugById = new Map(dbCategories.map(c => [c.id, c.slug]));
+
+    const diff = diffCatalog(file, {
+        products: dbProducts,
+        categories: dbCategories.map(c => ({ ...c, parent: slugById.get(c.parentId) || null }))
+    });
+
+    console.log(`Catalog sync${args.apply ? '' : ' (dry run)'}: ${path.relative(process.cwd(), args.file)} → database\n`);
+    printReport(diff);
+
+    if (!hasChanges(diff)) {
+        console.log('Database is already in sync.');
+        return;
+    }
+
+    if (!args.apply) {
+        console.log('Run again with --apply to write these changes.');
+        return;
+    }
+
+    const result = await applyCatalogDiff(prisma, diff);
+    console.log(
+        `Applied: ${result.categories} categories, ${result.added} products added, ` +
+        `${result.changed} changed, ${result.removed} marked unavailable.`
+    );
+};
+
+main()
+    .catch((error) => {
+        console.error('Catalog sync failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => disconnectDatabase());
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/**
+ * Back-in-Stock Notification Command
+ * Sends due back-in-stock notifications once, for running from cron
+ * (set STOCK_ALERT_INTERVAL_MINUTES=0 on the API server when using this)
+ *
+ * Usage:
+ *   node server/scripts/notify-back-in-stock.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const { disconnectDatabase } = require('../config/prisma');
+const { runBackInStockJob } = require('../services/backInStock');
+
+const main = async () => {
+    const result = await runBackInStockJob();
+    console.log(
+        `Back-in-stock: ${result.sent} sent, ${result.failed} failed, ` +
+        `${result.expired} expired subscriptions removed.`
+    );
+    if (result.failed > 0) {
+        process.exitCode = 1;
+    }
+};
+
+main()
+    .catch((error) => {
+        console.error('Back-in-stock notifications failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => disconnectDatabase());
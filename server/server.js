@@ -12,12 +12,20 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { connectDatabase, disconnectDatabase } = require('./config/prisma');
 const { initSentry, captureError } = require('./config/sentry');
+const { startBackInStockJob } = require('./services/backInStock');
 
 // Import routes
 const productRoutes = require('./routes/products');
+const bundleRoutes = require('./routes/bundles');
+const recipeRoutes = require('./routes/recipes');
+const contentRoutes = require('./routes/content');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payments');
+const reviewRoutes = require('./routes/reviews');
+const batchRoutes = require('./routes/batches');
+const seoRoutes = require('./routes/seo');
+const adminRoutes = require('./routes/admin');
 
 // Initialize Express app
 const app = express();
@@ -38,7 +46,7 @@ app.use(helmet());
 const corsOptions = {
     origin: process.env.FRONTEND_URL || 'http://localhost:8080',
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 };
 app.use(cors(corsOptions));
@@ -67,9 +75,18 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/products', productRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/recipes', recipeRoutes);
+app.use('/api/content', contentRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Search engine files at the site root (rewritten here by vercel.json)
+app.use('/', seoRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -152,6 +169,8 @@ if (require.main === module) {
 ╚═══════════════════════════════════════════════════╝
         `);
     });
+
+    startBackInStockJob();
 }
 
 module.exports = app;
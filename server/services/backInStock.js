@@ -0,0 +1,123 @@
+/**
+ * Back-in-Stock Service
+ * Notifies subscribers when a SKU they asked about is restocked
+ *
+ * VariantStock.restockedAt is set when a sold-out SKU gets stock again,
+ * from an admin stock update or units returned by a cancelled or unpaid order.
+ * A subscriber is due when the SKU has stock and they have not been
+ * notified since the last restock, so each restock sends at most one message.
+ */
+
+const { prisma } = require('../config/prisma');
+const { createNotifier } = require('./notifier');
+const { findVariant, variantLabel } = require('./variants');
+
+const DEFAULT_SUBSCRIPTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a subscription stays active
+const getSubscriptionTtl = () => {
+    const days = parseInt(process.env.STOCK_ALERT_EXPIRY_DAYS) || DEFAULT_SUBSCRIPTION_DAYS;
+    return days * DAY_MS;
+};
+
+const isDue = (subscription) => {
+    const { stock } = subscription;
+    if (!stock || !stock.restockedAt) return false;
+    if (stock.quantity - stock.reserved <= 0) return false;
+    return !subscription.notifiedAt || subscription.notifiedAt < stock.restockedAt;
+};
+
+const buildNotification = (subscription) => {
+    const { productId, sku, packSize, stock } = subscription;
+    const name = stock.product ? stock.product.name : productId;
+    const siteUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+
+    // Name the form and grade too when the product comes in several
+    const variants = stock.product && Array.isArray(stock.product.variants) ? stock.product.variants : [];
+    const variant = sku ? findVariant(productId, variants, { sku }) : null;
+    const option = variant ? variantLabel(variant) : packSize;
+
+    return {
+        to: { phone: subscription.phone, email: subscription.email },
+        subject: `${name} is back in stock`,
+        message: `Good news! ${name} (${option}) is back in stock at Tawabil Spices. ` +
+            `Order now: ${siteUrl}/products.html#${productId}`,
+        meta: { subscriptionId: subscription.id, productId, sku, packSize }
+    };
+};
+
+/**
+ * Send due back-in-stock notifications and remove expired subscriptions
+ * Failed sends are left due and retried on the next run
+ * @param {Object} options - { notifier, now }
+ * @returns {Object} { sent, failed, expired }
+ */
+const runBackInStockJob = async ({ notifier = createNotifier(), now = new Date() } = {}) => {
+    const { count: expired } = await prisma.stockSubscription.deleteMany({
+        where: { expiresAt: { lte: now } }
+    });
+
+    const subscriptions = await prisma.stockSubscription.findMany({
+        where: {
+            expiresAt: { gt: now },
+            stock: { restockedAt: { not: null } }
+        },
+        include: {
+            stock: { include: { product: { select: { name: true, variants: true } } } }
+        }
+    });
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const subscription of subscriptions.filter(isDue)) {
+        try {
+            await notifier.send(buildNotification(subscription));
+            await prisma.stockSubscription.update({
+                where: { id: subscription.id },
+                data: { notifiedAt: now }
+            });
+            sent++;
+        } catch (error) {
+            failed++;
+            console.error(`Error sending back-in-stock notification ${subscription.id}:`, error.message);
+        }
+    }
+
+    return { sent, failed, expired };
+};
+
+/**
+ * Run the job on an interval inside the API process
+ * Set STOCK_ALERT_INTERVAL_MINUTES=0 to disable (e.g. when run from cron)
+ */
+const startBackInStockJob = () => {
+    const minutes = parseInt(process.env.STOCK_ALERT_INTERVAL_MINUTES ?? '15');
+    if (!minutes) return null;
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const result = await runBackInStockJob();
+            if (result.sent || result.failed) {
+                console.log(`Back-in-stock: ${result.sent} sent, ${result.failed} failed, ${result.expired} expired`);
+            }
+        } catch (error) {
+            console.error('Back-in-stock job failed:', error.message);
+        } finally {
+            running = false;
+        }
+    }, minutes * 60 * 1000);
+
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    getSubscriptionTtl,
+    runBackInStockJob,
+    startBackInStockJob
+};
@@ -0,0 +1,116 @@
+/**
+ * Batch Service
+ * Lot traceability from harvest to the customer's order
+ *
+ * Each pack carries a QR code for quality.html?lot=<lotNumber>. Lots are
+ * assigned to order lines when the order is packed; bundle lines record a
+ * lot per component, since each spice in a gift pack comes from its own lot.
+ */
+
+const { getSiteUrl } = require('./seo');
+
+const LOT_NUMBER_PATTERN = /^[A-Z0-9][A-Z0-9-]{2,39}$/;
+
+// Lot numbers are printed in capitals; scanned or typed ones may not be
+const normalizeLotNumber = (lotNumber) => String(lotNumber || '').trim().toUpperCase();
+
+// Page the QR code on a pack opens
+const reportUrl = (lotNumber, siteUrl = getSiteUrl()) => {
+    return `${siteUrl}/quality.html?lot=${encodeURIComponent(lotNumber)}`;
+};
+
+/**
+ * Check that harvest, packing and expiry come in that order
+ * @returns {Object|null} { field, message } for the first date out of order
+ */
+const batchDatesError = ({ harvestedAt, packedAt, expiresAt }) => {
+    if (new Date(packedAt) < new Date(harvestedAt)) {
+        return { field: 'packedAt', message: 'Packing date must not be before the harvest date' };
+    }
+    if (new Date(expiresAt) <= new Date(packedAt)) {
+        return { field: 'expiresAt', message: 'Expiry date must be after the packing date' };
+    }
+    return null;
+};
+
+/**
+ * Public quality report for a batch
+ * Internal notes and audit fields are left out
+ * @param {Object} batch - Batch with its product
+ */
+const toQualityReport = (batch, now = new Date()) => {
+    const product = batch.product || {};
+
+    return {
+        lotNumber: batch.lotNumber,
+        product: {
+            productId: batch.productId,
+            name: product.name || batch.productId,
+            origin: product.origin || null,
+            purityIndicators: product.purityIndicators || []
+        },
+        farm: batch.farm,
+        region: batch.region || null,
+        harvestedAt: batch.harvestedAt,
+        packedAt: batch.packedAt,
+        expiresAt: batch.expiresAt,
+        expired: new Date(batch.expiresAt) <= now,
+        labResults: {
+            moisturePercent: batch.moisturePercent ?? null,
+            volatileOilPercent: batch.volatileOilPercent ?? null,
+            labName: batch.labName || null,
+            testedAt: batch.testedAt || null,
+            reportUrl: batch.reportUrl || null
+        }
+    };
+};
+
+// Pack sizes of an order line: itself, or a bundle's components
+const linePacks = (item) => (item.bundleId && Array.isArray(item.components) ? item.components : [item]);
+
+/**
+ * Record lots on order lines
+ * An assignment with a packSize covers that size only; without one it covers
+ * every size of the product. Lines no assignment covers keep their current lot.
+ * @param {Array} items - Order items
+ * @param {Array} assignments - [{ productId, packSize (optional), lotNumber }]
+ * @returns {Object} { items (new array), unmatched (assignments for products not in the order),
+ *   unassigned ([{ productId, packSize }] still without a lot) }
+ */
+const assignBatches = (items, assignments) => {
+    const findLot = (productId, packSize) => {
+        const assignment = assignments.find(a => a.productId === productId && a.packSize === packSize)
+            || assignments.find(a => a.productId === productId && !a.packSize);
+        return assignment ? assignment.lotNumber : null;
+    };
+
+    const withLot = (pack) => {
+        const lotNumber = findLot(pack.productId, pack.packSize);
+        return lotNumber ? { ...pack, lotNumber } : pack;
+    };
+
+    const assigned = items.map(item => (item.bundleId && Array.isArray(item.components)
+        ? { ...item, components: item.components.map(withLot) }
+        : withLot(item)));
+
+    const packs = items.flatMap(linePacks);
+    const covers = (assignment, pack) => assignment.productId === pack.productId &&
+        (!assignment.packSize || assignment.packSize === pack.packSize);
+
+    return {
+        items: assigned,
+        unmatched: assignments.filter(assignment => !packs.some(pack => covers(assignment, pack))),
+        unassigned: assigned.flatMap(linePacks)
+            .filter(pack => !pack.lotNumber)
+            .map(({ productId, packSize }) => ({ productId, packSize }))
+    };
+};
+
+module.exports = {
+    LOT_NUMBER_PATTERN,
+    normalizeLotNumber,
+    reportUrl,
+    batchDatesError,
+    toQualityReport,
+    assignBatches
+};
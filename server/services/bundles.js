@@ -0,0 +1,131 @@
+/**
+ * Bundle Service
+ * Gift packs made of component product SKUs
+ *
+ * A bundle has its own price, or a percentage off the current prices of its
+ * components. Components name a sku, or a packSize for that size's default
+ * SKU. Cart and order lines for a bundle carry the components so stock is
+ * reserved and packed per SKU while the customer sees one line.
+ */
+
+const { prisma } = require('../config/prisma');
+const { loadBundlesFromFile } = require('./catalogFile');
+
+const transformFileBundle = (b) => ({
+    bundleId: b.id,
+    name: b.name,
+    description: b.description || null,
+    image: b.image || null,
+    category: b.category || 'gift-packs',
+    components: b.components || [],
+    price: b.price ?? null,
+    discountPercent: b.discountPercent ?? null
+});
+
+const transformDbBundle = (b) => ({
+    bundleId: b.bundleId,
+    name: b.name,
+    description: b.description,
+    image: b.image,
+    category: b.category,
+    components: Array.isArray(b.components) ? b.components : [],
+    price: b.price,
+    discountPercent: b.discountPercent
+});
+
+/**
+ * Load available bundles from the database, falling back to the JSON file
+ */
+const loadBundles = async () => {
+    let bundles = [];
+    try {
+        bundles = await prisma.bundle.findMany({
+            where: { isAvailable: true },
+            orderBy: [{ createdAt: 'asc' }, { bundleId: 'asc' }]
+        });
+    } catch (dbError) {
+        // Database not available, use file fallback
+    }
+
+    if (!bundles || bundles.length === 0) {
+        return loadBundlesFromFile().map(transformFileBundle);
+    }
+
+    return bundles.map(transformDbBundle);
+};
+
+/**
+ * Price a bundle from the current prices of its components
+ * @param {Object} bundle - From loadBundles()
+ * @param {Function} getVariant - async (productId, { sku, packSize }) => { name, sku, packSize, price } or null
+ * @returns {Object|null} Bundle with price, componentsTotal, savings and named
+ *   components, or null when any component is unavailable
+ */
+const priceBundle = async (bundle, getVariant) => {
+    if (bundle.components.length === 0) return null;
+
+    const components = [];
+    for (const { productId, sku, packSize, quantity } of bundle.components) {
+        const variant = await getVariant(productId, { sku, packSize });
+        if (!variant) return null;
+        components.push({
+            productId,
+            name: variant.name,
+            sku: variant.sku,
+            packSize: variant.packSize,
+            quantity,
+            price: variant.price
+        });
+    }
+
+    const componentsTotal = components.reduce((sum, c) => sum + c.price * c.quantity, 0);
+    const price = bundle.price !== null
+        ? bundle.price
+        : Math.round(componentsTotal * (100 - (bundle.discountPercent || 0)) / 100);
+
+    return {
+        ...bundle,
+        price,
+        componentsTotal,
+        savings: Math.max(0, componentsTotal - price),
+        components
+    };
+};
+
+/**
+ * Build the cart/order line for a bundle
+ * Component quantities are per bundle
+ */
+const toBundleLine = (priced, quantity) => ({
+    bundleId: priced.bundleId,
+    name: priced.name,
+    quantity,
+    price: priced.price,
+    total: priced.price * quantity,
+    components: priced.components.map(({ productId, name, sku, packSize, quantity: perBundle }) => ({
+        productId,
+        name,
+        sku,
+        packSize,
+        quantity: perBundle
+    }))
+});
+
+/**
+ * Resolve a cart item with a bundleId to a priced bundle line
+ * @param {Array} bundles - From loadBundles()
+ * @returns {Object|null} Line, or null when the bundle is unknown or unavailable
+ */
+const resolveBundleLine = async (bundles, item, getVariant) => {
+    const bundle = bundles.find(b => b.bundleId === item.bundleId);
+    if (!bundle) return null;
+
+    const priced = await priceBundle(bundle, getVariant);
+    return priced ? toBundleLine(priced, item.quantity) : null;
+};
+
+module.exports = {
+    loadBundles,
+    priceBundle,
+    resolveBundleLine
+};
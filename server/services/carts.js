@@ -0,0 +1,138 @@
+/**
+ * Cart Sync Service
+ * Merges a device's cart with the server copy
+ *
+ * Each device keeps the cart as it was after its last sync (the base) and
+ * sends it with its current lines. A line changed only on the device or only
+ * on the server takes that change, so removals stick; a line changed on both
+ * keeps the larger quantity. The result depends only on the three carts, so
+ * devices syncing in any order end up with the same cart.
+ */
+
+const crypto = require('crypto');
+const { lineSku } = require('./variants');
+
+const CART_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const MAX_CART_LINES = 50;
+const MAX_LINE_QUANTITY = 100;
+
+// Fields kept on stored lines; prices are checked again at checkout
+const LINE_FIELDS = ['productId', 'sku', 'bundleId', 'name', 'packSize', 'label', 'price', 'image'];
+const COMPONENT_FIELDS = ['productId', 'name', 'sku', 'packSize', 'quantity'];
+
+// Unguessable token for an anonymous cart
+const newCartToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Lines for the same SKU or gift pack are one line
+const cartLineKey = (line) => (line.bundleId ? `bundle:${line.bundleId}` : lineSku(line));
+
+const pick = (source, fields) => {
+    const picked = {};
+    for (const field of fields) {
+        if (source[field] !== undefined && source[field] !== null) picked[field] = source[field];
+    }
+    return picked;
+};
+
+// Stored shape of a line; id is the storefront's line id
+const toCartLine = (line) => ({
+    id: line.id || line.bundleId || line.sku,
+    ...pick(line, LINE_FIELDS),
+    quantity: Math.min(Number(line.quantity), MAX_LINE_QUANTITY),
+    ...(line.bundleId && Array.isArray(line.components) && {
+        components: line.components.map(c => pick(c, COMPONENT_FIELDS))
+    })
+});
+
+// Combine repeated lines of one list, adding up their quantities
+const indexLines = (lines = []) => {
+    const byKey = new Map();
+    for (const line of lines) {
+        const key = cartLineKey(line);
+        const existing = byKey.get(key);
+        byKey.set(key, existing
+            ? { ...existing, quantity: Math.min(existing.quantity + line.quantity, MAX_LINE_QUANTITY) }
+            : line);
+    }
+    return byKey;
+};
+
+const quantityOf = (line) => (line ? line.quantity : 0);
+
+// One line across the base, device and server copies; null when removed
+const mergeLine = (base, client, server) => {
+    if (quantityOf(client) === quantityOf(base)) return server || null;
+    if (quantityOf(server) === quantityOf(base)) return client || null;
+
+    // Changed on both: a removal loses to a change, otherwise the larger quantity wins
+    if (!client || !server) return client || server;
+    return client.quantity >= server.quantity ? client : { ...client, quantity: server.quantity };
+};
+
+/**
+ * Three-way merge of one list of lines
+ * Server lines keep their order; lines new on the device follow
+ * @returns {Array} Merged lines
+ */
+const mergeLines = (base, client, server) => {
+    const [b, c, s] = [base, client, server].map(indexLines);
+    const keys = [...new Set([...s.keys(), ...c.keys()])];
+
+    return keys
+        .map(key => mergeLine(b.get(key), c.get(key), s.get(key)))
+        .filter(Boolean);
+};
+
+/**
+ * Merge a device's cart with the server copy
+ * A line that ends up both in the cart and saved for later stays in the cart
+ * @param {Object} base - { items, savedItems } after the device's last sync (empty on its first)
+ * @param {Object} client - { items, savedItems } on the device now
+ * @param {Object} server - { items, savedItems } stored
+ * @returns {Object} { items, savedItems }
+ */
+const mergeCarts = (base, client, server) => {
+    const items = mergeLines(base.items, client.items, server.items).slice(0, MAX_CART_LINES);
+    const inCart = new Set(items.map(cartLineKey));
+    const savedItems = mergeLines(base.savedItems, client.savedItems, server.savedItems)
+        .filter(line => !inCart.has(cartLineKey(line)))
+        .slice(0, MAX_CART_LINES);
+
+    return { items, savedItems };
+};
+
+/**
+ * Attach a cart to a customer who has none yet
+ * Only called with a token the caller holds, so knowing a phone number never
+ * reaches another shopper's cart; a customer with a cart keeps it
+ * @param {Object} db - Prisma client
+ * @returns {Promise<boolean>} Whether the cart is now the customer's
+ */
+const attachCart = async (db, token, customerId) => {
+    const existing = await db.cart.findUnique({ where: { customerId } });
+    if (existing) return existing.token === token;
+
+    try {
+        const { count } = await db.cart.updateMany({
+            where: { token, customerId: null },
+            data: { customerId }
+        });
+        return count === 1;
+    } catch (error) {
+        if (error.code !== 'P2002') throw error;
+        // Another cart was attached to the customer in between
+        const winner = await db.cart.findUnique({ where: { customerId } });
+        return Boolean(winner && winner.token === token);
+    }
+};
+
+module.exports = {
+    CART_TOKEN_PATTERN,
+    MAX_CART_LINES,
+    MAX_LINE_QUANTITY,
+    newCartToken,
+    cartLineKey,
+    toCartLine,
+    mergeCarts,
+    attachCart
+};
@@ -0,0 +1,130 @@
+/**
+ * Catalog Service
+ * In-memory product catalog indexed by productId
+ *
+ * Keeps the raw catalog (database rows with stock, or data/products.json when
+ * the database has no products) so product endpoints neither query nor parse
+ * on every request. Selling prices are still resolved on each read, so
+ * scheduled sales start and end on time while the catalog is cached.
+ *
+ * The cache is dropped on admin writes and expires after CATALOG_TTL_MS so
+ * changes made elsewhere (other server instances, orders reserving stock,
+ * catalog sync) show up shortly. File catalogs also reload as soon as
+ * data/products.json changes.
+ */
+
+const { prisma } = require('../config/prisma');
+const { CATALOG_FILE, getCatalogFileVersion, loadProductsFromFile, fileProductToRecord } = require('./catalogFile');
+const { getPriceChangeTimes } = require('./pricing');
+
+const CATALOG_TTL_MS = 30 * 1000;
+
+// { source, records, byId, priceChangeTimes, loadedAt, fileVersion }
+let cached = null;
+// Load in progress, shared by concurrent requests
+let loading = null;
+// Bumped on invalidation so a load that started earlier is not cached
+let generation = 0;
+
+const fileVersion = () => {
+    try {
+        return getCatalogFileVersion(CATALOG_FILE);
+    } catch (error) {
+        return null;
+    }
+};
+
+const isCurrent = (catalog, now) => {
+    if (now - catalog.loadedAt >= CATALOG_TTL_MS) return false;
+    return catalog.source !== 'file' || catalog.fileVersion === fileVersion();
+};
+
+const buildCatalog = (source, records, variantsOf) => ({
+    source,
+    records,
+    byId: new Map(records.map(record => [record.productId || record.id, record])),
+    priceChangeTimes: [...new Set(records.flatMap(record => variantsOf(record).flatMap(getPriceChangeTimes)))]
+        .sort((a, b) => a - b),
+    loadedAt: Date.now(),
+    fileVersion: source === 'file' ? fileVersion() : null
+});
+
+const readCatalog = async () => {
+    let rows = [];
+    try {
+        rows = await prisma.product.findMany({
+            where: { isAvailable: true },
+            include: { stock: true },
+            orderBy: [{ createdAt: 'asc' }, { productId: 'asc' }]
+        });
+    } catch (dbError) {
+        // Database not available, use file fallback
+    }
+
+    if (!rows || rows.length === 0) {
+        return buildCatalog('file', loadProductsFromFile(), p => fileProductToRecord(p).variants);
+    }
+
+    return buildCatalog('database', rows, row => (Array.isArray(row.variants) ? row.variants : []));
+};
+
+/**
+ * Load the catalog, from memory when still current
+ * @returns {Promise<Object>} { source ('database' or 'file'), records, byId }
+ *   records are Prisma Product rows (with stock) or file products; treat them as read-only
+ */
+const loadCatalog = async () => {
+    if (cached && isCurrent(cached, Date.now())) {
+        return cached;
+    }
+
+    if (!loading) {
+        const startedAt = generation;
+        const load = readCatalog()
+            .then(catalog => {
+                if (startedAt === generation) cached = catalog;
+                return catalog;
+            })
+            .finally(() => {
+                if (loading === load) loading = null;
+            });
+        loading = load;
+    }
+    return loading;
+};
+
+/**
+ * Find one product in the catalog
+ * @returns {Promise<Object|null>} { source, record }, or null when not available
+ */
+const findCatalogProduct = async (productId) => {
+    const catalog = await loadCatalog();
+    const record = catalog.byId.get(productId);
+    return record ? { source: catalog.source, record } : null;
+};
+
+/**
+ * Next moment a cached selling price changes by itself
+ * Used to keep HTTP caches from serving prices past a sale boundary
+ * @returns {Date|null} Null when no sale starts or ends later, or nothing is cached
+ */
+const getNextPriceChange = (at = new Date()) => {
+    if (!cached) return null;
+    const next = cached.priceChangeTimes.find(time => time > at.getTime());
+    return next === undefined ? null : new Date(next);
+};
+
+// Drop the cached catalog; call after writes to products, variants or stock
+const invalidateCatalog = () => {
+    cached = null;
+    loading = null;
+    generation++;
+};
+
+module.exports = {
+    CATALOG_TTL_MS,
+    loadCatalog,
+    findCatalogProduct,
+    getNextPriceChange,
+    invalidateCatalog
+};
@@ -0,0 +1,293 @@
+/**
+ * Catalog CSV Service
+ * Price list export and bulk import for spreadsheets
+ *
+ * The CSV has one row per SKU: product, options, pack size, price (MRP) and
+ * availability. Names are exported for reference only. An import updates the
+ * SKUs it lists and adds new ones to existing products; SKUs left out of the
+ * file are kept as they are, and scheduled sales stay on their SKU.
+ */
+
+const { variantSku, SKU_PATTERN } = require('./variants');
+
+const CSV_COLUMNS = ['productId', 'name', 'sku', 'form', 'grade', 'packSize', 'price', 'isAvailable'];
+const REQUIRED_COLUMNS = ['productId', 'packSize', 'price'];
+
+const PACK_SIZE_PATTERN = /^\d+(?:\.\d+)?(?:g|kg)$/i;
+const MAX_OPTION_LENGTH = 40;
+
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+/**
+ * Raised inside the import transaction so nothing is written
+ * errors are row-level: [{ row, field, message }]
+ */
+class CsvImportError extends Error {
+    constructor(errors) {
+        super('Import failed');
+        this.name = 'CsvImportError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, doubled quotes, CRLF or LF)
+ * @returns {Array} Records as arrays of cells
+ */
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+    return records;
+};
+
+// Quote cells that need it; text a spreadsheet would run as a formula is prefixed with '
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let cell = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+const toCsv = (records) => records.map(record => record.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Export a price list
+ * @param {Array} products - [{ productId, name, variants }]
+ * @returns {string} CSV with a header row
+ */
+const buildCatalogCsv = (products) => {
+    const rows = products.flatMap(product => (Array.isArray(product.variants) ? product.variants : []).map(v => [
+        product.productId,
+        product.name,
+        variantSku(product.productId, v),
+        v.form || '',
+        v.grade || '',
+        v.packSize,
+        v.price,
+        v.isAvailable !== false
+    ]));
+    return toCsv([CSV_COLUMNS, ...rows]);
+};
+
+// Undo the formula guard added on export
+const readCell = (value) => {
+    const cell = (value || '').trim();
+    return /^'[=+\-@]/.test(cell) ? cell.slice(1) : cell;
+};
+
+/**
+ * Read and check import rows without looking at the catalog
+ * Row numbers count the header as row 1, as spreadsheets do
+ * @returns {Object} { rows: [{ row, productId, sku, form, grade, packSize, price, isAvailable }], errors }
+ */
+const readImportRows = (text) => {
+    const [header = [], ...records] = parseCsv(text);
+    const columns = header.map(readCell);
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        return {
+            rows: [],
+            errors: missing.map(field => ({ row: 1, field, message: `Missing column ${field}` }))
+        };
+    }
+
+    const rows = [];
+    const errors = [];
+
+    records.forEach((record, index) => {
+        const row = index + 2;
+        if (record.every(cell => !readCell(cell))) return;
+
+        const value = {};
+        columns.forEach((column, i) => {
+            value[column] = readCell(record[i]);
+        });
+        const fail = (field, message) => errors.push({ row, field, message });
+        const before = errors.length;
+
+        if (!value.productId) fail('productId', 'Product ID is required');
+        if (value.sku && !SKU_PATTERN.test(value.sku)) fail('sku', 'SKU must be a lowercase slug');
+        for (const field of ['form', 'grade']) {
+            if ((value[field] || '').length > MAX_OPTION_LENGTH) {
+                fail(field, 'Option values must be at most 40 characters');
+            }
+        }
+        if (!PACK_SIZE_PATTERN.test(value.packSize)) fail('packSize', 'Pack size must look like 50g or 1kg');
+
+        const price = Number(value.price);
+        if (!value.price || !Number.isFinite(price) || price < 1 || price > 100000) {
+            fail('price', 'Price must be between 1 and 100000');
+        }
+
+        const available = (value.isAvailable || '').toLowerCase();
+        if (available && BOOLEAN_VALUES[available] === undefined) {
+            fail('isAvailable', 'Availability must be true or false');
+        }
+
+        if (errors.length > before) return;
+
+        // Only SKUs that differ from the one built from the options need storing
+        const options = { form: value.form, grade: value.grade, packSize: value.packSize };
+        const builtSku = variantSku(value.productId, options);
+
+        rows.push({
+            row,
+            productId: value.productId,
+            sku: value.sku || builtSku,
+            ...(value.sku && value.sku !== builtSku && { storedSku: value.sku }),
+            form: value.form || undefined,
+            grade: value.grade || undefined,
+            packSize: value.packSize,
+            price,
+            ...(available && { isAvailable: BOOLEAN_VALUES[available] })
+        });
+    });
+
+    return { rows, errors };
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Apply a row to a stored variant (or start a new one)
+const mergeVariant = (productId, existing, row) => {
+    const variant = { ...existing };
+    for (const field of ['form', 'grade']) {
+        if (row[field]) {
+            variant[field] = row[field];
+        } else {
+            delete variant[field];
+        }
+    }
+    // New SKUs are stored like admin-created ones
+    const isNew = !existing.packSize;
+    if (row.storedSku || isNew) variant.sku = row.storedSku || variantSku(productId, row);
+    variant.packSize = row.packSize;
+    variant.price = row.price;
+    if (row.isAvailable !== undefined || isNew) variant.isAvailable = row.isAvailable ?? true;
+    return variant;
+};
+
+/**
+ * Work out the variant updates for checked rows against the stored products
+ * @param {Array} rows - From readImportRows()
+ * @param {Array} products - Every stored product as { productId, variants }
+ * @returns {Object} { updates: [{ productId, previousVariants, variants }], errors }
+ */
+const planCatalogImport = (rows, products, now = new Date()) => {
+    const byId = new Map(products.map(p => [p.productId, p]));
+    const ownerOfSku = new Map(products.flatMap(p => (Array.isArray(p.variants) ? p.variants : [])
+        .map(v => [variantSku(p.productId, v), p.productId])));
+    const errors = [];
+    const rowOfSku = new Map();
+    const changed = new Map();
+
+    for (const row of rows) {
+        const product = byId.get(row.productId);
+        if (!product) {
+            errors.push({ row: row.row, field: 'productId', message: `Unknown product ${row.productId}` });
+            continue;
+        }
+
+        if (rowOfSku.has(row.sku)) {
+            errors.push({ row: row.row, field: 'sku', message: `SKU ${row.sku} is also on row ${rowOfSku.get(row.sku)}` });
+            continue;
+        }
+        rowOfSku.set(row.sku, row.row);
+
+        const owner = ownerOfSku.get(row.sku);
+        if (owner && owner !== row.productId) {
+            errors.push({ row: row.row, field: 'sku', message: `SKU ${row.sku} belongs to ${owner}` });
+            continue;
+        }
+
+        if (!changed.has(row.productId)) {
+            changed.set(row.productId, [...(Array.isArray(product.variants) ? product.variants : [])]);
+        }
+        const variants = changed.get(row.productId);
+        const index = variants.findIndex(v => variantSku(row.productId, v) === row.sku);
+        const variant = mergeVariant(row.productId, index >= 0 ? variants[index] : {}, row);
+
+        // Sales still to run must stay below the new price
+        const sale = (variant.sales || []).find(s => (!s.endsAt || new Date(s.endsAt) > now) && s.price >= row.price);
+        if (sale) {
+            errors.push({ row: row.row, field: 'price', message: `Price must stay above the scheduled sale price of ${sale.price}` });
+            continue;
+        }
+
+        if (index >= 0) {
+            variants[index] = variant;
+        } else {
+            variants.push(variant);
+        }
+    }
+
+    const updates = [];
+    for (const [productId, variants] of changed) {
+        const previousVariants = byId.get(productId).variants || [];
+
+        const combinations = variants.map(v => [v.form || '', v.grade || '', v.packSize].join('|'));
+        const duplicate = combinations.findIndex((c, i) => combinations.indexOf(c) !== i);
+        if (duplicate >= 0) {
+            const sku = variantSku(productId, variants[duplicate]);
+            errors.push({
+                row: rowOfSku.get(sku) || rows.find(r => r.productId === productId).row,
+                field: 'packSize',
+                message: 'Each form, grade and pack size combination must be unique'
+            });
+            continue;
+        }
+
+        if (!isEqual(previousVariants, variants)) {
+            updates.push({ productId, previousVariants, variants });
+        }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return { updates, errors };
+};
+
+module.exports = {
+    CSV_COLUMNS,
+    CsvImportError,
+    parseCsv,
+    toCsv,
+    buildCatalogCsv,
+    readImportRows,
+    planCatalogImport
+};
@@ -0,0 +1,184 @@
+/**
+ * Catalog File Service
+ * Reads data/products.json and maps file products to Prisma Product records
+ *
+ * The parsed file is kept in memory and read again only when its modification
+ * time or size changes. Callers share the parsed objects and must not modify them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { variantSku } = require('./variants');
+
+const CATALOG_FILE = path.join(__dirname, '../../data/products.json');
+
+// Parsed catalogs by path: { version, data, productsById }
+const parsedFiles = new Map();
+
+// Changes whenever the file is rewritten
+const getCatalogFileVersion = (filePath = CATALOG_FILE) => {
+    const stats = fs.statSync(filePath);
+    return `${stats.mtimeMs}-${stats.size}`;
+};
+
+const readCatalogFile = (filePath) => {
+    const version = getCatalogFileVersion(filePath);
+    const cached = parsedFiles.get(filePath);
+    if (cached && cached.version === version) {
+        return cached;
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entry = {
+        version,
+        data,
+        productsById: new Map((data.products || []).map(p => [p.id, p]))
+    };
+    parsedFiles.set(filePath, entry);
+    return entry;
+};
+
+// Last time the file was written, or null when it cannot be read
+const getCatalogFileModifiedAt = (filePath = CATALOG_FILE) => {
+    try {
+        return fs.statSync(filePath).mtime;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Read and parse the catalog file
+const loadCatalogFile = (filePath = CATALOG_FILE) => {
+    return readCatalogFile(filePath).data;
+};
+
+// Forget parsed files so the next read goes to disk
+const clearCatalogFileCache = () => {
+    parsedFiles.clear();
+};
+
+// Load products from JSON file (fallback when DB not available)
+const loadProductsFromFile = (filePath = CATALOG_FILE) => {
+    try {
+        return loadCatalogFile(filePath).products;
+    } catch (error) {
+        console.error('Error loading products from file:', error);
+        return [];
+    }
+};
+
+// Look up one file product by ID without scanning the catalog
+const getFileProduct = (productId, filePath = CATALOG_FILE) => {
+    try {
+        return readCatalogFile(filePath).productsById.get(productId) || null;
+    } catch (error) {
+        console.error('Error loading products from file:', error);
+        return null;
+    }
+};
+
+// Load category taxonomy from JSON file ([{ slug, name, icon, sortOrder, parent }])
+const loadCategoriesFromFile = (filePath = CATALOG_FILE) => {
+    try {
+        return loadCatalogFile(filePath).categories || [];
+    } catch (error) {
+        console.error('Error loading categories from file:', error);
+        return [];
+    }
+};
+
+// Load gift packs and bundles from JSON file
+const loadBundlesFromFile = (filePath = CATALOG_FILE) => {
+    try {
+        return loadCatalogFile(filePath).bundles || [];
+    } catch (error) {
+        console.error('Error loading bundles from file:', error);
+        return [];
+    }
+};
+
+// Load recipes from JSON file
+const loadRecipesFromFile = (filePath = CATALOG_FILE) => {
+    try {
+        return loadCatalogFile(filePath).recipes || [];
+    } catch (error) {
+        console.error('Error loading recipes from file:', error);
+        return [];
+    }
+};
+
+// Load homepage testimonials from JSON file
+const loadTestimonialsFromFile = (filePath = CATALOG_FILE) => {
+    try {
+        return loadCatalogFile(filePath).testimonials || [];
+    } catch (error) {
+        console.error('Error loading testimonials from file:', error);
+        return [];
+    }
+};
+
+// Load homepage stats from JSON file ([{ number, label }])
+const loadStatsFromFile = (filePath = CATALOG_FILE) => {
+    try {
+        return loadCatalogFile(filePath).stats || [];
+    } catch (error) {
+        console.error('Error loading stats from file:', error);
+        return [];
+    }
+};
+
+// SKUs of a file product: its variants ([{ form, grade, packSize, price, image }]),
+// or one per pack size in prices for products sold by weight only
+const fileVariants = (p) => {
+    if (Array.isArray(p.variants)) return p.variants;
+    return (p.packSizes || Object.keys(p.prices)).map(packSize => ({ packSize, price: p.prices[packSize] }));
+};
+
+// Scheduled sales for one variant from a file product's sales list
+// A sale names a sku, or a packSize to cover every SKU of that size
+const fileSales = (p, variant) => {
+    const sku = variantSku(p.id, variant);
+    const sales = (p.sales || [])
+        .filter(s => (s.sku ? s.sku === sku : s.packSize === variant.packSize))
+        .map(({ price, startsAt, endsAt }) => ({ price, startsAt, endsAt: endsAt || null }));
+    return sales.length > 0 ? { sales } : {};
+};
+
+// Map a file product to the fields stored on the Prisma Product model
+// File sales are [{ sku or packSize, price, startsAt, endsAt }] and move onto their variants
+const fileProductToRecord = (p) => ({
+    productId: p.id,
+    name: p.name,
+    nameHindi: p.nameHindi || null,
+    description: p.description || null,
+    category: p.category,
+    origin: p.origin || null,
+    badge: p.badge || null,
+    benefits: p.healthBenefits || [],
+    culinaryUses: p.culinaryUses || [],
+    storageTips: p.storageTips || null,
+    purityIndicators: p.purityIndicators || [],
+    image: p.image || null,
+    translations: p.translations || {},
+    variants: fileVariants(p).map(variant => ({
+        ...variant,
+        isAvailable: true,
+        ...fileSales(p, variant)
+    }))
+});
+
+module.exports = {
+    CATALOG_FILE,
+    getCatalogFileVersion,
+    getCatalogFileModifiedAt,
+    loadCatalogFile,
+    clearCatalogFileCache,
+    loadProductsFromFile,
+    getFileProduct,
+    loadCategoriesFromFile,
+    loadBundlesFromFile,
+    loadRecipesFromFile,
+    loadTestimonialsFromFile,
+    loadStatsFromFile,
+    fileProductToRecord
+};
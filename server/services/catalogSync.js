@@ -0,0 +1,278 @@
+/**
+ * Catalog Sync Service
+ * Diffs data/products.json against the Product and Category tables and
+ * applies the result in a single transaction
+ */
+
+const { fileProductToRecord } = require('./catalogFile');
+const { recordPriceChanges } = require('./pricing');
+const { variantSku } = require('./variants');
+
+// Product fields owned by the catalog file
+// isAvailable/isFeatured and variant availability stay under admin control
+const SYNCED_FIELDS = [
+    'name', 'nameHindi', 'description', 'category', 'origin', 'badge',
+    'benefits', 'culinaryUses', 'storageTips', 'purityIndicators', 'image',
+    'translations'
+];
+
+const SYNC_CHANGED_BY = 'catalog-sync';
+
+const CATEGORY_FIELDS = ['name', 'icon', 'sortOrder', 'parent'];
+
+// Variant fields the file may set besides price and sales; admins can also
+// set them, so a field the file leaves out keeps its stored value
+const VARIANT_DETAIL_FIELDS = ['form', 'grade', 'image', 'gtin'];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Normalise a category to { slug, name, icon, sortOrder, parent }
+const toCategoryRecord = (c) => ({
+    slug: c.slug,
+    name: c.name,
+    icon: c.icon || null,
+    sortOrder: c.sortOrder || 0,
+    parent: c.parent || null
+});
+
+/**
+ * Diff file categories against database categories
+ * Categories missing from the file are left alone since products may still use them
+ */
+const diffCategories = (fileCategories, dbCategories) => {
+    const dbBySlug = new Map(dbCategories.map(c => [c.slug, toCategoryRecord(c)]));
+    const result = { added: [], changed: [] };
+
+    for (const category of fileCategories.map(toCategoryRecord)) {
+        const dbCategory = dbBySlug.get(category.slug);
+
+        if (!dbCategory) {
+            result.added.push(category);
+            continue;
+        }
+
+        const fields = CATEGORY_FIELDS
+            .filter(field => !isEqual(category[field], dbCategory[field]))
+            .map(field => ({ field, from: dbCategory[field], to: category[field] }));
+
+        if (fields.length > 0) {
+            result.changed.push({ ...category, fields });
+        }
+    }
+
+    return result;
+};
+
+// Order categories so parents are written before their children
+const sortByDepth = (categories) => {
+    const parentOf = new Map(categories.map(c => [c.slug, c.parent]));
+    const depth = (slug, seen = new Set()) => {
+        const parent = parentOf.get(slug);
+        if (!parent || seen.has(parent)) return 0;
+        seen.add(slug);
+        return 1 + depth(parent, seen);
+    };
+    return [...categories].sort((a, b) => depth(a.slug) - depth(b.slug));
+};
+
+/**
+ * Compare file SKUs with stored variants
+ * Returns the per-SKU changes and the merged variant list to store; stored
+ * variants keep what the file does not set (e.g. a GTIN added by an admin)
+ */
+const diffVariants = (productId, fileVariants, dbVariants) => {
+    const skuOf = (variant) => variantSku(productId, variant);
+    const dbBySku = new Map(dbVariants.map(v => [skuOf(v), v]));
+    const fileSkus = new Set(fileVariants.map(skuOf));
+    const changes = [];
+
+    const variants = fileVariants.map(fileVariant => {
+        const sku = skuOf(fileVariant);
+        const dbVariant = dbBySku.get(sku);
+
+        if (!dbVariant) {
+            changes.push({ type: 'added', sku, packSize: fileVariant.packSize, price: fileVariant.price });
+            return fileVariant;
+        }
+
+        if (dbVariant.price !== fileVariant.price) {
+            changes.push({
+                type: 'changed',
+                sku,
+                packSize: fileVariant.packSize,
+                from: dbVariant.price,
+                to: fileVariant.price
+            });
+        } else if (!isEqual(dbVariant.sales || [], fileVariant.sales || [])) {
+            changes.push({
+                type: 'sales',
+                sku,
+                packSize: fileVariant.packSize,
+                from: dbVariant.sales || [],
+                to: fileVariant.sales || []
+            });
+        }
+
+        const details = VARIANT_DETAIL_FIELDS
+            .filter(field => fileVariant[field] !== undefined && !isEqual(fileVariant[field], dbVariant[field]))
+            .map(field => ({ field, from: dbVariant[field] ?? null, to: fileVariant[field] }));
+        if (details.length > 0) {
+            changes.push({ type: 'details', sku, packSize: fileVariant.packSize, fields: details });
+        }
+
+        return { ...dbVariant, ...fileVariant, isAvailable: dbVariant.isAvailable !== false };
+    });
+
+    for (const dbVariant of dbVariants) {
+        if (!fileSkus.has(skuOf(dbVariant))) {
+            changes.push({ type: 'removed', sku: skuOf(dbVariant), packSize: dbVariant.packSize, price: dbVariant.price });
+        }
+    }
+
+    return { changes, variants };
+};
+
+/**
+ * Diff the catalog file against the database
+ * @param {Object} file - { products, categories } from data/products.json
+ * @param {Object} db - { products, categories } with categories as { slug, ..., parent }
+ */
+const diffCatalog = (file, db) => {
+    const fileProducts = file.products || [];
+    const dbProducts = db.products || [];
+    const dbById = new Map(dbProducts.map(p => [p.productId, p]));
+    const fileIds = new Set(fileProducts.map(p => p.id));
+
+    const diff = {
+        categories: diffCategories(file.categories || [], db.categories || []),
+        added: [],
+        changed: [],
+        removed: [],
+        unchanged: 0
+    };
+
+    for (const fileProduct of fileProducts) {
+        const record = fileProductToRecord(fileProduct);
+        const dbProduct = dbById.get(record.productId);
+
+        if (!dbProduct) {
+            diff.added.push(record);
+            continue;
+        }
+
+        const fields = SYNCED_FIELDS
+            .filter(field => !isEqual(record[field], dbProduct[field]))
+            .map(field => ({ field, from: dbProduct[field], to: record[field] }));
+
+        const dbVariants = Array.isArray(dbProduct.variants) ? dbProduct.variants : [];
+        const { changes: variants, variants: mergedVariants } = diffVariants(record.productId, record.variants, dbVariants);
+
+        if (fields.length === 0 && variants.length === 0) {
+            diff.unchanged++;
+            continue;
+        }
+
+        const data = {};
+        for (const { field, to } of fields) {
+            data[field] = to;
+        }
+        if (variants.length > 0) {
+            data.variants = mergedVariants;
+        }
+
+        diff.changed.push({
+            productId: record.productId,
+            name: record.name,
+            fields,
+            variants,
+            data,
+            previousVariants: dbVariants
+        });
+    }
+
+    for (const dbProduct of dbProducts) {
+        if (!fileIds.has(dbProduct.productId) && dbProduct.isAvailable) {
+            diff.removed.push({ productId: dbProduct.productId, name: dbProduct.name });
+        }
+    }
+
+    return diff;
+};
+
+/**
+ * Check whether a diff contains any changes
+ */
+const hasChanges = (diff) => {
+    return diff.categories.added.length > 0 || diff.categories.changed.length > 0 ||
+        diff.added.length > 0 || diff.changed.length > 0 || diff.removed.length > 0;
+};
+
+/**
+ * Apply a diff inside one transaction
+ * Removed products are marked unavailable rather than deleted so order
+ * history and admin edits can still refer to them. Price changes are
+ * recorded in the price history as made by catalog-sync.
+ */
+const applyCatalogDiff = async (prisma, diff) => {
+    return prisma.$transaction(async (tx) => {
+        // Categories first so new products can reference them
+        const categories = [...diff.categories.added, ...diff.categories.changed];
+        for (const category of sortByDepth(categories)) {
+            const data = {
+                name: category.name,
+                icon: category.icon,
+                sortOrder: category.sortOrder
+            };
+
+            await tx.category.upsert({
+                where: { slug: category.slug },
+                create: {
+                    slug: category.slug,
+                    ...data,
+                    ...(category.parent && { parent: { connect: { slug: category.parent } } })
+                },
+                update: {
+                    ...data,
+                    parent: category.parent
+                        ? { connect: { slug: category.parent } }
+                        : { disconnect: true }
+                }
+            });
+        }
+
+        for (const record of diff.added) {
+            await tx.product.create({ data: record });
+            await recordPriceChanges(tx, record.productId, [], record.variants, SYNC_CHANGED_BY);
+        }
+
+        for (const change of diff.changed) {
+            await tx.product.update({
+                where: { productId: change.productId },
+                data: change.data
+            });
+            if (change.data.variants) {
+                await recordPriceChanges(tx, change.productId, change.previousVariants, change.data.variants, SYNC_CHANGED_BY);
+            }
+        }
+
+        for (const removed of diff.removed) {
+            await tx.product.update({
+                where: { productId: removed.productId },
+                data: { isAvailable: false }
+            });
+        }
+
+        return {
+            categories: categories.length,
+            added: diff.added.length,
+            changed: diff.changed.length,
+            removed: diff.removed.length
+        };
+    }, { timeout: 30000 });
+};
+
+module.exports = {
+    diffCatalog,
+    hasChanges,
+    applyCatalogDiff
+};
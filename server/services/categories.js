@@ -0,0 +1,100 @@
+/**
+ * Category Service
+ * Loads the category taxonomy and builds the nested tree with live counts
+ */
+
+const { prisma } = require('../config/prisma');
+const { loadCategoriesFromFile } = require('./catalogFile');
+
+/**
+ * Load categories as a flat list of { slug, name, icon, sortOrder, parent }
+ * Reads the database first, falls back to data/products.json
+ */
+const loadCategories = async () => {
+    let rows = [];
+    try {
+        rows = await prisma.category.findMany();
+    } catch (dbError) {
+        // Database not available, use file fallback
+    }
+
+    if (!rows || rows.length === 0) {
+        return loadCategoriesFromFile();
+    }
+
+    const slugById = new Map(rows.map(row => [row.id, row.slug]));
+
+    return rows.map(row => ({
+        slug: row.slug,
+        name: row.name,
+        icon: row.icon,
+        sortOrder: row.sortOrder,
+        parent: row.parentId ? slugById.get(row.parentId) || null : null
+    }));
+};
+
+/**
+ * Build the category tree
+ * @param {Array} categories - Flat list from loadCategories()
+ * @param {Object} counts - Available product count per category slug
+ * Each node's count includes the products of its descendants
+ */
+const buildCategoryTree = (categories, counts = {}) => {
+    const nodes = new Map(categories.map(c => [c.slug, {
+        id: c.slug,
+        slug: c.slug,
+        name: c.name,
+        icon: c.icon || null,
+        sortOrder: c.sortOrder || 0,
+        parent: c.parent || null,
+        count: counts[c.slug] || 0,
+        children: []
+    }]));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(node.parent);
+        if (parent && parent !== node) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    const finalize = (list) => {
+        list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+        for (const node of list) {
+            finalize(node.children);
+            node.count += node.children.reduce((sum, child) => sum + child.count, 0);
+        }
+        return list;
+    };
+
+    return finalize(roots);
+};
+
+/**
+ * Get a category slug together with all of its descendant slugs
+ */
+const getCategoryWithDescendants = (categories, slug) => {
+    const slugs = new Set([slug]);
+    let added = true;
+
+    while (added) {
+        added = false;
+        for (const category of categories) {
+            if (category.parent && slugs.has(category.parent) && !slugs.has(category.slug)) {
+                slugs.add(category.slug);
+                added = true;
+            }
+        }
+    }
+
+    return slugs;
+};
+
+module.exports = {
+    loadCategories,
+    buildCategoryTree,
+    getCategoryWithDescendants
+};
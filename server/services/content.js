@@ -0,0 +1,122 @@
+/**
+ * Content Service
+ * Articles, testimonials and homepage stats with draft and published states
+ *
+ * Public reads only see published items whose publishedAt has passed, so an
+ * item can be scheduled by publishing it with a future date. Testimonials and
+ * stats fall back to data/products.json while the database has none.
+ */
+
+const { prisma } = require('../config/prisma');
+const { loadTestimonialsFromFile, loadStatsFromFile } = require('./catalogFile');
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Content types by route name
+ * fields are writable through the admin API; loadFile returns published file items
+ */
+const CONTENT_TYPES = {
+    articles: {
+        model: 'article',
+        label: 'Article',
+        fields: ['slug', 'section', 'title', 'summary', 'body', 'image', 'tags'],
+        orderBy: [{ publishedAt: 'desc' }, { slug: 'asc' }],
+        loadFile: () => []
+    },
+    testimonials: {
+        model: 'testimonial',
+        label: 'Testimonial',
+        fields: ['name', 'role', 'rating', 'text', 'initials', 'sortOrder'],
+        orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }],
+        loadFile: () => loadTestimonialsFromFile().map((t, index) => ({
+            id: String(t.id),
+            name: t.name,
+            role: t.role || null,
+            rating: t.rating || 5,
+            text: t.text,
+            initials: t.initials || null,
+            sortOrder: index
+        }))
+    },
+    stats: {
+        model: 'siteStat',
+        label: 'Stat',
+        fields: ['key', 'number', 'label', 'sortOrder'],
+        orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }],
+        loadFile: () => loadStatsFromFile().map((s, index) => ({
+            id: slugify(s.label),
+            key: slugify(s.label),
+            number: s.number,
+            label: s.label,
+            sortOrder: index
+        }))
+    }
+};
+
+// Fields the public API shows; drafts and audit fields stay admin-only
+const toPublic = (type, item) => {
+    const result = { id: item.id };
+    for (const field of CONTENT_TYPES[type].fields) {
+        result[field] = item[field];
+    }
+    if (item.publishedAt) result.publishedAt = item.publishedAt;
+    if (item.updatedAt) result.updatedAt = item.updatedAt;
+    return result;
+};
+
+/**
+ * Load published items of a type
+ * @param {string} type - Key of CONTENT_TYPES
+ * @param {Object} where - Extra filters (e.g. { section: 'tips' })
+ */
+const loadPublished = async (type, where = {}, now = new Date()) => {
+    const { model, orderBy, loadFile } = CONTENT_TYPES[type];
+
+    let items = [];
+    try {
+        items = await prisma[model].findMany({
+            where: {
+                ...where,
+                status: 'PUBLISHED',
+                publishedAt: { lte: now }
+            },
+            orderBy
+        });
+    } catch (dbError) {
+        // Database not available, use file fallback
+    }
+
+    if (!items || items.length === 0) {
+        return Object.keys(where).length === 0 ? loadFile() : [];
+    }
+
+    return items.map(item => toPublic(type, item));
+};
+
+/**
+ * Pick writable fields for a content type from a request body
+ * Publishing without a date publishes immediately unless the item already has one
+ * @param {Object} existing - Current item on update, or null on create
+ */
+const pickContentFields = (type, body, existing = null, now = new Date()) => {
+    const data = {};
+    for (const field of [...CONTENT_TYPES[type].fields, 'status', 'publishedAt']) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    if (data.publishedAt) {
+        data.publishedAt = new Date(data.publishedAt);
+    }
+    if (data.status === 'PUBLISHED' && !data.publishedAt && !(existing && existing.publishedAt)) {
+        data.publishedAt = now;
+    }
+    return data;
+};
+
+module.exports = {
+    CONTENT_TYPES,
+    loadPublished,
+    pickContentFields
+};
@@ -0,0 +1,196 @@
+/**
+ * Coupon Service
+ * Promo codes: a flat amount or a percentage off, or free delivery
+ *
+ * A code is checked when the cart is validated so checkout can show the
+ * discount, and checked again inside the order transaction, which is the only
+ * place the discount is decided. Restricted coupons discount only the lines of
+ * their products or categories; gift packs are already priced below their
+ * spices and only count towards unrestricted coupons. Uses are counted from
+ * orders carrying the code, so a cancelled order or failed payment gives its
+ * use back.
+ */
+
+const { loadCatalog } = require('./catalog');
+const { loadCategories, getCategoryWithDescendants } = require('./categories');
+
+const COUPON_CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,29}$/;
+const COUPON_TYPES = ['FLAT', 'PERCENT', 'FREE_DELIVERY'];
+
+// Codes are stored in capitals; typed ones may not be
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Raised when a code cannot be applied to the cart
+ * code is one of NOT_FOUND, NOT_STARTED, EXPIRED, USAGE_LIMIT,
+ * CUSTOMER_LIMIT, MIN_SUBTOTAL or NOT_ELIGIBLE
+ */
+class CouponError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'CouponError';
+        this.code = code;
+    }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check the fields of a coupon against each other
+ * @returns {Object|null} { field, message } for the first problem
+ */
+const couponRulesError = ({ type, value, startsAt, endsAt }) => {
+    if (type !== 'FREE_DELIVERY' && !(value > 0)) {
+        return { field: 'value', message: 'Discount value must be more than 0' };
+    }
+    if (type === 'PERCENT' && value > 100) {
+        return { field: 'value', message: 'A percentage discount must be at most 100' };
+    }
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+        return { field: 'endsAt', message: 'End date must be after the start date' };
+    }
+    return null;
+};
+
+/**
+ * Part of the subtotal a coupon discounts
+ * @param {Object} coupon - { productIds, categories }
+ * @param {Array} lines - Priced lines: [{ productId, bundleId, category, total }]
+ * @param {Array} categories - From loadCategories(), so subcategories count
+ */
+const eligibleSubtotal = (coupon, lines, categories = []) => {
+    const productIds = new Set(coupon.productIds || []);
+    const slugs = new Set((coupon.categories || [])
+        .flatMap(slug => [...getCategoryWithDescendants(categories, slug)]));
+    const restricted = productIds.size > 0 || slugs.size > 0;
+
+    return roundMoney(lines
+        .filter(line => !restricted || (!line.bundleId && (productIds.has(line.productId) || slugs.has(line.category))))
+        .reduce((sum, line) => sum + line.total, 0));
+};
+
+/**
+ * Work out a coupon's discount on a cart
+ * The minimum subtotal applies to the whole cart, before delivery
+ * @param {Object|null} coupon - Coupon row, null when the code does not exist
+ * @param {Object} cart - { lines, subtotal, deliveryCharge, categories, usage: { total, customer } }
+ *   usage.customer is left out when the customer is not known yet
+ * @returns {Object} { code, type, description, discount }
+ * @throws {CouponError} When the code cannot be applied
+ */
+const evaluateCoupon = (coupon, { lines, subtotal, deliveryCharge, categories, usage = {} }, now = new Date()) => {
+    if (!coupon || !coupon.isActive) {
+        throw new CouponError('NOT_FOUND', 'This code is not valid');
+    }
+    if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+        throw new CouponError('NOT_STARTED', 'This code is not active yet');
+    }
+    if (coupon.endsAt && now >= new Date(coupon.endsAt)) {
+        throw new CouponError('EXPIRED', 'This code has expired');
+    }
+    if (coupon.usageLimit != null && (usage.total || 0) >= coupon.usageLimit) {
+        throw new CouponError('USAGE_LIMIT', 'This code has been fully redeemed');
+    }
+    if (coupon.perCustomerLimit != null && usage.customer != null && usage.customer >= coupon.perCustomerLimit) {
+        throw new CouponError('CUSTOMER_LIMIT', 'You have already used this code');
+    }
+    if (subtotal < (coupon.minSubtotal || 0)) {
+        throw new CouponError('MIN_SUBTOTAL', `Add items worth ₹${roundMoney(coupon.minSubtotal - subtotal)} more to use this code`);
+    }
+
+    const eligible = eligibleSubtotal(coupon, lines, categories);
+    if (eligible <= 0) {
+        throw new CouponError('NOT_ELIGIBLE', 'This code does not apply to the items in your cart');
+    }
+
+    let discount;
+    if (coupon.type === 'FREE_DELIVERY') {
+        if (deliveryCharge <= 0) {
+            throw new CouponError('NOT_ELIGIBLE', 'Your order already has free delivery');
+        }
+        discount = deliveryCharge;
+    } else if (coupon.type === 'PERCENT') {
+        discount = roundMoney(eligible * coupon.value / 100);
+        if (coupon.maxDiscount != null) discount = Math.min(discount, coupon.maxDiscount);
+    } else {
+        discount = Math.min(coupon.value, eligible);
+    }
+
+    return {
+        code: coupon.code,
+        type: coupon.type,
+        description: coupon.description || null,
+        discount: roundMoney(discount)
+    };
+};
+
+// Orders that hold a use of their coupon
+const USING_ORDERS = {
+    status: { not: 'CANCELLED' },
+    paymentStatus: { not: 'FAILED' }
+};
+
+/**
+ * Uses of a coupon so far, across all customers and by one customer
+ * @param {Object} db - Prisma client or transaction
+ * @param {string|null} customerId - Null when the customer is not known
+ */
+const countCouponUses = async (db, code, customerId) => {
+    const where = { ...USING_ORDERS, couponCode: code };
+
+    const [total, customer] = await Promise.all([
+        db.order.count({ where }),
+        customerId ? db.order.count({ where: { ...where, customerId } }) : null
+    ]);
+    return { total, customer };
+};
+
+// Lines with the category coupons restrict by; gift packs have none
+const withCategories = async (lines) => {
+    const catalog = await loadCatalog();
+    return lines.map(line => ({
+        ...line,
+        category: line.bundleId ? null : (catalog.byId.get(line.productId) || {}).category || null
+    }));
+};
+
+/**
+ * Apply a code to priced cart lines
+ * Inside the order transaction the coupon row is locked first, so concurrent
+ * orders cannot both take the last use.
+ * @param {Object} db - Prisma client, or the order transaction with lock: true
+ * @param {Object} cart - { lines, subtotal, deliveryCharge, customerId }
+ * @returns {Promise<Object>} From evaluateCoupon()
+ * @throws {CouponError}
+ */
+const applyCoupon = async (db, code, { lines, subtotal, deliveryCharge, customerId = null }, { lock = false } = {}) => {
+    const normalized = normalizeCouponCode(code);
+    const coupon = COUPON_CODE_PATTERN.test(normalized)
+        ? await db.coupon.findUnique({ where: { code: normalized } })
+        : null;
+
+    if (!coupon) {
+        return evaluateCoupon(null, { lines, subtotal, deliveryCharge });
+    }
+    if (lock) {
+        await db.$queryRaw`SELECT "id" FROM "Coupon" WHERE "id" = ${coupon.id} FOR UPDATE`;
+    }
+
+    const usage = await countCouponUses(db, coupon.code, customerId);
+    const [categories, categorized] = await Promise.all([loadCategories(), withCategories(lines)]);
+
+    return evaluateCoupon(coupon, { lines: categorized, subtotal, deliveryCharge, categories, usage });
+};
+
+module.exports = {
+    COUPON_CODE_PATTERN,
+    COUPON_TYPES,
+    USING_ORDERS,
+    normalizeCouponCode,
+    CouponError,
+    couponRulesError,
+    eligibleSubtotal,
+    evaluateCoupon,
+    countCouponUses,
+    applyCoupon
+};
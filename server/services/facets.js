@@ -0,0 +1,188 @@
+/**
+ * Facet Service
+ * Filters products by price, origin, badge, pack size and availability
+ * and counts the options left in each dimension
+ */
+
+const { comparePackSizes } = require('./packSizes');
+
+// Price buckets offered as facet options (bounds are inclusive, like minPrice/maxPrice)
+const PRICE_RANGES = [
+    { min: 0, max: 200 },
+    { min: 200, max: 500 },
+    { min: 500, max: 1000 },
+    { min: 1000, max: null }
+];
+
+const AVAILABILITY = ['in-stock', 'out-of-stock'];
+
+// Origins like "Sri Lanka & Kerala" or "Vietnam / India" list several regions
+const ORIGIN_SEPARATOR = /\s*(?:,|&|\/|\band\b)\s*/i;
+
+// Accept repeated params (?origin=a&origin=b) and comma lists (?origin=a,b)
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+};
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+
+/**
+ * Read facet filters from query params
+ * Params: minPrice, maxPrice (inclusive), origin, badge, packSize,
+ * availability (in-stock, out-of-stock); list params may repeat or be comma separated
+ */
+const parseFacetFilters = (query = {}) => ({
+    minPrice: toNumber(query.minPrice),
+    maxPrice: toNumber(query.maxPrice),
+    origin: toList(query.origin),
+    badge: toList(query.badge),
+    packSize: toList(query.packSize),
+    availability: toList(query.availability).filter(v => AVAILABILITY.includes(v))
+});
+
+const getOrigins = (product) => {
+    if (!product.origin) return [];
+    return product.origin.split(ORIGIN_SEPARATOR).map(o => o.trim()).filter(Boolean);
+};
+
+// Available pack sizes with their prices
+const getVariants = (product) => {
+    return Object.entries(product.prices || {}).map(([packSize, price]) => ({ packSize, price }));
+};
+
+const getBadges = (product) => (product.badge ? [product.badge] : []);
+
+const getAvailability = (product) => (product.inStock === false ? 'out-of-stock' : 'in-stock');
+
+const inPriceRange = (price, min, max) => {
+    return (min === null || price >= min) && (max === null || price <= max);
+};
+
+const includesIgnoreCase = (list, value) => {
+    const lower = String(value).toLowerCase();
+    return list.some(item => item.toLowerCase() === lower);
+};
+
+// Variants matching the pack size and price filters
+const matchingVariants = (product, filters, { ignorePackSize = false, ignorePrice = false } = {}) => {
+    return getVariants(product).filter(v =>
+        (ignorePackSize || filters.packSize.length === 0 || includesIgnoreCase(filters.packSize, v.packSize)) &&
+        (ignorePrice || inPriceRange(v.price, filters.minPrice, filters.maxPrice))
+    );
+};
+
+const hasPriceFilter = (filters) => filters.minPrice !== null || filters.maxPrice !== null;
+
+/**
+ * Test a product against every filter except the skipped dimension
+ * Pack size and price apply to the same variant: "100g under ₹200"
+ */
+const matchesFilters = (product, filters, skip = null) => {
+    if (skip !== 'origin' && filters.origin.length > 0 &&
+        !getOrigins(product).some(o => includesIgnoreCase(filters.origin, o))) {
+        return false;
+    }
+
+    if (skip !== 'badge' && filters.badge.length > 0 &&
+        !(product.badge && includesIgnoreCase(filters.badge, product.badge))) {
+        return false;
+    }
+
+    if (skip !== 'availability' && filters.availability.length > 0 &&
+        !filters.availability.includes(getAvailability(product))) {
+        return false;
+    }
+
+    const variantFiltered = filters.packSize.length > 0 || hasPriceFilter(filters);
+    if (variantFiltered) {
+        const variants = matchingVariants(product, filters, {
+            ignorePackSize: skip === 'packSize',
+            ignorePrice: skip === 'price'
+        });
+        if (variants.length === 0) return false;
+    }
+
+    return true;
+};
+
+// Count products per value; every known value is listed so empty options can be disabled
+const countValues = (allValues, products, getValues, selected, compare) => {
+    const counts = new Map(allValues.map(value => [value, 0]));
+    for (const product of products) {
+        for (const value of new Set(getValues(product))) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+    }
+
+    // Selected values stay visible even when nothing matches them
+    for (const value of selected) {
+        if (![...counts.keys()].some(k => k.toLowerCase() === value.toLowerCase())) {
+            counts.set(value, 0);
+        }
+    }
+
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count, selected: includesIgnoreCase(selected, value) }))
+        .sort(compare || ((a, b) => a.value.localeCompare(b.value)));
+};
+
+/**
+ * Apply facet filters and compute facet counts
+ * Each dimension is counted with the other dimensions applied, so choosing
+ * "Kerala" still shows how many products the other origins would add
+ * @param {Array} products - Catalog products (already searched / category filtered)
+ * @param {Object} filters - From parseFacetFilters()
+ * @returns {Object} { products, facets }
+ */
+const applyFacets = (products, filters) => {
+    const without = (dimension) => products.filter(p => matchesFilters(p, filters, dimension));
+
+    const priceBase = without('price');
+    const packSizeBase = without('packSize');
+
+    const facets = {
+        origin: countValues(products.flatMap(getOrigins), without('origin'), getOrigins, filters.origin),
+        badge: countValues(products.flatMap(getBadges), without('badge'), getBadges, filters.badge),
+        packSize: countValues(
+            products.flatMap(p => getVariants(p).map(v => v.packSize)),
+            packSizeBase,
+            p => matchingVariants(p, filters, { ignorePackSize: true }).map(v => v.packSize),
+            filters.packSize,
+            (a, b) => comparePackSizes(a.value, b.value)
+        ),
+        availability: AVAILABILITY.map(value => ({
+            value,
+            count: without('availability').filter(p => getAvailability(p) === value).length,
+            selected: filters.availability.includes(value)
+        })),
+        price: PRICE_RANGES.map(range => ({
+            min: range.min,
+            max: range.max,
+            count: priceBase.filter(p =>
+                matchingVariants(p, filters, { ignorePrice: true })
+                    .some(v => inPriceRange(v.price, range.min, range.max))
+            ).length,
+            selected: filters.minPrice === range.min && filters.maxPrice === range.max
+        }))
+    };
+
+    return {
+        products: products.filter(p => matchesFilters(p, filters)),
+        facets
+    };
+};
+
+module.exports = {
+    PRICE_RANGES,
+    parseFacetFilters,
+    applyFacets
+};
@@ -0,0 +1,105 @@
+/**
+ * Catalog Localization Service
+ * Picks the customer's language and applies per-locale product translations
+ *
+ * Products keep their English text in the regular fields and translations in
+ * a map keyed by locale ({ hi: { name, description, ... }, kn: { ... } }).
+ * Any field without a translation falls back to English.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'hi', 'kn'];
+
+// Product fields that can be translated, by their API names
+const TRANSLATABLE_FIELDS = ['name', 'description', 'culinaryUses', 'healthBenefits', 'storageTips', 'purityIndicators'];
+
+const toSupported = (tag) => {
+    const primary = String(tag || '').trim().toLowerCase().split('-')[0];
+    return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+};
+
+/**
+ * Parse an Accept-Language header into language tags, most preferred first
+ * e.g. "kn-IN,kn;q=0.9,en;q=0.5" -> ['kn-IN', 'kn', 'en']
+ */
+const parseAcceptLanguage = (header) => {
+    if (!header) return [];
+
+    return String(header).split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.tag);
+};
+
+/**
+ * Resolve the locale for a request
+ * An explicit ?lang= wins over Accept-Language; unsupported values are ignored
+ */
+const resolveLocale = (lang, acceptLanguage) => {
+    return toSupported(lang)
+        || parseAcceptLanguage(acceptLanguage).map(toSupported).find(Boolean)
+        || DEFAULT_LOCALE;
+};
+
+/**
+ * Keep only supported locales and translatable fields, dropping empty values
+ * @param {Object} translations - { [locale]: { [field]: value } }
+ */
+const normalizeTranslations = (translations) => {
+    const result = {};
+    for (const locale of SUPPORTED_LOCALES.filter(l => l !== DEFAULT_LOCALE)) {
+        const source = translations && translations[locale];
+        if (!source) continue;
+
+        const fields = {};
+        for (const field of TRANSLATABLE_FIELDS) {
+            const value = source[field];
+            if (Array.isArray(value) ? value.length > 0 : value) {
+                fields[field] = value;
+            }
+        }
+        if (Object.keys(fields).length > 0) {
+            result[locale] = fields;
+        }
+    }
+    return result;
+};
+
+/**
+ * Product in the requested locale
+ * Adds locale (the language of the returned text) and leaves out the translation map
+ */
+const localizeProduct = (product, locale = DEFAULT_LOCALE) => {
+    const { translations, ...rest } = product;
+    const fields = (translations && translations[locale]) || {};
+    const translated = TRANSLATABLE_FIELDS.filter(field => fields[field] !== undefined);
+
+    if (locale === DEFAULT_LOCALE || translated.length === 0) {
+        return { ...rest, locale: DEFAULT_LOCALE };
+    }
+
+    const result = { ...rest, locale };
+    for (const field of translated) {
+        result[field] = fields[field];
+    }
+    // Database products also carry healthBenefits as benefits
+    if (result.benefits && fields.healthBenefits) {
+        result.benefits = fields.healthBenefits;
+    }
+    return result;
+};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    TRANSLATABLE_FIELDS,
+    parseAcceptLanguage,
+    resolveLocale,
+    normalizeTranslations,
+    localizeProduct
+};
@@ -0,0 +1,266 @@
+/**
+ * Inventory Service
+ * Per SKU stock in the VariantStock table
+ *
+ * SKUs without a VariantStock row are not tracked and always available.
+ * Bundle lines are counted as their component SKUs.
+ * Online orders reserve stock when created, commit it once paid and release
+ * it on cancellation or payment failure; COD orders commit straight away.
+ * Order.stockStatus records which step has run so each happens once.
+ * A payment captured after its reservation was released takes the units again
+ * only if they are all still there; otherwise the order is marked SHORT for
+ * the store to sort out by hand.
+ */
+
+const { prisma } = require('../config/prisma');
+const { lineSku } = require('./variants');
+
+/**
+ * Raised inside a transaction when an order asks for more than is available
+ * errors use the same shape as validateCart errors
+ */
+class StockError extends Error {
+    constructor(errors) {
+        super('Insufficient stock');
+        this.name = 'StockError';
+        this.errors = errors;
+    }
+}
+
+// Bundle lines stand for their components (quantities are per bundle)
+const expandItem = (item) => {
+    if (!item.bundleId || !Array.isArray(item.components)) return [item];
+    return item.components.map(c => ({
+        productId: c.productId,
+        sku: lineSku(c),
+        packSize: c.packSize,
+        quantity: c.quantity * item.quantity
+    }));
+};
+
+// Merge cart lines for the same SKU, expanding bundles
+// Quantities are added as numbers even if a caller passes them as strings
+const aggregateItems = (items) => {
+    const totals = new Map();
+    for (const item of items.flatMap(expandItem)) {
+        const sku = lineSku(item);
+        const quantity = Number(item.quantity);
+        const existing = totals.get(sku);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            totals.set(sku, { productId: item.productId, sku, packSize: item.packSize, quantity });
+        }
+    }
+    return [...totals.values()];
+};
+
+const findStockRows = (client, items) => {
+    if (items.length === 0) return [];
+    return client.variantStock.findMany({
+        where: { sku: { in: items.map(item => item.sku) } }
+    });
+};
+
+/**
+ * Available quantity (on hand minus reserved) per tracked SKU
+ * @returns {Map} sku -> available; untracked SKUs are absent
+ */
+const getAvailableStock = async (items) => {
+    let rows = [];
+    try {
+        rows = await findStockRows(prisma, aggregateItems(items));
+    } catch (dbError) {
+        // Database not available, nothing is tracked
+    }
+
+    return new Map((rows || []).map(row => [row.sku, Math.max(0, row.quantity - row.reserved)]));
+};
+
+const describeShortage = (available) => {
+    if (available === 0) {
+        return { code: 'OUT_OF_STOCK', error: 'Out of stock', available: 0 };
+    }
+    return { code: 'INSUFFICIENT_QUANTITY', error: `Only ${available} left in stock`, available };
+};
+
+/**
+ * Describe a stock problem for a requested quantity
+ * @returns {Object|null} Error entry, or null when the quantity is available
+ */
+const checkStock = (item, available) => {
+    if (available === undefined || available >= item.quantity) return null;
+
+    return {
+        productId: item.productId,
+        sku: item.sku,
+        packSize: item.packSize,
+        ...describeShortage(available)
+    };
+};
+
+/**
+ * Describe a stock problem for a bundle line
+ * Each component's stock is shared with the other cart lines that use it
+ * @param {Map} requested - Aggregated cart demand by SKU
+ * @param {Map} available - From getAvailableStock()
+ * @returns {Object|null} Error entry, or null when the bundles are available
+ */
+const checkBundleStock = (line, requested, available) => {
+    let bundles;
+    for (const c of line.components) {
+        const sku = lineSku(c);
+        if (!available.has(sku)) continue;
+
+        const usedElsewhere = requested.get(sku).quantity - c.quantity * line.quantity;
+        const fit = Math.max(0, Math.floor((available.get(sku) - usedElsewhere) / c.quantity));
+        bundles = bundles === undefined ? fit : Math.min(bundles, fit);
+    }
+
+    if (bundles === undefined || bundles >= line.quantity) return null;
+
+    return {
+        bundleId: line.bundleId,
+        ...describeShortage(bundles)
+    };
+};
+
+/**
+ * Reserve stock for order items inside a transaction
+ * Each row is updated with a conditional UPDATE so concurrent checkouts
+ * cannot reserve the same units
+ * @returns {boolean} Whether any item is stock-tracked
+ * @throws {StockError} When any item cannot be reserved
+ */
+const reserveStock = async (tx, items) => {
+    const needed = aggregateItems(items);
+    const rows = await findStockRows(tx, needed);
+    const tracked = new Map(rows.map(row => [row.sku, row]));
+
+    const errors = [];
+    for (const item of needed) {
+        const row = tracked.get(item.sku);
+        if (!row) continue;
+
+        const updated = await tx.$executeRaw`
+            UPDATE "VariantStock"
+            SET "reserved" = "reserved" + ${item.quantity}, "updatedAt" = NOW()
+            WHERE "id" = ${row.id} AND "quantity" - "reserved" >= ${item.quantity}
+        `;
+
+        if (updated === 0) {
+            errors.push(checkStock(item, Math.max(0, row.quantity - row.reserved)) || checkStock(item, 0));
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new StockError(errors);
+    }
+
+    return tracked.size > 0;
+};
+
+// Apply a quantity/reserved change to each tracked SKU of an order
+// A sold-out SKU that gets units back (a cancelled order or failed payment)
+// is marked restocked so its back-in-stock subscribers are notified
+const adjustStock = async (tx, items, { quantity, reserved }) => {
+    for (const item of aggregateItems(items)) {
+        const quantityChange = quantity * item.quantity;
+        const reservedChange = reserved * item.quantity;
+        await tx.$executeRaw`
+            UPDATE "VariantStock"
+            SET "quantity" = "quantity" + ${quantityChange},
+                "reserved" = GREATEST(0, "reserved" + ${reservedChange}),
+                "restockedAt" = CASE
+                    WHEN "quantity" - "reserved" <= 0
+                        AND "quantity" + ${quantityChange} - GREATEST(0, "reserved" + ${reservedChange}) > 0
+                    THEN NOW()
+                    ELSE "restockedAt"
+                END,
+                "updatedAt" = NOW()
+            WHERE "sku" = ${item.sku}
+        `;
+    }
+};
+
+/**
+ * Take released units again for a late payment capture
+ * The rows are locked first so the units are taken for every SKU or for none
+ * @returns {boolean} Whether every tracked SKU still had the units
+ */
+const retakeStock = async (tx, items) => {
+    const needed = aggregateItems(items);
+    if (needed.length === 0) return true;
+
+    const rows = await tx.$queryRaw`
+        SELECT "sku", "quantity", "reserved" FROM "VariantStock"
+        WHERE "sku" = ANY(${needed.map(item => item.sku)})
+        FOR UPDATE
+    `;
+    const available = new Map(rows.map(row => [row.sku, row.quantity - row.reserved]));
+    const tracked = needed.filter(item => available.has(item.sku));
+
+    if (tracked.some(item => available.get(item.sku) < item.quantity)) return false;
+
+    for (const item of tracked) {
+        await tx.$executeRaw`
+            UPDATE "VariantStock"
+            SET "quantity" = "quantity" - ${item.quantity}, "updatedAt" = NOW()
+            WHERE "sku" = ${item.sku} AND "quantity" - "reserved" >= ${item.quantity}
+        `;
+    }
+    return true;
+};
+
+// Move an order to a new stock status if it is still in one of the expected states
+const claimTransition = async (tx, order, from, to) => {
+    const { count } = await tx.order.updateMany({
+        where: { id: order.id, stockStatus: { in: from } },
+        data: { stockStatus: to }
+    });
+    return count === 1;
+};
+
+/**
+ * Take stock for a confirmed or paid order
+ * Reserved units leave both reserved and on hand; if the reservation was
+ * already released (e.g. a late payment capture) the units are taken again,
+ * or the order is marked SHORT when they are no longer there
+ */
+const commitOrderStock = async (tx, order) => {
+    if (!['RESERVED', 'RELEASED'].includes(order.stockStatus)) return;
+    const items = Array.isArray(order.items) ? order.items : [];
+
+    if (await claimTransition(tx, order, ['RESERVED'], 'COMMITTED')) {
+        await adjustStock(tx, items, { quantity: -1, reserved: -1 });
+    } else if (await claimTransition(tx, order, ['RELEASED'], 'COMMITTED')) {
+        if (!(await retakeStock(tx, items))) {
+            await claimTransition(tx, order, ['COMMITTED'], 'SHORT');
+        }
+    }
+};
+
+/**
+ * Return an order's stock on cancellation or payment failure
+ */
+const releaseOrderStock = async (tx, order) => {
+    if (!['RESERVED', 'COMMITTED'].includes(order.stockStatus)) return;
+    const items = Array.isArray(order.items) ? order.items : [];
+
+    if (await claimTransition(tx, order, ['RESERVED'], 'RELEASED')) {
+        await adjustStock(tx, items, { quantity: 0, reserved: -1 });
+    } else if (await claimTransition(tx, order, ['COMMITTED'], 'RELEASED')) {
+        await adjustStock(tx, items, { quantity: 1, reserved: 0 });
+    }
+};
+
+module.exports = {
+    StockError,
+    aggregateItems,
+    getAvailableStock,
+    checkStock,
+    checkBundleStock,
+    reserveStock,
+    commitOrderStock,
+    releaseOrderStock
+};
@@ -0,0 +1,60 @@
+/**
+ * Notifier Service
+ * Sends customer notifications through a pluggable transport
+ *
+ * NOTIFIER_TRANSPORT selects the transport (default "log").
+ * Built in: "log" prints to the console, "file" appends JSON lines to
+ * NOTIFIER_FILE (default server/logs/notifications.log) for development.
+ * SMS, WhatsApp or email providers plug in with registerTransport().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_NOTIFICATION_FILE = path.resolve(__dirname, '../logs/notifications.log');
+
+const transports = {
+    log: () => ({
+        send: async (notification) => {
+            const to = [notification.to.phone, notification.to.email].filter(Boolean).join(', ');
+            console.log(`[notify] ${to}: ${notification.message}`);
+        }
+    }),
+
+    file: () => {
+        const filePath = process.env.NOTIFIER_FILE || DEFAULT_NOTIFICATION_FILE;
+        return {
+            send: async (notification) => {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                const line = JSON.stringify({ ...notification, sentAt: new Date().toISOString() });
+                await fs.promises.appendFile(filePath, `${line}\n`);
+            }
+        };
+    }
+};
+
+/**
+ * Register a transport
+ * @param {string} name - Value for NOTIFIER_TRANSPORT
+ * @param {Function} factory - Returns { send: async (notification) => {} }
+ */
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+/**
+ * Create the configured notifier
+ * Notifications are { to: { phone, email }, subject, message, meta }
+ */
+const createNotifier = (name = process.env.NOTIFIER_TRANSPORT || 'log') => {
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown notifier transport: ${name}`);
+    }
+    return factory();
+};
+
+module.exports = {
+    registerTransport,
+    createNotifier
+};
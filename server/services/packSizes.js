@@ -0,0 +1,82 @@
+/**
+ * Pack Size Helpers
+ * Pack sizes are strings such as "50g", "250g" or "1kg"
+ * Unit prices (per 100g) let customers compare value across sizes
+ */
+
+const PACK_SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*(g|kg)$/i;
+
+/**
+ * Convert a pack size to grams
+ * @returns {number|null} Grams, or null when the size cannot be parsed
+ */
+const packSizeToGrams = (packSize) => {
+    const match = PACK_SIZE_PATTERN.exec(String(packSize || '').trim());
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    return match[2].toLowerCase() === 'kg' ? amount * 1000 : amount;
+};
+
+// Sort comparator: smallest pack first, unparseable sizes last
+const comparePackSizes = (a, b) => {
+    const gramsA = packSizeToGrams(a);
+    const gramsB = packSizeToGrams(b);
+    if (gramsA === null || gramsB === null) {
+        return (gramsA === null) - (gramsB === null) || String(a).localeCompare(String(b));
+    }
+    return gramsA - gramsB;
+};
+
+// Unit prices are quoted per this many grams
+const UNIT_GRAMS = 100;
+
+/**
+ * Price per 100g, rounded to paise
+ * @returns {number|null} Unit price, or null when the size cannot be parsed
+ */
+const unitPrice = (price, packSize) => {
+    const grams = packSizeToGrams(packSize);
+    if (!grams || !(price > 0)) return null;
+    return Math.round(price * UNIT_GRAMS / grams * 100) / 100;
+};
+
+/**
+ * Compare value across the pack sizes of one product
+ * @param {Object} prices - Selling price per pack size
+ * @returns {Object} { unitPrices, bestValue, savingsPercent }
+ *   unitPrices - price per 100g for each parseable size
+ *   bestValue - size with the lowest unit price (the smaller pack on a tie), or null
+ *   savingsPercent - whole percent saved per gram against the smallest pack,
+ *   for sizes that are cheaper per gram than it
+ */
+const unitPricing = (prices = {}) => {
+    const unitPrices = {};
+    for (const [packSize, price] of Object.entries(prices)) {
+        const value = unitPrice(price, packSize);
+        if (value !== null) unitPrices[packSize] = value;
+    }
+
+    const sizes = Object.keys(unitPrices).sort(comparePackSizes);
+    if (sizes.length === 0) {
+        return { unitPrices, bestValue: null, savingsPercent: {} };
+    }
+
+    const bestValue = sizes.reduce((best, size) => (unitPrices[size] < unitPrices[best] ? size : best));
+    const baseline = unitPrices[sizes[0]];
+    const savingsPercent = {};
+    for (const size of sizes.slice(1)) {
+        const percent = Math.floor((baseline - unitPrices[size]) * 100 / baseline);
+        if (percent > 0) savingsPercent[size] = percent;
+    }
+
+    return { unitPrices, bestValue, savingsPercent };
+};
+
+module.exports = {
+    UNIT_GRAMS,
+    packSizeToGrams,
+    comparePackSizes,
+    unitPrice,
+    unitPricing
+};
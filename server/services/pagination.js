@@ -0,0 +1,150 @@
+/**
+ * Product Sorting and Cursor Pagination
+ * Sort keys are computed once per product and every order ends with a
+ * productId tie-breaker, so pages never overlap or skip products
+ */
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Lowest available price, or null when the product has no prices
+const getMinPrice = (product) => {
+    const prices = Object.values(product.prices || {});
+    return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+// Lowest price per 100g across pack sizes, or null when no size can be compared
+const getMinUnitPrice = (product) => {
+    const unitPrices = Object.values(product.unitPrices || {});
+    return unitPrices.length > 0 ? Math.min(...unitPrices) : null;
+};
+
+// Sort definitions: key extractor, direction (1 ascending, -1 descending)
+// and the type of key it gives; nullable keys may also be null
+const SORTS = {
+    'price-asc': { key: getMinPrice, direction: 1, type: 'number', nullable: true },
+    'price-desc': { key: getMinPrice, direction: -1, type: 'number', nullable: true },
+    'unit-price-asc': { key: getMinUnitPrice, direction: 1, type: 'number', nullable: true },
+    'unit-price-desc': { key: getMinUnitPrice, direction: -1, type: 'number', nullable: true },
+    'name-asc': { key: p => (p.name || '').toLowerCase(), direction: 1, type: 'string' },
+    'name-desc': { key: p => (p.name || '').toLowerCase(), direction: -1, type: 'string' },
+    rating: { key: p => p.rating || 0, direction: -1, type: 'number' },
+    relevance: { key: p => p.score || 0, direction: -1, type: 'number' },
+    // Catalog order as loaded (file order, or createdAt in the database)
+    default: { key: (p, index) => index, direction: 1, type: 'number' }
+};
+
+// Alternative names accepted for the sort param
+const SORT_ALIASES = {
+    'price-low': 'price-asc',
+    'price-high': 'price-desc',
+    'unit-price': 'unit-price-asc',
+    value: 'unit-price-asc',
+    name: 'name-asc'
+};
+
+/**
+ * Resolve the sort param to a known sort
+ * Searches without an explicit sort are ordered by relevance
+ */
+const resolveSort = (sort, { searching = false } = {}) => {
+    const name = SORT_ALIASES[sort] || sort;
+    if (SORTS[name]) return name;
+    return searching ? 'relevance' : 'default';
+};
+
+const compareKeys = (a, b) => {
+    if (typeof a === 'string' && typeof b === 'string') {
+        return a.localeCompare(b);
+    }
+    return a - b;
+};
+
+/**
+ * Compare two positions { key, id } under a sort
+ * Products without a key (e.g. no prices) always come last
+ */
+const comparePositions = (a, b, sort) => {
+    const { direction } = SORTS[sort];
+
+    if (a.key === null || b.key === null) {
+        if (a.key !== b.key) return a.key === null ? 1 : -1;
+    } else {
+        const byKey = compareKeys(a.key, b.key) * direction;
+        if (byKey !== 0) return byKey;
+    }
+
+    return a.id.localeCompare(b.id);
+};
+
+/**
+ * Sort products, computing each sort key once
+ * @returns {Array} Rows of { product, key, id } in order
+ */
+const sortProducts = (products, sort) => {
+    const { key } = SORTS[sort];
+
+    return products
+        .map((product, index) => ({ product, key: key(product, index), id: product.productId }))
+        .sort((a, b) => comparePositions(a, b, sort));
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's position
+const encodeCursor = (sort, row) => {
+    return Buffer.from(JSON.stringify({ s: sort, k: row.key, i: row.id })).toString('base64url');
+};
+
+// Whether a decoded key could have come from the sort, so a tampered cursor
+// cannot make comparisons return NaN
+const isSortKey = (key, sort) => {
+    const { type, nullable } = SORTS[sort];
+    if (key === null) return nullable === true;
+    return typeof key === type && (type !== 'number' || Number.isFinite(key));
+};
+
+/**
+ * Decode a cursor for the given sort
+ * @returns {Object|null} Position { key, id }, or null if invalid or for another sort
+ */
+const decodeCursor = (cursor, sort) => {
+    try {
+        const { s, k, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (s !== sort || typeof i !== 'string' || !isSortKey(k, sort)) return null;
+        return { key: k, id: i };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Take one page of sorted rows after the cursor position
+ * @param {Array} rows - From sortProducts()
+ * @param {Object} options - { sort, after (decoded cursor), limit }
+ * @returns {Object} { items, nextCursor, total }
+ */
+const paginate = (rows, { sort, after = null, limit = null }) => {
+    const start = after
+        ? rows.findIndex(row => comparePositions(row, after, sort) > 0)
+        : 0;
+
+    const remaining = start === -1 ? [] : rows.slice(start);
+    const page = limit ? remaining.slice(0, limit) : remaining;
+    const hasMore = page.length < remaining.length;
+
+    return {
+        items: page.map(row => row.product),
+        nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+        total: rows.length
+    };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    getMinPrice,
+    getMinUnitPrice,
+    resolveSort,
+    sortProducts,
+    decodeCursor,
+    paginate
+};
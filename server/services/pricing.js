@@ -0,0 +1,138 @@
+/**
+ * Pricing Service
+ * Regular (MRP) and scheduled sale prices per variant
+ *
+ * A variant's price is its MRP. Sales are { price, startsAt, endsAt } windows
+ * stored on the variant (endsAt may be null for open-ended sales). The lowest
+ * sale running at a given moment is the selling price, so sales start and end
+ * on their own without anyone touching the catalog.
+ */
+
+const { unitPricing } = require('./packSizes');
+const { variantSku } = require('./variants');
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Find the sale running at a moment
+ * @returns {Object|null} Lowest active sale, or null
+ */
+const getActiveSale = (variant, at = new Date()) => {
+    const sales = Array.isArray(variant.sales) ? variant.sales : [];
+    let best = null;
+
+    for (const sale of sales) {
+        if (new Date(sale.startsAt) > at) continue;
+        if (sale.endsAt && new Date(sale.endsAt) <= at) continue;
+        if (sale.price >= variant.price) continue;
+        if (!best || sale.price < best.price) best = sale;
+    }
+
+    return best;
+};
+
+/**
+ * Resolve the selling price of a variant at a moment
+ * @returns {Object} { price, mrp, saleEndsAt }
+ */
+const resolvePrice = (variant, at = new Date()) => {
+    const sale = getActiveSale(variant, at);
+    return {
+        price: sale ? sale.price : variant.price,
+        mrp: variant.price,
+        saleEndsAt: sale ? sale.endsAt || null : undefined
+    };
+};
+
+/**
+ * Price maps for a product's available variants
+ * @returns {Object} { prices (selling), mrp, saleEndsAt (sizes on sale only), onSale,
+ *   unitPrices, bestValue, savingsPercent } - unit pricing follows the selling prices
+ */
+const priceVariants = (variants, at = new Date()) => {
+    const prices = {};
+    const mrp = {};
+    const saleEndsAt = {};
+
+    for (const variant of variants) {
+        const resolved = resolvePrice(variant, at);
+        prices[variant.packSize] = resolved.price;
+        mrp[variant.packSize] = resolved.mrp;
+        if (resolved.saleEndsAt !== undefined) {
+            saleEndsAt[variant.packSize] = resolved.saleEndsAt;
+        }
+    }
+
+    return {
+        prices,
+        mrp,
+        saleEndsAt,
+        onSale: Object.keys(saleEndsAt).length > 0,
+        ...unitPricing(prices)
+    };
+};
+
+/**
+ * Moments a variant's selling price changes on its own (sale starts and ends)
+ * @returns {number[]} Timestamps in milliseconds
+ */
+const getPriceChangeTimes = (variant) => {
+    const sales = Array.isArray(variant.sales) ? variant.sales : [];
+    return sales
+        .flatMap(s => [s.startsAt, s.endsAt])
+        .filter(Boolean)
+        .map(date => new Date(date).getTime());
+};
+
+// Store sales with ISO dates; no key when there are none
+const normalizeSales = (sales) => {
+    if (!Array.isArray(sales) || sales.length === 0) return {};
+    return {
+        sales: sales.map(s => ({
+            price: Number(s.price),
+            startsAt: new Date(s.startsAt).toISOString(),
+            endsAt: s.endsAt ? new Date(s.endsAt).toISOString() : null
+        }))
+    };
+};
+
+/**
+ * Price history entries for SKUs whose price or sales changed
+ * New SKUs are included; removed ones are not
+ */
+const diffPrices = (productId, previousVariants, variants) => {
+    const previous = new Map((previousVariants || []).map(v => [variantSku(productId, v), v]));
+
+    return variants
+        .filter(v => {
+            const old = previous.get(variantSku(productId, v));
+            return !old || old.price !== v.price || !isEqual(old.sales || [], v.sales || []);
+        })
+        .map(v => ({ sku: variantSku(productId, v), packSize: v.packSize, price: v.price, sales: v.sales || [] }));
+};
+
+/**
+ * Append price history for a product's variant changes
+ * History rows are never updated or deleted
+ * @param {Object} tx - Prisma client or transaction
+ * @param {string} changedBy - Admin key name, or the tool that made the change
+ */
+const recordPriceChanges = async (tx, productId, previousVariants, variants, changedBy) => {
+    const entries = diffPrices(productId, previousVariants, variants);
+    if (entries.length === 0) return 0;
+
+    await tx.priceHistory.createMany({
+        data: entries.map(entry => ({ productId, ...entry, changedBy }))
+    });
+    return entries.length;
+};
+
+module.exports = {
+    getActiveSale,
+    resolvePrice,
+    priceVariants,
+    getPriceChangeTimes,
+    normalizeSales,
+    diffPrices,
+    recordPriceChanges
+};
@@ -0,0 +1,105 @@
+/**
+ * Product Feed Service
+ * Shopping feeds for Google Merchant Center and similar marketplaces
+ *
+ * One item per SKU, identified by the SKU so marketplace listings keep their
+ * history across feed updates. SKUs of a product share an item group. Items
+ * carry the regular price, and the selling price while a sale runs; the feed
+ * is rebuilt at each sale start and end so the two never disagree with the
+ * storefront. Attribute names follow the Google product data specification.
+ */
+
+const { getSiteUrl, productUrl, absoluteUrl, escapeXml, BRAND, CURRENCY } = require('./seo');
+
+const FEED_FIELDS = [
+    'id', 'item_group_id', 'title', 'description', 'link', 'image_link', 'availability',
+    'price', 'sale_price', 'brand', 'gtin', 'identifier_exists', 'condition', 'product_type'
+];
+
+const GOOGLE_NS = 'http://base.google.com/ns/1.0';
+
+const formatPrice = (amount) => `${Number(amount).toFixed(2)} ${CURRENCY}`;
+
+// Category path from the top, e.g. "Whole Spices > Pepper"
+const categoryPath = (slug, categories) => {
+    const bySlug = new Map(categories.map(c => [c.slug, c]));
+    const names = [];
+    const seen = new Set();
+    for (let category = bySlug.get(slug); category && !seen.has(category.slug); category = bySlug.get(category.parent)) {
+        seen.add(category.slug);
+        names.unshift(category.name);
+    }
+    return names.length > 0 ? names.join(' > ') : undefined;
+};
+
+/**
+ * Feed items for the catalog
+ * @param {Array} products - Transformed products (skus with price, mrp, stock, image, gtin)
+ * @param {Array} categories - From loadCategories(), for product_type
+ * @returns {Array} Items keyed by FEED_FIELDS; fields that do not apply are left out
+ */
+const buildFeedItems = (products, categories = [], siteUrl = getSiteUrl()) => {
+    return products.flatMap(product => (product.skus || []).map(sku => ({
+        id: sku.sku,
+        item_group_id: product.productId,
+        title: `${product.name} ${sku.label}`,
+        description: product.description || product.name,
+        link: productUrl(product.productId, siteUrl),
+        image_link: absoluteUrl(sku.image || product.image, siteUrl),
+        availability: product.inStock === false || sku.stock === 0 ? 'out_of_stock' : 'in_stock',
+        price: formatPrice(sku.mrp),
+        ...(sku.price < sku.mrp && { sale_price: formatPrice(sku.price) }),
+        brand: BRAND,
+        // Without a GTIN, marketplaces are told the item has none rather than a missing one
+        ...(sku.gtin ? { gtin: sku.gtin } : { identifier_exists: 'no' }),
+        condition: 'new',
+        product_type: categoryPath(product.category, categories)
+    })));
+};
+
+/**
+ * RSS 2.0 feed with g: attributes
+ * @returns {string} XML document
+ */
+const buildRssFeed = (items, siteUrl = getSiteUrl()) => {
+    const entries = items.map(item => [
+        '    <item>',
+        ...FEED_FIELDS
+            .filter(field => item[field] !== undefined)
+            .map(field => `      <g:${field}>${escapeXml(item[field])}</g:${field}>`),
+        '    </item>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<rss version="2.0" xmlns:g="${GOOGLE_NS}">`,
+        '  <channel>',
+        `    <title>${BRAND} Spices</title>`,
+        `    <link>${escapeXml(siteUrl)}</link>`,
+        `    <description>${BRAND} product catalog</description>`,
+        ...entries,
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+};
+
+// Tabs and line breaks would split a TSV cell
+const toTsvCell = (value) => (value === undefined ? '' : String(value).replace(/[\t\r\n]+/g, ' '));
+
+/**
+ * Tab-separated feed with a header row
+ * @returns {string} TSV document
+ */
+const buildTsvFeed = (items) => {
+    return [FEED_FIELDS, ...items.map(item => FEED_FIELDS.map(field => item[field]))]
+        .map(row => row.map(toTsvCell).join('\t'))
+        .join('\n') + '\n';
+};
+
+module.exports = {
+    FEED_FIELDS,
+    buildFeedItems,
+    buildRssFeed,
+    buildTsvFeed
+};
@@ -0,0 +1,157 @@
+/**
+ * Recipe Service
+ * Recipes whose spice ingredients map to catalog products
+ *
+ * Spice ingredients carry a productId and the grams needed for the recipe's
+ * base servings. Scaling multiplies quantities and grams; the spices can then
+ * be turned into cart lines at the smallest pack size that covers them.
+ */
+
+const { prisma } = require('../config/prisma');
+const { loadRecipesFromFile } = require('./catalogFile');
+const { packSizeToGrams, comparePackSizes } = require('./packSizes');
+
+const transformFileRecipe = (r) => ({
+    recipeId: r.id,
+    title: r.title,
+    description: r.description || null,
+    image: r.image || null,
+    icon: r.icon || null,
+    tags: r.tags || [],
+    cookMinutes: r.cookMinutes,
+    servings: r.servings,
+    ingredients: r.ingredients || [],
+    steps: r.steps || []
+});
+
+const transformDbRecipe = (r) => ({
+    recipeId: r.recipeId,
+    title: r.title,
+    description: r.description,
+    image: r.image,
+    icon: r.icon,
+    tags: r.tags,
+    cookMinutes: r.cookMinutes,
+    servings: r.servings,
+    ingredients: Array.isArray(r.ingredients) ? r.ingredients : [],
+    steps: r.steps,
+    updatedAt: r.updatedAt
+});
+
+/**
+ * Load published recipes from the database, falling back to the JSON file
+ */
+const loadRecipes = async () => {
+    let recipes = [];
+    try {
+        recipes = await prisma.recipe.findMany({
+            where: { isPublished: true },
+            orderBy: [{ createdAt: 'asc' }, { recipeId: 'asc' }]
+        });
+    } catch (dbError) {
+        // Database not available, use file fallback
+    }
+
+    if (!recipes || recipes.length === 0) {
+        return loadRecipesFromFile().map(transformFileRecipe);
+    }
+
+    return recipes.map(transformDbRecipe);
+};
+
+/**
+ * Filter recipes by tags (any match) and maximum cook time in minutes
+ */
+const filterRecipes = (recipes, { tags = [], maxCookMinutes = null } = {}) => {
+    return recipes.filter(recipe =>
+        (tags.length === 0 || tags.some(tag => recipe.tags.includes(tag))) &&
+        (maxCookMinutes === null || recipe.cookMinutes <= maxCookMinutes)
+    );
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Scale ingredient quantities and grams to a number of servings
+ */
+const scaleRecipe = (recipe, servings = recipe.servings) => {
+    const factor = servings / recipe.servings;
+
+    return {
+        ...recipe,
+        servings,
+        baseServings: recipe.servings,
+        ingredients: recipe.ingredients.map(ingredient => ({
+            ...ingredient,
+            quantity: round(ingredient.quantity * factor),
+            ...(ingredient.grams !== undefined && { grams: round(ingredient.grams * factor) })
+        }))
+    };
+};
+
+/**
+ * Smallest buyable pack size that covers the grams needed
+ * When no single pack is large enough, the largest pack is used as many times as needed
+ * @param {Object} product - Catalog product with packSizes, prices and optional stock
+ * @returns {Object|null} { packSize, quantity }, or null when nothing can be bought
+ */
+const pickPackSize = (product, grams) => {
+    const stock = product.stock || {};
+    const sizes = (product.packSizes || [])
+        .filter(size => product.prices[size] && stock[size] !== 0 && packSizeToGrams(size) !== null)
+        .sort(comparePackSizes);
+
+    if (sizes.length === 0) return null;
+
+    const covering = sizes.find(size => packSizeToGrams(size) >= grams);
+    if (covering) return { packSize: covering, quantity: 1 };
+
+    const largest = sizes[sizes.length - 1];
+    return { packSize: largest, quantity: Math.ceil(grams / packSizeToGrams(largest)) };
+};
+
+/**
+ * Cart lines for every spice in a (scaled) recipe
+ * Spices used more than once are bought once for the combined amount
+ * @param {Array} products - Catalog products
+ * @returns {Object} { lines: [{ productId, name, packSize, quantity, price, grams }], unavailable: [productId] }
+ */
+const buildSpiceLines = (recipe, products) => {
+    const needed = new Map();
+    for (const { productId, grams } of recipe.ingredients) {
+        if (!productId) continue;
+        needed.set(productId, (needed.get(productId) || 0) + (grams || 0));
+    }
+
+    const lines = [];
+    const unavailable = [];
+
+    for (const [productId, grams] of needed) {
+        const product = products.find(p => p.productId === productId);
+        const pack = product && pickPackSize(product, grams);
+
+        if (!pack) {
+            unavailable.push(productId);
+            continue;
+        }
+
+        lines.push({
+            productId,
+            name: product.name,
+            packSize: pack.packSize,
+            quantity: pack.quantity,
+            price: product.prices[pack.packSize],
+            grams: round(grams)
+        });
+    }
+
+    return { lines, unavailable };
+};
+
+module.exports = {
+    loadRecipes,
+    filterRecipes,
+    scaleRecipe,
+    pickPackSize,
+    buildSpiceLines
+};
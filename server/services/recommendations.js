@@ -0,0 +1,163 @@
+/**
+ * Recommendation Service
+ * "Frequently bought together" from co-purchases in past orders
+ *
+ * Two products are related when they appear in the same order; gift pack
+ * lines count as their component products. For each related product we keep
+ * how many orders contained both and which of its pack sizes was bought, so a
+ * suggestion can offer the size people actually pick.
+ *
+ * The affinity model is held in memory and rebuilt when it is older than
+ * RECOMMENDATION_REFRESH_MINUTES. A stale model keeps being served while the
+ * rebuild runs, so requests never wait on it after the first build.
+ */
+
+const { prisma } = require('../config/prisma');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 180;
+const DEFAULT_REFRESH_MINUTES = 60;
+const MAX_ORDERS = 5000;
+
+// Pairs seen in fewer orders than this are treated as noise
+const MIN_CO_PURCHASES = 2;
+
+let model = null;
+let refreshing = null;
+
+// Distinct product pack sizes in an order, with gift packs expanded
+const orderLines = (items) => {
+    const lines = new Map();
+    for (const item of Array.isArray(items) ? items : []) {
+        const parts = item.bundleId ? item.components || [] : [item];
+        for (const { productId, packSize } of parts) {
+            if (!productId) continue;
+            if (!lines.has(productId)) lines.set(productId, new Set());
+            if (packSize) lines.get(productId).add(packSize);
+        }
+    }
+    return lines;
+};
+
+/**
+ * Build co-purchase affinity from order item lists
+ * @param {Array} orders - [{ items }]
+ * @returns {Object} { orders, products: Map productId → { orders, related: Map productId → { count, packSizes } } }
+ */
+const computeAffinity = (orders) => {
+    const products = new Map();
+    const entry = (productId) => {
+        if (!products.has(productId)) products.set(productId, { orders: 0, related: new Map() });
+        return products.get(productId);
+    };
+
+    for (const order of orders) {
+        const lines = orderLines(order.items);
+
+        for (const [productId] of lines) {
+            const source = entry(productId);
+            source.orders++;
+
+            for (const [otherId, packSizes] of lines) {
+                if (otherId === productId) continue;
+                if (!source.related.has(otherId)) {
+                    source.related.set(otherId, { count: 0, packSizes: new Map() });
+                }
+                const related = source.related.get(otherId);
+                related.count++;
+                for (const size of packSizes) {
+                    related.packSizes.set(size, (related.packSizes.get(size) || 0) + 1);
+                }
+            }
+        }
+    }
+
+    return { orders: orders.length, products };
+};
+
+/**
+ * Products bought together with a product, strongest first
+ * @returns {Array} [{ productId, count, confidence, packSizes }] with pack sizes most bought first
+ */
+const rankRelated = (affinity, productId) => {
+    const source = affinity.products.get(productId);
+    if (!source) return [];
+
+    return [...source.related.entries()]
+        .filter(([, related]) => related.count >= MIN_CO_PURCHASES)
+        .map(([otherId, related]) => ({
+            productId: otherId,
+            count: related.count,
+            confidence: Math.round((related.count / source.orders) * 100) / 100,
+            packSizes: [...related.packSizes.entries()]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .map(([size]) => size)
+        }))
+        .sort((a, b) => b.count - a.count || a.productId.localeCompare(b.productId));
+};
+
+const getRefreshInterval = () => {
+    const minutes = parseInt(process.env.RECOMMENDATION_REFRESH_MINUTES) || DEFAULT_REFRESH_MINUTES;
+    return minutes * 60 * 1000;
+};
+
+/**
+ * Rebuild the affinity model from recent, non-cancelled orders
+ */
+const refreshRecommendations = async (now = new Date()) => {
+    const days = parseInt(process.env.RECOMMENDATION_WINDOW_DAYS) || DEFAULT_WINDOW_DAYS;
+
+    const orders = await prisma.order.findMany({
+        where: {
+            status: { not: 'CANCELLED' },
+            createdAt: { gte: new Date(now.getTime() - days * DAY_MS) }
+        },
+        select: { items: true },
+        orderBy: { createdAt: 'desc' },
+        take: MAX_ORDERS
+    });
+
+    model = { ...computeAffinity(orders), computedAt: now };
+    return model;
+};
+
+// Rebuild once at a time; concurrent callers share the same rebuild
+const startRefresh = (now) => {
+    if (!refreshing) {
+        refreshing = refreshRecommendations(now).finally(() => {
+            refreshing = null;
+        });
+    }
+    return refreshing;
+};
+
+/**
+ * Get the affinity model, building it on first use
+ * A stale model is returned as-is while it is rebuilt in the background
+ */
+const getAffinity = async (now = new Date()) => {
+    if (!model) {
+        return startRefresh(now);
+    }
+
+    if (now - model.computedAt >= getRefreshInterval()) {
+        startRefresh(now).catch(error => {
+            console.error('Error refreshing recommendations:', error.message);
+        });
+    }
+    return model;
+};
+
+// Drop the cached model (tests, or after bulk order imports)
+const resetRecommendations = () => {
+    model = null;
+    refreshing = null;
+};
+
+module.exports = {
+    computeAffinity,
+    rankRelated,
+    refreshRecommendations,
+    getAffinity,
+    resetRecommendations
+};
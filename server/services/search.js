@@ -0,0 +1,371 @@
+/**
+ * Search Service
+ * Field-weighted, typo-tolerant product search with synonym expansion,
+ * Devanagari name matching and highlighted snippets
+ */
+
+// Relative importance of each product field
+const FIELD_WEIGHTS = [
+    { field: 'name', weight: 10 },
+    { field: 'nameHindi', weight: 8 },
+    { field: 'culinaryUses', weight: 4 },
+    { field: 'origin', weight: 3 },
+    { field: 'badge', weight: 2 },
+    { field: 'description', weight: 1 }
+];
+
+// Common Indian names and spellings, keyed by the English term used in the catalog
+const SYNONYMS = {
+    cardamom: ['elaichi', 'ilaichi', 'elachi'],
+    cinnamon: ['dalchini', 'darchini', 'cassia'],
+    cloves: ['clove', 'laung', 'lavang'],
+    cumin: ['jeera', 'zeera', 'jira'],
+    pepper: ['mirch', 'peppercorn', 'peppercorns']
+};
+
+// Multi-word names rewritten before tokenizing
+const PHRASE_SYNONYMS = {
+    'kali mirch': 'black pepper',
+    'badi elaichi': 'black cardamom',
+    'moti elaichi': 'black cardamom',
+    'hari elaichi': 'green cardamom'
+};
+
+// Match quality multipliers
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const FUZZY_MATCH = 0.6;
+const SYNONYM_FACTOR = 0.9;
+const PHRASE_BONUS = 5;
+const EXACT_NAME_BONUS = 3;
+
+const SNIPPET_LENGTH = 120;
+
+// Letters, combining marks (Devanagari matras) and digits form words
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Lowercase and strip Latin accents so "jeera" and "jéera" compare equal
+const normalize = (text) => {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+// Split text into words with their position in the original string
+const tokenize = (text) => {
+    if (!text) return [];
+    return Array.from(String(text).matchAll(WORD_PATTERN), match => ({
+        word: match[0],
+        index: match.index,
+        token: normalize(match[0])
+    }));
+};
+
+// Reverse lookup: alias -> all terms in its synonym group
+const SYNONYM_GROUPS = new Map();
+for (const [term, aliases] of Object.entries(SYNONYMS)) {
+    const group = [term, ...aliases];
+    for (const word of group) {
+        SYNONYM_GROUPS.set(word, group);
+    }
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus transpositions)
+ * Stops early once the distance exceeds max
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+};
+
+// Allowed typos grow with word length; short words must match exactly or by prefix
+const maxTypos = (token) => {
+    if (token.length >= 7) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+};
+
+/**
+ * How well a query token matches a field token (0 = no match)
+ */
+const matchQuality = (queryToken, fieldToken, allowFuzzy) => {
+    if (queryToken === fieldToken) return EXACT_MATCH;
+    if (queryToken.length >= 2 && fieldToken.startsWith(queryToken)) return PREFIX_MATCH;
+
+    const typos = allowFuzzy ? maxTypos(queryToken) : 0;
+    if (typos > 0) {
+        const distance = editDistance(queryToken, fieldToken, typos);
+        if (distance <= typos) {
+            return FUZZY_MATCH - (distance - 1) * 0.1;
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * Parse a query into tokens, each with its synonym alternatives
+ */
+const parseQuery = (query) => {
+    let text = normalize(query.trim());
+
+    for (const [phrase, replacement] of Object.entries(PHRASE_SYNONYMS)) {
+        text = text.replace(new RegExp(`\\b${phrase}\\b`, 'g'), replacement);
+    }
+
+    return tokenize(text).map(({ token }) => {
+        const group = SYNONYM_GROUPS.get(token) || [];
+        return {
+            token,
+            alternatives: [
+                { token, factor: 1, fuzzy: true },
+                ...group
+                    .filter(word => word !== token)
+                    .map(word => ({ token: word, factor: SYNONYM_FACTOR, fuzzy: false }))
+            ]
+        };
+    });
+};
+
+// Values of a field as a list of strings
+const fieldValues = (product, field) => {
+    const value = product[field];
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Score one product against parsed query terms
+ * Returns { score, matches } where matches maps field -> [{ valueIndex, word positions }]
+ */
+const scoreProduct = (product, terms) => {
+    const matches = {};
+    let score = 0;
+    let matchedTerms = 0;
+
+    const fields = FIELD_WEIGHTS.map(({ field, weight }) => ({
+        field,
+        weight,
+        values: fieldValues(product, field).map(tokenize)
+    }));
+
+    for (const term of terms) {
+        let termScore = 0;
+
+        for (const { field, weight, values } of fields) {
+            let best = 0;
+
+            values.forEach((words, valueIndex) => {
+                for (const word of words) {
+                    for (const alternative of term.alternatives) {
+                        const quality = matchQuality(alternative.token, word.token, alternative.fuzzy) * alternative.factor;
+                        if (quality > 0) {
+                            matches[field] = matches[field] || [];
+                            matches[field].push({ valueIndex, word });
+                        }
+                        best = Math.max(best, quality);
+                    }
+                }
+            });
+
+            termScore += best * weight;
+        }
+
+        if (termScore > 0) {
+            matchedTerms++;
+            score += termScore;
+        }
+    }
+
+    if (matchedTerms === 0) {
+        return { score: 0, matches };
+    }
+
+    // Favour products that match every term of the query
+    score *= matchedTerms / terms.length;
+
+    // Reward the whole query appearing in a name, most of all as the entire name
+    const phrase = terms.map(t => t.token).join(' ');
+    const names = ['name', 'nameHindi'].map(field => tokenize(product[field]).map(w => w.token).join(' '));
+    if (names.includes(phrase)) {
+        score += EXACT_NAME_BONUS;
+    } else if (terms.length > 1 && names.some(name => name.includes(phrase))) {
+        score += PHRASE_BONUS;
+    }
+
+    return { score: Math.round(score * 100) / 100, matches };
+};
+
+const escapeHTML = (text) => {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Wrap matched words in <mark>, escaping everything else
+ * Long text is trimmed to a snippet around the first match
+ */
+const highlight = (text, words, snippetLength) => {
+    const sorted = [...new Map(words.map(w => [w.index, w])).values()]
+        .sort((a, b) => a.index - b.index);
+
+    let start = 0;
+    let end = text.length;
+    if (snippetLength && text.length > snippetLength) {
+        start = Math.max(0, sorted[0].index - Math.floor(snippetLength / 3));
+        end = Math.min(text.length, start + snippetLength);
+
+        // Avoid cutting words in half at either edge
+        const firstSpace = text.indexOf(' ', start);
+        if (start > 0 && firstSpace !== -1 && firstSpace < sorted[0].index) start = firstSpace + 1;
+        const lastSpace = text.lastIndexOf(' ', end);
+        if (end < text.length && lastSpace > start) end = lastSpace;
+    }
+
+    let result = '';
+    let cursor = start;
+    for (const word of sorted) {
+        const wordEnd = word.index + word.word.length;
+        if (word.index < cursor || wordEnd > end) continue;
+        result += escapeHTML(text.slice(cursor, word.index));
+        result += `<mark>${escapeHTML(word.word)}</mark>`;
+        cursor = wordEnd;
+    }
+    result += escapeHTML(text.slice(cursor, end));
+
+    return `${start > 0 ? '…' : ''}${result.trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Build highlighted snippets for every field that matched
+const buildHighlights = (product, matches) => {
+    const highlights = {};
+
+    for (const [field, fieldMatches] of Object.entries(matches)) {
+        const values = fieldValues(product, field);
+
+        if (Array.isArray(product[field])) {
+            highlights[field] = values
+                .map((value, i) => ({ value, words: fieldMatches.filter(m => m.valueIndex === i).map(m => m.word) }))
+                .filter(({ words }) => words.length > 0)
+                .map(({ value, words }) => highlight(value, words));
+        } else {
+            const words = fieldMatches.map(m => m.word);
+            highlights[field] = highlight(values[0], words, field === 'description' ? SNIPPET_LENGTH : null);
+        }
+    }
+
+    return highlights;
+};
+
+/**
+ * Search products
+ * @param {Array} products - Catalog products (file or database shape)
+ * @param {string} query - Free text query in English, Hindi or Devanagari
+ * @param {Object} options - { limit }
+ * @returns {Array} Matching products with score and highlights, best first
+ */
+const searchProducts = (products, query, options = {}) => {
+    const terms = parseQuery(query || '');
+    if (terms.length === 0) return [];
+
+    const results = [];
+    for (const product of products) {
+        const { score, matches } = scoreProduct(product, terms);
+        if (score > 0) {
+            results.push({
+                ...product,
+                score,
+                highlights: buildHighlights(product, matches)
+            });
+        }
+    }
+
+    results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+    return options.limit ? results.slice(0, options.limit) : results;
+};
+
+// True when every query term matches a word of the text
+const matchesAllTerms = (text, terms) => {
+    const words = tokenize(text);
+    return terms.every(term => words.some(word =>
+        term.alternatives.some(alt => matchQuality(alt.token, word.token, alt.fuzzy) > 0)
+    ));
+};
+
+/**
+ * Search-as-you-type suggestions
+ * @param {Array} products - Catalog products
+ * @param {Array} categories - Flat category list ({ slug, name, icon })
+ * @param {string} query - Partial query
+ * @param {Object} options - { limit } per suggestion group
+ * @returns {Object} { products, categories, culinaryUses }
+ */
+const suggest = (products, categories, query, options = {}) => {
+    const limit = options.limit || 5;
+    const terms = parseQuery(query || '');
+    if (terms.length === 0) {
+        return { products: [], categories: [], culinaryUses: [] };
+    }
+
+    const productMatches = searchProducts(products, query, { limit });
+
+    const categoryMatches = categories
+        .filter(c => matchesAllTerms(c.name, terms) || matchesAllTerms(c.slug.replace(/-/g, ' '), terms))
+        .slice(0, limit);
+
+    // Distinct culinary uses across the catalog, most common first
+    const uses = new Map();
+    for (const product of products) {
+        for (const use of product.culinaryUses || []) {
+            const key = normalize(use);
+            if (!uses.has(key)) uses.set(key, { label: use, count: 0 });
+            uses.get(key).count++;
+        }
+    }
+    const useMatches = [...uses.values()]
+        .filter(use => matchesAllTerms(use.label, terms))
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+        .slice(0, limit);
+
+    return {
+        products: productMatches,
+        categories: categoryMatches,
+        culinaryUses: useMatches
+    };
+};
+
+module.exports = {
+    searchProducts,
+    suggest,
+    editDistance,
+    normalize
+};
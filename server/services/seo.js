@@ -0,0 +1,189 @@
+/**
+ * SEO Service
+ * sitemap.xml and schema.org structured data built from the live catalog
+ *
+ * Product and recipe pages are the listing pages opened on one item
+ * (products.html?product=<id>, recipes.html?recipe=<id>). A page's lastmod is
+ * the latest change to what it shows; pages with no dynamic content use the
+ * HTML file's modification time, and lastmod is left out when neither is known.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_ROOT = path.join(__dirname, '../..');
+const CURRENCY = 'INR';
+const BRAND = 'Tawabil';
+
+/**
+ * Storefront pages in the sitemap
+ * shows lists what a page displays: 'products', 'recipes' or 'articles:<section>'
+ */
+const PAGES = [
+    { path: 'index.html', priority: '1.0', shows: ['products'] },
+    { path: 'about.html', priority: '0.8', shows: ['articles:about'] },
+    { path: 'products.html', priority: '0.8', shows: ['products'] },
+    { path: 'quality.html', priority: '0.7', shows: ['articles:quality'] },
+    { path: 'tips.html', priority: '0.7', shows: ['articles:tips'] },
+    { path: 'recipes.html', priority: '0.7', shows: ['recipes'] },
+    { path: 'bulk-orders.html', priority: '0.9', shows: [] },
+    { path: 'contact.html', priority: '0.8', shows: [] }
+];
+
+const PRODUCT_PRIORITY = '0.7';
+const RECIPE_PRIORITY = '0.6';
+
+// Public storefront URL, without a trailing slash
+const getSiteUrl = () => (process.env.SITE_URL || 'https://tawabil.com').replace(/\/+$/, '');
+
+const productUrl = (productId, siteUrl = getSiteUrl()) => {
+    return `${siteUrl}/products.html?product=${encodeURIComponent(productId)}`;
+};
+
+const recipeUrl = (recipeId, siteUrl = getSiteUrl()) => {
+    return `${siteUrl}/recipes.html?recipe=${encodeURIComponent(recipeId)}`;
+};
+
+// Catalog images are stored relative to the site root
+const absoluteUrl = (url, siteUrl = getSiteUrl()) => {
+    if (!url) return undefined;
+    return /^https?:\/\//.test(url) ? url : `${siteUrl}/${String(url).replace(/^\/+/, '')}`;
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Latest of the given dates, or null when there are none
+const latest = (dates) => {
+    const times = dates.filter(Boolean).map(date => new Date(date).getTime()).filter(time => !isNaN(time));
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+const fileModifiedAt = (filePath) => {
+    try {
+        return fs.statSync(filePath).mtime;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Build sitemap.xml
+ * @param {Object} content - { products: [{ productId, updatedAt }], recipes: [{ recipeId, updatedAt }],
+ *   articles: [{ section, updatedAt, publishedAt }] }
+ * @returns {string} XML document
+ */
+const buildSitemap = ({ products = [], recipes = [], articles = [] }, siteUrl = getSiteUrl()) => {
+    const updatedAt = {
+        products: latest(products.map(p => p.updatedAt)),
+        recipes: latest(recipes.map(r => r.updatedAt))
+    };
+    for (const article of articles) {
+        const key = `articles:${article.section}`;
+        updatedAt[key] = latest([updatedAt[key], article.updatedAt || article.publishedAt]);
+    }
+
+    const entries = [
+        ...PAGES.map(page => ({
+            loc: `${siteUrl}/${page.path}`,
+            lastmod: page.shows.length > 0
+                ? latest(page.shows.map(key => updatedAt[key]))
+                : fileModifiedAt(path.join(SITE_ROOT, page.path)),
+            priority: page.priority
+        })),
+        ...products.map(p => ({ loc: productUrl(p.productId, siteUrl), lastmod: p.updatedAt, priority: PRODUCT_PRIORITY })),
+        ...recipes.map(r => ({ loc: recipeUrl(r.recipeId, siteUrl), lastmod: r.updatedAt, priority: RECIPE_PRIORITY }))
+    ];
+
+    const urls = entries.map(entry => [
+        '  <url>',
+        `    <loc>${escapeXml(entry.loc)}</loc>`,
+        entry.lastmod ? `    <lastmod>${new Date(entry.lastmod).toISOString().slice(0, 10)}</lastmod>` : null,
+        `    <priority>${entry.priority}</priority>`,
+        '  </url>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+};
+
+/**
+ * schema.org Product for a catalog product, with one Offer per SKU
+ * @param {Object} product - Transformed product (skus, rating, reviewCount)
+ * @returns {Object} JSON-LD document
+ */
+const buildProductJsonLd = (product, siteUrl = getSiteUrl()) => {
+    const url = productUrl(product.productId, siteUrl);
+
+    const offers = (product.skus || []).map(sku => {
+        const offer = {
+            '@type': 'Offer',
+            sku: sku.sku,
+            name: `${product.name} ${sku.label}`,
+            price: sku.price,
+            priceCurrency: CURRENCY,
+            availability: product.inStock === false || sku.stock === 0
+                ? 'https://schema.org/OutOfStock'
+                : 'https://schema.org/InStock',
+            itemCondition: 'https://schema.org/NewCondition',
+            url
+        };
+        if (sku.image) {
+            offer.image = absoluteUrl(sku.image, siteUrl);
+        }
+        // A sale price is only valid until the sale ends
+        if (sku.saleEndsAt) {
+            offer.priceValidUntil = new Date(sku.saleEndsAt).toISOString().slice(0, 10);
+        }
+        return offer;
+    });
+
+    const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        '@id': `${url}#product`,
+        name: product.name,
+        description: product.description || undefined,
+        image: absoluteUrl(product.image, siteUrl),
+        sku: product.productId,
+        category: product.category || undefined,
+        brand: { '@type': 'Brand', name: BRAND },
+        url,
+        offers
+    };
+
+    // Search engines reject ratings without reviews
+    if (product.reviewCount > 0) {
+        jsonLd.aggregateRating = {
+            '@type': 'AggregateRating',
+            ratingValue: Math.round(product.rating * 10) / 10,
+            reviewCount: product.reviewCount,
+            bestRating: 5,
+            worstRating: 1
+        };
+    }
+
+    return jsonLd;
+};
+
+module.exports = {
+    PAGES,
+    BRAND,
+    CURRENCY,
+    getSiteUrl,
+    absoluteUrl,
+    escapeXml,
+    productUrl,
+    recipeUrl,
+    buildSitemap,
+    buildProductJsonLd
+};
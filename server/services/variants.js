@@ -0,0 +1,102 @@
+/**
+ * Variant Service
+ * Option axes and SKUs for product variants
+ *
+ * A variant is one sellable combination of options: form (e.g. whole or
+ * ground), grade (e.g. 8mm bold pods) and weight (its pack size). Each
+ * variant has its own SKU, price, stock, and optionally an image and a GTIN
+ * (the barcode number). Products sold only by weight need no form or grade,
+ * and their SKUs are `${productId}-${packSize}`. Carts saved before SKUs
+ * existed keyed lines as `${productId}_${packSize}`; the cart moves those
+ * lines onto their pack size's default SKU when it loads.
+ *
+ * The per pack size maps on products (prices, mrp, stock, unit pricing) show
+ * the first listed variant of each weight, so features that work by pack size
+ * (facets, recipes, gift packs, recommendations) keep working unchanged.
+ */
+
+const OPTION_AXES = ['form', 'grade', 'weight'];
+
+// Stored or built SKUs are lowercase slugs
+const SKU_PATTERN = /^[a-z0-9][a-z0-9-]{1,79}$/;
+
+const toSlug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * SKU of a variant: the stored one, or built from the product and its options
+ * @example variantSku('zeera', { form: 'Ground', packSize: '100g' }) // 'zeera-ground-100g'
+ */
+const variantSku = (productId, variant) => {
+    if (variant.sku) return variant.sku;
+    return [productId, variant.form, variant.grade, variant.packSize].filter(Boolean).map(toSlug).join('-');
+};
+
+// Options that tell a product's variants apart; weight is the pack size
+const variantOptions = (variant) => ({
+    ...(variant.form && { form: variant.form }),
+    ...(variant.grade && { grade: variant.grade }),
+    weight: variant.packSize
+});
+
+// Readable options, e.g. "Ground 100g"
+const variantLabel = (variant) => [variant.form, variant.grade, variant.packSize].filter(Boolean).join(' ');
+
+/**
+ * Option axes with their values in catalog order
+ * Form and grade only appear when some variant has them
+ * @returns {Array} [{ name, values }]
+ */
+const getOptionAxes = (variants) => {
+    return OPTION_AXES
+        .map(name => ({ name, values: [...new Set(variants.map(v => variantOptions(v)[name]).filter(Boolean))] }))
+        .filter(axis => axis.values.length > 0);
+};
+
+// First listed variant of each pack size
+const defaultVariants = (variants) => {
+    const seen = new Set();
+    return variants.filter(v => !seen.has(v.packSize) && seen.add(v.packSize));
+};
+
+/**
+ * Find a product's variant for a line
+ * Lines name a SKU; lines saved before SKUs only name a pack size and get
+ * that size's default variant
+ * @param {Object} line - { sku } or { packSize }
+ * @returns {Object|null} Variant
+ */
+const findVariant = (productId, variants, { sku, packSize }) => {
+    if (sku) {
+        return variants.find(v => variantSku(productId, v) === sku) || null;
+    }
+    return defaultVariants(variants).find(v => v.packSize === packSize) || null;
+};
+
+/**
+ * Check a GTIN (EAN-8, UPC-A, EAN-13 or GTIN-14) including its check digit
+ */
+const isValidGtin = (gtin) => {
+    const digits = String(gtin);
+    if (!/^(?:\d{8}|\d{12,14})$/.test(digits)) return false;
+
+    // Weights 3 and 1 alternate from the digit left of the check digit
+    const sum = [...digits.slice(0, -1)].reverse()
+        .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+};
+
+// SKU of an order or cart line; lines without one predate SKUs and were sold by weight only
+const lineSku = (line) => line.sku || variantSku(line.productId, { packSize: line.packSize });
+
+module.exports = {
+    OPTION_AXES,
+    SKU_PATTERN,
+    variantSku,
+    variantOptions,
+    variantLabel,
+    getOptionAxes,
+    defaultVariants,
+    findVariant,
+    isValidGtin,
+    lineSku
+};
@@ -0,0 +1,278 @@
+/**
+ * Admin API Integration Tests
+ * Tests catalog CSV export, the all-or-nothing bulk import and coupons
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+process.env.ADMIN_API_KEYS = 'ops:test_admin_key';
+
+// Create a minimal express app for testing
+const app = express();
+app.use(express.json());
+
+const adminRoutes = require('../../server/routes/admin');
+app.use('/api/admin', adminRoutes);
+
+const ADMIN_AUTH = 'Bearer test_admin_key';
+
+const storedProducts = () => [
+    {
+        productId: 'cloves',
+        name: 'Cloves, Hand-picked',
+        variants: [
+            { sku: 'cloves-25g', packSize: '25g', price: 120, isAvailable: true },
+            {
+                sku: 'cloves-50g',
+                packSize: '50g',
+                price: 220,
+                isAvailable: true,
+                sales: [{ price: 200, startsAt: '2026-01-01T00:00:00.000Z', endsAt: null }]
+            }
+        ]
+    },
+    {
+        productId: 'zeera',
+        name: 'Zeera',
+        variants: [{ sku: 'zeera-whole-100g', form: 'Whole', packSize: '100g', price: 110, isAvailable: true }]
+    }
+];
+
+const csv = (...lines) => ['productId,name,sku,form,grade,packSize,price,isAvailable', ...lines].join('\n');
+
+const importCsv = (body) => request(app)
+    .post('/api/admin/products/import')
+    .set('Authorization', ADMIN_AUTH)
+    .set('Content-Type', 'text/csv')
+    .send(body);
+
+describe('Admin API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.$transaction.mockImplementation(fn => fn(prisma));
+    });
+
+    it('should reject requests without credentials', async () => {
+        const response = await request(app).get('/api/admin/products/export.csv');
+
+        expect(response.status).toBe(401);
+    });
+
+    describe('GET /api/admin/products/export.csv', () => {
+        it('should export one row per SKU', async () => {
+            prisma.product.findMany.mockResolvedValueOnce(storedProducts());
+
+            const response = await request(app)
+                .get('/api/admin/products/export.csv')
+                .set('Authorization', ADMIN_AUTH);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/^text\/csv/);
+            expect(response.headers['content-disposition']).toMatch(/attachment; filename="tawabil-products-/);
+            expect(response.text.replace(/^\uFEFF/, '').split('\r\n')).toEqual([
+                'productId,name,sku,form,grade,packSize,price,isAvailable',
+                'cloves,"Cloves, Hand-picked",cloves-25g,,,25g,120,true',
+                'cloves,"Cloves, Hand-picked",cloves-50g,,,50g,220,true',
+                'zeera,Zeera,zeera-whole-100g,Whole,,100g,110,true',
+                ''
+            ]);
+        });
+
+        it('should export the catalog file when the database has no products', async () => {
+            prisma.product.findMany.mockResolvedValueOnce([]);
+
+            const response = await request(app)
+                .get('/api/admin/products/export.csv')
+                .set('Authorization', ADMIN_AUTH);
+
+            expect(response.text).toContain('zeera,Cumin Seeds (Zeera),zeera-ground-100g,Ground,,100g,120,true');
+        });
+    });
+
+    describe('POST /api/admin/products/import', () => {
+        it('should update prices, add SKUs and record who changed them', async () => {
+            prisma.product.findMany.mockResolvedValueOnce(storedProducts());
+            prisma.product.update.mockResolvedValue({});
+            prisma.priceHistory.createMany.mockResolvedValue({ count: 1 });
+
+            const response = await importCsv(csv(
+                'cloves,Cloves,cloves-25g,,,25g,130,',
+                'cloves,Cloves,cloves-50g,,,50g,220,false',
+                'zeera,Zeera,,Ground,,100g,120,'
+            ));
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toEqual({ rows: 3, products: 2, priceChanges: 2 });
+
+            const [cloves, zeera] = prisma.product.update.mock.calls.map(call => call[0]);
+            expect(cloves.where).toEqual({ productId: 'cloves' });
+            expect(cloves.data.variants[0].price).toBe(130);
+            // Sales stay on their SKU
+            expect(cloves.data.variants[1]).toMatchObject({ isAvailable: false, sales: [{ price: 200 }] });
+            expect(zeera.data.variants[1]).toEqual({
+                form: 'Ground', sku: 'zeera-ground-100g', packSize: '100g', price: 120, isAvailable: true
+            });
+
+            expect(prisma.priceHistory.createMany.mock.calls.map(call => call[0].data)).toEqual([
+                [{ productId: 'cloves', sku: 'cloves-25g', packSize: '25g', price: 130, sales: [], changedBy: 'ops' }],
+                [{ productId: 'zeera', sku: 'zeera-ground-100g', packSize: '100g', price: 120, sales: [], changedBy: 'ops' }]
+            ]);
+        });
+
+        it('should report every bad row and import nothing', async () => {
+            const response = await importCsv(csv(
+                'cloves,Cloves,,,,25 grams,130,',
+                'cloves,Cloves,,,,50g,free,maybe',
+                'cloves,Cloves,,,,100g,400,'
+            ));
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { row: 2, field: 'packSize', message: 'Pack size must look like 50g or 1kg' },
+                { row: 3, field: 'price', message: 'Price must be between 1 and 100000' },
+                { row: 3, field: 'isAvailable', message: 'Availability must be true or false' }
+            ]);
+            expect(prisma.$transaction).not.toHaveBeenCalled();
+        });
+
+        it('should check rows against the stored catalog before writing', async () => {
+            prisma.product.findMany.mockResolvedValueOnce(storedProducts());
+
+            const response = await importCsv(csv(
+                'cloves,Cloves,,,,25g,130,',
+                'saffron,Saffron,,,,1g,400,',
+                'cloves,Cloves,cloves-25g,,,25g,135,',
+                'cloves,Cloves,,,,50g,180,',
+                'zeera,Zeera,cloves-25g,Ground,,100g,120,'
+            ));
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { row: 3, field: 'productId', message: 'Unknown product saffron' },
+                { row: 4, field: 'sku', message: 'SKU cloves-25g is also on row 2' },
+                { row: 5, field: 'price', message: 'Price must stay above the scheduled sale price of 200' },
+                { row: 6, field: 'sku', message: 'SKU cloves-25g is also on row 2' }
+            ]);
+            expect(prisma.product.update).not.toHaveBeenCalled();
+            expect(prisma.priceHistory.createMany).not.toHaveBeenCalled();
+        });
+
+        it('should name missing columns', async () => {
+            const response = await importCsv('productId,packSize\ncloves,25g\n');
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([{ row: 1, field: 'price', message: 'Missing column price' }]);
+        });
+
+        it('should require a CSV body', async () => {
+            const response = await request(app)
+                .post('/api/admin/products/import')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ rows: [] });
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Coupons', () => {
+        it('should list coupons with their uses so far', async () => {
+            prisma.coupon.findMany.mockResolvedValueOnce([
+                { id: 'coupon_1', code: 'DIWALI25', type: 'PERCENT', value: 25 },
+                { id: 'coupon_2', code: 'FREESHIP', type: 'FREE_DELIVERY', value: 0 }
+            ]);
+            prisma.order.groupBy.mockResolvedValueOnce([{ couponCode: 'DIWALI25', _count: { _all: 7 } }]);
+
+            const response = await request(app)
+                .get('/api/admin/coupons')
+                .set('Authorization', ADMIN_AUTH);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(c => [c.code, c.uses])).toEqual([['DIWALI25', 7], ['FREESHIP', 0]]);
+            expect(prisma.order.groupBy.mock.calls[0][0].where).toMatchObject({
+                couponCode: { in: ['DIWALI25', 'FREESHIP'] },
+                status: { not: 'CANCELLED' }
+            });
+        });
+
+        it('should create a coupon under the admin\'s name', async () => {
+            prisma.coupon.create.mockImplementation(({ data }) => Promise.resolve({ id: 'coupon_1', ...data }));
+
+            const response = await request(app)
+                .post('/api/admin/coupons')
+                .set('Authorization', ADMIN_AUTH)
+                .send({
+                    code: 'diwali25',
+                    type: 'PERCENT',
+                    value: '25',
+                    maxDiscount: 150,
+                    categories: ['whole-spices'],
+                    perCustomerLimit: 1,
+                    endsAt: '2026-11-05T00:00:00Z'
+                });
+
+            expect(response.status).toBe(201);
+            expect(prisma.coupon.create).toHaveBeenCalledWith({
+                data: {
+                    code: 'DIWALI25',
+                    type: 'PERCENT',
+                    value: 25,
+                    maxDiscount: 150,
+                    categories: ['whole-spices'],
+                    perCustomerLimit: 1,
+                    endsAt: new Date('2026-11-05T00:00:00Z'),
+                    createdBy: 'ops'
+                }
+            });
+        });
+
+        it('should reject values that do not fit the type', async () => {
+            const response = await request(app)
+                .post('/api/admin/coupons')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ code: 'HALF', type: 'PERCENT', value: 150 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([expect.objectContaining({ field: 'value' })]);
+            expect(prisma.coupon.create).not.toHaveBeenCalled();
+        });
+
+        it('should check updates against the stored coupon and keep the code', async () => {
+            prisma.coupon.findUnique.mockResolvedValue({
+                code: 'DIWALI25',
+                type: 'PERCENT',
+                value: 25,
+                startsAt: new Date('2026-10-20T00:00:00Z')
+            });
+
+            const early = await request(app)
+                .patch('/api/admin/coupons/diwali25')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ endsAt: '2026-10-01T00:00:00Z' });
+
+            expect(early.status).toBe(400);
+            expect(early.body.errors[0].field).toBe('endsAt');
+
+            const renamed = await request(app)
+                .patch('/api/admin/coupons/diwali25')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ code: 'OTHER' });
+
+            expect(renamed.status).toBe(400);
+
+            prisma.coupon.update.mockResolvedValueOnce({ code: 'DIWALI25', isActive: false });
+            const ended = await request(app)
+                .patch('/api/admin/coupons/diwali25')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ isActive: false });
+
+            expect(ended.status).toBe(200);
+            expect(prisma.coupon.update).toHaveBeenCalledWith({
+                where: { code: 'DIWALI25' },
+                data: { isActive: false }
+            });
+        });
+    });
+});
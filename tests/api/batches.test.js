@@ -0,0 +1,156 @@
+/**
+ * Batches API Integration Tests - Prisma Version
+ * Tests the public quality report and batch management with mocked Prisma client
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+process.env.ADMIN_API_KEYS = 'ops:test_admin_key';
+
+// Create a minimal express app for testing
+const app = express();
+app.use(express.json());
+
+const batchRoutes = require('../../server/routes/batches');
+app.use('/api/batches', batchRoutes);
+
+const ADMIN_AUTH = 'Bearer test_admin_key';
+
+const mockBatch = {
+    id: 'batch-1',
+    lotNumber: 'CARD-2026-014',
+    productId: 'cardamom',
+    farm: 'Green Hills Estate',
+    region: 'Idukki',
+    harvestedAt: new Date('2026-01-10T00:00:00Z'),
+    packedAt: new Date('2026-02-01T00:00:00Z'),
+    expiresAt: new Date('2099-02-01T00:00:00Z'),
+    moisturePercent: 9.5,
+    volatileOilPercent: 7.2,
+    labName: 'Spices Board Lab, Kochi',
+    testedAt: new Date('2026-01-25T00:00:00Z'),
+    reportUrl: null,
+    notes: 'Dried on raised beds',
+    createdBy: 'ops'
+};
+
+const newBatch = {
+    lotNumber: 'card-2026-015',
+    productId: 'cardamom',
+    farm: 'Green Hills Estate',
+    harvestedAt: '2026-02-10',
+    packedAt: '2026-03-01',
+    expiresAt: '2027-03-01',
+    moisturePercent: 10
+};
+
+describe('Batches API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('GET /api/batches/:lot', () => {
+        it('should show the quality report without internal fields', async () => {
+            prisma.batch.findUnique.mockResolvedValueOnce({
+                ...mockBatch,
+                product: { name: 'Green Cardamom', origin: 'Kerala', purityIndicators: ['Deep green pods'] }
+            });
+
+            const response = await request(app).get('/api/batches/card-2026-014');
+
+            expect(response.status).toBe(200);
+            expect(prisma.batch.findUnique.mock.calls[0][0].where).toEqual({ lotNumber: 'CARD-2026-014' });
+            expect(response.body.data).toMatchObject({
+                lotNumber: 'CARD-2026-014',
+                product: { productId: 'cardamom', name: 'Green Cardamom', purityIndicators: ['Deep green pods'] },
+                farm: 'Green Hills Estate',
+                expired: false,
+                labResults: { moisturePercent: 9.5, volatileOilPercent: 7.2 }
+            });
+            expect(response.body.data.notes).toBeUndefined();
+            expect(response.body.data.createdBy).toBeUndefined();
+        });
+
+        it('should return 404 for unknown lots', async () => {
+            prisma.batch.findUnique.mockResolvedValueOnce(null);
+
+            const response = await request(app).get('/api/batches/NOPE-1');
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('POST /api/batches', () => {
+        it('should create a batch with a QR link and record who created it', async () => {
+            prisma.batch.create.mockImplementationOnce(({ data }) => Promise.resolve({ id: 'batch-2', ...data }));
+
+            const response = await request(app)
+                .post('/api/batches')
+                .set('Authorization', ADMIN_AUTH)
+                .send(newBatch);
+
+            expect(response.status).toBe(201);
+            const { data } = prisma.batch.create.mock.calls[0][0];
+            expect(data).toMatchObject({ lotNumber: 'CARD-2026-015', productId: 'cardamom', createdBy: 'ops', moisturePercent: 10 });
+            expect(data.packedAt).toBeInstanceOf(Date);
+            expect(response.body.data.qrUrl).toBe('https://tawabil.com/quality.html?lot=CARD-2026-015');
+        });
+
+        it('should reject dates out of order and bad lab results', async () => {
+            const packedFirst = await request(app)
+                .post('/api/batches')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ ...newBatch, packedAt: '2026-01-01' });
+            const badMoisture = await request(app)
+                .post('/api/batches')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ ...newBatch, moisturePercent: 140 });
+
+            expect(packedFirst.status).toBe(400);
+            expect(packedFirst.body.errors[0].field).toBe('packedAt');
+            expect(badMoisture.status).toBe(400);
+            expect(prisma.batch.create).not.toHaveBeenCalled();
+        });
+
+        it('should return 409 for a duplicate lot number', async () => {
+            prisma.batch.create.mockRejectedValueOnce(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+            const response = await request(app)
+                .post('/api/batches')
+                .set('Authorization', ADMIN_AUTH)
+                .send(newBatch);
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    describe('PATCH /api/batches/:lot', () => {
+        it('should add lab results and check dates against the stored batch', async () => {
+            prisma.batch.findUnique.mockResolvedValue(mockBatch);
+            prisma.batch.update.mockImplementationOnce(({ data }) => Promise.resolve({ ...mockBatch, ...data }));
+
+            const updated = await request(app)
+                .patch('/api/batches/CARD-2026-014')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ volatileOilPercent: 7.8 });
+            const expiresEarly = await request(app)
+                .patch('/api/batches/CARD-2026-014')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ expiresAt: '2026-01-15' });
+            const renamed = await request(app)
+                .patch('/api/batches/CARD-2026-014')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ lotNumber: 'CARD-9' });
+
+            expect(updated.status).toBe(200);
+            expect(updated.body.data.volatileOilPercent).toBe(7.8);
+            expect(expiresEarly.status).toBe(400);
+            expect(expiresEarly.body.errors[0].field).toBe('expiresAt');
+            expect(renamed.status).toBe(400);
+            expect(prisma.batch.update).toHaveBeenCalledTimes(1);
+        });
+    });
+});
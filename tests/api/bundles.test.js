@@ -0,0 +1,172 @@
+/**
+ * Bundles API Integration Tests - Prisma Version
+ * Tests gift pack listing and admin management with mocked Prisma client
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+process.env.ADMIN_API_KEYS = 'ops:test_admin_key';
+
+// Create a minimal express app for testing
+const app = express();
+app.use(express.json());
+
+const bundleRoutes = require('../../server/routes/bundles');
+app.use('/api/bundles', bundleRoutes);
+
+const ADMIN_AUTH = 'Bearer test_admin_key';
+
+const validBundle = {
+    bundleId: 'chai-masala-kit',
+    name: 'Chai Masala Kit',
+    components: [
+        { productId: 'cardamom', packSize: '25g' },
+        { productId: 'cinnamon', packSize: '50g', quantity: 2 }
+    ],
+    discountPercent: 15
+};
+
+describe('Bundles API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.bundle.findMany.mockResolvedValue([]);
+        prisma.product.findUnique.mockResolvedValue(null);
+        prisma.variantStock.findMany.mockResolvedValue([]);
+    });
+
+    describe('GET /api/bundles', () => {
+        it('should price gift packs from the catalog file', async () => {
+            const response = await request(app).get('/api/bundles');
+
+            expect(response.status).toBe(200);
+            const [biryani, festive] = response.body.data;
+            expect(biryani).toMatchObject({ bundleId: 'biryani-spice-box', price: 396, componentsTotal: 440, savings: 44 });
+            expect(biryani.components[0]).toEqual({
+                productId: 'cardamom',
+                name: 'Green Cardamom',
+                sku: 'cardamom-25g',
+                packSize: '25g',
+                quantity: 1,
+                price: 150
+            });
+            // Fixed price
+            expect(festive).toMatchObject({ price: 999, componentsTotal: 1110, savings: 111, inStock: true });
+        });
+
+        it('should mark gift packs with a sold-out component as out of stock', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([
+                { sku: 'cloves-100g', productId: 'cloves', packSize: '100g', quantity: 1, reserved: 1 }
+            ]);
+
+            const response = await request(app).get('/api/bundles');
+
+            const inStock = Object.fromEntries(response.body.data.map(b => [b.bundleId, b.inStock]));
+            expect(inStock).toEqual({ 'biryani-spice-box': true, 'festive-gift-pack': false });
+        });
+
+        it('should leave out gift packs with an unavailable component', async () => {
+            prisma.bundle.findMany.mockResolvedValue([
+                {
+                    bundleId: 'saffron-box',
+                    name: 'Saffron Box',
+                    category: 'gift-packs',
+                    components: [{ productId: 'saffron', packSize: '1g', quantity: 1 }],
+                    price: 500,
+                    discountPercent: null
+                }
+            ]);
+
+            const response = await request(app).get('/api/bundles');
+
+            expect(response.body.count).toBe(0);
+        });
+
+        it('should return 404 for unknown gift packs', async () => {
+            const response = await request(app).get('/api/bundles/no-such-box');
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('POST /api/bundles', () => {
+        it('should require admin credentials', async () => {
+            const response = await request(app).post('/api/bundles').send(validBundle);
+
+            expect(response.status).toBe(401);
+        });
+
+        it('should create a gift pack', async () => {
+            prisma.bundle.create.mockImplementation(({ data }) => Promise.resolve({ id: 'b1', ...data }));
+
+            const response = await request(app)
+                .post('/api/bundles')
+                .set('Authorization', ADMIN_AUTH)
+                .send(validBundle);
+
+            expect(response.status).toBe(201);
+            expect(prisma.bundle.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    bundleId: 'chai-masala-kit',
+                    components: [
+                        { productId: 'cardamom', packSize: '25g', quantity: 1 },
+                        { productId: 'cinnamon', packSize: '50g', quantity: 2 }
+                    ],
+                    discountPercent: 15,
+                    price: null
+                })
+            });
+        });
+
+        it('should reject components that cannot be sold', async () => {
+            const response = await request(app)
+                .post('/api/bundles')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ ...validBundle, components: [...validBundle.components, { productId: 'cardamom', packSize: '5kg' }] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('Unknown component: cardamom (5kg)');
+            expect(prisma.bundle.create).not.toHaveBeenCalled();
+        });
+
+        it('should not accept both a price and a discount', async () => {
+            const response = await request(app)
+                .post('/api/bundles')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ ...validBundle, price: 300 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors[0].message).toBe('Set either a price or a discount, not both');
+        });
+
+        it('should return 409 for duplicate bundle IDs', async () => {
+            prisma.bundle.create.mockRejectedValue({ code: 'P2002' });
+
+            const response = await request(app)
+                .post('/api/bundles')
+                .set('Authorization', ADMIN_AUTH)
+                .send(validBundle);
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    describe('PATCH /api/bundles/:id', () => {
+        it('should switch a discount to a fixed price', async () => {
+            prisma.bundle.update.mockImplementation(({ data }) => Promise.resolve(data));
+
+            const response = await request(app)
+                .patch('/api/bundles/chai-masala-kit')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ price: 249 });
+
+            expect(response.status).toBe(200);
+            expect(prisma.bundle.update).toHaveBeenCalledWith({
+                where: { bundleId: 'chai-masala-kit' },
+                data: { price: 249, discountPercent: null }
+            });
+        });
+    });
+});
@@ -0,0 +1,434 @@
+/**
+ * Cart API Integration Tests - Prisma Version
+ * Tests cart validation with mocked Prisma client
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+// Create a minimal express app for testing
+const app = express();
+app.use(express.json());
+
+const cartRoutes = require('../../server/routes/cart');
+app.use('/api/cart', cartRoutes);
+
+describe('Cart API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.product.findUnique.mockResolvedValue(null);
+    });
+
+    describe('POST /api/cart/validate', () => {
+        it('should report out-of-stock and insufficient quantities', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([
+                { sku: 'cardamom-50g', productId: 'cardamom', packSize: '50g', quantity: 3, reserved: 3 },
+                { sku: 'cloves-25g', productId: 'cloves', packSize: '25g', quantity: 5, reserved: 2 }
+            ]);
+
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({
+                    items: [
+                        { productId: 'cardamom', packSize: '50g', quantity: 1, price: 280 },
+                        { productId: 'cloves', packSize: '25g', quantity: 2, price: 120 },
+                        { productId: 'cloves', packSize: '25g', quantity: 2, price: 120 },
+                        { productId: 'zeera', packSize: '100g', quantity: 4, price: 110 }
+                    ]
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.valid).toBe(false);
+            expect(response.body.errors).toEqual([
+                expect.objectContaining({ productId: 'cardamom', code: 'OUT_OF_STOCK', available: 0 }),
+                expect.objectContaining({ productId: 'cloves', code: 'INSUFFICIENT_QUANTITY', available: 3 })
+            ]);
+
+            // Out-of-stock lines are left out of the totals
+            const ids = response.body.items.map(i => i.productId);
+            expect(ids).toEqual(['cloves', 'cloves', 'zeera']);
+            expect(response.body.items[0].availableQuantity).toBe(3);
+        });
+
+        it('should add up quantities sent as strings as numbers', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([
+                { sku: 'cloves-25g', productId: 'cloves', packSize: '25g', quantity: 5, reserved: 0 }
+            ]);
+
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({
+                    items: [
+                        { productId: 'cloves', packSize: '25g', quantity: '1', price: 120 },
+                        { productId: 'cloves', packSize: '25g', quantity: '1', price: 120 }
+                    ]
+                });
+
+            expect(response.body.valid).toBe(true);
+            expect(response.body.items.map(i => i.quantity)).toEqual([1, 1]);
+            expect(response.body.summary).toMatchObject({ itemCount: 2, subtotal: 240 });
+        });
+
+        it('should treat untracked variants as available', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([]);
+
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({ items: [{ productId: 'zeera', packSize: '100g', quantity: 10, price: 110 }] });
+
+            expect(response.body.valid).toBe(true);
+            expect(response.body.errors).toEqual([]);
+        });
+
+        it('should price each SKU and resolve pack size lines to the default SKU', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([
+                { sku: 'zeera-ground-100g', productId: 'zeera', packSize: '100g', quantity: 2, reserved: 0 }
+            ]);
+
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({
+                    items: [
+                        { productId: 'zeera', sku: 'zeera-ground-100g', quantity: 3, price: 120 },
+                        { productId: 'zeera', packSize: '100g', quantity: 3, price: 110 }
+                    ]
+                });
+
+            expect(response.body.items.map(i => [i.sku, i.label, i.price])).toEqual([
+                ['zeera-ground-100g', 'Ground 100g', 120],
+                ['zeera-whole-100g', 'Whole 100g', 110]
+            ]);
+            expect(response.body.errors).toEqual([
+                expect.objectContaining({ sku: 'zeera-ground-100g', code: 'INSUFFICIENT_QUANTITY', available: 2 })
+            ]);
+        });
+
+        it('should not fall back to file prices for products disabled or removed in the database', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([]);
+            prisma.product.findUnique.mockResolvedValueOnce({
+                productId: 'cloves',
+                name: 'Cloves',
+                isAvailable: false,
+                variants: [{ packSize: '25g', price: 120 }]
+            });
+            // The catalog comes from the database, which has no zeera row
+            prisma.product.findMany.mockResolvedValueOnce([{
+                productId: 'cardamom',
+                name: 'Green Cardamom',
+                isAvailable: true,
+                variants: [{ packSize: '50g', price: 280 }],
+                stock: []
+            }]);
+
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({
+                    items: [
+                        { productId: 'cloves', packSize: '25g', quantity: 1, price: 120 },
+                        { productId: 'zeera', packSize: '100g', quantity: 1, price: 110 }
+                    ]
+                });
+
+            expect(response.body.valid).toBe(false);
+            expect(response.body.items).toEqual([]);
+            expect(response.body.errors.map(e => [e.productId, e.code])).toEqual([
+                ['cloves', 'NOT_FOUND'],
+                ['zeera', 'NOT_FOUND']
+            ]);
+        });
+
+        it('should price lines at the sale running now', async () => {
+            const day = 24 * 60 * 60 * 1000;
+            prisma.variantStock.findMany.mockResolvedValue([]);
+            prisma.product.findUnique.mockResolvedValueOnce({
+                productId: 'cardamom',
+                name: 'Green Cardamom',
+                isAvailable: true,
+                variants: [{
+                    packSize: '50g',
+                    price: 300,
+                    sales: [
+                        { price: 240, startsAt: new Date(Date.now() - 7 * day).toISOString(), endsAt: new Date(Date.now() - day).toISOString() },
+                        { price: 270, startsAt: new Date(Date.now() - day).toISOString(), endsAt: new Date(Date.now() + day).toISOString() }
+                    ]
+                }]
+            });
+
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({ items: [{ productId: 'cardamom', packSize: '50g', quantity: 2, price: 240 }] });
+
+            expect(response.body.items[0]).toMatchObject({
+                price: 270,
+                mrp: 300,
+                priceChanged: true,
+                originalPrice: 240,
+                total: 540
+            });
+        });
+
+        it('should price a gift pack from its components', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([]);
+
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({ items: [{ bundleId: 'biryani-spice-box', quantity: 1, price: 396 }] });
+
+            expect(response.body.valid).toBe(true);
+            const [line] = response.body.items;
+            // 150 + 120 + 90 + 80, less 10%
+            expect(line).toMatchObject({ bundleId: 'biryani-spice-box', price: 396, priceChanged: false, total: 396 });
+            expect(line.components.map(c => c.productId)).toEqual(['cardamom', 'cloves', 'cinnamon', 'black-pepper']);
+        });
+
+        it('should share component stock with other lines', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([
+                { sku: 'cloves-25g', productId: 'cloves', packSize: '25g', quantity: 3, reserved: 0 }
+            ]);
+
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({
+                    items: [
+                        { productId: 'cloves', packSize: '25g', quantity: 2, price: 120 },
+                        { bundleId: 'biryani-spice-box', quantity: 2, price: 396 }
+                    ]
+                });
+
+            expect(response.body.errors).toEqual([
+                expect.objectContaining({ productId: 'cloves', code: 'INSUFFICIENT_QUANTITY', available: 3 }),
+                expect.objectContaining({ bundleId: 'biryani-spice-box', code: 'INSUFFICIENT_QUANTITY', available: 1 })
+            ]);
+        });
+
+        it('should reject unknown gift packs', async () => {
+            const response = await request(app)
+                .post('/api/cart/validate')
+                .send({ items: [{ bundleId: 'no-such-box', quantity: 1, price: 100 }] });
+
+            expect(response.body.valid).toBe(false);
+            expect(response.body.errors).toEqual([
+                expect.objectContaining({ bundleId: 'no-such-box', code: 'NOT_FOUND' })
+            ]);
+        });
+
+        describe('coupon codes', () => {
+            const items = [
+                { productId: 'cloves', packSize: '25g', quantity: 2, price: 120 },
+                { productId: 'zeera', packSize: '100g', quantity: 1, price: 110 }
+            ];
+            const coupon = (fields) => ({
+                id: 'coupon_1',
+                code: 'SPICE10',
+                description: '10% off cloves',
+                type: 'PERCENT',
+                value: 10,
+                minSubtotal: 0,
+                productIds: ['cloves'],
+                categories: [],
+                isActive: true,
+                ...fields
+            });
+
+            beforeEach(() => {
+                prisma.variantStock.findMany.mockResolvedValue([]);
+            });
+
+            it('should show the discount as its own line', async () => {
+                prisma.coupon.findUnique.mockResolvedValueOnce(coupon());
+                prisma.order.count.mockResolvedValueOnce(12);
+
+                const response = await request(app)
+                    .post('/api/cart/validate')
+                    .send({ items, couponCode: ' spice10 ' });
+
+                expect(prisma.coupon.findUnique).toHaveBeenCalledWith({ where: { code: 'SPICE10' } });
+                expect(response.body.coupon).toEqual({
+                    code: 'SPICE10',
+                    type: 'PERCENT',
+                    description: '10% off cloves',
+                    discount: 24
+                });
+                expect(response.body.couponError).toBeNull();
+                expect(response.body.summary).toMatchObject({
+                    subtotal: 350,
+                    deliveryCharge: 40,
+                    discount: 24,
+                    total: 366
+                });
+            });
+
+            it('should count the customer\'s uses when the phone is given', async () => {
+                prisma.coupon.findUnique.mockResolvedValueOnce(coupon({ type: 'FLAT', value: 50, perCustomerLimit: 1 }));
+                prisma.customer.findUnique.mockResolvedValueOnce({ id: 'customer_1', phone: '9876543210' });
+                prisma.order.count.mockResolvedValueOnce(12).mockResolvedValueOnce(1);
+
+                const response = await request(app)
+                    .post('/api/cart/validate')
+                    .send({ items, couponCode: 'SPICE10', phone: '9876543210' });
+
+                expect(prisma.order.count).toHaveBeenLastCalledWith({
+                    where: expect.objectContaining({ couponCode: 'SPICE10', customerId: 'customer_1' })
+                });
+                // A code that does not apply leaves the cart valid
+                expect(response.body.valid).toBe(true);
+                expect(response.body.coupon).toBeNull();
+                expect(response.body.couponError).toEqual({ code: 'CUSTOMER_LIMIT', error: 'You have already used this code' });
+                expect(response.body.summary).toMatchObject({ discount: 0, total: 390 });
+            });
+
+            it('should report unknown codes without looking up malformed ones', async () => {
+                prisma.coupon.findUnique.mockResolvedValueOnce(null);
+
+                const unknown = await request(app)
+                    .post('/api/cart/validate')
+                    .send({ items, couponCode: 'NOPE2026' });
+
+                expect(unknown.body.couponError).toEqual(expect.objectContaining({ code: 'NOT_FOUND' }));
+
+                const malformed = await request(app)
+                    .post('/api/cart/validate')
+                    .send({ items, couponCode: 'no spaces!' });
+
+                expect(malformed.status).toBe(400);
+                expect(prisma.coupon.findUnique).toHaveBeenCalledTimes(1);
+            });
+        });
+    });
+
+    describe('POST /api/cart/sync', () => {
+        const TOKEN = 'a'.repeat(32);
+        const cloves = (quantity) => ({ id: 'cloves-25g', productId: 'cloves', sku: 'cloves-25g', quantity, price: 120 });
+        const zeera = (quantity) => ({ id: 'zeera-whole-100g', productId: 'zeera', sku: 'zeera-whole-100g', quantity, price: 110 });
+
+        it('should start a cart and return its token', async () => {
+            prisma.cart.create.mockImplementationOnce(({ data }) => Promise.resolve({ id: 'c1', version: 0, ...data }));
+
+            const response = await request(app)
+                .post('/api/cart/sync')
+                .send({ items: [cloves(2)], savedItems: [] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+            expect(response.body.data.items).toEqual([cloves(2)]);
+            expect(prisma.cart.create.mock.calls[0][0].data.token).toBe(response.body.data.token);
+        });
+
+        it('should merge with the stored cart since the last sync', async () => {
+            prisma.cart.findUnique.mockResolvedValueOnce({
+                id: 'c1', token: TOKEN, version: 4, items: [cloves(1), zeera(1)], savedItems: []
+            });
+            prisma.cart.updateMany.mockResolvedValueOnce({ count: 1 });
+
+            const response = await request(app)
+                .post('/api/cart/sync')
+                .send({
+                    token: TOKEN,
+                    items: [zeera(1)],
+                    savedItems: [cloves(1)],
+                    base: { items: [cloves(1)], savedItems: [] }
+                });
+
+            expect(response.body.data).toEqual({ token: TOKEN, items: [zeera(1)], savedItems: [cloves(1)] });
+            expect(prisma.cart.updateMany).toHaveBeenCalledWith({
+                where: { id: 'c1', version: 4 },
+                data: { items: [zeera(1)], savedItems: [cloves(1)], version: { increment: 1 } }
+            });
+        });
+
+        it('should merge again when another device synced in between', async () => {
+            prisma.cart.findUnique
+                .mockResolvedValueOnce({ id: 'c1', token: TOKEN, version: 4, items: [], savedItems: [] })
+                .mockResolvedValueOnce({ id: 'c1', token: TOKEN, version: 5, items: [zeera(2)], savedItems: [] });
+            prisma.cart.updateMany
+                .mockResolvedValueOnce({ count: 0 })
+                .mockResolvedValueOnce({ count: 1 });
+
+            const response = await request(app)
+                .post('/api/cart/sync')
+                .send({ token: TOKEN, items: [cloves(1)], savedItems: [] });
+
+            expect(response.body.data.items).toEqual([zeera(2), cloves(1)]);
+            expect(prisma.cart.updateMany.mock.calls[1][0].where).toEqual({ id: 'c1', version: 5 });
+        });
+
+        it('should attach the device\'s cart to the customer', async () => {
+            prisma.cart.findUnique
+                .mockResolvedValueOnce({ id: 'c1', token: TOKEN, version: 1, customerId: null, items: [cloves(1)], savedItems: [] })
+                .mockResolvedValueOnce(null);
+            prisma.customer.findUnique.mockResolvedValueOnce({ id: 'customer_1', phone: '9876543210' });
+            prisma.cart.updateMany
+                .mockResolvedValueOnce({ count: 1 })
+                .mockResolvedValueOnce({ count: 1 });
+
+            const response = await request(app)
+                .post('/api/cart/sync')
+                .send({ token: TOKEN, phone: '9876543210', items: [cloves(1)], savedItems: [], base: { items: [cloves(1)] } });
+
+            expect(response.body.data.token).toBe(TOKEN);
+            expect(prisma.cart.findUnique).toHaveBeenLastCalledWith({ where: { customerId: 'customer_1' } });
+            expect(prisma.cart.updateMany).toHaveBeenLastCalledWith({
+                where: { token: TOKEN, customerId: null },
+                data: { customerId: 'customer_1' }
+            });
+        });
+
+        it('should not hand out another cart for a phone number', async () => {
+            prisma.cart.findUnique
+                .mockResolvedValueOnce({ id: 'c1', token: TOKEN, version: 1, customerId: null, items: [cloves(1)], savedItems: [] })
+                .mockResolvedValueOnce({ id: 'c2', token: 'b'.repeat(32), version: 7, customerId: 'customer_1', items: [zeera(1)], savedItems: [] });
+            prisma.customer.findUnique.mockResolvedValueOnce({ id: 'customer_1', phone: '9876543210' });
+            prisma.cart.updateMany.mockResolvedValueOnce({ count: 1 });
+
+            const response = await request(app)
+                .post('/api/cart/sync')
+                .send({ token: TOKEN, phone: '9876543210', items: [cloves(1)], savedItems: [], base: { items: [cloves(1)] } });
+
+            expect(response.body.data).toEqual({ token: TOKEN, items: [cloves(1)], savedItems: [] });
+            expect(prisma.cart.updateMany).toHaveBeenCalledTimes(1);
+            expect(prisma.cart.updateMany.mock.calls[0][0].where).toEqual({ id: 'c1', version: 1 });
+        });
+
+        it('should leave a new cart unattached until an order is placed with it', async () => {
+            prisma.cart.create.mockImplementationOnce(({ data }) => Promise.resolve({ id: 'c1', version: 0, ...data }));
+
+            const response = await request(app)
+                .post('/api/cart/sync')
+                .send({ phone: '9876543210', items: [cloves(1)], savedItems: [] });
+
+            expect(response.status).toBe(200);
+            expect(prisma.cart.create.mock.calls[0][0].data.customerId).toBeUndefined();
+            expect(prisma.customer.findUnique).not.toHaveBeenCalled();
+        });
+
+        it('should keep syncing when another cart was attached to the customer first', async () => {
+            prisma.cart.findUnique
+                .mockResolvedValueOnce({ id: 'c1', token: TOKEN, version: 1, customerId: null, items: [], savedItems: [] })
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ id: 'c2', token: 'b'.repeat(32), customerId: 'customer_1' });
+            prisma.customer.findUnique.mockResolvedValueOnce({ id: 'customer_1', phone: '9876543210' });
+            prisma.cart.updateMany
+                .mockResolvedValueOnce({ count: 1 })
+                .mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+            const response = await request(app)
+                .post('/api/cart/sync')
+                .send({ token: TOKEN, phone: '9876543210', items: [cloves(1)], savedItems: [] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.token).toBe(TOKEN);
+        });
+
+        it('should reject malformed tokens and lines', async () => {
+            const response = await request(app)
+                .post('/api/cart/sync')
+                .send({ token: 'guess', phone: '12345', items: [{ productId: 'cloves', quantity: 0 }] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors.map(e => e.field)).toEqual(['token', 'phone', 'items[0]', 'items[0].quantity']);
+            expect(prisma.cart.findUnique).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Content API Integration Tests - Prisma Version
+ * Tests published content, file fallback and admin publishing with mocked Prisma client
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+process.env.ADMIN_API_KEYS = 'ops:test_admin_key';
+
+// Create a minimal express app for testing
+const app = express();
+app.use(express.json());
+
+const contentRoutes = require('../../server/routes/content');
+app.use('/api/content', contentRoutes);
+
+const ADMIN_AUTH = 'Bearer test_admin_key';
+
+const mockArticle = {
+    id: 'article-1',
+    slug: 'storing-cardamom',
+    section: 'tips',
+    title: 'Storing Cardamom',
+    summary: 'Keep the pods whole.',
+    body: 'Whole pods keep their oils.\n\nGrind just before use.',
+    image: null,
+    tags: ['storage'],
+    status: 'PUBLISHED',
+    publishedAt: new Date('2026-01-01T00:00:00Z'),
+    updatedBy: 'ops'
+};
+
+describe('Content API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.article.findMany.mockResolvedValue([]);
+        prisma.testimonial.findMany.mockResolvedValue([]);
+        prisma.siteStat.findMany.mockResolvedValue([]);
+    });
+
+    describe('GET /api/content/testimonials and /stats', () => {
+        it('should fall back to the catalog file when nothing is published', async () => {
+            const testimonials = await request(app).get('/api/content/testimonials');
+            const stats = await request(app).get('/api/content/stats');
+
+            expect(testimonials.status).toBe(200);
+            expect(testimonials.body.data[0]).toMatchObject({ name: 'Priya Sharma', initials: 'PS', rating: 5 });
+            expect(stats.body.data.map(s => s.number)).toEqual(['10+', '5000+', '100%', '50+']);
+            expect(stats.body.data[0].key).toBe('years-of-trust');
+        });
+
+        it('should only query published items whose publish date has passed', async () => {
+            prisma.siteStat.findMany.mockResolvedValueOnce([
+                { id: 's1', key: 'years', number: '12+', label: 'Years of Trust', sortOrder: 0, status: 'PUBLISHED', updatedBy: 'ops' }
+            ]);
+
+            const response = await request(app).get('/api/content/stats');
+
+            expect(response.body.data).toEqual([
+                { id: 's1', key: 'years', number: '12+', label: 'Years of Trust', sortOrder: 0 }
+            ]);
+            const { where } = prisma.siteStat.findMany.mock.calls[0][0];
+            expect(where.status).toBe('PUBLISHED');
+            expect(where.publishedAt.lte).toBeInstanceOf(Date);
+        });
+    });
+
+    describe('GET /api/content/articles', () => {
+        it('should list published articles for a section without bodies', async () => {
+            prisma.article.findMany.mockResolvedValueOnce([mockArticle]);
+
+            const response = await request(app).get('/api/content/articles?section=tips');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data[0].slug).toBe('storing-cardamom');
+            expect(response.body.data[0].body).toBeUndefined();
+            expect(response.body.data[0].updatedBy).toBeUndefined();
+            expect(prisma.article.findMany.mock.calls[0][0].where.section).toBe('tips');
+        });
+
+        it('should reject an unknown section', async () => {
+            const response = await request(app).get('/api/content/articles?section=blog');
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should return the full article by slug', async () => {
+            prisma.article.findMany.mockResolvedValueOnce([mockArticle]);
+
+            const response = await request(app).get('/api/content/articles/storing-cardamom');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.body).toContain('Grind just before use.');
+        });
+
+        it('should return 404 for drafts and missing articles', async () => {
+            const response = await request(app).get('/api/content/articles/draft-article');
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Admin content endpoints', () => {
+        it('should require admin authentication', async () => {
+            const response = await request(app)
+                .post('/api/content/admin/articles')
+                .send({ slug: 'x', section: 'tips', title: 'X', body: 'Y' });
+
+            expect(response.status).toBe(401);
+            expect(prisma.article.create).not.toHaveBeenCalled();
+        });
+
+        it('should create content as a draft by default', async () => {
+            prisma.testimonial.create.mockImplementation(({ data }) => Promise.resolve({ id: 't1', ...data }));
+
+            const response = await request(app)
+                .post('/api/content/admin/testimonials')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ name: 'Lakshmi Rao', text: 'Lovely pepper.', rating: 4 });
+
+            expect(response.status).toBe(201);
+            const { data } = prisma.testimonial.create.mock.calls[0][0];
+            expect(data).toEqual({ name: 'Lakshmi Rao', text: 'Lovely pepper.', rating: 4, updatedBy: 'ops' });
+        });
+
+        it('should stamp publishedAt when publishing without a date', async () => {
+            prisma.article.findUnique.mockResolvedValueOnce({ ...mockArticle, status: 'DRAFT', publishedAt: null });
+            prisma.article.update.mockImplementation(({ data }) => Promise.resolve({ ...mockArticle, ...data }));
+
+            const response = await request(app)
+                .patch('/api/content/admin/articles/article-1')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ status: 'published' });
+
+            expect(response.status).toBe(200);
+            const { data } = prisma.article.update.mock.calls[0][0];
+            expect(data.status).toBe('PUBLISHED');
+            expect(data.publishedAt).toBeInstanceOf(Date);
+            expect(data.updatedBy).toBe('ops');
+        });
+
+        it('should validate fields for the content type', async () => {
+            const response = await request(app)
+                .post('/api/content/admin/stats')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ key: 'Bad Key', number: '10+' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors.map(e => e.field)).toEqual(expect.arrayContaining(['key', 'label']));
+        });
+
+        it('should return 404 when updating missing content', async () => {
+            prisma.siteStat.findUnique.mockResolvedValueOnce(null);
+
+            const response = await request(app)
+                .patch('/api/content/admin/stats/missing')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ label: 'New label' });
+
+            expect(response.status).toBe(404);
+        });
+
+        it('should not route unknown content types', async () => {
+            const response = await request(app)
+                .get('/api/content/admin/pages')
+                .set('Authorization', ADMIN_AUTH);
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
@@ -31,9 +31,26 @@ jest.mock('../../server/config/prisma', () => {
             findMany: jest.fn(),
             create: jest.fn(),
             update: jest.fn(),
+            updateMany: jest.fn(),
             delete: jest.fn(),
+            count: jest.fn(),
         },
+        coupon: {
+            findUnique: jest.fn(),
+        },
+        cart: {
+            findUnique: jest.fn(),
+            updateMany: jest.fn(),
+        },
+        variantStock: {
+            findMany: jest.fn(),
+        },
+        batch: {
+            findMany: jest.fn(),
+        },
+        $transaction: jest.fn(),
         $queryRaw: jest.fn(),
+        $executeRaw: jest.fn(),
         $disconnect: jest.fn(),
     };
 
@@ -56,6 +73,8 @@ jest.mock('../../server/config/prisma', () => {
 
 const { prisma, generateOrderId } = require('../../server/config/prisma');
 
+process.env.ADMIN_API_KEYS = 'ops:test_admin_key';
+
 // Create a minimal express app for testing
 const app = express();
 app.use(express.json());
@@ -67,6 +86,8 @@ app.use('/api/orders', orderRoutes);
 describe('Orders API', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        prisma.$transaction.mockImplementation(fn => fn(prisma));
+        prisma.variantStock.findMany.mockResolvedValue([]);
     });
 
     describe('POST /api/orders', () => {
@@ -127,6 +148,30 @@ describe('Orders API', () => {
             expect([200, 201]).toContain(response.status);
         });
 
+        it('should link the cart the order came from to the customer', async () => {
+            const token = 'a'.repeat(32);
+            prisma.customer.findUnique.mockResolvedValueOnce({ id: 'customer_1', phone: '9876543211' });
+            prisma.order.create.mockResolvedValueOnce({ id: 'order_id_1', orderId: 'TW-260120-ABC123', customerId: 'customer_1' });
+            prisma.cart.findUnique.mockResolvedValueOnce(null);
+            prisma.cart.updateMany.mockResolvedValueOnce({ count: 1 });
+
+            const response = await request(app).post('/api/orders').send({
+                // Orders are rate limited per phone
+                customer: { name: 'John Doe', phone: '9876543211' },
+                address: { houseNo: '123', street: 'Main Street', area: 'Koramangala', pincode: '560001' },
+                items: [{ productId: 'cardamom', name: 'Green Cardamom', packSize: '50g', quantity: 1, price: 280 }],
+                deliverySlot: { date: '2026-01-25', time: '10 AM - 6 PM' },
+                paymentMethod: 'cod',
+                cartToken: token
+            });
+
+            expect(response.status).toBe(201);
+            expect(prisma.cart.updateMany).toHaveBeenCalledWith({
+                where: { token, customerId: null },
+                data: { customerId: 'customer_1' }
+            });
+        });
+
         it('should reject order with empty items', async () => {
             const orderData = {
                 customer: {
@@ -152,6 +197,214 @@ describe('Orders API', () => {
         });
     });
 
+    describe('Inventory reservations', () => {
+        const orderData = (paymentMethod, quantity = 2) => ({
+            customer: { name: 'John Doe', phone: '9876543210' },
+            address: {
+                houseNo: '123',
+                street: 'Main Street',
+                area: 'Koramangala',
+                pincode: '560001'
+            },
+            items: [{ productId: 'cardamom', name: 'Green Cardamom', packSize: '50g', quantity, price: 280 }],
+            deliverySlot: { date: '2026-01-25', time: '10 AM - 6 PM' },
+            paymentMethod
+        });
+
+        beforeEach(() => {
+            prisma.customer.findUnique.mockResolvedValue({ id: 'customer_1' });
+            prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ id: 'order_id_1', ...data }));
+            prisma.order.updateMany.mockResolvedValue({ count: 1 });
+            prisma.variantStock.findMany.mockResolvedValue([
+                { id: 'stock_1', sku: 'cardamom-50g', productId: 'cardamom', packSize: '50g', quantity: 5, reserved: 1 }
+            ]);
+        });
+
+        it('should reserve tracked stock for online orders', async () => {
+            prisma.$executeRaw.mockResolvedValue(1);
+
+            const response = await request(app).post('/api/orders').send(orderData('online'));
+
+            expect(response.status).toBe(201);
+            expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+            expect(prisma.order.create.mock.calls[0][0].data.stockStatus).toBe('RESERVED');
+            expect(prisma.order.updateMany).not.toHaveBeenCalled();
+        });
+
+        it('should take stock immediately for COD orders', async () => {
+            prisma.$executeRaw.mockResolvedValue(1);
+
+            const response = await request(app).post('/api/orders').send(orderData('cod'));
+
+            expect(response.status).toBe(201);
+            expect(prisma.order.updateMany).toHaveBeenCalledWith({
+                where: { id: 'order_id_1', stockStatus: { in: ['RESERVED'] } },
+                data: { stockStatus: 'COMMITTED' }
+            });
+            // Reserve, then move the reservation out of on-hand stock
+            expect(prisma.$executeRaw).toHaveBeenCalledTimes(2);
+        });
+
+        it('should reject orders that exceed available stock', async () => {
+            prisma.$executeRaw.mockResolvedValue(0);
+
+            const response = await request(app).post('/api/orders').send(orderData('online', 6));
+
+            expect(response.status).toBe(409);
+            expect(response.body.errors).toEqual([expect.objectContaining({
+                productId: 'cardamom',
+                packSize: '50g',
+                code: 'INSUFFICIENT_QUANTITY',
+                available: 4
+            })]);
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+
+        it('should order a gift pack as one line and reserve its components', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([
+                { id: 'stock_2', sku: 'cardamom-25g', productId: 'cardamom', packSize: '25g', quantity: 10, reserved: 0 }
+            ]);
+            prisma.$executeRaw.mockResolvedValue(1);
+
+            const response = await request(app).post('/api/orders').send({
+                ...orderData('online'),
+                items: [{ bundleId: 'biryani-spice-box', name: 'Biryani Spice Box', quantity: 2, price: 396 }]
+            });
+
+            expect(response.status).toBe(201);
+            const { items, subtotal } = prisma.order.create.mock.calls[0][0].data;
+            expect(items).toHaveLength(1);
+            expect(items[0]).toMatchObject({ bundleId: 'biryani-spice-box', quantity: 2, price: 396, total: 792 });
+            expect(items[0].components).toContainEqual({
+                productId: 'cardamom',
+                name: 'Green Cardamom',
+                sku: 'cardamom-25g',
+                packSize: '25g',
+                quantity: 1
+            });
+            expect(subtotal).toBe(792);
+            // Only the tracked component is reserved, for both boxes
+            expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+            expect(prisma.$executeRaw.mock.calls[0]).toContain(2);
+        });
+
+        it('should reject unknown gift packs', async () => {
+            const response = await request(app).post('/api/orders').send({
+                ...orderData('online'),
+                items: [{ bundleId: 'no-such-box', name: 'Box', quantity: 1, price: 100 }]
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('Invalid gift pack: no-such-box');
+        });
+
+        it('should release reserved stock when an order is cancelled', async () => {
+            prisma.order.findUnique.mockResolvedValue({
+                id: 'order_id_1',
+                orderId: 'TW-260120-ABC123',
+                status: 'PENDING',
+                stockStatus: 'RESERVED',
+                items: [{ productId: 'cardamom', packSize: '50g', quantity: 2 }],
+                statusHistory: []
+            });
+            prisma.order.update.mockResolvedValue({ orderId: 'TW-260120-ABC123', status: 'CANCELLED' });
+
+            const response = await request(app).post('/api/orders/TW-260120-ABC123/cancel').send({});
+
+            expect(response.status).toBe(200);
+            expect(prisma.order.updateMany).toHaveBeenCalledWith({
+                where: { id: 'order_id_1', stockStatus: { in: ['RESERVED'] } },
+                data: { stockStatus: 'RELEASED' }
+            });
+            expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+            // Released units bring a sold-out SKU back, which marks a restock
+            expect(prisma.$executeRaw.mock.calls[0][0].join('')).toContain('"restockedAt" = CASE');
+        });
+    });
+
+    describe('Coupons', () => {
+        const orderData = (couponCode) => ({
+            customer: { name: 'John Doe', phone: '9876543210' },
+            address: {
+                houseNo: '123',
+                street: 'Main Street',
+                area: 'Koramangala',
+                pincode: '560001'
+            },
+            items: [{ productId: 'cloves', name: 'Cloves', packSize: '25g', quantity: 2, price: 120 }],
+            deliverySlot: { date: '2026-01-25', time: '10 AM - 6 PM' },
+            paymentMethod: 'online',
+            couponCode
+        });
+        const coupon = (fields) => ({
+            id: 'coupon_1',
+            code: 'FREESHIP',
+            type: 'FREE_DELIVERY',
+            value: 0,
+            minSubtotal: 0,
+            productIds: [],
+            categories: [],
+            usageLimit: 500,
+            perCustomerLimit: 1,
+            isActive: true,
+            ...fields
+        });
+
+        beforeEach(() => {
+            prisma.customer.findUnique.mockResolvedValue({ id: 'customer_1' });
+            prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ id: 'order_id_1', ...data }));
+        });
+
+        it('should apply the code again and store the discount as its own line', async () => {
+            prisma.coupon.findUnique.mockResolvedValueOnce(coupon());
+            prisma.order.count.mockResolvedValueOnce(42).mockResolvedValueOnce(0);
+
+            const response = await request(app).post('/api/orders').send({ ...orderData('freeship'), total: 0 });
+
+            expect(response.status).toBe(201);
+            expect(prisma.order.create.mock.calls[0][0].data).toMatchObject({
+                subtotal: 240,
+                deliveryCharge: 40,
+                couponCode: 'FREESHIP',
+                discount: 40,
+                total: 240
+            });
+            expect(response.body.data).toMatchObject({ couponCode: 'FREESHIP', discount: 40, total: 240 });
+            // The coupon row is locked before its uses are counted
+            expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+            expect(prisma.$queryRaw.mock.calls[0]).toContain('coupon_1');
+            expect(prisma.order.count).toHaveBeenLastCalledWith({
+                where: expect.objectContaining({ couponCode: 'FREESHIP', customerId: 'customer_1' })
+            });
+        });
+
+        it('should reject the order when the code no longer applies', async () => {
+            prisma.coupon.findUnique.mockResolvedValueOnce(coupon());
+            prisma.order.count.mockResolvedValueOnce(500).mockResolvedValueOnce(0);
+
+            const response = await request(app).post('/api/orders').send(orderData('FREESHIP'));
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([{
+                field: 'couponCode',
+                code: 'USAGE_LIMIT',
+                message: 'This code has been fully redeemed'
+            }]);
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject expired codes', async () => {
+            prisma.coupon.findUnique.mockResolvedValueOnce(coupon({ endsAt: new Date(Date.now() - 60000) }));
+            prisma.order.count.mockResolvedValue(0);
+
+            const response = await request(app).post('/api/orders').send(orderData('FREESHIP'));
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors[0].code).toBe('EXPIRED');
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+    });
+
     describe('GET /api/orders/:orderId', () => {
         it('should retrieve an existing order', async () => {
             const mockOrder = {
@@ -277,4 +530,122 @@ describe('Orders API', () => {
             expect(response.body.success).toBe(false);
         });
     });
+
+    describe('PUT /api/orders/:orderId/batches', () => {
+        const packingOrder = {
+            orderId: 'TW-260120-ABC123',
+            status: 'CONFIRMED',
+            statusHistory: [],
+            items: [
+                { productId: 'cardamom', packSize: '100g', quantity: 2 },
+                {
+                    bundleId: 'chai-box',
+                    quantity: 1,
+                    components: [
+                        { productId: 'cardamom', packSize: '25g', quantity: 1 },
+                        { productId: 'cinnamon', packSize: '50g', quantity: 1 }
+                    ]
+                }
+            ]
+        };
+        const cardamomLot = { lotNumber: 'CARD-2026-014', productId: 'cardamom', expiresAt: new Date('2099-01-01') };
+
+        it('should record lots on lines and gift pack components and start processing', async () => {
+            prisma.order.findUnique.mockResolvedValue(packingOrder);
+            prisma.batch.findMany.mockResolvedValue([cardamomLot]);
+            prisma.order.update.mockImplementation(({ data }) => Promise.resolve({ ...packingOrder, ...data }));
+
+            const response = await request(app)
+                .put('/api/orders/TW-260120-ABC123/batches')
+                .set('Authorization', 'Bearer test_admin_key')
+                .send({ batches: [{ productId: 'cardamom', lotNumber: 'card-2026-014' }] });
+
+            expect(response.status).toBe(200);
+            const { data } = prisma.order.update.mock.calls[0][0];
+            expect(data.items[0].lotNumber).toBe('CARD-2026-014');
+            expect(data.items[1].components.map(c => c.lotNumber)).toEqual(['CARD-2026-014', undefined]);
+            expect(data.status).toBe('PROCESSING');
+            expect(data.statusHistory[0]).toMatchObject({ status: 'PROCESSING', note: 'Packed by ops' });
+            expect(response.body.data.unassigned).toEqual([{ productId: 'cinnamon', packSize: '50g' }]);
+        });
+
+        it('should reject lots of another product, expired lots and products not in the order', async () => {
+            prisma.order.findUnique.mockResolvedValue(packingOrder);
+            prisma.batch.findMany.mockResolvedValue([
+                cardamomLot,
+                { lotNumber: 'CIN-2024-002', productId: 'cinnamon', expiresAt: new Date('2025-01-01') }
+            ]);
+
+            const response = await request(app)
+                .put('/api/orders/TW-260120-ABC123/batches')
+                .set('Authorization', 'Bearer test_admin_key')
+                .send({
+                    batches: [
+                        { productId: 'cinnamon', packSize: '50g', lotNumber: 'CARD-2026-014' },
+                        { productId: 'cinnamon', lotNumber: 'CIN-2024-002' },
+                        { productId: 'cloves', lotNumber: 'CARD-2026-014' }
+                    ]
+                });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors.map(e => e.message)).toEqual([
+                'Lot CARD-2026-014 is not cinnamon',
+                'Lot CIN-2024-002 has expired',
+                'Lot CARD-2026-014 is not cloves',
+                'Order has no cloves'
+            ]);
+            expect(prisma.order.update).not.toHaveBeenCalled();
+        });
+
+        it('should not pack dispatched orders or accept calls without an admin key', async () => {
+            prisma.order.findUnique.mockResolvedValue({ ...packingOrder, status: 'DISPATCHED' });
+            const body = { batches: [{ productId: 'cardamom', lotNumber: 'CARD-2026-014' }] };
+
+            const unauthenticated = await request(app).put('/api/orders/TW-260120-ABC123/batches').send(body);
+            const dispatched = await request(app)
+                .put('/api/orders/TW-260120-ABC123/batches')
+                .set('Authorization', 'Bearer test_admin_key')
+                .send(body);
+
+            expect(unauthenticated.status).toBe(401);
+            expect(dispatched.status).toBe(400);
+        });
+    });
+
+    describe('PUT /api/orders/:orderId/status', () => {
+        const setStatus = (body) => request(app)
+            .put('/api/orders/TW-260120-ABC123/status')
+            .set('Authorization', 'Bearer test_admin_key')
+            .send(body);
+
+        it('should dispatch a packed order and deliver a dispatched one', async () => {
+            prisma.order.findUnique
+                .mockResolvedValueOnce({ orderId: 'TW-260120-ABC123', status: 'PROCESSING', statusHistory: [] })
+                .mockResolvedValueOnce({ orderId: 'TW-260120-ABC123', status: 'DISPATCHED', statusHistory: [] });
+            prisma.order.update
+                .mockResolvedValueOnce({ orderId: 'TW-260120-ABC123', status: 'DISPATCHED' })
+                .mockResolvedValueOnce({ orderId: 'TW-260120-ABC123', status: 'DELIVERED' });
+
+            expect((await setStatus({ status: 'DISPATCHED', note: 'Courier: BlueDart' })).status).toBe(200);
+            const delivered = await setStatus({ status: 'DELIVERED' });
+
+            expect(delivered.body.data.status).toBe('DELIVERED');
+            expect(prisma.order.update.mock.calls[0][0].data.statusHistory[0])
+                .toMatchObject({ status: 'DISPATCHED', note: 'Courier: BlueDart' });
+            expect(prisma.order.update.mock.calls[1][0].data)
+                .toMatchObject({ status: 'DELIVERED', statusHistory: [{ status: 'DELIVERED', note: 'Marked delivered by ops' }] });
+        });
+
+        it('should only move orders one step on', async () => {
+            prisma.order.findUnique.mockResolvedValueOnce({ orderId: 'TW-260120-ABC123', status: 'CONFIRMED', statusHistory: [] });
+
+            const skipped = await setStatus({ status: 'DELIVERED' });
+            const invalid = await setStatus({ status: 'CANCELLED' });
+
+            expect(skipped.status).toBe(400);
+            expect(skipped.body.message).toBe('Cannot mark order delivered with status: CONFIRMED');
+            expect(invalid.status).toBe(400);
+            expect(prisma.order.update).not.toHaveBeenCalled();
+        });
+    });
 });
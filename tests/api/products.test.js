@@ -0,0 +1,941 @@
+/**
+ * Products API Integration Tests - Prisma Version
+ * Tests catalog and admin product management endpoints with mocked Prisma client
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+process.env.ADMIN_API_KEYS = 'ops:test_admin_key';
+
+// Create a minimal express app for testing
+const app = express();
+app.use(express.json());
+
+const productRoutes = require('../../server/routes/products');
+app.use('/api/products', productRoutes);
+
+const ADMIN_AUTH = 'Bearer test_admin_key';
+
+const validProduct = {
+    productId: 'star-anise',
+    name: 'Star Anise',
+    category: 'whole-spices',
+    origin: 'Arunachal Pradesh',
+    variants: [
+        { packSize: '50g', price: 90, isAvailable: true },
+        { packSize: '100g', price: 170 }
+    ]
+};
+
+describe('Products API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.$transaction.mockImplementation(fn => fn(prisma));
+    });
+
+    describe('Authentication', () => {
+        it('should reject requests without credentials', async () => {
+            const response = await request(app)
+                .post('/api/products')
+                .send(validProduct);
+
+            expect(response.status).toBe(401);
+            expect(prisma.product.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject an unknown admin key', async () => {
+            const response = await request(app)
+                .delete('/api/products/cardamom')
+                .set('Authorization', 'Bearer wrong_key');
+
+            expect(response.status).toBe(401);
+            expect(prisma.product.delete).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/products', () => {
+        it('should create a product with valid variants', async () => {
+            prisma.product.create.mockImplementation(({ data }) => Promise.resolve({ id: 'p1', ...data }));
+
+            const response = await request(app)
+                .post('/api/products')
+                .set('Authorization', ADMIN_AUTH)
+                .send(validProduct);
+
+            expect(response.status).toBe(201);
+            expect(response.body.success).toBe(true);
+
+            const { data } = prisma.product.create.mock.calls[0][0];
+            expect(data.productId).toBe('star-anise');
+            expect(data.variants).toEqual([
+                { sku: 'star-anise-50g', packSize: '50g', price: 90, isAvailable: true },
+                { sku: 'star-anise-100g', packSize: '100g', price: 170, isAvailable: true }
+            ]);
+        });
+
+        it('should reject invalid variants', async () => {
+            const response = await request(app)
+                .post('/api/products')
+                .set('Authorization', ADMIN_AUTH)
+                .send({
+                    ...validProduct,
+                    variants: [
+                        { packSize: 'large', price: 90 },
+                        { packSize: '100g', price: -5, gtin: '8901234567897' }
+                    ]
+                });
+
+            expect(response.status).toBe(400);
+            const fields = response.body.errors.map(e => e.field);
+            expect(fields).toContain('variants[0].packSize');
+            expect(fields).toContain('variants[1].price');
+            expect(fields).toContain('variants[1].gtin');
+            expect(prisma.product.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject duplicate pack sizes', async () => {
+            const response = await request(app)
+                .post('/api/products')
+                .set('Authorization', ADMIN_AUTH)
+                .send({
+                    ...validProduct,
+                    variants: [
+                        { packSize: '50g', price: 90 },
+                        { packSize: '50g', price: 95 }
+                    ]
+                });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors[0].message).toBe('Each form, grade and pack size combination must be unique');
+        });
+
+        it('should return 409 for an existing product ID', async () => {
+            prisma.product.create.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+            const response = await request(app)
+                .post('/api/products')
+                .set('Authorization', ADMIN_AUTH)
+                .send(validProduct);
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    describe('PATCH /api/products/:id', () => {
+        it('should toggle availability without touching other fields', async () => {
+            prisma.product.update.mockResolvedValue({ productId: 'cardamom', isAvailable: false });
+
+            const response = await request(app)
+                .patch('/api/products/cardamom')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ isAvailable: false });
+
+            expect(response.status).toBe(200);
+            expect(prisma.product.update).toHaveBeenCalledWith({
+                where: { productId: 'cardamom' },
+                data: { isAvailable: false }
+            });
+        });
+
+        it('should reject non-boolean flags', async () => {
+            const response = await request(app)
+                .patch('/api/products/cardamom')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ isFeatured: 'yes' });
+
+            expect(response.status).toBe(400);
+            expect(prisma.product.update).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for an unknown product', async () => {
+            prisma.product.update.mockRejectedValue(Object.assign(new Error('Missing'), { code: 'P2025' }));
+
+            const response = await request(app)
+                .patch('/api/products/unknown')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ isFeatured: true });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('PUT /api/products/:id', () => {
+        it('should reset omitted optional fields', async () => {
+            prisma.product.update.mockResolvedValue({ productId: 'star-anise' });
+            const { productId, origin, ...replacement } = validProduct;
+
+            const response = await request(app)
+                .put('/api/products/star-anise')
+                .set('Authorization', ADMIN_AUTH)
+                .send(replacement);
+
+            expect(response.status).toBe(200);
+            const { data } = prisma.product.update.mock.calls[0][0];
+            expect(data.origin).toBeNull();
+            expect(data.isFeatured).toBe(false);
+        });
+    });
+
+    describe('DELETE /api/products/:id', () => {
+        it('should delete a product', async () => {
+            prisma.product.delete.mockResolvedValue({ productId: 'cardamom' });
+
+            const response = await request(app)
+                .delete('/api/products/cardamom')
+                .set('Authorization', ADMIN_AUTH);
+
+            expect(response.status).toBe(200);
+            expect(prisma.product.delete).toHaveBeenCalledWith({ where: { productId: 'cardamom' } });
+        });
+
+        it('should ask to mark products with reviews or batches unavailable instead', async () => {
+            prisma.product.delete.mockRejectedValueOnce(Object.assign(new Error('Foreign key constraint violated'), { code: 'P2003' }));
+
+            const response = await request(app)
+                .delete('/api/products/cardamom')
+                .set('Authorization', ADMIN_AUTH);
+
+            expect(response.status).toBe(409);
+            expect(response.body.message).toMatch(/mark it unavailable/);
+        });
+    });
+
+    describe('GET /api/products/:id', () => {
+        it('should expose database variants as prices', async () => {
+            prisma.product.findMany.mockResolvedValue([{
+                productId: 'cardamom',
+                name: 'Green Cardamom',
+                category: 'whole-spices',
+                isAvailable: true,
+                isFeatured: true,
+                variants: [
+                    { packSize: '50g', price: 300, isAvailable: true },
+                    { packSize: '100g', price: 560, isAvailable: false }
+                ]
+            }]);
+
+            const response = await request(app).get('/api/products/cardamom');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.prices).toEqual({ '50g': 300 });
+            expect(response.body.data.packSizes).toEqual(['50g']);
+        });
+    });
+
+    describe('Localized products', () => {
+        const dbProduct = {
+            productId: 'cardamom',
+            name: 'Green Cardamom',
+            description: 'Queen of Spices',
+            category: 'whole-spices',
+            benefits: ['Aids digestion'],
+            culinaryUses: ['Chai & Coffee'],
+            isAvailable: true,
+            variants: [{ packSize: '50g', price: 300, isAvailable: true }],
+            translations: {
+                kn: { name: 'ಹಸಿರು ಏಲಕ್ಕಿ', healthBenefits: ['ಜೀರ್ಣಕ್ರಿಯೆಗೆ ಸಹಾಯಕ'] }
+            }
+        };
+
+        it('should translate file products with ?lang=', async () => {
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const response = await request(app).get('/api/products?lang=hi');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-language']).toBe('hi');
+            const cardamom = response.body.data.find(p => p.productId === 'cardamom');
+            expect(cardamom.name).toBe('हरी इलायची');
+            expect(cardamom.culinaryUses).toContain('चाय और कॉफ़ी');
+            expect(cardamom.locale).toBe('hi');
+            expect(cardamom.translations).toBeUndefined();
+        });
+
+        it('should follow Accept-Language and fall back to English per field', async () => {
+            prisma.product.findMany.mockResolvedValue([dbProduct]);
+
+            const response = await request(app)
+                .get('/api/products/cardamom')
+                .set('Accept-Language', 'kn-IN,kn;q=0.9,en;q=0.8');
+
+            expect(response.headers.vary).toContain('Accept-Language');
+            expect(response.body.data).toMatchObject({
+                name: 'ಹಸಿರು ಏಲಕ್ಕಿ',
+                description: 'Queen of Spices',
+                healthBenefits: ['ಜೀರ್ಣಕ್ರಿಯೆಗೆ ಸಹಾಯಕ'],
+                benefits: ['ಜೀರ್ಣಕ್ರಿಯೆಗೆ ಸಹಾಯಕ'],
+                locale: 'kn'
+            });
+        });
+
+        it('should serve English for unsupported languages', async () => {
+            prisma.product.findMany.mockResolvedValue([dbProduct]);
+
+            const response = await request(app).get('/api/products/cardamom?lang=ta');
+
+            expect(response.body.data.name).toBe('Green Cardamom');
+            expect(response.body.data.locale).toBe('en');
+        });
+
+        it('should store translations without empty fields', async () => {
+            prisma.product.update.mockResolvedValue({ productId: 'cardamom' });
+
+            const response = await request(app)
+                .patch('/api/products/cardamom')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ translations: { hi: { name: 'हरी इलायची', description: '' }, kn: {} } });
+
+            expect(response.status).toBe(200);
+            expect(prisma.product.update.mock.calls[0][0].data)
+                .toEqual({ translations: { hi: { name: 'हरी इलायची' } } });
+        });
+
+        it('should reject translations for unsupported locales', async () => {
+            const response = await request(app)
+                .patch('/api/products/cardamom')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ translations: { fr: { name: 'Cardamome' } } });
+
+            expect(response.status).toBe(400);
+            expect(prisma.product.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Sale prices', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const saleVariant = {
+            packSize: '50g',
+            price: 300,
+            sales: [{
+                price: 255,
+                startsAt: new Date(Date.now() - day).toISOString(),
+                endsAt: new Date(Date.now() + day).toISOString()
+            }]
+        };
+
+        it('should show the MRP next to the selling price', async () => {
+            prisma.product.findMany.mockResolvedValue([{
+                productId: 'cardamom',
+                name: 'Green Cardamom',
+                category: 'whole-spices',
+                isAvailable: true,
+                variants: [saleVariant, { packSize: '100g', price: 560 }]
+            }]);
+
+            const response = await request(app).get('/api/products/cardamom');
+
+            expect(response.body.data).toMatchObject({
+                prices: { '50g': 255, '100g': 560 },
+                mrp: { '50g': 300, '100g': 560 },
+                saleEndsAt: { '50g': saleVariant.sales[0].endsAt },
+                onSale: true
+            });
+        });
+
+        it('should reject sales priced at or above the regular price', async () => {
+            const response = await request(app)
+                .post('/api/products')
+                .set('Authorization', ADMIN_AUTH)
+                .send({
+                    ...validProduct,
+                    variants: [{ ...saleVariant, sales: [{ ...saleVariant.sales[0], price: 300 }] }]
+                });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors[0].message).toBe('Sale prices must be below the regular price and end after they start');
+        });
+
+        it('should record price history for new products', async () => {
+            prisma.product.create.mockImplementation(({ data }) => Promise.resolve({ id: 'p1', ...data }));
+
+            await request(app)
+                .post('/api/products')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ ...validProduct, variants: [saleVariant] });
+
+            expect(prisma.priceHistory.createMany).toHaveBeenCalledWith({
+                data: [{
+                    productId: 'star-anise',
+                    sku: 'star-anise-50g',
+                    packSize: '50g',
+                    price: 300,
+                    sales: [{ price: 255, startsAt: saleVariant.sales[0].startsAt, endsAt: saleVariant.sales[0].endsAt }],
+                    changedBy: 'ops'
+                }]
+            });
+        });
+
+        it('should record only the pack sizes whose price changed', async () => {
+            prisma.product.findUnique.mockResolvedValue({ variants: [{ packSize: '50g', price: 90 }, { packSize: '100g', price: 160 }] });
+            prisma.product.update.mockImplementation(({ data }) => Promise.resolve({ productId: 'star-anise', ...data }));
+
+            const response = await request(app)
+                .patch('/api/products/star-anise')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ variants: validProduct.variants });
+
+            expect(response.status).toBe(200);
+            const { data } = prisma.priceHistory.createMany.mock.calls[0][0];
+            expect(data).toEqual([{ productId: 'star-anise', sku: 'star-anise-100g', packSize: '100g', price: 170, sales: [], changedBy: 'ops' }]);
+        });
+
+        it('should list price history for admins', async () => {
+            prisma.priceHistory.findMany.mockResolvedValue([{ id: 'h1', productId: 'cardamom', packSize: '50g', price: 300 }]);
+
+            const anonymous = await request(app).get('/api/products/cardamom/price-history');
+            const response = await request(app)
+                .get('/api/products/cardamom/price-history?packSize=50g')
+                .set('Authorization', ADMIN_AUTH);
+
+            expect(anonymous.status).toBe(401);
+            expect(response.body.count).toBe(1);
+            expect(prisma.priceHistory.findMany.mock.calls[0][0].where).toEqual({ productId: 'cardamom', packSize: '50g' });
+        });
+    });
+
+    describe('GET /api/products/:id/recommendations', () => {
+        const { resetRecommendations } = require('../../server/services/recommendations');
+        const order = (...productIds) => ({
+            items: productIds.map(productId => ({ productId, packSize: productId === 'cloves' ? '50g' : '100g', quantity: 1 }))
+        });
+
+        beforeEach(() => {
+            resetRecommendations();
+            prisma.product.findMany.mockResolvedValue([]);
+        });
+
+        it('should put products bought together first, at the size bought', async () => {
+            prisma.order.findMany.mockResolvedValueOnce([
+                order('cardamom', 'cloves', 'zeera'),
+                order('cardamom', 'cloves', 'zeera'),
+                order('cardamom', 'cloves')
+            ]);
+
+            const response = await request(app).get('/api/products/cardamom/recommendations?limit=3');
+
+            expect(response.status).toBe(200);
+            const [cloves, zeera, third] = response.body.data;
+            expect(cloves).toMatchObject({ productId: 'cloves', packSize: '50g', reason: 'bought-together', count: 3 });
+            expect(cloves.price).toBe(cloves.mrp);
+            expect(zeera).toMatchObject({ productId: 'zeera', packSize: '100g', reason: 'bought-together', count: 2 });
+            expect(third.reason).toBe('same-category');
+        });
+
+        it('should leave out excluded products and fill from the category', async () => {
+            prisma.order.findMany.mockResolvedValueOnce([]);
+
+            const response = await request(app).get('/api/products/cardamom/recommendations?exclude=cloves,cinnamon');
+
+            const ids = response.body.data.map(r => r.productId);
+            expect(ids).not.toContain('cardamom');
+            expect(ids).not.toContain('cloves');
+            expect(ids).not.toContain('cinnamon');
+            expect(response.body.data.every(r => r.reason === 'same-category')).toBe(true);
+        });
+
+        it('should return 404 for unknown products', async () => {
+            const response = await request(app).get('/api/products/no-such-spice/recommendations');
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/products facets', () => {
+        const dbProduct = (productId, origin, badge, variants) => ({
+            productId, name: productId, origin, badge, category: 'whole-spices', isAvailable: true, variants
+        });
+
+        beforeEach(() => {
+            prisma.product.findMany.mockResolvedValue([
+                dbProduct('cardamom', 'Kerala, India', 'Premium', [
+                    { packSize: '50g', price: 280 },
+                    { packSize: '100g', price: 520 }
+                ]),
+                dbProduct('black-pepper', 'Wayanad, Kerala', 'Organic', [
+                    { packSize: '100g', price: 150 },
+                    { packSize: '1kg', price: 1300 }
+                ]),
+                dbProduct('zeera', 'Rajasthan & Gujarat', 'Organic', [
+                    { packSize: '100g', price: 110 },
+                    { packSize: '500g', price: 500, isAvailable: false }
+                ])
+            ]);
+        });
+
+        it('should filter by origin and pack size with counts per dimension', async () => {
+            const response = await request(app).get('/api/products?origin=Kerala&packSize=100g');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(p => p.productId)).toEqual(['cardamom', 'black-pepper']);
+
+            const { origin, badge, packSize } = response.body.facets;
+            expect(origin.find(o => o.value === 'Kerala')).toEqual({ value: 'Kerala', count: 2, selected: true });
+            expect(origin.find(o => o.value === 'Gujarat').count).toBe(1);
+            expect(badge).toEqual([
+                { value: 'Organic', count: 1, selected: false },
+                { value: 'Premium', count: 1, selected: false }
+            ]);
+            expect(packSize.map(p => p.value)).toEqual(['50g', '100g', '1kg']);
+        });
+
+        it('should match price and pack size on the same variant', async () => {
+            const response = await request(app).get('/api/products?packSize=100g&maxPrice=200');
+
+            expect(response.body.data.map(p => p.productId)).toEqual(['black-pepper', 'zeera']);
+            const price = response.body.facets.price;
+            expect(price.find(r => r.min === 500).count).toBe(1);
+        });
+
+        it('should reject an inverted price range', async () => {
+            const response = await request(app).get('/api/products?minPrice=500&maxPrice=100');
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/products unit pricing', () => {
+        it('should return price per 100g, the best value size and savings', async () => {
+            prisma.product.findMany.mockResolvedValueOnce([]);
+
+            const response = await request(app).get('/api/products/cardamom');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.unitPrices).toEqual({ '25g': 600, '50g': 560, '100g': 520, '250g': 480, '500g': 460 });
+            expect(response.body.data.bestValue).toBe('500g');
+            expect(response.body.data.savingsPercent).toEqual({ '50g': 6, '100g': 13, '250g': 20, '500g': 23 });
+        });
+
+        it('should sort and page by the lowest unit price', async () => {
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const ids = [];
+            let cursor = null;
+            do {
+                const response = await request(app)
+                    .get(`/api/products?sort=unit-price&limit=3${cursor ? `&cursor=${cursor}` : ''}`);
+                ids.push(...response.body.data.map(p => p.productId));
+                cursor = response.body.nextCursor;
+            } while (cursor);
+
+            expect(ids).toEqual(['zeera', 'cinnamon-round', 'black-pepper', 'cinnamon', 'elaichi', 'cloves', 'cardamom']);
+        });
+
+        it('should compare value at sale prices', async () => {
+            prisma.product.findMany.mockResolvedValue([{
+                productId: 'cloves',
+                name: 'Cloves',
+                category: 'whole-spices',
+                isAvailable: true,
+                variants: [
+                    { packSize: '50g', price: 100, sales: [{ price: 80, startsAt: '2026-01-01T00:00:00.000Z', endsAt: null }] },
+                    { packSize: '100g', price: 180 }
+                ]
+            }]);
+
+            const response = await request(app).get('/api/products');
+
+            expect(response.body.data[0]).toMatchObject({
+                unitPrices: { '50g': 160, '100g': 180 },
+                bestValue: '50g',
+                savingsPercent: {}
+            });
+        });
+    });
+
+    describe('Variant options', () => {
+        it('should list option axes and a SKU per combination', async () => {
+            prisma.product.findMany.mockResolvedValueOnce([]);
+
+            const response = await request(app).get('/api/products/zeera');
+
+            expect(response.status).toBe(200);
+            const { optionAxes, skus, prices } = response.body.data;
+            expect(optionAxes[0]).toEqual({ name: 'form', values: ['Whole', 'Ground'] });
+            expect(skus.find(s => s.sku === 'zeera-ground-100g')).toMatchObject({
+                options: { form: 'Ground', weight: '100g' },
+                label: 'Ground 100g',
+                price: 120
+            });
+            // Pack size prices show the first form listed
+            expect(prices['100g']).toBe(110);
+        });
+
+        it('should reject duplicate SKUs', async () => {
+            const response = await request(app)
+                .post('/api/products')
+                .set('Authorization', ADMIN_AUTH)
+                .send({
+                    ...validProduct,
+                    variants: [
+                        { sku: 'star-anise-whole', form: 'Whole', packSize: '50g', price: 90 },
+                        { sku: 'star-anise-whole', form: 'Broken', packSize: '50g', price: 70 }
+                    ]
+                });
+
+            expect(response.status).toBe(400);
+            expect(prisma.product.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /api/products/:id/structured-data', () => {
+        it('should describe the product with an INR offer per pack size and its rating', async () => {
+            prisma.product.findMany.mockResolvedValue([{
+                productId: 'cardamom',
+                name: 'Green Cardamom',
+                category: 'whole-spices',
+                image: 'images/cardamom.jpg',
+                isAvailable: true,
+                ratingAverage: 4.5,
+                reviewCount: 12,
+                variants: [
+                    { packSize: '50g', price: 300, isAvailable: true },
+                    { packSize: '100g', price: 560, isAvailable: true }
+                ],
+                stock: [{ sku: 'cardamom-100g', packSize: '100g', quantity: 3, reserved: 3 }]
+            }]);
+
+            const response = await request(app).get('/api/products/cardamom/structured-data');
+
+            expect(response.status).toBe(200);
+            expect(response.headers.etag).toMatch(/^"/);
+            const jsonLd = response.body.data;
+            expect(jsonLd['@type']).toBe('Product');
+            expect(jsonLd.image).toBe('https://tawabil.com/images/cardamom.jpg');
+            expect(jsonLd.offers.map(o => [o.sku, o.price, o.priceCurrency, o.availability])).toEqual([
+                ['cardamom-50g', 300, 'INR', 'https://schema.org/InStock'],
+                ['cardamom-100g', 560, 'INR', 'https://schema.org/OutOfStock']
+            ]);
+            expect(jsonLd.aggregateRating).toMatchObject({ ratingValue: 4.5, reviewCount: 12 });
+        });
+
+        it('should return 404 for unknown products', async () => {
+            prisma.product.findMany.mockResolvedValueOnce([]);
+
+            const response = await request(app).get('/api/products/saffron/structured-data');
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('HTTP caching', () => {
+        it('should send a strong ETag and answer 304 when it matches', async () => {
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const first = await request(app).get('/api/products/cardamom');
+
+            expect(first.headers.etag).toMatch(/^"[\w-]+"$/);
+            expect(first.headers['cache-control']).toBe('public, max-age=60, s-maxage=300');
+
+            const second = await request(app)
+                .get('/api/products/cardamom')
+                .set('If-None-Match', first.headers.etag);
+
+            expect(second.status).toBe(304);
+            expect(prisma.product.findMany).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not cache past the next sale boundary', async () => {
+            prisma.product.findMany.mockResolvedValue([{
+                productId: 'cloves',
+                name: 'Cloves',
+                category: 'whole-spices',
+                isAvailable: true,
+                variants: [{
+                    packSize: '25g',
+                    price: 120,
+                    sales: [{ price: 99, startsAt: new Date(Date.now() + 20 * 1000).toISOString(), endsAt: null }]
+                }]
+            }]);
+
+            const response = await request(app).get('/api/products');
+
+            const [, maxAge, sMaxAge] = response.headers['cache-control'].match(/max-age=(\d+), s-maxage=(\d+)/);
+            expect(Number(maxAge)).toBeLessThanOrEqual(20);
+            expect(Number(sMaxAge)).toBeLessThanOrEqual(20);
+        });
+
+        it('should reload the catalog after an admin write', async () => {
+            prisma.product.findMany.mockResolvedValue([]);
+            prisma.product.update.mockResolvedValue({ productId: 'cardamom' });
+
+            await request(app).get('/api/products');
+            await request(app).get('/api/products');
+            await request(app)
+                .patch('/api/products/cardamom')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ isFeatured: true });
+            await request(app).get('/api/products');
+
+            expect(prisma.product.findMany).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not cache errors', async () => {
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const response = await request(app).get('/api/products/saffron');
+
+            expect(response.status).toBe(404);
+            expect(response.headers['cache-control']).toBeUndefined();
+        });
+    });
+
+    describe('GET /api/products pagination', () => {
+        // Walk every page and collect product IDs
+        const collect = async (query) => {
+            const ids = [];
+            let cursor = null;
+            do {
+                const response = await request(app)
+                    .get(`/api/products?${query}${cursor ? `&cursor=${cursor}` : ''}`);
+                expect(response.status).toBe(200);
+                ids.push(...response.body.data.map(p => p.productId));
+                cursor = response.body.nextCursor;
+            } while (cursor);
+            return ids;
+        };
+
+        it('should page through the file catalog without gaps or repeats', async () => {
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const first = await request(app).get('/api/products?sort=price-low&limit=3');
+            expect(first.body.count).toBe(3);
+            expect(first.body.total).toBe(7);
+            expect(first.body.nextCursor).toEqual(expect.any(String));
+
+            const ids = await collect('sort=price-low&limit=3');
+            expect(ids).toHaveLength(7);
+            expect(new Set(ids).size).toBe(7);
+            // zeera and cinnamon-round both start at ₹60; productId breaks the tie
+            expect(ids.slice(0, 2)).toEqual(['cinnamon-round', 'zeera']);
+        });
+
+        it('should order database products the same way', async () => {
+            prisma.product.findMany.mockResolvedValue([
+                { productId: 'zeera', name: 'Cumin', category: 'whole-spices', isAvailable: true, variants: [{ packSize: '50g', price: 60 }] },
+                { productId: 'cinnamon-round', name: 'Cinnamon', category: 'whole-spices', isAvailable: true, variants: [{ packSize: '50g', price: 60 }] },
+                { productId: 'cloves', name: 'Cloves', category: 'whole-spices', isAvailable: true, variants: [{ packSize: '25g', price: 120 }] }
+            ]);
+
+            expect(await collect('sort=price-high&limit=1')).toEqual(['cloves', 'cinnamon-round', 'zeera']);
+            expect(await collect('sort=name&limit=2')).toEqual(['cinnamon-round', 'cloves', 'zeera']);
+        });
+
+        it('should reject a cursor from a different sort', async () => {
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const first = await request(app).get('/api/products?sort=name&limit=2');
+            const response = await request(app)
+                .get(`/api/products?sort=price-low&limit=2&cursor=${first.body.nextCursor}`);
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should reject a cursor whose key does not fit the sort', async () => {
+            prisma.product.findMany.mockResolvedValue([]);
+            const cursorFor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+            const wrongType = await request(app)
+                .get(`/api/products?sort=price-low&limit=2&cursor=${cursorFor({ s: 'price-asc', k: 'abc', i: 'cloves' })}`);
+            const nullName = await request(app)
+                .get(`/api/products?sort=name&limit=2&cursor=${cursorFor({ s: 'name-asc', k: null, i: 'cloves' })}`);
+            const noPrice = await request(app)
+                .get(`/api/products?sort=price-low&limit=2&cursor=${cursorFor({ s: 'price-asc', k: null, i: 'cloves' })}`);
+
+            expect(wrongType.status).toBe(400);
+            expect(nullName.status).toBe(400);
+            expect(noPrice.status).toBe(200);
+        });
+    });
+
+    describe('GET /api/products/suggest', () => {
+        it('should return compact product, category and culinary-use suggestions', async () => {
+            prisma.category.findMany.mockResolvedValue([]);
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const response = await request(app).get('/api/products/suggest?q=spic');
+
+            expect(response.status).toBe(200);
+            const { products, categories } = response.body.data;
+            expect(categories).toEqual([
+                { slug: 'whole-spices', name: 'Whole Spices', icon: '🫚', count: 7 },
+                expect.objectContaining({ slug: 'ground-spices', count: 0 })
+            ]);
+            products.forEach(p => {
+                expect(Object.keys(p).sort()).toEqual(['highlight', 'name', 'nameHindi', 'productId']);
+            });
+        });
+
+        it('should suggest culinary uses with typos', async () => {
+            prisma.category.findMany.mockResolvedValue([]);
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const response = await request(app).get('/api/products/suggest?q=biriyani');
+
+            expect(response.body.data.culinaryUses[0].label).toMatch(/Biryani/);
+        });
+
+        it('should not search for a single character', async () => {
+            const response = await request(app).get('/api/products/suggest?q=c');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.products).toEqual([]);
+            expect(prisma.product.findMany).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('PUT /api/products/:id/stock', () => {
+        beforeEach(() => {
+            prisma.product.findUnique.mockResolvedValue({
+                productId: 'cardamom',
+                isAvailable: true,
+                variants: [{ packSize: '50g', price: 250 }, { packSize: '100g', price: 450 }]
+            });
+            prisma.$transaction.mockImplementation(fn => fn(prisma));
+            prisma.variantStock.upsert.mockImplementation(({ create }) => Promise.resolve({ reserved: 0, ...create }));
+        });
+
+        it('should mark a sold-out pack size as restocked', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([
+                { sku: 'cardamom-50g', packSize: '50g', quantity: 2, reserved: 2 },
+                { sku: 'cardamom-100g', packSize: '100g', quantity: 5, reserved: 0 }
+            ]);
+
+            const response = await request(app)
+                .put('/api/products/cardamom/stock')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ stock: [{ packSize: '50g', quantity: 20 }, { packSize: '100g', quantity: 8 }] });
+
+            expect(response.status).toBe(200);
+            const [soldOut, inStock] = prisma.variantStock.upsert.mock.calls.map(([args]) => args.update);
+            expect(soldOut.restockedAt).toBeInstanceOf(Date);
+            expect(inStock.restockedAt).toBeUndefined();
+        });
+
+        it('should not mark a restock when stock stays at zero', async () => {
+            prisma.variantStock.findMany.mockResolvedValue([{ sku: 'cardamom-50g', packSize: '50g', quantity: 0, reserved: 0 }]);
+
+            await request(app)
+                .put('/api/products/cardamom/stock')
+                .set('Authorization', ADMIN_AUTH)
+                .send({ stock: [{ packSize: '50g', quantity: 0 }] });
+
+            expect(prisma.variantStock.upsert.mock.calls[0][0].update.restockedAt).toBeUndefined();
+        });
+    });
+
+    describe('POST /api/products/:id/notify', () => {
+        it('should subscribe to a sold-out pack size', async () => {
+            prisma.variantStock.findUnique.mockResolvedValue({ sku: 'cardamom-50g', productId: 'cardamom', packSize: '50g', quantity: 3, reserved: 3 });
+            prisma.stockSubscription.findFirst.mockResolvedValue(null);
+            prisma.stockSubscription.create.mockImplementation(({ data }) => Promise.resolve({ id: 's1', ...data }));
+
+            const response = await request(app)
+                .post('/api/products/cardamom/notify')
+                .send({ packSize: '50g', phone: '9876543210' });
+
+            expect(response.status).toBe(201);
+            const { data } = prisma.stockSubscription.create.mock.calls[0][0];
+            expect(data).toMatchObject({ productId: 'cardamom', packSize: '50g', phone: '9876543210', email: null });
+            expect(data.expiresAt.getTime()).toBeGreaterThan(Date.now() + 89 * 24 * 60 * 60 * 1000);
+        });
+
+        it('should refresh the expiry of an existing subscription', async () => {
+            prisma.variantStock.findUnique.mockResolvedValue({ quantity: 0, reserved: 0 });
+            prisma.stockSubscription.findFirst.mockResolvedValue({ id: 's1' });
+            prisma.stockSubscription.update.mockImplementation(({ data }) => Promise.resolve({ id: 's1', ...data }));
+
+            const response = await request(app)
+                .post('/api/products/cardamom/notify')
+                .send({ packSize: '50g', email: 'asha@example.com' });
+
+            expect(response.status).toBe(200);
+            expect(prisma.stockSubscription.create).not.toHaveBeenCalled();
+            expect(prisma.stockSubscription.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 's1' } }));
+        });
+
+        it('should require a phone number or email', async () => {
+            const response = await request(app)
+                .post('/api/products/cardamom/notify')
+                .send({ packSize: '50g' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors[0].message).toBe('Phone number or email is required');
+        });
+
+        it('should reject pack sizes that are in stock', async () => {
+            prisma.variantStock.findUnique.mockResolvedValue({ quantity: 10, reserved: 2 });
+
+            const response = await request(app)
+                .post('/api/products/cardamom/notify')
+                .send({ packSize: '50g', phone: '9876543210' });
+
+            expect(response.status).toBe(400);
+            expect(prisma.stockSubscription.create).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for untracked pack sizes', async () => {
+            prisma.variantStock.findUnique.mockResolvedValue(null);
+
+            const response = await request(app)
+                .post('/api/products/cardamom/notify')
+                .send({ packSize: '5kg', phone: '9876543210' });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/products/categories', () => {
+        it('should compute live counts from the catalog file', async () => {
+            prisma.category.findMany.mockResolvedValue([]);
+            prisma.product.findMany.mockResolvedValue([]);
+
+            const response = await request(app).get('/api/products/categories');
+
+            expect(response.status).toBe(200);
+            const bySlug = Object.fromEntries(response.body.data.map(c => [c.slug, c.count]));
+            expect(bySlug.all).toBe(9);
+            expect(bySlug['whole-spices']).toBe(7);
+            expect(bySlug['gift-packs']).toBe(2);
+        });
+
+        it('should nest child categories and roll up their counts', async () => {
+            prisma.category.findMany.mockResolvedValue([
+                { id: 'c1', slug: 'whole-spices', name: 'Whole Spices', icon: '🫚', sortOrder: 1, parentId: null },
+                { id: 'c2', slug: 'seeds', name: 'Seeds', icon: null, sortOrder: 1, parentId: 'c1' },
+                { id: 'c3', slug: 'gift-packs', name: 'Gift Packs', icon: '🎁', sortOrder: 2, parentId: null }
+            ]);
+            prisma.product.findMany.mockResolvedValue([
+                { productId: 'cardamom', name: 'Cardamom', category: 'whole-spices', isAvailable: true, variants: [] },
+                { productId: 'zeera', name: 'Cumin', category: 'seeds', isAvailable: true, variants: [] }
+            ]);
+            prisma.bundle.findMany.mockResolvedValueOnce([
+                { bundleId: 'chai-box', name: 'Chai Box', category: 'gift-packs', components: [] }
+            ]);
+
+            const response = await request(app).get('/api/products/categories');
+
+            const [all, wholeSpices, giftPacks] = response.body.data;
+            expect(all.count).toBe(3);
+            expect(wholeSpices.count).toBe(2);
+            expect(wholeSpices.children).toEqual([expect.objectContaining({ slug: 'seeds', count: 1 })]);
+            expect(giftPacks.count).toBe(1);
+        });
+
+        it('should include child categories when filtering products', async () => {
+            prisma.category.findMany.mockResolvedValue([
+                { id: 'c1', slug: 'whole-spices', name: 'Whole Spices', sortOrder: 1, parentId: null },
+                { id: 'c2', slug: 'seeds', name: 'Seeds', sortOrder: 1, parentId: 'c1' }
+            ]);
+            prisma.product.findMany.mockResolvedValue([
+                { productId: 'zeera', name: 'Cumin', category: 'seeds', isAvailable: true, variants: [] }
+            ]);
+
+            const response = await request(app).get('/api/products?category=whole-spices');
+
+            expect(response.body.count).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Recipes API Integration Tests - Prisma Version
+ * Tests recipe filters, scaling and spice cart lines with mocked Prisma client
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+// Create a minimal express app for testing
+const app = express();
+app.use(express.json());
+
+const recipeRoutes = require('../../server/routes/recipes');
+app.use('/api/recipes', recipeRoutes);
+
+describe('Recipes API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.recipe.findMany.mockResolvedValue([]);
+        prisma.product.findMany.mockResolvedValue([]);
+    });
+
+    describe('GET /api/recipes', () => {
+        it('should list recipes from the catalog file with every tag', async () => {
+            const response = await request(app).get('/api/recipes');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(r => r.recipeId))
+                .toEqual(['hyderabadi-biryani', 'chettinad-pepper-chicken', 'masala-chai']);
+            expect(response.body.tags).toContain('beverage');
+        });
+
+        it('should filter by tag and cook time', async () => {
+            const byTag = await request(app).get('/api/recipes?tag=spicy,beverage');
+            const byTime = await request(app).get('/api/recipes?maxCookTime=45');
+
+            expect(byTag.body.data.map(r => r.recipeId)).toEqual(['chettinad-pepper-chicken', 'masala-chai']);
+            expect(byTime.body.data.map(r => r.recipeId)).toEqual(['chettinad-pepper-chicken', 'masala-chai']);
+        });
+
+        it('should reject invalid filters', async () => {
+            const response = await request(app).get('/api/recipes?maxCookTime=0');
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/recipes/:id', () => {
+        it('should list each spice at the smallest pack that covers it', async () => {
+            const response = await request(app).get('/api/recipes/masala-chai');
+
+            expect(response.status).toBe(200);
+            const { spices } = response.body.data;
+            expect(spices.items.find(i => i.productId === 'cardamom'))
+                .toEqual({ productId: 'cardamom', name: 'Green Cardamom', packSize: '25g', quantity: 1, price: 150, grams: 1.5 });
+            expect(spices.unavailable).toEqual([]);
+            expect(spices.total).toBe(150 + 90 + 120 + 80);
+        });
+
+        it('should scale quantities and grams by servings', async () => {
+            const response = await request(app).get('/api/recipes/chettinad-pepper-chicken?servings=30');
+
+            const { data } = response.body;
+            expect(data).toMatchObject({ servings: 30, baseServings: 3 });
+            const pepper = data.ingredients.find(i => i.productId === 'black-pepper');
+            expect(pepper).toMatchObject({ quantity: 20, grams: 150 });
+            expect(data.spices.items.find(i => i.productId === 'black-pepper'))
+                .toMatchObject({ packSize: '250g', quantity: 1 });
+        });
+
+        it('should skip sold-out pack sizes', async () => {
+            prisma.product.findMany.mockResolvedValue([{
+                productId: 'cardamom',
+                name: 'Green Cardamom',
+                category: 'whole-spices',
+                isAvailable: true,
+                variants: [{ packSize: '25g', price: 150 }, { packSize: '50g', price: 280 }],
+                stock: [{ sku: 'cardamom-25g', packSize: '25g', quantity: 0, reserved: 0 }]
+            }]);
+
+            const response = await request(app).get('/api/recipes/masala-chai');
+
+            const { spices } = response.body.data;
+            expect(spices.items).toEqual([expect.objectContaining({ productId: 'cardamom', packSize: '50g' })]);
+            expect(spices.unavailable).toEqual(['cinnamon', 'cloves', 'black-pepper']);
+        });
+
+        it('should return 404 for unknown recipes', async () => {
+            const response = await request(app).get('/api/recipes/no-such-dish');
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
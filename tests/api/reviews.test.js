@@ -0,0 +1,176 @@
+/**
+ * Reviews API Integration Tests - Prisma Version
+ * Tests verified-purchase review submission, listing and moderation
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+process.env.ADMIN_API_KEYS = 'ops:test_admin_key';
+
+// Create a minimal express app for testing
+const app = express();
+app.use(express.json());
+
+const productRoutes = require('../../server/routes/products');
+const reviewRoutes = require('../../server/routes/reviews');
+app.use('/api/products', productRoutes);
+app.use('/api/reviews', reviewRoutes);
+
+const deliveredOrder = {
+    orderId: 'TW-260120-ABC123',
+    status: 'DELIVERED',
+    customer: { name: 'Priya Sharma', phone: '9876543210' },
+    items: [{ productId: 'cardamom', packSize: '50g', quantity: 1 }]
+};
+
+const reviewBody = {
+    orderId: 'TW-260120-ABC123',
+    phone: '9876543210',
+    rating: 5,
+    comment: 'Wonderful aroma'
+};
+
+describe('Reviews API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.product.findUnique.mockResolvedValue({ productId: 'cardamom', ratingAverage: 4.5, reviewCount: 2 });
+        prisma.$transaction.mockImplementation((fn) => fn(prisma));
+    });
+
+    describe('POST /api/products/:id/reviews', () => {
+        it('should accept a review from a verified buyer as pending', async () => {
+            prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+            prisma.review.create.mockResolvedValue({ id: 'r1', status: 'PENDING' });
+
+            const response = await request(app)
+                .post('/api/products/cardamom/reviews')
+                .send(reviewBody);
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.status).toBe('PENDING');
+            expect(prisma.review.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    productId: 'cardamom',
+                    orderId: 'TW-260120-ABC123',
+                    authorName: 'Priya Sharma',
+                    rating: 5
+                })
+            });
+        });
+
+        it('should reject a phone number that does not match the order', async () => {
+            prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+
+            const response = await request(app)
+                .post('/api/products/cardamom/reviews')
+                .send({ ...reviewBody, phone: '9000000000' });
+
+            expect(response.status).toBe(403);
+            expect(prisma.review.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject a review for a product not in the order', async () => {
+            prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+            prisma.product.findUnique.mockResolvedValue({ productId: 'cloves' });
+
+            const response = await request(app)
+                .post('/api/products/cloves/reviews')
+                .send(reviewBody);
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should accept a review for a spice bought in a gift pack', async () => {
+            prisma.order.findUnique.mockResolvedValue({
+                ...deliveredOrder,
+                items: [{
+                    bundleId: 'biryani-spice-box',
+                    quantity: 1,
+                    components: [{ productId: 'cardamom', packSize: '25g', quantity: 1 }]
+                }]
+            });
+            prisma.review.create.mockResolvedValue({ id: 'r2', status: 'PENDING' });
+
+            // Reviews are rate limited per address
+            const response = await request(app)
+                .post('/api/products/cardamom/reviews')
+                .set('X-Forwarded-For', '203.0.113.7')
+                .send(reviewBody);
+
+            expect(response.status).toBe(201);
+        });
+
+        it('should reject a review before delivery', async () => {
+            prisma.order.findUnique.mockResolvedValue({ ...deliveredOrder, status: 'CONFIRMED' });
+
+            const response = await request(app)
+                .post('/api/products/cardamom/reviews')
+                .send(reviewBody);
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should validate the rating range', async () => {
+            const response = await request(app)
+                .post('/api/products/cardamom/reviews')
+                .send({ ...reviewBody, rating: 6 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors[0].field).toBe('rating');
+        });
+    });
+
+    describe('GET /api/products/:id/reviews', () => {
+        it('should paginate approved reviews with the cached rating', async () => {
+            prisma.review.count.mockResolvedValue(12);
+            prisma.review.findMany.mockResolvedValue([
+                { id: 'r1', authorName: 'Priya', rating: 5, comment: 'Great', orderId: 'TW-1', createdAt: new Date() }
+            ]);
+
+            const response = await request(app)
+                .get('/api/products/cardamom/reviews?page=2&limit=5&sort=rating-high');
+
+            expect(response.status).toBe(200);
+            expect(response.body.pages).toBe(3);
+            expect(response.body.rating).toEqual({ average: 4.5, count: 2 });
+            expect(response.body.data[0].orderId).toBeUndefined();
+            expect(prisma.review.findMany).toHaveBeenCalledWith({
+                where: { productId: 'cardamom', status: 'APPROVED' },
+                orderBy: [{ rating: 'desc' }, { createdAt: 'desc' }],
+                skip: 5,
+                take: 5
+            });
+        });
+    });
+
+    describe('PATCH /api/reviews/:reviewId', () => {
+        it('should approve a review and refresh the product rating', async () => {
+            prisma.review.update.mockResolvedValue({ id: 'r1', productId: 'cardamom', status: 'APPROVED' });
+            prisma.review.aggregate.mockResolvedValue({ _avg: { rating: 4.666 }, _count: { _all: 3 } });
+            prisma.product.update.mockResolvedValue({});
+
+            const response = await request(app)
+                .patch('/api/reviews/r1')
+                .set('Authorization', 'Bearer test_admin_key')
+                .send({ status: 'APPROVED' });
+
+            expect(response.status).toBe(200);
+            expect(prisma.review.update.mock.calls[0][0].data.moderatedBy).toBe('ops');
+            expect(prisma.product.update).toHaveBeenCalledWith({
+                where: { productId: 'cardamom' },
+                data: { ratingAverage: 4.7, reviewCount: 3 }
+            });
+        });
+
+        it('should require admin credentials', async () => {
+            const response = await request(app)
+                .patch('/api/reviews/r1')
+                .send({ status: 'APPROVED' });
+
+            expect(response.status).toBe(401);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * SEO API Integration Tests - Prisma Version
+ * Tests the generated sitemap and product feeds with mocked Prisma client
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { prisma } = require('../../server/config/prisma');
+
+// Create a minimal express app for testing
+const app = express();
+
+const seoRoutes = require('../../server/routes/seo');
+app.use('/', seoRoutes);
+
+describe('SEO API', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.recipe.findMany.mockResolvedValue([]);
+        prisma.article.findMany.mockResolvedValue([]);
+    });
+
+    describe('GET /sitemap.xml', () => {
+        it('should list database products, file recipes and article pages with lastmod', async () => {
+            prisma.product.findMany.mockResolvedValueOnce([
+                { productId: 'cardamom', name: 'Green Cardamom', isAvailable: true, variants: [], updatedAt: new Date('2026-03-02T10:00:00Z') }
+            ]);
+            prisma.article.findMany.mockResolvedValueOnce([
+                { id: 'a1', slug: 'storing-cardamom', section: 'quality', publishedAt: new Date('2026-01-10T00:00:00Z'), updatedAt: new Date('2026-02-14T00:00:00Z') }
+            ]);
+
+            const response = await request(app).get('/sitemap.xml');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/application\/xml/);
+            expect(response.text).toMatch(/<loc>https:\/\/tawabil\.com\/products\.html\?product=cardamom<\/loc>\s*<lastmod>2026-03-02<\/lastmod>/);
+            expect(response.text).toMatch(/<loc>https:\/\/tawabil\.com\/quality\.html<\/loc>\s*<lastmod>2026-02-14<\/lastmod>/);
+            expect(response.text).toContain('<loc>https://tawabil.com/recipes.html?recipe=masala-chai</loc>');
+        });
+
+        it('should use the public site URL when configured', async () => {
+            process.env.SITE_URL = 'https://staging.tawabil.com/';
+            prisma.product.findMany.mockResolvedValueOnce([]);
+
+            const response = await request(app).get('/sitemap.xml');
+            delete process.env.SITE_URL;
+
+            expect(response.text).toContain('<loc>https://staging.tawabil.com/products.html?product=cardamom</loc>');
+            expect(response.text).not.toContain('https://tawabil.com');
+        });
+    });
+
+    describe('GET /feeds/products.xml', () => {
+        const cardamom = (price) => [{
+            productId: 'cardamom',
+            name: 'Green Cardamom',
+            category: 'whole-spices',
+            isAvailable: true,
+            variants: [{ sku: 'cardamom-50g', packSize: '50g', price, isAvailable: true, gtin: '8901234567890' }],
+            stock: [{ sku: 'cardamom-50g', packSize: '50g', quantity: 4, reserved: 0 }]
+        }];
+
+        it('should serve a cacheable RSS feed with an item per SKU', async () => {
+            prisma.product.findMany.mockResolvedValueOnce(cardamom(300));
+            prisma.category.findMany.mockResolvedValueOnce([]);
+
+            const response = await request(app).get('/feeds/products.xml');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/application\/rss\+xml/);
+            expect(response.headers['cache-control']).toBe('public, max-age=300, s-maxage=3600');
+            expect(response.text).toContain('<g:id>cardamom-50g</g:id>');
+            expect(response.text).toContain('<g:price>300.00 INR</g:price>');
+            expect(response.text).toContain('<g:gtin>8901234567890</g:gtin>');
+            expect(response.text).toContain('<g:product_type>Whole Spices</g:product_type>');
+
+            const revalidated = await request(app)
+                .get('/feeds/products.xml')
+                .set('If-None-Match', response.headers.etag);
+            expect(revalidated.status).toBe(304);
+        });
+
+        it('should rebuild the feed when the catalog changes', async () => {
+            prisma.product.findMany.mockResolvedValueOnce(cardamom(300));
+            await request(app).get('/feeds/products.xml');
+
+            require('../../server/services/catalog').invalidateCatalog();
+            prisma.product.findMany.mockResolvedValueOnce(cardamom(320));
+
+            const response = await request(app).get('/feeds/products.xml');
+
+            expect(response.text).toContain('<g:price>320.00 INR</g:price>');
+        });
+
+        it('should serve the same items as TSV', async () => {
+            prisma.product.findMany.mockResolvedValueOnce([]);
+
+            const response = await request(app).get('/feeds/products.tsv');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/text\/tab-separated-values/);
+            expect(response.text.split('\n')).toContainEqual(
+                expect.stringMatching(/^zeera-ground-100g\tzeera\tCumin Seeds \(Zeera\) Ground 100g\t/)
+            );
+        });
+    });
+});
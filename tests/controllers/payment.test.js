@@ -3,8 +3,14 @@
  */
 
 const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
 const { prisma } = require('../../server/config/prisma');
 
+const app = express();
+app.use(express.json());
+app.use('/api/payments', require('../../server/routes/payments'));
+
 describe('Payment Controller', () => {
     describe('Payment Signature Verification', () => {
         const secret = 'test_secret_key_for_testing';
@@ -207,4 +213,98 @@ describe('Payment Controller', () => {
             expect(result.razorpayOrderId).toBe('order_test456');
         });
     });
+
+    describe('POST /api/payments/verify', () => {
+        const order = (fields) => ({
+            id: 'cuid_123',
+            orderId: 'TW-260120-ABC123',
+            paymentMethod: 'ONLINE',
+            paymentStatus: 'PENDING',
+            stockStatus: 'RESERVED',
+            items: [{ productId: 'cardamom', sku: 'cardamom-50g', packSize: '50g', quantity: 2 }],
+            statusHistory: [],
+            ...fields
+        });
+
+        const verify = () => request(app).post('/api/payments/verify').send({
+            orderId: 'TW-260120-ABC123',
+            razorpay_order_id: 'order_test123',
+            razorpay_payment_id: 'pay_test456',
+            razorpay_signature: 'made_up_signature'
+        });
+
+        beforeEach(() => {
+            prisma.$transaction.mockImplementation(fn => fn(prisma));
+        });
+
+        it('should fail a pending online payment and release its stock on a bad signature', async () => {
+            prisma.order.findUnique.mockResolvedValueOnce(order());
+            prisma.order.updateMany.mockResolvedValueOnce({ count: 1 });
+
+            const response = await verify();
+
+            expect(response.status).toBe(400);
+            expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+            expect(prisma.order.update).toHaveBeenCalledWith({
+                where: { orderId: 'TW-260120-ABC123' },
+                data: { paymentStatus: 'FAILED' }
+            });
+        });
+
+        it('should leave paid and COD orders and their stock unchanged on a bad signature', async () => {
+            prisma.order.findUnique
+                .mockResolvedValueOnce(order({ paymentStatus: 'PAID', stockStatus: 'COMMITTED' }))
+                .mockResolvedValueOnce(order({ paymentMethod: 'COD', stockStatus: 'COMMITTED' }));
+
+            expect((await verify()).status).toBe(400);
+            expect((await verify()).status).toBe(400);
+
+            expect(prisma.order.updateMany).not.toHaveBeenCalled();
+            expect(prisma.$executeRaw).not.toHaveBeenCalled();
+            expect(prisma.order.update).not.toHaveBeenCalled();
+        });
+
+        describe('after the reservation was released', () => {
+            const signature = crypto
+                .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+                .update('order_test123|pay_test456')
+                .digest('hex');
+
+            const capture = () => request(app).post('/api/payments/verify').send({
+                orderId: 'TW-260120-ABC123',
+                razorpay_order_id: 'order_test123',
+                razorpay_payment_id: 'pay_test456',
+                razorpay_signature: signature
+            });
+
+            beforeEach(() => {
+                prisma.order.findUnique.mockResolvedValueOnce(order({ paymentStatus: 'FAILED', stockStatus: 'RELEASED' }));
+                prisma.order.updateMany
+                    .mockResolvedValueOnce({ count: 0 })
+                    .mockResolvedValueOnce({ count: 1 });
+                prisma.order.update.mockResolvedValueOnce({ orderId: 'TW-260120-ABC123', paymentStatus: 'PAID', status: 'CONFIRMED' });
+            });
+
+            it('should take the units again when they are still there', async () => {
+                prisma.$queryRaw.mockResolvedValueOnce([{ sku: 'cardamom-50g', quantity: 5, reserved: 1 }]);
+
+                expect((await capture()).status).toBe(200);
+                expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+                expect(prisma.$executeRaw.mock.calls[0]).toContain(2);
+                expect(prisma.order.updateMany).toHaveBeenCalledTimes(2);
+            });
+
+            it('should mark the order SHORT instead of taking units that are gone', async () => {
+                prisma.$queryRaw.mockResolvedValueOnce([{ sku: 'cardamom-50g', quantity: 2, reserved: 1 }]);
+                prisma.order.updateMany.mockResolvedValueOnce({ count: 1 });
+
+                expect((await capture()).status).toBe(200);
+                expect(prisma.$executeRaw).not.toHaveBeenCalled();
+                expect(prisma.order.updateMany).toHaveBeenLastCalledWith({
+                    where: { id: 'cuid_123', stockStatus: { in: ['COMMITTED'] } },
+                    data: { stockStatus: 'SHORT' }
+                });
+            });
+        });
+    });
 });
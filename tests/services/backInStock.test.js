@@ -0,0 +1,116 @@
+/**
+ * Back-in-Stock Job Tests
+ * Tests one notification per restock and subscription expiry
+ */
+
+const { prisma } = require('../../server/config/prisma');
+const { runBackInStockJob } = require('../../server/services/backInStock');
+
+const now = new Date('2026-03-10T10:00:00Z');
+const restockedAt = new Date('2026-03-10T09:00:00Z');
+
+const subscription = (overrides = {}, stock = {}) => ({
+    id: 's1',
+    productId: 'cardamom',
+    sku: 'cardamom-50g',
+    packSize: '50g',
+    phone: '9876543210',
+    email: null,
+    notifiedAt: null,
+    expiresAt: new Date('2026-06-01T00:00:00Z'),
+    stock: {
+        quantity: 10,
+        reserved: 0,
+        restockedAt,
+        product: { name: 'Green Cardamom' },
+        ...stock
+    },
+    ...overrides
+});
+
+describe('runBackInStockJob', () => {
+    let notifier;
+
+    beforeEach(() => {
+        notifier = { send: jest.fn().mockResolvedValue(undefined) };
+        prisma.stockSubscription.deleteMany.mockResolvedValue({ count: 0 });
+        prisma.stockSubscription.update.mockResolvedValue({});
+    });
+
+    it('should notify subscribers of a restocked pack size and record it', async () => {
+        prisma.stockSubscription.findMany.mockResolvedValue([subscription()]);
+
+        const result = await runBackInStockJob({ notifier, now });
+
+        expect(result).toEqual({ sent: 1, failed: 0, expired: 0 });
+        expect(notifier.send).toHaveBeenCalledWith(expect.objectContaining({
+            to: { phone: '9876543210', email: null },
+            subject: 'Green Cardamom is back in stock',
+            meta: { subscriptionId: 's1', productId: 'cardamom', sku: 'cardamom-50g', packSize: '50g' }
+        }));
+        expect(prisma.stockSubscription.update).toHaveBeenCalledWith({
+            where: { id: 's1' },
+            data: { notifiedAt: now }
+        });
+    });
+
+    it('should name the form of a restocked SKU', async () => {
+        prisma.stockSubscription.findMany.mockResolvedValue([subscription({ productId: 'zeera', sku: 'zeera-ground-100g', packSize: '100g' }, {
+            product: {
+                name: 'Zeera',
+                variants: [
+                    { form: 'Whole', packSize: '100g', price: 110 },
+                    { form: 'Ground', packSize: '100g', price: 120 }
+                ]
+            }
+        })]);
+
+        await runBackInStockJob({ notifier, now });
+
+        expect(notifier.send.mock.calls[0][0].message).toContain('Zeera (Ground 100g) is back in stock');
+    });
+
+    it('should notify only once per restock', async () => {
+        prisma.stockSubscription.findMany.mockResolvedValue([
+            subscription({ id: 'already', notifiedAt: new Date('2026-03-10T09:30:00Z') }),
+            subscription({ id: 'previous-restock', notifiedAt: new Date('2026-02-01T00:00:00Z') })
+        ]);
+
+        const result = await runBackInStockJob({ notifier, now });
+
+        expect(result.sent).toBe(1);
+        expect(notifier.send.mock.calls[0][0].meta.subscriptionId).toBe('previous-restock');
+    });
+
+    it('should wait while the restocked units are all reserved', async () => {
+        prisma.stockSubscription.findMany.mockResolvedValue([subscription({}, { quantity: 4, reserved: 4 })]);
+
+        const result = await runBackInStockJob({ notifier, now });
+
+        expect(result.sent).toBe(0);
+        expect(notifier.send).not.toHaveBeenCalled();
+    });
+
+    it('should leave failed sends to retry on the next run', async () => {
+        notifier.send.mockRejectedValue(new Error('Gateway timeout'));
+        prisma.stockSubscription.findMany.mockResolvedValue([subscription()]);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await runBackInStockJob({ notifier, now });
+
+        expect(result).toEqual({ sent: 0, failed: 1, expired: 0 });
+        expect(prisma.stockSubscription.update).not.toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+
+    it('should delete expired subscriptions and only load active ones', async () => {
+        prisma.stockSubscription.deleteMany.mockResolvedValue({ count: 3 });
+        prisma.stockSubscription.findMany.mockResolvedValue([]);
+
+        const result = await runBackInStockJob({ notifier, now });
+
+        expect(result.expired).toBe(3);
+        expect(prisma.stockSubscription.deleteMany).toHaveBeenCalledWith({ where: { expiresAt: { lte: now } } });
+        expect(prisma.stockSubscription.findMany.mock.calls[0][0].where.expiresAt).toEqual({ gt: now });
+    });
+});
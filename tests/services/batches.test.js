@@ -0,0 +1,56 @@
+/**
+ * Batch Service Tests
+ * Tests lot assignment to order lines and the public quality report
+ */
+
+const { assignBatches, toQualityReport, batchDatesError } = require('../../server/services/batches');
+
+describe('assignBatches', () => {
+    const items = [
+        { productId: 'cardamom', packSize: '50g', quantity: 1 },
+        { productId: 'cardamom', packSize: '100g', quantity: 1, lotNumber: 'CARD-OLD' },
+        { bundleId: 'gift', quantity: 1, components: [{ productId: 'cloves', packSize: '25g', quantity: 1 }] }
+    ];
+
+    it('should prefer a lot for the exact pack size over one for the whole product', () => {
+        const { items: packed, unassigned, unmatched } = assignBatches(items, [
+            { productId: 'cardamom', lotNumber: 'CARD-A' },
+            { productId: 'cardamom', packSize: '100g', lotNumber: 'CARD-B' }
+        ]);
+
+        expect(packed.map(i => i.lotNumber)).toEqual(['CARD-A', 'CARD-B', undefined]);
+        expect(unassigned).toEqual([{ productId: 'cloves', packSize: '25g' }]);
+        expect(unmatched).toEqual([]);
+        expect(items[0].lotNumber).toBeUndefined();
+    });
+
+    it('should report assignments for sizes the order does not have', () => {
+        const { unmatched } = assignBatches(items, [{ productId: 'cloves', packSize: '50g', lotNumber: 'CLV-1' }]);
+
+        expect(unmatched).toEqual([{ productId: 'cloves', packSize: '50g', lotNumber: 'CLV-1' }]);
+    });
+});
+
+describe('toQualityReport', () => {
+    it('should flag expired batches and leave missing lab results empty', () => {
+        const report = toQualityReport({
+            lotNumber: 'CLV-1',
+            productId: 'cloves',
+            farm: 'Hill Estate',
+            harvestedAt: '2025-01-01',
+            packedAt: '2025-02-01',
+            expiresAt: '2026-02-01'
+        }, new Date('2026-03-01'));
+
+        expect(report.expired).toBe(true);
+        expect(report.product).toEqual({ productId: 'cloves', name: 'cloves', origin: null, purityIndicators: [] });
+        expect(report.labResults.moisturePercent).toBeNull();
+    });
+});
+
+describe('batchDatesError', () => {
+    it('should allow packing on the harvest day but not expiry on the packing day', () => {
+        expect(batchDatesError({ harvestedAt: '2026-01-01', packedAt: '2026-01-01', expiresAt: '2027-01-01' })).toBeNull();
+        expect(batchDatesError({ harvestedAt: '2026-01-01', packedAt: '2026-01-05', expiresAt: '2026-01-05' }).field).toBe('expiresAt');
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Cart Sync Tests
+ * Tests the three-way merge of a device's cart with the server copy
+ */
+
+const { mergeCarts, toCartLine } = require('../../server/services/carts');
+
+const line = (sku, quantity) => ({ id: sku, productId: sku.split('-')[0], sku, quantity });
+const cartOf = (items = [], savedItems = []) => ({ items, savedItems });
+
+describe('mergeCarts', () => {
+    it('should join carts from two devices on the first sync', () => {
+        const merged = mergeCarts(
+            cartOf(),
+            cartOf([line('cloves-25g', 1), line('zeera-whole-100g', 2)]),
+            cartOf([line('zeera-whole-100g', 3), line('cardamom-50g', 1)])
+        );
+
+        expect(merged.items.map(i => [i.sku, i.quantity])).toEqual([
+            ['zeera-whole-100g', 3],
+            ['cardamom-50g', 1],
+            ['cloves-25g', 1]
+        ]);
+    });
+
+    it('should take changes made on one side, including removals', () => {
+        const base = cartOf([line('cloves-25g', 1), line('zeera-whole-100g', 2), line('cardamom-50g', 1)]);
+
+        const merged = mergeCarts(
+            base,
+            cartOf([line('zeera-whole-100g', 5), line('cardamom-50g', 1)]),
+            cartOf([line('cloves-25g', 1), line('zeera-whole-100g', 2)])
+        );
+
+        // cloves removed on the device, cardamom removed elsewhere, zeera changed on the device
+        expect(merged.items.map(i => [i.sku, i.quantity])).toEqual([['zeera-whole-100g', 5]]);
+    });
+
+    it('should keep the larger quantity and prefer a change over a removal when both sides changed', () => {
+        const base = cartOf([line('cloves-25g', 1), line('zeera-whole-100g', 2)]);
+
+        const merged = mergeCarts(
+            base,
+            cartOf([line('cloves-25g', 2), line('zeera-whole-100g', 3)]),
+            cartOf([line('zeera-whole-100g', 4)])
+        );
+
+        expect(merged.items.map(i => [i.sku, i.quantity])).toEqual([
+            ['zeera-whole-100g', 4],
+            ['cloves-25g', 2]
+        ]);
+    });
+
+    it('should give the same cart whichever device syncs first', () => {
+        const base = cartOf([line('cloves-25g', 1)]);
+        const phone = cartOf([line('cloves-25g', 3)], [line('cardamom-50g', 1)]);
+        const laptop = cartOf([line('zeera-whole-100g', 1)]);
+
+        const phoneFirst = mergeCarts(base, laptop, mergeCarts(base, phone, base));
+        const laptopFirst = mergeCarts(base, phone, mergeCarts(base, laptop, base));
+
+        const summary = (cart) => ({
+            items: cart.items.map(i => [i.sku, i.quantity]).sort(),
+            savedItems: cart.savedItems.map(i => [i.sku, i.quantity]).sort()
+        });
+        expect(summary(phoneFirst)).toEqual(summary(laptopFirst));
+        expect(summary(phoneFirst)).toEqual({
+            items: [['cloves-25g', 3], ['zeera-whole-100g', 1]],
+            savedItems: [['cardamom-50g', 1]]
+        });
+    });
+
+    it('should keep a line in the cart when it is also saved for later', () => {
+        const merged = mergeCarts(
+            cartOf(),
+            cartOf([], [line('cloves-25g', 1)]),
+            cartOf([line('cloves-25g', 2)])
+        );
+
+        expect(merged.items).toHaveLength(1);
+        expect(merged.savedItems).toEqual([]);
+    });
+});
+
+describe('toCartLine', () => {
+    it('should keep known fields and cap the quantity', () => {
+        expect(toCartLine({ id: 'x', productId: 'cloves', packSize: '25g', quantity: 250, price: 120, note: 'gift' })).toEqual({
+            id: 'x', productId: 'cloves', packSize: '25g', price: 120, quantity: 100
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Catalog Service Tests
+ * Tests the in-memory catalog, its invalidation and the parsed file cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { prisma } = require('../../server/config/prisma');
+const {
+    CATALOG_TTL_MS,
+    loadCatalog,
+    findCatalogProduct,
+    getNextPriceChange,
+    invalidateCatalog
+} = require('../../server/services/catalog');
+const { loadCatalogFile, getFileProduct } = require('../../server/services/catalogFile');
+
+const row = (productId, variants = [{ packSize: '50g', price: 100 }]) => ({
+    productId,
+    name: productId,
+    category: 'whole-spices',
+    isAvailable: true,
+    variants,
+    stock: []
+});
+
+describe('loadCatalog', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should query once and index products by ID', async () => {
+        prisma.product.findMany.mockResolvedValue([row('cloves'), row('zeera')]);
+
+        await loadCatalog();
+        const catalog = await loadCatalog();
+
+        expect(prisma.product.findMany).toHaveBeenCalledTimes(1);
+        expect(catalog.source).toBe('database');
+        expect((await findCatalogProduct('zeera')).record.productId).toBe('zeera');
+        expect(await findCatalogProduct('saffron')).toBeNull();
+    });
+
+    it('should share one query between concurrent loads', async () => {
+        prisma.product.findMany.mockResolvedValue([row('cloves')]);
+
+        await Promise.all([loadCatalog(), loadCatalog(), findCatalogProduct('cloves')]);
+
+        expect(prisma.product.findMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reload after invalidation and once the TTL has passed', async () => {
+        prisma.product.findMany.mockResolvedValue([row('cloves')]);
+        const start = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(start);
+
+        await loadCatalog();
+        invalidateCatalog();
+        await loadCatalog();
+        expect(prisma.product.findMany).toHaveBeenCalledTimes(2);
+
+        Date.now.mockReturnValue(start + CATALOG_TTL_MS);
+        await loadCatalog();
+        expect(prisma.product.findMany).toHaveBeenCalledTimes(3);
+    });
+
+    it('should fall back to the catalog file', async () => {
+        prisma.product.findMany.mockRejectedValue(new Error('offline'));
+
+        const catalog = await loadCatalog();
+
+        expect(catalog.source).toBe('file');
+        expect(catalog.byId.get('cardamom').name).toBe('Green Cardamom');
+    });
+
+    it('should report the next sale start or end', async () => {
+        prisma.product.findMany.mockResolvedValue([row('cloves', [{
+            packSize: '50g',
+            price: 100,
+            sales: [{ price: 80, startsAt: '2026-03-01T00:00:00.000Z', endsAt: '2026-03-08T00:00:00.000Z' }]
+        }])]);
+        await loadCatalog();
+
+        expect(getNextPriceChange(new Date('2026-02-01T00:00:00Z'))).toEqual(new Date('2026-03-01T00:00:00Z'));
+        expect(getNextPriceChange(new Date('2026-03-02T00:00:00Z'))).toEqual(new Date('2026-03-08T00:00:00Z'));
+        expect(getNextPriceChange(new Date('2026-03-09T00:00:00Z'))).toBeNull();
+    });
+});
+
+describe('catalog file cache', () => {
+    const filePath = path.join(os.tmpdir(), `tawabil-catalog-${process.pid}.json`);
+    const write = (products) => fs.writeFileSync(filePath, JSON.stringify({ products }));
+
+    afterAll(() => {
+        fs.rmSync(filePath, { force: true });
+    });
+
+    it('should reuse the parsed file until it changes', () => {
+        write([{ id: 'cloves', name: 'Cloves', prices: { '25g': 120 } }]);
+
+        const first = loadCatalogFile(filePath);
+        expect(loadCatalogFile(filePath)).toBe(first);
+        expect(getFileProduct('cloves', filePath).name).toBe('Cloves');
+
+        write([{ id: 'cloves', name: 'Whole Cloves', prices: { '25g': 120 } }]);
+
+        expect(loadCatalogFile(filePath)).not.toBe(first);
+        expect(getFileProduct('cloves', filePath).name).toBe('Whole Cloves');
+        expect(getFileProduct('saffron', filePath)).toBeNull();
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * Catalog CSV Tests
+ * Tests CSV parsing and quoting for spreadsheet round trips
+ */
+
+const { parseCsv, toCsv, readImportRows } = require('../../server/services/catalogCsv');
+
+describe('parseCsv', () => {
+    it('should read quoted cells, doubled quotes and CRLF line endings', () => {
+        expect(parseCsv('\uFEFFa,"b, c","say ""hi"""\r\n1,"two\nlines",\r\n')).toEqual([
+            ['a', 'b, c', 'say "hi"'],
+            ['1', 'two\nlines', '']
+        ]);
+    });
+});
+
+describe('toCsv', () => {
+    it('should quote cells and keep text from running as a formula', () => {
+        expect(toCsv([['Cloves, whole', '=SUM(A1)', 120, true]])).toBe('"Cloves, whole",\'=SUM(A1),120,true\r\n');
+    });
+});
+
+describe('readImportRows', () => {
+    it('should skip blank rows and undo the formula guard', () => {
+        const { rows, errors } = readImportRows("productId,form,packSize,price\n\nzeera,'+Coarse,100g,120\n");
+
+        expect(errors).toEqual([]);
+        expect(rows).toEqual([
+            expect.objectContaining({ row: 3, form: '+Coarse', sku: 'zeera-coarse-100g', price: 120 })
+        ]);
+    });
+});
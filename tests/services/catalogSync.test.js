@@ -0,0 +1,202 @@
+/**
+ * Catalog Sync Tests
+ * Tests diffing data/products.json against Product rows
+ */
+
+const { diffCatalog, hasChanges, applyCatalogDiff } = require('../../server/services/catalogSync');
+const { fileProductToRecord } = require('../../server/services/catalogFile');
+
+const fileProduct = {
+    id: 'cloves',
+    name: 'Cloves',
+    nameHindi: 'लौंग',
+    category: 'whole-spices',
+    origin: 'Tamil Nadu, India',
+    badge: 'Premium',
+    description: 'Aromatic flower buds.',
+    culinaryUses: ['Biryanis'],
+    healthBenefits: ['Natural antiseptic'],
+    packSizes: ['25g', '50g'],
+    prices: { '25g': 120, '50g': 220 },
+    storageTips: 'Store in airtight containers.',
+    purityIndicators: ['Reddish-brown color'],
+    image: 'images/clove.jpg'
+};
+
+const dbRow = (overrides = {}) => ({
+    ...fileProductToRecord(fileProduct),
+    isAvailable: true,
+    isFeatured: false,
+    ...overrides
+});
+
+describe('Catalog Sync', () => {
+    describe('diffCatalog', () => {
+        it('should report new products as added', () => {
+            const diff = diffCatalog({ products: [fileProduct] }, { products: [] });
+
+            expect(diff.added).toHaveLength(1);
+            expect(diff.added[0].productId).toBe('cloves');
+            expect(diff.added[0].variants).toEqual([
+                { packSize: '25g', price: 120, isAvailable: true },
+                { packSize: '50g', price: 220, isAvailable: true }
+            ]);
+        });
+
+        it('should report an identical catalog as unchanged', () => {
+            const diff = diffCatalog({ products: [fileProduct] }, { products: [dbRow()] });
+
+            expect(hasChanges(diff)).toBe(false);
+            expect(diff.unchanged).toBe(1);
+        });
+
+        it('should report field and pack-size price changes', () => {
+            const row = dbRow({
+                badge: 'Organic',
+                variants: [
+                    { packSize: '25g', price: 110, isAvailable: false },
+                    { packSize: '100g', price: 400, isAvailable: true }
+                ]
+            });
+
+            const diff = diffCatalog({ products: [fileProduct] }, { products: [row] });
+            const change = diff.changed[0];
+
+            expect(change.fields).toEqual([{ field: 'badge', from: 'Organic', to: 'Premium' }]);
+            expect(change.variants).toEqual([
+                { type: 'changed', sku: 'cloves-25g', packSize: '25g', from: 110, to: 120 },
+                { type: 'added', sku: 'cloves-50g', packSize: '50g', price: 220 },
+                { type: 'removed', sku: 'cloves-100g', packSize: '100g', price: 400 }
+            ]);
+        });
+
+        it('should match variants by SKU when pack sizes come in several forms', () => {
+            const withForms = {
+                ...fileProduct,
+                variants: [
+                    { form: 'Whole', packSize: '25g', price: 120 },
+                    { form: 'Ground', packSize: '25g', price: 130 }
+                ]
+            };
+            const row = dbRow({
+                variants: [{ form: 'Whole', packSize: '25g', price: 120, isAvailable: true }]
+            });
+
+            const diff = diffCatalog({ products: [withForms] }, { products: [row] });
+
+            expect(diff.changed[0].variants).toEqual([
+                { type: 'added', sku: 'cloves-ground-25g', packSize: '25g', price: 130 }
+            ]);
+        });
+
+        it('should keep admin-controlled variant availability', () => {
+            const row = dbRow({
+                variants: [
+                    { packSize: '25g', price: 100, isAvailable: false },
+                    { packSize: '50g', price: 220, isAvailable: true }
+                ]
+            });
+
+            const diff = diffCatalog({ products: [fileProduct] }, { products: [row] });
+
+            expect(diff.changed[0].data.variants[0]).toEqual({ packSize: '25g', price: 120, isAvailable: false });
+        });
+
+        it('should keep variant details set by admins and report those the file changes', () => {
+            const withImages = {
+                ...fileProduct,
+                variants: [
+                    { packSize: '25g', price: 125, image: 'images/clove-25g.jpg' },
+                    { packSize: '50g', price: 220 }
+                ]
+            };
+            const row = dbRow({
+                variants: [
+                    { packSize: '25g', price: 120, isAvailable: true, gtin: '8901234567894', image: 'images/clove.jpg' },
+                    { packSize: '50g', price: 220, isAvailable: true, gtin: '8901234567900' }
+                ]
+            });
+
+            const diff = diffCatalog({ products: [withImages] }, { products: [row] });
+            const change = diff.changed[0];
+
+            expect(change.variants).toEqual([
+                { type: 'changed', sku: 'cloves-25g', packSize: '25g', from: 120, to: 125 },
+                {
+                    type: 'details',
+                    sku: 'cloves-25g',
+                    packSize: '25g',
+                    fields: [{ field: 'image', from: 'images/clove.jpg', to: 'images/clove-25g.jpg' }]
+                }
+            ]);
+            expect(change.data.variants.map(v => v.gtin)).toEqual(['8901234567894', '8901234567900']);
+            expect(change.data.variants[0].image).toBe('images/clove-25g.jpg');
+        });
+
+        it('should report available products missing from the file as removed', () => {
+            const diff = diffCatalog({ products: [] }, {
+                products: [
+                    dbRow(),
+                    dbRow({ productId: 'saffron', name: 'Saffron', isAvailable: false })
+                ]
+            });
+
+            expect(diff.removed).toEqual([{ productId: 'cloves', name: 'Cloves' }]);
+        });
+    });
+
+    describe('category diff', () => {
+        it('should report new and changed categories', () => {
+            const diff = diffCatalog(
+                {
+                    categories: [
+                        { slug: 'whole-spices', name: 'Whole Spices', icon: '🫚', sortOrder: 1 },
+                        { slug: 'seeds', name: 'Seeds', sortOrder: 2, parent: 'whole-spices' }
+                    ]
+                },
+                {
+                    categories: [{ slug: 'whole-spices', name: 'Whole', icon: '🫚', sortOrder: 1, parent: null }]
+                }
+            );
+
+            expect(diff.categories.added.map(c => c.slug)).toEqual(['seeds']);
+            expect(diff.categories.changed[0].fields).toEqual([{ field: 'name', from: 'Whole', to: 'Whole Spices' }]);
+        });
+    });
+
+    describe('applyCatalogDiff', () => {
+        it('should write every change inside one transaction', async () => {
+            const tx = {
+                category: { upsert: jest.fn() },
+                product: { create: jest.fn(), update: jest.fn() },
+                priceHistory: { createMany: jest.fn() }
+            };
+            const client = { $transaction: jest.fn((fn) => fn(tx)) };
+
+            const diff = diffCatalog(
+                {
+                    categories: [{ slug: 'whole-spices', name: 'Whole Spices', sortOrder: 1 }],
+                    products: [fileProduct, { ...fileProduct, id: 'mace', name: 'Mace' }]
+                },
+                {
+                    categories: [],
+                    products: [dbRow({ badge: null }), dbRow({ productId: 'old', name: 'Old' })]
+                }
+            );
+
+            const result = await applyCatalogDiff(client, diff);
+
+            expect(client.$transaction).toHaveBeenCalledTimes(1);
+            expect(result).toEqual({ categories: 1, added: 1, changed: 1, removed: 1 });
+            expect(tx.category.upsert.mock.invocationCallOrder[0])
+                .toBeLessThan(tx.product.create.mock.invocationCallOrder[0]);
+            expect(tx.product.create).toHaveBeenCalledWith({ data: expect.objectContaining({ productId: 'mace' }) });
+            expect(tx.product.update).toHaveBeenCalledWith({ where: { productId: 'cloves' }, data: { badge: 'Premium' } });
+            expect(tx.product.update).toHaveBeenCalledWith({ where: { productId: 'old' }, data: { isAvailable: false } });
+            // Only the new product has prices to record
+            expect(tx.priceHistory.createMany).toHaveBeenCalledTimes(1);
+            expect(tx.priceHistory.createMany.mock.calls[0][0].data[0])
+                .toMatchObject({ productId: 'mace', changedBy: 'catalog-sync' });
+        });
+    });
+});
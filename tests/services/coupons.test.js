@@ -0,0 +1,127 @@
+/**
+ * Coupon Service Tests
+ * Tests discount rules, restrictions and limits
+ */
+
+const {
+    CouponError,
+    normalizeCouponCode,
+    eligibleSubtotal,
+    evaluateCoupon,
+    couponRulesError
+} = require('../../server/services/coupons');
+
+const coupon = (fields) => ({
+    code: 'SPICE10',
+    type: 'PERCENT',
+    value: 10,
+    maxDiscount: null,
+    minSubtotal: 0,
+    productIds: [],
+    categories: [],
+    usageLimit: null,
+    perCustomerLimit: null,
+    startsAt: null,
+    endsAt: null,
+    isActive: true,
+    ...fields
+});
+
+const categories = [
+    { slug: 'whole-spices', parent: null },
+    { slug: 'pepper', parent: 'whole-spices' },
+    { slug: 'dry-fruits', parent: null }
+];
+
+const lines = [
+    { productId: 'black-pepper', category: 'pepper', total: 300 },
+    { productId: 'almonds', category: 'dry-fruits', total: 150 },
+    { bundleId: 'festive-box', category: null, total: 100 }
+];
+
+const cart = { lines, subtotal: 550, deliveryCharge: 0, categories };
+
+const errorCode = (fn) => {
+    try {
+        fn();
+    } catch (error) {
+        expect(error).toBeInstanceOf(CouponError);
+        return error.code;
+    }
+    return null;
+};
+
+describe('normalizeCouponCode', () => {
+    it('should trim and upper-case codes', () => {
+        expect(normalizeCouponCode('  diwali25 ')).toBe('DIWALI25');
+        expect(normalizeCouponCode(undefined)).toBe('');
+    });
+});
+
+describe('eligibleSubtotal', () => {
+    it('should count every line when the coupon is not restricted', () => {
+        expect(eligibleSubtotal(coupon(), lines, categories)).toBe(550);
+    });
+
+    it('should include subcategories and leave out gift packs', () => {
+        expect(eligibleSubtotal(coupon({ categories: ['whole-spices'] }), lines, categories)).toBe(300);
+        expect(eligibleSubtotal(coupon({ productIds: ['almonds'], categories: ['pepper'] }), lines, categories)).toBe(450);
+    });
+});
+
+describe('evaluateCoupon', () => {
+    const now = new Date('2026-10-19T10:00:00Z');
+
+    it('should take a percentage off the eligible lines, up to the cap', () => {
+        expect(evaluateCoupon(coupon({ categories: ['whole-spices'] }), cart, now).discount).toBe(30);
+        expect(evaluateCoupon(coupon({ maxDiscount: 25 }), cart, now).discount).toBe(25);
+    });
+
+    it('should not take a flat discount beyond the eligible lines', () => {
+        const result = evaluateCoupon(coupon({ type: 'FLAT', value: 200, productIds: ['almonds'] }), cart, now);
+
+        expect(result).toEqual({ code: 'SPICE10', type: 'FLAT', description: null, discount: 150 });
+    });
+
+    it('should cover the delivery charge for free delivery codes', () => {
+        const freeDelivery = coupon({ type: 'FREE_DELIVERY', value: 0 });
+
+        expect(evaluateCoupon(freeDelivery, { ...cart, deliveryCharge: 40 }, now).discount).toBe(40);
+        expect(errorCode(() => evaluateCoupon(freeDelivery, cart, now))).toBe('NOT_ELIGIBLE');
+    });
+
+    it('should only apply within the validity window', () => {
+        expect(errorCode(() => evaluateCoupon(coupon({ startsAt: '2026-10-20T00:00:00Z' }), cart, now))).toBe('NOT_STARTED');
+        expect(errorCode(() => evaluateCoupon(coupon({ endsAt: '2026-10-19T10:00:00Z' }), cart, now))).toBe('EXPIRED');
+        expect(errorCode(() => evaluateCoupon(coupon({ isActive: false }), cart, now))).toBe('NOT_FOUND');
+        expect(errorCode(() => evaluateCoupon(null, cart, now))).toBe('NOT_FOUND');
+    });
+
+    it('should enforce global and per-customer limits', () => {
+        const limited = coupon({ usageLimit: 100, perCustomerLimit: 1 });
+
+        expect(errorCode(() => evaluateCoupon(limited, { ...cart, usage: { total: 100, customer: 0 } }, now))).toBe('USAGE_LIMIT');
+        expect(errorCode(() => evaluateCoupon(limited, { ...cart, usage: { total: 5, customer: 1 } }, now))).toBe('CUSTOMER_LIMIT');
+        // Customer not known yet: checked again when the order is placed
+        expect(evaluateCoupon(limited, { ...cart, usage: { total: 5 } }, now).discount).toBe(55);
+    });
+
+    it('should require the minimum subtotal and an eligible line', () => {
+        expect(() => evaluateCoupon(coupon({ minSubtotal: 600 }), cart, now)).toThrow('Add items worth ₹50 more to use this code');
+        expect(errorCode(() => evaluateCoupon(coupon({ productIds: ['cardamom'] }), cart, now))).toBe('NOT_ELIGIBLE');
+    });
+});
+
+describe('couponRulesError', () => {
+    it('should check the value for the type and the validity window', () => {
+        expect(couponRulesError({ type: 'FLAT', value: 0 })).toEqual(expect.objectContaining({ field: 'value' }));
+        expect(couponRulesError({ type: 'PERCENT', value: 120 })).toEqual(expect.objectContaining({ field: 'value' }));
+        expect(couponRulesError({ type: 'FREE_DELIVERY', value: 0 })).toBeNull();
+        expect(couponRulesError({
+            type: 'FLAT',
+            value: 50,
+            startsAt: '2026-11-01',
+            endsAt: '2026-10-01'
+        })).toEqual(expect.objectContaining({ field: 'endsAt' }));
+    });
+});
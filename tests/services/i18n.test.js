@@ -0,0 +1,66 @@
+/**
+ * Catalog Localization Service Tests
+ * Tests locale negotiation and per-field translation fallback
+ */
+
+const {
+    parseAcceptLanguage,
+    resolveLocale,
+    normalizeTranslations,
+    localizeProduct
+} = require('../../server/services/i18n');
+
+describe('resolveLocale', () => {
+    it('should order Accept-Language tags by quality', () => {
+        expect(parseAcceptLanguage('en;q=0.5, kn-IN, hi;q=0.8, *;q=0.1')).toEqual(['kn-IN', 'hi', 'en']);
+        expect(parseAcceptLanguage('')).toEqual([]);
+    });
+
+    it('should prefer ?lang= over Accept-Language', () => {
+        expect(resolveLocale('hi', 'kn')).toBe('hi');
+        expect(resolveLocale('KN-in', null)).toBe('kn');
+    });
+
+    it('should take the first supported Accept-Language tag', () => {
+        expect(resolveLocale(undefined, 'ta-IN, kn;q=0.7, hi;q=0.9')).toBe('hi');
+        expect(resolveLocale('fr', 'de, ta')).toBe('en');
+    });
+});
+
+describe('normalizeTranslations', () => {
+    it('should drop English, unknown fields and empty values', () => {
+        expect(normalizeTranslations({
+            en: { name: 'Cloves' },
+            hi: { name: 'लौंग', origin: 'केरल', culinaryUses: [] },
+            kn: { description: '' }
+        })).toEqual({ hi: { name: 'लौंग' } });
+    });
+});
+
+describe('localizeProduct', () => {
+    const product = {
+        productId: 'cloves',
+        name: 'Cloves',
+        description: 'Aromatic flower buds',
+        culinaryUses: ['Biryanis'],
+        translations: { hi: { name: 'लौंग', culinaryUses: ['बिरयानी'] } }
+    };
+
+    it('should translate available fields and keep English for the rest', () => {
+        expect(localizeProduct(product, 'hi')).toEqual({
+            productId: 'cloves',
+            name: 'लौंग',
+            description: 'Aromatic flower buds',
+            culinaryUses: ['बिरयानी'],
+            locale: 'hi'
+        });
+    });
+
+    it('should report English when there is no translation', () => {
+        const result = localizeProduct(product, 'kn');
+
+        expect(result.name).toBe('Cloves');
+        expect(result.locale).toBe('en');
+        expect(result.translations).toBeUndefined();
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Pack Size Helper Tests
+ * Tests parsing pack sizes and comparing value per 100g
+ */
+
+const { packSizeToGrams, unitPrice, unitPricing } = require('../../server/services/packSizes');
+
+describe('packSizeToGrams', () => {
+    it('should parse grams and kilograms', () => {
+        expect(packSizeToGrams('50g')).toBe(50);
+        expect(packSizeToGrams('1.5 KG')).toBe(1500);
+        expect(packSizeToGrams('1 pack')).toBeNull();
+    });
+});
+
+describe('unitPrice', () => {
+    it('should price per 100g rounded to paise', () => {
+        expect(unitPrice(1300, '1kg')).toBe(130);
+        expect(unitPrice(100, '30g')).toBe(333.33);
+        expect(unitPrice(100, 'family pack')).toBeNull();
+    });
+});
+
+describe('unitPricing', () => {
+    it('should flag the cheapest size per gram and savings against the smallest pack', () => {
+        expect(unitPricing({ '50g': 80, '100g': 150, '1kg': 1300 })).toEqual({
+            unitPrices: { '50g': 160, '100g': 150, '1kg': 130 },
+            bestValue: '1kg',
+            savingsPercent: { '100g': 6, '1kg': 18 }
+        });
+    });
+
+    it('should prefer the smaller pack on a tie and skip sizes that cost more per gram', () => {
+        expect(unitPricing({ '250g': 500, '100g': 200, '500g': 1100 })).toEqual({
+            unitPrices: { '250g': 200, '100g': 200, '500g': 220 },
+            bestValue: '100g',
+            savingsPercent: {}
+        });
+    });
+
+    it('should leave out sizes that cannot be parsed', () => {
+        expect(unitPricing({ 'gift box': 500 })).toEqual({ unitPrices: {}, bestValue: null, savingsPercent: {} });
+    });
+});
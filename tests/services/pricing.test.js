@@ -0,0 +1,101 @@
+/**
+ * Pricing Service Tests
+ * Tests sale resolution over time and price history entries
+ */
+
+const { resolvePrice, priceVariants, diffPrices, recordPriceChanges } = require('../../server/services/pricing');
+
+const variant = {
+    packSize: '50g',
+    price: 300,
+    sales: [
+        { price: 270, startsAt: '2026-03-01T00:00:00.000Z', endsAt: '2026-03-08T00:00:00.000Z' },
+        { price: 250, startsAt: '2026-03-05T00:00:00.000Z', endsAt: null }
+    ]
+};
+
+describe('resolvePrice', () => {
+    it('should use the regular price outside any sale', () => {
+        expect(resolvePrice(variant, new Date('2026-02-28T23:59:59Z'))).toEqual({ price: 300, mrp: 300, saleEndsAt: undefined });
+    });
+
+    it('should start and end sales on their own', () => {
+        expect(resolvePrice(variant, new Date('2026-03-01T00:00:00Z')).price).toBe(270);
+        expect(resolvePrice(variant, new Date('2026-03-08T00:00:00Z')).price).toBe(250);
+    });
+
+    it('should pick the lowest overlapping sale', () => {
+        expect(resolvePrice(variant, new Date('2026-03-06T00:00:00Z'))).toEqual({ price: 250, mrp: 300, saleEndsAt: null });
+    });
+
+    it('should ignore sales that are not below the regular price', () => {
+        const at = new Date('2026-03-02T00:00:00Z');
+        expect(resolvePrice({ price: 260, sales: variant.sales }, at).price).toBe(260);
+    });
+});
+
+describe('priceVariants', () => {
+    it('should report sizes on sale with their end time', () => {
+        const result = priceVariants([variant, { packSize: '100g', price: 560 }], new Date('2026-03-02T00:00:00Z'));
+
+        expect(result).toEqual({
+            prices: { '50g': 270, '100g': 560 },
+            mrp: { '50g': 300, '100g': 560 },
+            saleEndsAt: { '50g': '2026-03-08T00:00:00.000Z' },
+            onSale: true,
+            unitPrices: { '50g': 540, '100g': 560 },
+            bestValue: '50g',
+            savingsPercent: {}
+        });
+    });
+});
+
+describe('price history', () => {
+    it('should include new pack sizes and changed prices or sales only', () => {
+        const previous = [
+            { packSize: '50g', price: 300 },
+            { packSize: '100g', price: 560 },
+            { packSize: '250g', price: 1300 }
+        ];
+        const next = [
+            { packSize: '50g', price: 300, sales: variant.sales },
+            { packSize: '100g', price: 560, isAvailable: false },
+            { packSize: '250g', price: 1250 },
+            { packSize: '1kg', price: 4800 }
+        ];
+
+        expect(diffPrices('cardamom', previous, next).map(e => e.sku))
+            .toEqual(['cardamom-50g', 'cardamom-250g', 'cardamom-1kg']);
+    });
+
+    it('should track each form of a pack size as its own SKU', () => {
+        const previous = [{ form: 'Whole', packSize: '100g', price: 110 }];
+        const next = [
+            { form: 'Whole', packSize: '100g', price: 110 },
+            { form: 'Ground', packSize: '100g', price: 120 }
+        ];
+
+        expect(diffPrices('zeera', previous, next)).toEqual([
+            { sku: 'zeera-ground-100g', packSize: '100g', price: 120, sales: [] }
+        ]);
+    });
+
+    it('should append entries with who made the change', async () => {
+        const tx = { priceHistory: { createMany: jest.fn() } };
+
+        const count = await recordPriceChanges(tx, 'cardamom', [], [{ packSize: '50g', price: 300 }], 'ops');
+
+        expect(count).toBe(1);
+        expect(tx.priceHistory.createMany).toHaveBeenCalledWith({
+            data: [{ productId: 'cardamom', sku: 'cardamom-50g', packSize: '50g', price: 300, sales: [], changedBy: 'ops' }]
+        });
+    });
+
+    it('should not write anything when prices are unchanged', async () => {
+        const tx = { priceHistory: { createMany: jest.fn() } };
+
+        await recordPriceChanges(tx, 'cardamom', [{ packSize: '50g', price: 300 }], [{ packSize: '50g', price: 300 }], 'ops');
+
+        expect(tx.priceHistory.createMany).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Product Feed Tests
+ * Tests marketplace feed items and the RSS and TSV formats
+ */
+
+const { buildFeedItems, buildRssFeed, buildTsvFeed } = require('../../server/services/productFeed');
+
+const SITE = 'https://shop.example';
+
+const categories = [
+    { slug: 'spices', name: 'Spices', parent: null },
+    { slug: 'whole-spices', name: 'Whole Spices', parent: 'spices' }
+];
+
+const products = [{
+    productId: 'cardamom',
+    name: 'Green Cardamom',
+    description: 'Bold pods\tfrom Idukki',
+    image: 'images/cardamom.jpg',
+    category: 'whole-spices',
+    inStock: true,
+    skus: [
+        { sku: 'cardamom-50g', label: '50g', price: 250, mrp: 280, stock: 0, image: null, gtin: '8901234567890' },
+        { sku: 'cardamom-bold-100g', label: '8mm Bold 100g', price: 520, mrp: 520, image: 'images/cardamom-bold.jpg' }
+    ]
+}];
+
+describe('buildFeedItems', () => {
+    it('should list each SKU with its price, availability and identifiers', () => {
+        expect(buildFeedItems(products, categories, SITE)).toEqual([
+            {
+                id: 'cardamom-50g',
+                item_group_id: 'cardamom',
+                title: 'Green Cardamom 50g',
+                description: 'Bold pods\tfrom Idukki',
+                link: `${SITE}/products.html?product=cardamom`,
+                image_link: `${SITE}/images/cardamom.jpg`,
+                availability: 'out_of_stock',
+                price: '280.00 INR',
+                sale_price: '250.00 INR',
+                brand: 'Tawabil',
+                gtin: '8901234567890',
+                condition: 'new',
+                product_type: 'Spices > Whole Spices'
+            },
+            expect.objectContaining({
+                id: 'cardamom-bold-100g',
+                image_link: `${SITE}/images/cardamom-bold.jpg`,
+                availability: 'in_stock',
+                price: '520.00 INR',
+                identifier_exists: 'no'
+            })
+        ]);
+        expect(buildFeedItems(products, categories, SITE)[1].sale_price).toBeUndefined();
+    });
+});
+
+describe('feed formats', () => {
+    const items = buildFeedItems(products, categories, SITE);
+
+    it('should write RSS 2.0 with Google attributes', () => {
+        const xml = buildRssFeed(items, SITE);
+
+        expect(xml).toContain('<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">');
+        expect(xml).toContain('<g:id>cardamom-50g</g:id>');
+        expect(xml).toContain('<g:product_type>Spices &gt; Whole Spices</g:product_type>');
+        expect(xml.match(/<item>/g)).toHaveLength(2);
+    });
+
+    it('should write one TSV row per item under a header', () => {
+        const rows = buildTsvFeed(items).trim().split('\n').map(row => row.split('\t'));
+
+        expect(rows[0].slice(0, 3)).toEqual(['id', 'item_group_id', 'title']);
+        expect(rows).toHaveLength(3);
+        expect(rows.every(row => row.length === rows[0].length)).toBe(true);
+        expect(rows[1][3]).toBe('Bold pods from Idukki');
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * Recipe Service Tests
+ * Tests pack size selection for recipe spices
+ */
+
+const { pickPackSize } = require('../../server/services/recipes');
+
+const pepper = {
+    packSizes: ['1kg', '50g', '100g', '250g'],
+    prices: { '50g': 80, '100g': 150, '250g': 350, '1kg': 1300 }
+};
+
+describe('pickPackSize', () => {
+    it('should pick the smallest pack that covers the grams', () => {
+        expect(pickPackSize(pepper, 15)).toEqual({ packSize: '50g', quantity: 1 });
+        expect(pickPackSize(pepper, 100)).toEqual({ packSize: '100g', quantity: 1 });
+        expect(pickPackSize(pepper, 101)).toEqual({ packSize: '250g', quantity: 1 });
+    });
+
+    it('should repeat the largest pack when none is big enough', () => {
+        expect(pickPackSize(pepper, 2500)).toEqual({ packSize: '1kg', quantity: 3 });
+    });
+
+    it('should skip sold-out sizes and give up when nothing is left', () => {
+        expect(pickPackSize({ ...pepper, stock: { '50g': 0 } }, 15)).toEqual({ packSize: '100g', quantity: 1 });
+        expect(pickPackSize({ packSizes: ['50g'], prices: { '50g': 80 }, stock: { '50g': 0 } }, 15)).toBeNull();
+    });
+});
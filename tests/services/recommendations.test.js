@@ -0,0 +1,97 @@
+/**
+ * Recommendation Service Tests
+ * Tests co-purchase affinity and periodic model refresh
+ */
+
+const { prisma } = require('../../server/config/prisma');
+const {
+    computeAffinity,
+    rankRelated,
+    getAffinity,
+    resetRecommendations
+} = require('../../server/services/recommendations');
+
+const order = (...lines) => ({
+    items: lines.map(([productId, packSize]) => ({ productId, packSize, quantity: 1 }))
+});
+
+describe('computeAffinity', () => {
+    it('should count orders containing both products', () => {
+        const affinity = computeAffinity([
+            order(['cardamom', '50g'], ['cloves', '25g']),
+            order(['cardamom', '100g'], ['cloves', '25g'], ['cloves', '50g']),
+            order(['cardamom', '50g'], ['zeera', '100g'])
+        ]);
+
+        const cardamom = affinity.products.get('cardamom');
+        expect(cardamom.orders).toBe(3);
+        expect(cardamom.related.get('cloves').count).toBe(2);
+        expect(Object.fromEntries(cardamom.related.get('cloves').packSizes)).toEqual({ '25g': 2, '50g': 1 });
+    });
+
+    it('should count gift pack components as bought together', () => {
+        const affinity = computeAffinity([{
+            items: [{
+                bundleId: 'biryani-spice-box',
+                quantity: 1,
+                components: [
+                    { productId: 'cardamom', packSize: '25g', quantity: 1 },
+                    { productId: 'cloves', packSize: '25g', quantity: 1 }
+                ]
+            }]
+        }]);
+
+        expect(affinity.products.get('cloves').related.get('cardamom').count).toBe(1);
+    });
+});
+
+describe('rankRelated', () => {
+    it('should rank by co-purchases and drop one-off pairs', () => {
+        const affinity = computeAffinity([
+            order(['cardamom', '50g'], ['cloves', '25g'], ['cinnamon', '50g']),
+            order(['cardamom', '50g'], ['cloves', '50g'], ['cinnamon', '50g']),
+            order(['cardamom', '50g'], ['cloves', '50g'], ['zeera', '100g']),
+            order(['cardamom', '50g'])
+        ]);
+
+        expect(rankRelated(affinity, 'cardamom')).toEqual([
+            { productId: 'cloves', count: 3, confidence: 0.75, packSizes: ['50g', '25g'] },
+            { productId: 'cinnamon', count: 2, confidence: 0.5, packSizes: ['50g'] }
+        ]);
+        expect(rankRelated(affinity, 'saffron')).toEqual([]);
+    });
+});
+
+describe('getAffinity', () => {
+    const start = new Date('2026-03-10T10:00:00Z');
+
+    beforeEach(() => {
+        resetRecommendations();
+        prisma.order.findMany.mockReset();
+        prisma.order.findMany.mockResolvedValue([order(['cardamom', '50g'], ['cloves', '25g'])]);
+    });
+
+    it('should build the model from recent non-cancelled orders once', async () => {
+        await getAffinity(start);
+        await getAffinity(new Date(start.getTime() + 60 * 1000));
+
+        expect(prisma.order.findMany).toHaveBeenCalledTimes(1);
+        const { where } = prisma.order.findMany.mock.calls[0][0];
+        expect(where.status).toEqual({ not: 'CANCELLED' });
+        expect(where.createdAt.gte).toEqual(new Date('2025-09-11T10:00:00Z'));
+    });
+
+    it('should serve the stale model while rebuilding it', async () => {
+        const first = await getAffinity(start);
+        prisma.order.findMany.mockResolvedValue([]);
+
+        const stale = await getAffinity(new Date(start.getTime() + 61 * 60 * 1000));
+        expect(stale).toBe(first);
+        expect(prisma.order.findMany).toHaveBeenCalledTimes(2);
+
+        // Let the background rebuild finish
+        await new Promise(resolve => setImmediate(resolve));
+        const fresh = await getAffinity(new Date(start.getTime() + 62 * 60 * 1000));
+        expect(fresh.orders).toBe(0);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Search Service Tests
+ * Tests ranking, typo tolerance, synonyms and highlighting
+ */
+
+const { searchProducts, editDistance } = require('../../server/services/search');
+
+const catalog = [
+    {
+        productId: 'cardamom',
+        name: 'Green Cardamom',
+        nameHindi: 'इलायची',
+        origin: 'Kerala, India',
+        description: 'Hand-picked green cardamom pods.',
+        culinaryUses: ['Masala chai', 'Desserts']
+    },
+    {
+        productId: 'elaichi',
+        name: 'Badi Elaichi (Black Cardamom)',
+        nameHindi: 'बड़ी इलायची',
+        origin: 'Sikkim, India',
+        description: 'Smoky pods for rich gravies.',
+        culinaryUses: ['Biryani']
+    },
+    {
+        productId: 'zeera',
+        name: 'Cumin Seeds (Zeera)',
+        nameHindi: 'जीरा',
+        origin: 'Rajasthan, India',
+        description: 'Earthy seeds for tempering.',
+        culinaryUses: ['Tadka', 'Jeera rice']
+    },
+    {
+        productId: 'cinnamon',
+        name: 'Cinnamon Sticks',
+        nameHindi: 'दालचीनी',
+        origin: 'Kerala, India',
+        description: 'Sweet <Ceylon> cinnamon.',
+        culinaryUses: ['Baking']
+    }
+];
+
+const ids = (results) => results.map(r => r.productId);
+
+describe('Search Service', () => {
+    describe('editDistance', () => {
+        it('should count substitutions and transpositions', () => {
+            expect(editDistance('cardamon', 'cardamom', 2)).toBe(1);
+            expect(editDistance('cinanmon', 'cinnamon', 2)).toBe(1);
+            expect(editDistance('pepper', 'cumin', 1)).toBe(2);
+        });
+    });
+
+    describe('searchProducts', () => {
+        it('should tolerate typos', () => {
+            expect(ids(searchProducts(catalog, 'cardamon'))[0]).toBe('cardamom');
+            expect(ids(searchProducts(catalog, 'cinamon'))).toEqual(['cinnamon']);
+        });
+
+        it('should match Hindi names written in Latin script', () => {
+            expect(ids(searchProducts(catalog, 'jeera'))[0]).toBe('zeera');
+            expect(ids(searchProducts(catalog, 'dalchini'))).toEqual(['cinnamon']);
+        });
+
+        it('should match Devanagari names and prefer exact names', () => {
+            expect(ids(searchProducts(catalog, 'इलायची'))).toEqual(['cardamom', 'elaichi']);
+            expect(searchProducts(catalog, 'जीरा')[0].highlights.nameHindi).toBe('<mark>जीरा</mark>');
+        });
+
+        it('should rank name matches above culinary uses', () => {
+            const results = searchProducts(catalog, 'biryani cardamom');
+
+            expect(ids(results)[0]).toBe('elaichi');
+            expect(results[0].score).toBeGreaterThan(results[1].score);
+        });
+
+        it('should return escaped, highlighted snippets', () => {
+            const [result] = searchProducts(catalog, 'ceylon');
+
+            expect(result.highlights.description).toBe('Sweet &lt;<mark>Ceylon</mark>&gt; cinnamon.');
+            expect(result.highlights.name).toBeUndefined();
+        });
+
+        it('should highlight matching culinary uses only', () => {
+            const [result] = searchProducts(catalog, 'chai');
+
+            expect(result.highlights.culinaryUses).toEqual(['Masala <mark>chai</mark>']);
+        });
+
+        it('should return nothing for blank or unmatched queries', () => {
+            expect(searchProducts(catalog, '   ')).toEqual([]);
+            expect(searchProducts(catalog, 'saffron')).toEqual([]);
+        });
+
+        it('should apply the limit after ranking', () => {
+            expect(searchProducts(catalog, 'kerala', { limit: 1 })).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * SEO Service Tests
+ * Tests sitemap generation and JSON-LD product data
+ */
+
+const { buildSitemap, buildProductJsonLd } = require('../../server/services/seo');
+
+const SITE = 'https://shop.example';
+
+describe('buildSitemap', () => {
+    const xml = buildSitemap({
+        products: [
+            { productId: 'cardamom', updatedAt: new Date('2026-03-02T10:00:00Z') },
+            { productId: 'cloves', updatedAt: new Date('2026-04-05T10:00:00Z') }
+        ],
+        recipes: [{ recipeId: 'masala-chai', updatedAt: new Date('2026-02-01T00:00:00Z') }],
+        articles: [
+            { section: 'tips', publishedAt: new Date('2026-01-10T00:00:00Z'), updatedAt: new Date('2026-05-01T00:00:00Z') },
+            { section: 'tips', publishedAt: new Date('2026-01-20T00:00:00Z') }
+        ]
+    }, SITE);
+
+    const entry = (loc) => {
+        const match = xml.match(new RegExp(`<url>\\s*<loc>${loc.replace(/[?.]/g, '\\$&')}</loc>([\\s\\S]*?)</url>`));
+        return match && match[1];
+    };
+
+    it('should list products and recipes with their own lastmod', () => {
+        expect(entry(`${SITE}/products.html?product=cardamom`)).toContain('<lastmod>2026-03-02</lastmod>');
+        expect(entry(`${SITE}/recipes.html?recipe=masala-chai`)).toContain('<lastmod>2026-02-01</lastmod>');
+    });
+
+    it('should date pages by the latest change to what they show', () => {
+        expect(entry(`${SITE}/products.html`)).toContain('<lastmod>2026-04-05</lastmod>');
+        expect(entry(`${SITE}/tips.html`)).toContain('<lastmod>2026-05-01</lastmod>');
+        expect(entry(`${SITE}/quality.html`)).not.toContain('<lastmod>');
+    });
+
+    it('should leave checkout pages out', () => {
+        expect(xml).not.toContain('cart.html');
+        expect(xml).not.toContain('checkout.html');
+    });
+});
+
+describe('buildProductJsonLd', () => {
+    const product = {
+        productId: 'cardamom',
+        name: 'Green Cardamom',
+        description: 'Bold pods',
+        image: 'images/cardamom.jpg',
+        category: 'whole-spices',
+        skus: [
+            { sku: 'cardamom-50g', label: '50g', price: 250, stock: 0 },
+            { sku: 'cardamom-100g', label: '100g', price: 450, saleEndsAt: '2026-06-30T18:30:00.000Z' },
+            { sku: 'cardamom-bold-100g', label: '8mm Bold 100g', price: 520, image: 'images/cardamom-bold.jpg' }
+        ],
+        inStock: true,
+        rating: 4.66,
+        reviewCount: 3
+    };
+
+    it('should emit an INR offer per SKU with availability', () => {
+        const jsonLd = buildProductJsonLd(product, SITE);
+
+        expect(jsonLd).toMatchObject({
+            '@context': 'https://schema.org',
+            '@type': 'Product',
+            name: 'Green Cardamom',
+            image: `${SITE}/images/cardamom.jpg`,
+            url: `${SITE}/products.html?product=cardamom`
+        });
+        expect(jsonLd.offers).toEqual([
+            expect.objectContaining({ sku: 'cardamom-50g', price: 250, priceCurrency: 'INR', availability: 'https://schema.org/OutOfStock' }),
+            expect.objectContaining({ sku: 'cardamom-100g', price: 450, availability: 'https://schema.org/InStock', priceValidUntil: '2026-06-30' }),
+            expect.objectContaining({ sku: 'cardamom-bold-100g', name: 'Green Cardamom 8mm Bold 100g', image: `${SITE}/images/cardamom-bold.jpg` })
+        ]);
+        expect(jsonLd.offers[0].priceValidUntil).toBeUndefined();
+        expect(jsonLd.aggregateRating).toEqual({
+            '@type': 'AggregateRating',
+            ratingValue: 4.7,
+            reviewCount: 3,
+            bestRating: 5,
+            worstRating: 1
+        });
+    });
+
+    it('should leave out the rating until the product has reviews', () => {
+        const jsonLd = buildProductJsonLd({ ...product, rating: 0, reviewCount: 0 }, SITE);
+        expect(jsonLd.aggregateRating).toBeUndefined();
+    });
+});
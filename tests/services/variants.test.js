@@ -0,0 +1,50 @@
+/**
+ * Variant Helper Tests
+ * Tests SKUs, option axes and finding variants for cart lines
+ */
+
+const { variantSku, getOptionAxes, defaultVariants, findVariant, lineSku } = require('../../server/services/variants');
+
+const zeera = [
+    { form: 'Whole', packSize: '100g', price: 110 },
+    { form: 'Whole', packSize: '250g', price: 260 },
+    { form: 'Ground', packSize: '100g', price: 120 }
+];
+
+describe('variantSku', () => {
+    it('should build SKUs from the product and its options', () => {
+        expect(variantSku('zeera', { form: 'Ground', packSize: '100g' })).toBe('zeera-ground-100g');
+        expect(variantSku('cardamom', { grade: '8mm Bold', packSize: '50g' })).toBe('cardamom-8mm-bold-50g');
+        expect(variantSku('cloves', { packSize: '25g' })).toBe('cloves-25g');
+    });
+
+    it('should keep a stored SKU', () => {
+        expect(variantSku('zeera', { sku: 'zr-g-100', form: 'Ground', packSize: '100g' })).toBe('zr-g-100');
+    });
+});
+
+describe('getOptionAxes', () => {
+    it('should list the axes in use with values in catalog order', () => {
+        expect(getOptionAxes(zeera)).toEqual([
+            { name: 'form', values: ['Whole', 'Ground'] },
+            { name: 'weight', values: ['100g', '250g'] }
+        ]);
+    });
+});
+
+describe('findVariant', () => {
+    it('should find a variant by SKU', () => {
+        expect(findVariant('zeera', zeera, { sku: 'zeera-ground-100g' }).price).toBe(120);
+        expect(findVariant('zeera', zeera, { sku: 'zeera-ground-250g' })).toBeNull();
+    });
+
+    it('should give lines without a SKU the default variant of their pack size', () => {
+        expect(defaultVariants(zeera).map(v => v.price)).toEqual([110, 260]);
+        expect(findVariant('zeera', zeera, { packSize: '100g' }).form).toBe('Whole');
+    });
+
+    it('should key lines saved before SKUs by product and pack size', () => {
+        expect(lineSku({ productId: 'cloves', packSize: '25g' })).toBe('cloves-25g');
+        expect(lineSku({ productId: 'zeera', sku: 'zeera-ground-100g', packSize: '100g' })).toBe('zeera-ground-100g');
+    });
+});
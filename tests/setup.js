@@ -28,15 +28,95 @@ jest.mock('../server/config/prisma', () => {
             update: jest.fn(),
             delete: jest.fn(),
         },
+        bundle: {
+            findMany: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+        },
+        category: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
+            upsert: jest.fn(),
+        },
         order: {
             findUnique: jest.fn(),
             findFirst: jest.fn(),
             findMany: jest.fn(),
+            count: jest.fn(),
+            groupBy: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn(),
+            delete: jest.fn(),
+        },
+        coupon: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+        },
+        cart: {
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            updateMany: jest.fn(),
+        },
+        variantStock: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
+            upsert: jest.fn(),
+        },
+        recipe: {
+            findMany: jest.fn(),
+        },
+        article: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
             create: jest.fn(),
             update: jest.fn(),
             delete: jest.fn(),
         },
+        testimonial: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+        },
+        siteStat: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+        },
+        priceHistory: {
+            findMany: jest.fn(),
+            createMany: jest.fn(),
+        },
+        batch: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+        },
+        stockSubscription: {
+            findFirst: jest.fn(),
+            findMany: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            deleteMany: jest.fn(),
+        },
+        review: {
+            findMany: jest.fn(),
+            count: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            aggregate: jest.fn(),
+        },
+        $transaction: jest.fn(),
         $queryRaw: jest.fn(),
+        $executeRaw: jest.fn(),
         $disconnect: jest.fn(),
     };
 
@@ -57,9 +137,10 @@ jest.mock('../server/config/prisma', () => {
     };
 });
 
-// Clear all mocks after each test
+// Clear all mocks and the in-memory catalog after each test
 afterEach(() => {
     jest.clearAllMocks();
+    require('../server/services/catalog').invalidateCatalog();
 });
 
 // Cleanup after all tests